@@ -76,6 +76,11 @@ interface IUniswapV3Pool {
     );
 }
 
+// Plain StableSwap pools; older pools return nothing from exchange
+interface ICurvePool {
+    function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy) external;
+}
+
 interface IBalancerVault {
     struct SingleSwap {
         bytes32 poolId;
@@ -119,6 +124,7 @@ contract FlashloanArbitrage is FlashLoanSimpleReceiverBase, Ownable, ReentrancyG
         uint256 amount;
         address[] dexRouters;
         bytes[] swapData;
+        address[] path; // Token visited before and after each hop, empty for tokenA -> tokenB -> tokenA
         uint256 minProfit;
     }
 
@@ -216,8 +222,23 @@ contract FlashloanArbitrage is FlashLoanSimpleReceiverBase, Ownable, ReentrancyG
         require(params.dexRouters.length >= 2, "Need at least 2 DEXs");
         require(params.dexRouters.length == params.swapData.length, "Mismatched arrays");
 
-        // Validate prices against Chainlink oracles before executing
-        _validatePricesWithOracle(params.tokenA, params.tokenB);
+        // Multi-hop routes name every token they pass through and must close in tokenA
+        bool hasPath = params.path.length > 0;
+        if (hasPath) {
+            require(params.path.length == params.dexRouters.length + 1, "Path length mismatch");
+            require(params.path[0] == params.tokenA, "Path must start with tokenA");
+            require(params.path[params.path.length - 1] == params.tokenA, "Path must end with tokenA");
+        }
+
+        // Validate prices against Chainlink oracles before executing, on every
+        // hop of a multi-hop route and not just its endpoints
+        if (hasPath) {
+            for (uint i = 0; i + 1 < params.path.length; i++) {
+                _validatePricesWithOracle(params.path[i], params.path[i + 1]);
+            }
+        } else {
+            _validatePricesWithOracle(params.tokenA, params.tokenB);
+        }
 
         uint256 initialBalance = IERC20Extended(params.tokenA).balanceOf(address(this));
         uint256 currentAmount = flashAmount;
@@ -227,8 +248,15 @@ contract FlashloanArbitrage is FlashLoanSimpleReceiverBase, Ownable, ReentrancyG
             require(dexInfo[params.dexRouters[i]].isActive, "DEX not active");
             require(params.dexRouters[i] != address(0), "Invalid router address");
 
-            address tokenIn = (i == 0) ? params.tokenA : params.tokenB;
-            address tokenOut = (i == 0) ? params.tokenB : params.tokenA;
+            address tokenIn;
+            address tokenOut;
+            if (hasPath) {
+                tokenIn = params.path[i];
+                tokenOut = params.path[i + 1];
+            } else {
+                tokenIn = (i == 0) ? params.tokenA : params.tokenB;
+                tokenOut = (i == 0) ? params.tokenB : params.tokenA;
+            }
 
             // Ensure we have tokens to trade
             require(currentAmount > 0, "No tokens to trade");
@@ -347,14 +375,14 @@ contract FlashloanArbitrage is FlashLoanSimpleReceiverBase, Ownable, ReentrancyG
             amountOut = amounts[amounts.length - 1];
 
         } else if (dex.dexType == 1) { // UniswapV3
-            // Use 5% slippage for testnet (more realistic than 3%)
-            uint256 minAmountOut = amountIn * 95 / 100;
+            // The fee tier and output floor are the ones the bot quoted
+            (uint24 fee, uint256 minAmountOut) = _decodeV3SwapData(swapData, amountIn);
 
             IUniswapV3Router.ExactInputSingleParams memory params =
                 IUniswapV3Router.ExactInputSingleParams({
                     tokenIn: tokenIn,
                     tokenOut: tokenOut,
-                    fee: 3000, // 0.3% fee tier
+                    fee: fee,
                     recipient: address(this),
                     deadline: block.timestamp + 300,
                     amountIn: amountIn,
@@ -364,12 +392,9 @@ contract FlashloanArbitrage is FlashLoanSimpleReceiverBase, Ownable, ReentrancyG
 
             amountOut = IUniswapV3Router(router).exactInputSingle(params);
         } else if (dex.dexType == 3) { // Balancer V2
-            // For Balancer, we need a pool ID - this is a simplified implementation
-            // In practice, you would need to find the appropriate pool ID for the token pair
-            bytes32 poolId = 0x0000000000000000000000000000000000000000000000000000000000000000; // Placeholder
-
-            // Use 5% slippage for testnet
-            uint256 minAmountOut = amountIn * 95 / 100;
+            // The pool and output floor are the ones the bot quoted
+            require(swapData.length == 64, "Balancer swap needs a poolId");
+            (bytes32 poolId, uint256 minAmountOut) = abi.decode(swapData, (bytes32, uint256));
 
             IBalancerVault.SingleSwap memory singleSwap = IBalancerVault.SingleSwap({
                 poolId: poolId,
@@ -387,13 +412,19 @@ contract FlashloanArbitrage is FlashLoanSimpleReceiverBase, Ownable, ReentrancyG
                 toInternalBalance: false
             });
 
-            // Note: This will fail without a valid pool ID
-            // In production, you would query for available pools first
             try IBalancerVault(router).swap(singleSwap, funds, minAmountOut, block.timestamp + 300) returns (uint256 result) {
                 amountOut = result;
             } catch {
-                revert("Balancer swap failed - no valid pool");
+                revert("Balancer swap failed");
             }
+        } else if (dex.dexType == 4) { // Curve
+            // The coin indexes and output floor are the ones the bot quoted,
+            // the amount is whatever the previous hop delivered
+            require(swapData.length == 96, "Curve swap needs coin indexes");
+            (int128 i, int128 j, uint256 minAmountOut) = abi.decode(swapData, (int128, int128, uint256));
+
+            ICurvePool(router).exchange(i, j, amountIn, minAmountOut);
+            amountOut = IERC20Extended(tokenOut).balanceOf(address(this)) - tokenOutBalanceBefore;
         } else {
             // For other DEXs, use low-level call with provided swap data
             require(swapData.length > 0, "Empty swap data");
@@ -415,11 +446,62 @@ contract FlashloanArbitrage is FlashLoanSimpleReceiverBase, Ownable, ReentrancyG
         return actualAmountOut;
     }
 
+    /**
+     * Reads fee and amountOutMinimum from exactInputSingle calldata built off-chain.
+     * Without it, falls back to the 0.3% tier and 5% slippage (testnet default).
+     */
+    function _decodeV3SwapData(bytes memory swapData, uint256 amountIn)
+        internal
+        pure
+        returns (uint24 fee, uint256 minAmountOut)
+    {
+        // 4-byte selector followed by the 8 static words of ExactInputSingleParams
+        if (swapData.length < 4 + 32 * 8) {
+            return (3000, amountIn * 95 / 100);
+        }
+
+        uint256 feeWord;
+        assembly {
+            // Skip the length word and selector: fee is word 2, amountOutMinimum word 6
+            feeWord := mload(add(swapData, 100))
+            minAmountOut := mload(add(swapData, 228))
+        }
+        fee = uint24(feeWord);
+    }
+
     function requestFlashLoan(
         address asset,
         uint256 amount,
         ArbitrageParams memory params
     ) external onlyOwner nonReentrant {
+        _requestFlashLoan(asset, amount, params);
+    }
+
+    // Pays msg.value to the block builder, only when the arbitrage succeeds
+    function requestFlashLoanWithTip(
+        address asset,
+        uint256 amount,
+        ArbitrageParams memory params
+    ) external payable onlyOwner nonReentrant {
+        _requestFlashLoan(asset, amount, params);
+        _payCoinbase(msg.value);
+    }
+
+    // Builder payment as its own bundle transaction
+    function payCoinbase() external payable onlyOwner {
+        _payCoinbase(msg.value);
+    }
+
+    function _payCoinbase(uint256 amount) internal {
+        (bool paid, ) = block.coinbase.call{value: amount}("");
+        require(paid, "Coinbase payment failed");
+    }
+
+    function _requestFlashLoan(
+        address asset,
+        uint256 amount,
+        ArbitrageParams memory params
+    ) internal {
         bytes memory data = abi.encode(params);
 
         POOL.flashLoanSimple(
@@ -1,8 +1,14 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@aave/core-v3/contracts/flashloan/interfaces/IFlashLoanSimpleReceiver.sol";
+
 contract MockAddressProvider {
     address public pool;
+
+    // The mock is its own pool, so it also answers the pool's premium
+    uint128 public constant FLASHLOAN_PREMIUM_TOTAL = 5;
     
     constructor() {
         // Set a mock pool address
@@ -12,4 +18,21 @@ contract MockAddressProvider {
     function getPool() external view returns (address) {
         return pool;
     }
+
+    // Lends from its own balance and pulls back amount plus premium, like the Aave pool
+    function flashLoanSimple(
+        address receiverAddress,
+        address asset,
+        uint256 amount,
+        bytes calldata params,
+        uint16
+    ) external {
+        uint256 premium = amount * FLASHLOAN_PREMIUM_TOTAL / 10000;
+        IERC20(asset).transfer(receiverAddress, amount);
+        require(
+            IFlashLoanSimpleReceiver(receiverAddress).executeOperation(asset, amount, premium, msg.sender, params),
+            "Flash loan receiver failed"
+        );
+        IERC20(asset).transferFrom(receiverAddress, address(this), amount + premium);
+    }
 }
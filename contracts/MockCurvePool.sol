@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// Two-coin pool at a fixed rate, with the plain pools' exchange signature
+contract MockCurvePool {
+    address[2] public coins;
+    uint256 public rate; // coin1 per coin0, 18 decimals
+
+    constructor(address coin0, address coin1, uint256 rate_) {
+        coins[0] = coin0;
+        coins[1] = coin1;
+        rate = rate_;
+    }
+
+    function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy) external returns (uint256 dy) {
+        require(i != j && i >= 0 && i < 2 && j >= 0 && j < 2, "Invalid coins");
+        dy = i == 0 ? dx * rate / 1e18 : dx * 1e18 / rate;
+        require(dy >= min_dy, "Exchange resulted in fewer coins than expected");
+
+        IERC20(coins[uint128(i)]).transferFrom(msg.sender, address(this), dx);
+        IERC20(coins[uint128(j)]).transfer(msg.sender, dy);
+    }
+}
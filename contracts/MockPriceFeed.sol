@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Chainlink aggregator stand-in whose answer and update time the test sets
+contract MockPriceFeed {
+    int256 public answer;
+    uint256 public updatedAt;
+
+    constructor(int256 answer_) {
+        setAnswer(answer_, block.timestamp);
+    }
+
+    function setAnswer(int256 answer_, uint256 updatedAt_) public {
+        answer = answer_;
+        updatedAt = updatedAt_;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (1, answer, updatedAt, updatedAt, 1);
+    }
+}
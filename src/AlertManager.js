@@ -0,0 +1,154 @@
+const { createSinksFromEnv } = require("./alerts");
+
+/**
+ * Routes alerts to sinks once per condition. raise() sends an alert the
+ * first time its type fires, then holds repeats back for the throttle
+ * window and sends one reminder with the repeat count when the window has
+ * passed. resolve() clears the condition and sends a resolution to the same
+ * sinks. ALERT_ROUTES maps alert types to sink types as JSON, e.g.
+ * {"circuit_breaker": ["telegram", "email"], "default": ["webhook"]};
+ * types without a route, and no routes at all, go to every sink.
+ */
+class AlertManager {
+  constructor(logger, networkConfig = {}, options = {}) {
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+
+    this.config = {
+      throttleMs: parseInt(process.env.ALERT_THROTTLE_MS) || 15 * 60 * 1000,
+      routes: this.parseRoutes(process.env.ALERT_ROUTES),
+      ...options.config,
+    };
+
+    this.sinks = options.sinks || createSinksFromEnv(logger);
+    this.active = new Map(); // alert type => { alert, firstSeenAt, lastSentAt, repeats }
+    this.stats = { sent: 0, throttled: 0, resolved: 0, failed: 0 };
+  }
+
+  parseRoutes(value) {
+    if (!value) return {};
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      this.logger.warn("Ignoring invalid ALERT_ROUTES, alerts go to every sink", {
+        error: error.message,
+      });
+      return {};
+    }
+  }
+
+  // Sinks for an alert type: its route, else the default route, else all
+  getSinks(type) {
+    const route = this.config.routes[type] || this.config.routes.default;
+    if (!route || route.includes("*")) return this.sinks;
+    return this.sinks.filter((sink) => route.includes(sink.type));
+  }
+
+  getTitle(type) {
+    const words = type.replace(/_/g, " ");
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * alert = { type, severity, message, data }. Resolves to the delivery
+   * results, or null while the type is throttled.
+   */
+  async raise(alert) {
+    const now = Date.now();
+    const active = this.active.get(alert.type);
+
+    if (active && now - active.lastSentAt < this.config.throttleMs) {
+      active.repeats++;
+      active.alert = alert;
+      this.stats.throttled++;
+      return null;
+    }
+
+    const repeats = active ? active.repeats : 0;
+    this.active.set(alert.type, {
+      alert,
+      firstSeenAt: active ? active.firstSeenAt : now,
+      lastSentAt: now,
+      repeats: 0,
+    });
+
+    return this.deliver(this.buildNotification(alert, "firing", { repeats }));
+  }
+
+  // Resolves to the delivery results, or null when the type was not firing
+  async resolve(type, data = null) {
+    const active = this.active.get(type);
+    if (!active) return null;
+
+    this.active.delete(type);
+    this.stats.resolved++;
+
+    return this.deliver(
+      this.buildNotification({ ...active.alert, data: data || active.alert.data }, "resolved", {
+        durationMs: Date.now() - active.firstSeenAt,
+      })
+    );
+  }
+
+  buildNotification(alert, status, extra = {}) {
+    return {
+      type: alert.type,
+      severity: alert.severity || "medium",
+      status,
+      title: alert.title || this.getTitle(alert.type),
+      message: alert.message || null,
+      data: alert.data || {},
+      network: alert.network || this.networkConfig.name || null,
+      timestamp: Date.now(),
+      repeats: 0,
+      ...extra,
+    };
+  }
+
+  // Send to every routed sink; a failing sink is logged, never thrown
+  async deliver(notification) {
+    const sinks = this.getSinks(notification.type);
+    if (sinks.length === 0) {
+      this.logger.debug("No alert sinks for alert", { type: notification.type });
+      return [];
+    }
+
+    const outcomes = await Promise.allSettled(sinks.map((sink) => sink.send(notification)));
+
+    return outcomes.map((outcome, index) => {
+      const sink = sinks[index].type;
+      if (outcome.status === "fulfilled") {
+        this.stats.sent++;
+        return { sink, delivered: true };
+      }
+
+      this.stats.failed++;
+      this.logger.error("Alert delivery failed", {
+        sink,
+        type: notification.type,
+        error: outcome.reason.message,
+      });
+      return { sink, delivered: false, error: outcome.reason.message };
+    });
+  }
+
+  getActiveAlerts() {
+    return [...this.active.entries()].map(([type, active]) => ({
+      type,
+      severity: active.alert.severity,
+      since: new Date(active.firstSeenAt).toISOString(),
+      repeats: active.repeats,
+    }));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      sinks: this.sinks.map((sink) => sink.type),
+      active: this.active.size,
+    };
+  }
+}
+
+module.exports = AlertManager;
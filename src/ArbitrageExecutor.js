@@ -1,29 +1,47 @@
 const { ethers } = require("ethers");
+const TokenRegistry = require("./TokenRegistry");
+const { DexAdapterRegistry } = require("./adapters");
+const { FAILURE_CATEGORIES, decodeRevert } = require("./RevertDecoder");
+const { ARBITRAGE_EVENTS_INTERFACE, decodeExecutionReceipt } = require("./ReceiptDecoder");
 
 class ArbitrageExecutor {
-  constructor(contract, wallet, provider, logger) {
+  constructor(contract, wallet, provider, logger, options = {}) {
     this.contract = contract;
     this.wallet = wallet;
     this.provider = provider;
     this.logger = logger;
-    
+
+    // Optional execution pipeline components
+    this.gasOptimizer = options.gasOptimizer || null;
+    this.mevProtection = options.mevProtection || null;
+    this.maxGasPriceGwei = options.maxGasPriceGwei || null;
+    this.gasEstimator = options.gasEstimator || null;
+    this.minProfitUSD = options.minProfitUSD || 0; // Simulated net profit floor
+    this.requireSimulatedProfit = options.requireSimulatedProfit || false; // Veto when the trace can't tell
+    this.bidder = options.bidder || null; // Learns from realized profit after the builder bid
+    this.nonceManager = options.nonceManager || null; // Replaces and cancels stuck transactions
+    this.tokenRegistry = options.tokenRegistry || new TokenRegistry(provider, logger);
+
+    // Swap calldata per DEX type
+    this.adapters = new DexAdapterRegistry(this);
+
     this.executionHistory = [];
     this.isExecuting = false;
     this.lastExecutionTime = 0;
     this.executionCooldown = 30000; // 30 seconds between executions
   }
 
-  async executeArbitrage(opportunity, profitability, dexConfigs) {
+  async executeArbitrage(opportunity, profitability, dexConfigs, options = {}) {
     if (this.isExecuting) {
       this.logger.warn("Arbitrage execution already in progress");
-      return { success: false, reason: "Execution in progress" };
+      return this.vetoResult("executor", "Execution in progress");
     }
 
     // Check cooldown
     const now = Date.now();
     if (now - this.lastExecutionTime < this.executionCooldown) {
       this.logger.debug("Execution cooldown active");
-      return { success: false, reason: "Cooldown active" };
+      return this.vetoResult("executor", "Cooldown active");
     }
 
     this.isExecuting = true;
@@ -43,26 +61,32 @@ class ArbitrageExecutor {
       // Step 1: Validate opportunity is still profitable
       const isStillValid = await this.validateOpportunity(opportunity, profitability);
       if (!isStillValid) {
-        return { success: false, reason: "Opportunity no longer valid" };
+        return this.vetoResult("validation", "Opportunity no longer valid");
       }
 
       // Step 2: Check wallet balance
-      const hasBalance = await this.checkWalletBalance(profitability.costs.gasCostETH);
+      const hasBalance = await this.checkWalletBalance(
+        profitability.costs.gasCostETH +
+        (profitability.costs.l1DataFeeETH || 0) +
+        (profitability.costs.builderBidETH || 0)
+      );
       if (!hasBalance) {
-        return { success: false, reason: "Insufficient ETH for gas" };
+        return this.vetoResult("validation", "Insufficient ETH for gas");
       }
 
       // Step 3: Prepare arbitrage parameters
       const arbParams = await this.prepareArbitrageParams(opportunity, dexConfigs);
       if (!arbParams) {
-        return { success: false, reason: "Failed to prepare arbitrage parameters" };
+        return this.vetoResult("validation", "Failed to prepare arbitrage parameters");
       }
 
       // Step 4: Execute flashloan
-      const result = await this.executeFlashloan(opportunity, arbParams, profitability);
+      const result = await this.executeFlashloan(opportunity, arbParams, profitability, options);
       
-      // Step 5: Record execution
-      this.recordExecution(opportunity, profitability, result);
+      // Step 5: Record execution (vetoed trades never reached the chain)
+      if (!result.vetoed) {
+        this.recordExecution(opportunity, profitability, result);
+      }
       
       return result;
 
@@ -136,29 +160,53 @@ class ArbitrageExecutor {
 
   async prepareArbitrageParams(opportunity, dexConfigs) {
     try {
+      const hops = this.getRouteHops(opportunity);
+
       // Find DEX configurations
-      const buyDexConfig = dexConfigs.find(dex => dex.name === opportunity.buyDex);
-      const sellDexConfig = dexConfigs.find(dex => dex.name === opportunity.sellDex);
-      
-      if (!buyDexConfig || !sellDexConfig) {
+      const hopDexConfigs = hops.map(hop => dexConfigs.find(dex => dex.name === hop.dex));
+      const missing = hops.filter((hop, i) => !hopDexConfigs[i]).map(hop => hop.dex);
+
+      if (missing.length > 0) {
         this.logger.error("DEX configuration not found", {
-          buyDex: opportunity.buyDex,
-          sellDex: opportunity.sellDex
+          dexes: missing
         });
         return null;
       }
 
-      // Prepare swap data for each DEX
-      const buySwapData = await this.prepareSwapData(buyDexConfig, opportunity.tokenA, opportunity.tokenB, opportunity.amountIn);
-      const sellSwapData = await this.prepareSwapData(sellDexConfig, opportunity.tokenB, opportunity.tokenA, opportunity.buyAmountOut);
+      // Prepare swap data for each hop
+      const swapData = [];
+      for (let i = 0; i < hops.length; i++) {
+        swapData.push(await this.prepareSwapData(
+          hopDexConfigs[i],
+          hops[i].tokenIn,
+          hops[i].tokenOut,
+          hops[i].amountIn,
+          hops[i].amountOut,
+          this.getHopFee(hops[i]),
+          hops[i].pool
+        ));
+      }
+
+      // A hop without usable calldata would only revert inside the flash loan
+      const unencoded = hops.filter((hop, i) => !swapData[i]).map(hop => hop.dex);
+      if (unencoded.length > 0) {
+        this.logger.error("Could not encode swap data", {
+          dexes: unencoded
+        });
+        return null;
+      }
+
+      // Profit is paid out in tokenA, so the floor uses tokenA's decimals
+      const tokenADecimals = await this.tokenRegistry.getDecimals(opportunity.tokenA);
 
       return {
         tokenA: opportunity.tokenA,
         tokenB: opportunity.tokenB,
         amount: opportunity.amountIn,
-        dexRouters: [buyDexConfig.router, sellDexConfig.router],
-        swapData: [buySwapData, sellSwapData],
-        minProfit: ethers.utils.parseEther("0.001") // Minimum 0.001 ETH profit
+        dexRouters: hopDexConfigs.map(dex => dex.router),
+        swapData,
+        path: [hops[0].tokenIn, ...hops.map(hop => hop.tokenOut)],
+        minProfit: ethers.utils.parseUnits("0.001", tokenADecimals) // Minimum 0.001 tokenA profit
       };
     } catch (error) {
       this.logger.error("Error preparing arbitrage params:", error.message);
@@ -166,128 +214,267 @@ class ArbitrageExecutor {
     }
   }
 
-  async prepareSwapData(dexConfig, tokenIn, tokenOut, amountIn) {
-    try {
-      if (dexConfig.type === "UNISWAP_V2" || dexConfig.type === "SUSHISWAP") {
-        // For Uniswap V2 style DEXs, we encode the swap parameters
-        const path = [tokenIn, tokenOut];
-        const deadline = Math.floor(Date.now() / 1000) + 300; // 5 minutes
-        const minAmountOut = ethers.BigNumber.from(amountIn).mul(95).div(100); // 5% slippage
-        
-        // Encode function call data
-        const iface = new ethers.utils.Interface([
-          "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)"
-        ]);
-        
-        return iface.encodeFunctionData("swapExactTokensForTokens", [
-          amountIn,
-          minAmountOut,
-          path,
-          this.contract.address, // Send tokens to contract
-          deadline
-        ]);
-      } else if (dexConfig.type === "UNISWAP_V3") {
-        // For Uniswap V3, encode exactInputSingle
-        const deadline = Math.floor(Date.now() / 1000) + 300;
-        const minAmountOut = ethers.BigNumber.from(amountIn).mul(95).div(100);
-        
-        const iface = new ethers.utils.Interface([
-          "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut)"
-        ]);
-        
-        const params = {
-          tokenIn,
-          tokenOut,
-          fee: 3000, // 0.3%
-          recipient: this.contract.address,
-          deadline,
-          amountIn,
-          amountOutMinimum: minAmountOut,
-          sqrtPriceLimitX96: 0
-        };
-        
-        return iface.encodeFunctionData("exactInputSingle", [params]);
+  // Gas of the transaction this opportunity would send, for costing it
+  // before execution; null when its params cannot be prepared
+  async estimateExecutionGas(opportunity, dexConfigs) {
+    if (!this.gasEstimator) return null;
+
+    const arbParams = await this.prepareArbitrageParams(opportunity, dexConfigs);
+    if (!arbParams) return null;
+
+    return await this.gasEstimator.estimateExecution(
+      this.contract,
+      arbParams,
+      this.getRouteShape(opportunity),
+      this.wallet.address
+    );
+  }
+
+  getRouteShape(opportunity) {
+    return this.gasEstimator.getRouteShape(
+      this.getRouteHops(opportunity).map(hop => hop.pool)
+    );
+  }
+
+  // Multi-hop routes carry their hops; a pair opportunity executes the sized
+  // route: tokenA -> tokenB on the sell DEX (most tokenB per tokenA), then the
+  // tokenB received back to tokenA on the buy DEX
+  getRouteHops(opportunity) {
+    if (opportunity.hops) return opportunity.hops;
+
+    return [
+      {
+        dex: opportunity.sellDex,
+        tokenIn: opportunity.tokenA,
+        tokenOut: opportunity.tokenB,
+        amountIn: opportunity.amountIn,
+        amountOut: opportunity.sellAmountOut,
+        pool: opportunity.sellPool
+      },
+      {
+        dex: opportunity.buyDex,
+        tokenIn: opportunity.tokenB,
+        tokenOut: opportunity.tokenA,
+        amountIn: opportunity.sellAmountOut,
+        amountOut: opportunity.expectedAmountOut,
+        pool: opportunity.buyPool
       }
-      
+    ];
+  }
+
+  // Fee tier the hop was quoted at; only Uniswap V3 pools carry one
+  getHopFee(hop) {
+    return hop.pool && hop.pool.fee ? hop.pool.fee : null;
+  }
+
+  // pool is the state the hop was quoted against: Balancer swaps need its
+  // poolId and Curve swaps its coin order
+  async prepareSwapData(dexConfig, tokenIn, tokenOut, amountIn, expectedAmountOut = null, fee = null, pool = null) {
+    const adapter = this.adapters.get(dexConfig.type);
+    if (!adapter) {
       return "0x"; // Fallback
+    }
+
+    try {
+      return adapter.encodeSwap({
+        dexConfig,
+        tokenIn,
+        tokenOut,
+        amountIn,
+        minAmountOut: this.getMinAmountOut(amountIn, expectedAmountOut), // 5% slippage
+        fee,
+        pool,
+        recipient: this.contract.address, // Send tokens to contract
+        deadline: Math.floor(Date.now() / 1000) + 300 // 5 minutes
+      });
     } catch (error) {
       this.logger.error("Error preparing swap data:", error.message);
       return "0x";
     }
   }
 
-  async executeFlashloan(opportunity, arbParams, profitability) {
-    try {
-      // Estimate gas for the transaction
-      const gasEstimate = await this.contract.estimateGas.requestFlashLoan(
-        arbParams.tokenA,
-        arbParams.amount,
-        arbParams
-      );
+  // Output floor in tokenOut units; the input amount is only a stand-in when
+  // the hop was not quoted, and is meaningless across tokens of other decimals
+  getMinAmountOut(amountIn, expectedAmountOut) {
+    return ethers.BigNumber.from(expectedAmountOut || amountIn).mul(95).div(100);
+  }
 
-      // Add 20% buffer to gas estimate
-      const gasLimit = gasEstimate.mul(120).div(100);
-      
-      // Get current gas price
-      const gasPrice = await this.provider.getGasPrice();
-      
-      this.logger.info("Sending flashloan transaction", {
-        gasLimit: gasLimit.toString(),
-        gasPrice: ethers.utils.formatUnits(gasPrice, "gwei") + " gwei",
-        estimatedCost: ethers.utils.formatEther(gasLimit.mul(gasPrice)) + " ETH"
+  async executeFlashloan(opportunity, arbParams, profitability, options = {}) {
+    const { urgency = "standard", maxSlippage } = options;
+
+    // A backrun only pays behind its victim, which neither our simulation
+    // nor estimateGas sees: the bundle simulation dry-runs both instead
+    const backrun = opportunity.backrun || null;
+    if (backrun && !(this.mevProtection && this.mevProtection.canBundle())) {
+      return this.vetoResult("validation", "Backruns need Flashbots bundles");
+    }
+
+    // Dry-run the transaction first - only a successful, still profitable
+    // simulation gets broadcast
+    const simulation = backrun
+      ? { success: true, profit: null, bundled: true }
+      : await this.simulateFlashloan(arbParams);
+    if (!simulation.success) {
+      this.logger.warn("Simulation reverted", {
+        category: simulation.category,
+        reason: simulation.reason,
+        nested: simulation.nested
       });
+      return this.vetoResult(
+        "simulation",
+        `Simulation reverted (${simulation.category}): ${simulation.reason}`,
+        simulation.category
+      );
+    }
 
-      // Execute the flashloan
-      const tx = await this.contract.requestFlashLoan(
+    const simulationVetoReason = await this.checkSimulatedProfit(simulation, arbParams, profitability);
+    if (simulationVetoReason) {
+      this.logger.warn("Simulated profit rejected trade", { reason: simulationVetoReason });
+      return this.vetoResult("simulation", simulationVetoReason, FAILURE_CATEGORIES.UNPROFITABLE);
+    }
+
+    // The builder bid rides on the flash loan or follows it in the bundle
+    const bid = this.getBidPayment(profitability);
+    const { method, overrides } = this.getFlashloanCall(bid);
+
+    // Estimate gas - a revert here means the trade would fail on-chain
+    let gasLimit;
+    if (backrun) {
+      // The gas the trade was costed at, with the same buffer
+      gasLimit = ethers.BigNumber.from(Math.ceil(profitability.gasEstimate * 1.2));
+    } else {
+      try {
+        const gasEstimate = await this.contract.estimateGas[method](
+          arbParams.tokenA,
+          arbParams.amount,
+          arbParams,
+          overrides
+        );
+
+        // Add 20% buffer to gas estimate
+        gasLimit = gasEstimate.mul(120).div(100);
+      } catch (error) {
+        const failure = decodeRevert(error);
+        this.logger.warn("Gas estimation failed, transaction would revert", {
+          category: failure.category,
+          reason: failure.reason
+        });
+        return this.vetoResult(
+          "gas",
+          `Gas estimation failed (${failure.category}): ${failure.reason}`,
+          failure.category
+        );
+      }
+    }
+
+    try {
+      const transaction = await this.contract.populateTransaction[method](
         arbParams.tokenA,
         arbParams.amount,
         arbParams,
-        {
-          gasLimit,
-          gasPrice
-        }
+        { gasLimit, ...overrides }
       );
 
-      this.logger.info("Transaction sent", {
-        hash: tx.hash,
-        nonce: tx.nonce
+      // Size the fees and make sure they still leave us a profit
+      const gasSettings = await this.getGasSettings(transaction, urgency);
+      const gasVetoReason = this.checkGasSettings(gasSettings, profitability);
+      if (gasVetoReason) {
+        this.logger.warn("Gas settings rejected trade", { reason: gasVetoReason });
+        return this.vetoResult("gas", gasVetoReason);
+      }
+
+      const txRequest = this.applyGasSettings(transaction, gasSettings);
+
+      this.logger.info("Sending flashloan transaction", {
+        gasLimit: txRequest.gasLimit.toString(),
+        gasPrice: ethers.utils.formatUnits(this.getEffectiveFeePerGas(gasSettings), "gwei") + " gwei",
+        estimatedCost: gasSettings.estimatedCostETH.toFixed(6) + " ETH",
+        urgency: gasSettings.urgency
       });
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      const tipTransaction = bid && bid.mode === "transaction"
+        ? await this.contract.populateTransaction.payCoinbase({ value: bid.value })
+        : null;
+
+      const sendResult = await this.sendTransaction(txRequest, {
+        urgency,
+        maxSlippage,
+        tipTransaction,
+        backrunTransaction: backrun ? backrun.rawTransaction : null,
+        // A stuck trade is bumped up to the gas price cap and cancelled once
+        // its opportunity expires
+        opportunityTimestamp: opportunity.timestamp,
+        maxFeePerGas: this.maxGasPriceGwei
+          ? ethers.utils.parseUnits(this.maxGasPriceGwei.toFixed(9), "gwei")
+          : null
+      });
+      const receipt = sendResult.receipt;
       
-      if (receipt.status === 1) {
-        const actualGasUsed = receipt.gasUsed;
-        const actualGasCost = actualGasUsed.mul(gasPrice);
+      if (receipt && receipt.status === 1) {
+        const actualGasUsed = receipt.gasUsed || txRequest.gasLimit;
+        const effectiveGasPrice = receipt.effectiveGasPrice || this.getEffectiveFeePerGas(gasSettings);
+        const actualGasCost = ethers.BigNumber.from(actualGasUsed).mul(effectiveGasPrice);
         const actualGasCostETH = parseFloat(ethers.utils.formatEther(actualGasCost));
+
+        // Calibrate the fallback gas model for this route shape
+        if (this.gasEstimator) {
+          this.gasEstimator.recordReceipt(this.getRouteShape(opportunity), receipt);
+        }
+
+        // What the trade actually made, from the receipt's logs
+        const realized = await this.measureRealizedProfit(receipt, arbParams, profitability);
+        const variance = this.getProfitVariance(profitability, realized);
+
+        if (this.bidder && realized && realized.netProfitETH !== null) {
+          this.bidder.recordTrade(realized.netProfitETH);
+        }
         
         this.logger.info("✅ Arbitrage executed successfully!", {
-          txHash: tx.hash,
+          txHash: sendResult.txHash,
+          method: sendResult.method,
           blockNumber: receipt.blockNumber,
           gasUsed: actualGasUsed.toString(),
           gasCost: actualGasCostETH.toFixed(6) + " ETH",
-          expectedProfitUSD: profitability.netProfitUSD.toFixed(4)
+          expectedProfitUSD: profitability.netProfitUSD.toFixed(4),
+          realizedProfitUSD: realized && realized.netProfitUSD !== null ? realized.netProfitUSD.toFixed(4) : "unknown"
         });
 
         return {
           success: true,
-          txHash: tx.hash,
+          txHash: sendResult.txHash,
+          method: sendResult.method,
           blockNumber: receipt.blockNumber,
           gasUsed: actualGasUsed.toString(),
           gasCost: actualGasCostETH,
+          gasCostWei: actualGasCost.toString(),
           expectedProfitUSD: profitability.netProfitUSD,
+          simulatedProfitUSD: simulation.netProfitUSD,
+          realizedProfitUSD: realized ? realized.netProfitUSD : null,
+          realized,
+          variance,
           receipt
         };
       } else {
         this.logger.error("❌ Transaction failed", {
-          txHash: tx.hash,
-          status: receipt.status
+          txHash: sendResult.txHash,
+          method: sendResult.method,
+          status: receipt ? receipt.status : null
         });
+
+        // A mined revert still burned its gas
+        const realized = receipt
+          ? await this.measureRealizedProfit(receipt, arbParams, profitability)
+          : null;
         
         return {
           success: false,
-          reason: "Transaction failed",
-          txHash: tx.hash,
+          stage: "submission",
+          reason: sendResult.reason || "Transaction failed",
+          txHash: sendResult.txHash,
+          simulatedProfitUSD: simulation.netProfitUSD,
+          gasCostWei: realized && realized.gasCostWei,
+          realizedProfitUSD: realized ? realized.netProfitUSD : null,
+          realized,
           receipt
         };
       }
@@ -299,12 +486,317 @@ class ArbitrageExecutor {
       
       return {
         success: false,
+        stage: "submission",
         reason: error.message,
+        simulatedProfitUSD: simulation.netProfitUSD,
         error
       };
     }
   }
 
+  /**
+   * callStatic requestFlashLoan at the pending block. A revert comes back as
+   * { success: false, category, reason, nested, ... } from decodeRevert. A
+   * success carries the profit ArbitrageExecuted reports, in raw tokenA
+   * units, when the node can trace the call's logs, null otherwise.
+   */
+  async simulateFlashloan(arbParams) {
+    const from = this.wallet.address;
+
+    try {
+      await this.contract.callStatic.requestFlashLoan(
+        arbParams.tokenA,
+        arbParams.amount,
+        arbParams,
+        { from, blockTag: "pending" }
+      );
+    } catch (error) {
+      return { success: false, ...decodeRevert(error) };
+    }
+
+    return { success: true, ...(await this.traceSimulatedProfit(arbParams, from)) };
+  }
+
+  // eth_call returns no logs, so the event comes from a callTracer trace.
+  // geth only traces calls on mined blocks, so this runs on "latest".
+  // Resolves to { profit, traceError }, profit null with the reason when
+  // the trace doesn't tell
+  async traceSimulatedProfit(arbParams, from) {
+    try {
+      const transaction = await this.contract.populateTransaction.requestFlashLoan(
+        arbParams.tokenA,
+        arbParams.amount,
+        arbParams
+      );
+      const trace = await this.provider.send("debug_traceCall", [
+        { from, to: transaction.to, data: transaction.data },
+        "latest",
+        { tracer: "callTracer", tracerConfig: { withLog: true } }
+      ]);
+
+      const contractAddress = this.contract.address.toLowerCase();
+      for (const log of this.collectTraceLogs(trace)) {
+        if (!log.address || log.address.toLowerCase() !== contractAddress) continue;
+
+        try {
+          const event = ARBITRAGE_EVENTS_INTERFACE.parseLog(log);
+          if (event.name === "ArbitrageExecuted") return { profit: event.args.profit, traceError: null };
+        } catch (error) {
+          // Not one of our events
+        }
+      }
+      return { profit: null, traceError: "no ArbitrageExecuted event in the trace" };
+    } catch (error) {
+      return { profit: null, traceError: `trace failed: ${error.message}` };
+    }
+  }
+
+  collectTraceLogs(frame) {
+    if (!frame) return [];
+    return [
+      ...(frame.logs || []),
+      ...(frame.calls || []).flatMap(call => this.collectTraceLogs(call))
+    ];
+  }
+
+  // Simulated profit less gas must still clear the floor. Without a traced
+  // profit the trade is vetoed when requireSimulatedProfit is set, and
+  // otherwise left to the contract's own minProfit check
+  async checkSimulatedProfit(simulation, arbParams, profitability) {
+    // The relay simulates a backrun behind its victim instead
+    if (simulation.bundled) return null;
+
+    if (!simulation.profit) {
+      const reason = `Simulated profit unknown (${simulation.traceError})`;
+      if (this.requireSimulatedProfit) return reason;
+
+      this.logger.warn("Simulated profit unknown, relying on the contract's minProfit check", {
+        reason: simulation.traceError,
+        minProfitUSD: this.minProfitUSD
+      });
+      return null;
+    }
+    if (!profitability.amountInTokens) return null;
+
+    const decimals = await this.tokenRegistry.getDecimals(arbParams.tokenA);
+    const profitTokens = parseFloat(ethers.utils.formatUnits(simulation.profit, decimals));
+    const tokenAPriceUSD = profitability.amountInUSD / profitability.amountInTokens;
+
+    simulation.netProfitUSD =
+      profitTokens * tokenAPriceUSD -
+      profitability.costs.gasCostUSD -
+      (profitability.costs.l1DataFeeUSD || 0) -
+      (profitability.costs.builderBidUSD || 0);
+
+    if (simulation.netProfitUSD < this.minProfitUSD) {
+      return `Simulated net profit $${simulation.netProfitUSD.toFixed(4)} below minimum $${this.minProfitUSD}`;
+    }
+    return null;
+  }
+
+  /**
+   * Realized outcome of a mined transaction: token profit and flash loan
+   * premium from its logs, gas at the price it actually paid. USD and ETH
+   * figures use the prices the trade was costed at, less the estimated L1
+   * data fee, and stay null when the profit or gas price is unknown. Null
+   * when the receipt cannot be decoded at all.
+   */
+  async measureRealizedProfit(receipt, arbParams, profitability) {
+    let decoded;
+    try {
+      decoded = decodeExecutionReceipt(receipt, {
+        contractAddress: this.contract.address,
+        tokenA: arbParams.tokenA,
+        amount: arbParams.amount
+      });
+    } catch (error) {
+      this.logger.error("Could not decode execution receipt", { error: error.message });
+      return null;
+    }
+
+    // A reverted transaction moved no tokens
+    const profit = receipt.status === 1 ? decoded.realizedProfit : ethers.constants.Zero;
+    const decimals = await this.tokenRegistry.getDecimals(arbParams.tokenA);
+    const toTokens = (amount) => parseFloat(ethers.utils.formatUnits(amount, decimals));
+
+    const realized = {
+      profit: profit ? profit.toString() : null,
+      profitTokens: profit ? toTokens(profit) : null,
+      reportedProfit: decoded.reportedProfit ? decoded.reportedProfit.toString() : null,
+      premium: decoded.premium ? decoded.premium.toString() : null,
+      premiumTokens: decoded.premium ? toTokens(decoded.premium) : null,
+      failureReason: decoded.failureReason,
+      effectiveGasPrice: decoded.effectiveGasPrice ? decoded.effectiveGasPrice.toString() : null,
+      gasCostWei: decoded.gasCostWei ? decoded.gasCostWei.toString() : null,
+      gasCostETH: decoded.gasCostWei ? parseFloat(ethers.utils.formatEther(decoded.gasCostWei)) : null,
+      profitETH: null, // Token profit before gas
+      netProfitETH: null,
+      netProfitUSD: null
+    };
+
+    if (
+      realized.profitTokens === null ||
+      realized.gasCostETH === null ||
+      !profitability.amountInTokens ||
+      !profitability.amountInETH
+    ) {
+      return realized;
+    }
+
+    const tokenAPriceUSD = profitability.amountInUSD / profitability.amountInTokens;
+    const ethPriceUSD = profitability.amountInUSD / profitability.amountInETH;
+    const profitUSD = realized.profitTokens * tokenAPriceUSD;
+
+    realized.profitETH = profitUSD / ethPriceUSD;
+    realized.netProfitUSD =
+      profitUSD -
+      realized.gasCostETH * ethPriceUSD -
+      ((profitability.costs && profitability.costs.l1DataFeeUSD) || 0) -
+      ((profitability.costs && profitability.costs.builderBidUSD) || 0);
+    realized.netProfitETH = realized.netProfitUSD / ethPriceUSD;
+
+    return realized;
+  }
+
+  // Realized less estimated net profit, per trade
+  getProfitVariance(profitability, realized) {
+    if (!realized || realized.netProfitUSD === null) return null;
+
+    const estimatedProfitUSD = profitability.netProfitUSD;
+    const varianceUSD = realized.netProfitUSD - estimatedProfitUSD;
+
+    return {
+      estimatedProfitUSD,
+      realizedProfitUSD: realized.netProfitUSD,
+      varianceUSD,
+      variancePercent: estimatedProfitUSD !== 0
+        ? (varianceUSD / Math.abs(estimatedProfitUSD)) * 100
+        : null
+    };
+  }
+
+  // The bid ProfitCalculator costed in, in wei, or null without one
+  getBidPayment(profitability) {
+    const bidETH = (profitability.costs && profitability.costs.builderBidETH) || 0;
+    if (!this.bidder || bidETH <= 0) return null;
+
+    return {
+      mode: this.bidder.config.mode,
+      value: ethers.utils.parseEther(bidETH.toFixed(18))
+    };
+  }
+
+  // requestFlashLoanWithTip pays a contract-mode bid as msg.value
+  getFlashloanCall(bid) {
+    return bid && bid.mode === "contract"
+      ? { method: "requestFlashLoanWithTip", overrides: { value: bid.value } }
+      : { method: "requestFlashLoan", overrides: {} };
+  }
+
+  async getGasSettings(transaction, urgency) {
+    if (this.gasOptimizer) {
+      return await this.gasOptimizer.getCompleteGasSettings(transaction, urgency);
+    }
+
+    // Without an optimizer, fall back to the node's legacy gas price
+    const gasPrice = await this.provider.getGasPrice();
+    const gasLimit = ethers.BigNumber.from(transaction.gasLimit);
+
+    return {
+      type: 0,
+      gasPrice,
+      gasLimit,
+      urgency,
+      estimatedCostETH: parseFloat(ethers.utils.formatEther(gasPrice.mul(gasLimit)))
+    };
+  }
+
+  checkGasSettings(gasSettings, profitability) {
+    const feePerGasGwei = parseFloat(
+      ethers.utils.formatUnits(this.getEffectiveFeePerGas(gasSettings), "gwei")
+    );
+
+    if (this.maxGasPriceGwei && feePerGasGwei > this.maxGasPriceGwei) {
+      return `Gas price ${feePerGasGwei.toFixed(2)} gwei exceeds maximum ${this.maxGasPriceGwei} gwei`;
+    }
+
+    // Profit before gas must still cover the sized gas cost, which on
+    // rollups includes the L1 data fee
+    const profitBeforeGasETH =
+      profitability.netProfitETH +
+      profitability.costs.gasCostETH +
+      (profitability.costs.l1DataFeeETH || 0);
+    if (gasSettings.estimatedCostETH >= profitBeforeGasETH) {
+      return `Gas cost ${gasSettings.estimatedCostETH.toFixed(6)} ETH exceeds expected profit ${profitBeforeGasETH.toFixed(6)} ETH`;
+    }
+
+    return null;
+  }
+
+  applyGasSettings(transaction, gasSettings) {
+    const txRequest = {
+      to: transaction.to,
+      from: transaction.from,
+      data: transaction.data,
+      gasLimit: gasSettings.gasLimit
+    };
+
+    if (transaction.value) {
+      txRequest.value = transaction.value;
+    }
+
+    if (gasSettings.type === 2) {
+      txRequest.type = 2;
+      txRequest.maxFeePerGas = gasSettings.maxFeePerGas;
+      txRequest.maxPriorityFeePerGas = gasSettings.maxPriorityFeePerGas;
+    } else {
+      txRequest.gasPrice = gasSettings.gasPrice;
+    }
+
+    return txRequest;
+  }
+
+  getEffectiveFeePerGas(gasSettings) {
+    return gasSettings.type === 2 ? gasSettings.maxFeePerGas : gasSettings.gasPrice;
+  }
+
+  async sendTransaction(txRequest, options = {}) {
+    if (this.mevProtection) {
+      return await this.mevProtection.protectedTransactionSend(txRequest, options);
+    }
+
+    if (this.nonceManager) {
+      const result = await this.nonceManager.sendTransaction(txRequest, options);
+      return { ...result, method: "regular" };
+    }
+
+    const tx = await this.wallet.sendTransaction(txRequest);
+
+    this.logger.info("Transaction sent", {
+      hash: tx.hash,
+      nonce: tx.nonce
+    });
+
+    const receipt = await tx.wait();
+
+    return {
+      success: receipt.status === 1,
+      method: "regular",
+      txHash: tx.hash,
+      receipt
+    };
+  }
+
+  vetoResult(stage, reason, category = null) {
+    return {
+      success: false,
+      vetoed: true,
+      stage,
+      reason,
+      ...(category && { category })
+    };
+  }
+
   recordExecution(opportunity, profitability, result) {
     const execution = {
       timestamp: Date.now(),
@@ -322,14 +814,26 @@ class ArbitrageExecutor {
     }
   }
 
+  getTradeProfitUSD(execution) {
+    const realized = execution.result.realizedProfitUSD;
+    return realized !== null && realized !== undefined
+      ? realized
+      : execution.profitability.netProfitUSD;
+  }
+
   getExecutionStats() {
     const total = this.executionHistory.length;
     const successful = this.executionHistory.filter(e => e.success).length;
     const failed = total - successful;
     
+    // Realized profit where the receipt gave one, the estimate otherwise
     const totalProfitUSD = this.executionHistory
       .filter(e => e.success)
-      .reduce((sum, e) => sum + (e.profitability.netProfitUSD || 0), 0);
+      .reduce((sum, e) => sum + (this.getTradeProfitUSD(e) || 0), 0);
+
+    const variances = this.executionHistory
+      .filter(e => e.result.variance)
+      .map(e => e.result.variance.varianceUSD);
     
     return {
       total,
@@ -338,6 +842,9 @@ class ArbitrageExecutor {
       successRate: total > 0 ? (successful / total * 100).toFixed(2) + "%" : "0%",
       totalProfitUSD: totalProfitUSD.toFixed(2),
       averageProfitUSD: successful > 0 ? (totalProfitUSD / successful).toFixed(2) : "0",
+      averageProfitVarianceUSD: variances.length > 0
+        ? (variances.reduce((sum, variance) => sum + variance, 0) / variances.length).toFixed(2)
+        : "0",
       isExecuting: this.isExecuting,
       lastExecutionTime: this.lastExecutionTime
     };
@@ -0,0 +1,161 @@
+const { ethers } = require("ethers");
+
+// Off-chain quoting for Balancer V2 weighted and stable pools. Amounts are
+// upscaled to 18 decimals like the Vault does, so every token in a pool is
+// priced on the same scale. Stable pools follow StableMath in native BigInt;
+// weighted pools use a float power, precise to ~1e-15 relative.
+
+const ONE = 10n ** 18n;
+const AMP_PRECISION = 1000n;
+
+function toBigInt(value) {
+  return BigInt(ethers.BigNumber.from(value).toString());
+}
+
+function divUp(a, b) {
+  return a === 0n ? 0n : (a - 1n) / b + 1n;
+}
+
+function scalingFactor(decimals) {
+  return 10n ** BigInt(18 - decimals);
+}
+
+// Swap fees are taken from the input, rounding against the trader
+function subtractSwapFee(amountIn, swapFee) {
+  return amountIn - divUp(amountIn * swapFee, ONE);
+}
+
+/**
+ * WeightedMath._calcOutGivenIn:
+ * out = balanceOut * (1 - (balanceIn / (balanceIn + amountIn)) ^ (weightIn / weightOut))
+ */
+function weightedOutGivenIn(balanceIn, weightIn, balanceOut, weightOut, amountIn) {
+  if (amountIn <= 0n) return 0n;
+
+  // log1p/expm1 keep 1 - base^exponent precise when the trade is tiny
+  const ratio = Number(amountIn) / (Number(balanceIn) + Number(amountIn));
+  const exponent = Number(weightIn) / Number(weightOut);
+  const fraction = -Math.expm1(exponent * Math.log1p(-ratio));
+  if (!(fraction > 0)) return 0n;
+
+  const fractionFixed = BigInt(Math.floor(fraction * 1e18));
+  return (balanceOut * fractionFixed) / ONE;
+}
+
+// StableMath._calculateInvariant, amp carries AMP_PRECISION
+function calculateInvariant(amp, balances) {
+  const n = BigInt(balances.length);
+  const sum = balances.reduce((total, balance) => total + balance, 0n);
+  if (sum === 0n) return 0n;
+
+  let invariant = sum;
+  const ampTimesTotal = amp * n;
+
+  for (let i = 0; i < 255; i++) {
+    let D_P = invariant;
+    for (const balance of balances) {
+      D_P = (D_P * invariant) / (balance * n);
+    }
+
+    const prevInvariant = invariant;
+    invariant =
+      (((ampTimesTotal * sum) / AMP_PRECISION + D_P * n) * invariant) /
+      (((ampTimesTotal - AMP_PRECISION) * invariant) / AMP_PRECISION +
+        (n + 1n) * D_P);
+
+    const delta = invariant > prevInvariant ? invariant - prevInvariant : prevInvariant - invariant;
+    if (delta <= 1n) return invariant;
+  }
+
+  throw new Error("Stable invariant did not converge");
+}
+
+// StableMath._getTokenBalanceGivenInvariantAndAllOtherBalances
+function getTokenBalanceGivenInvariant(amp, balances, invariant, tokenIndex) {
+  const n = BigInt(balances.length);
+  const ampTimesTotal = amp * n;
+
+  let sum = balances[0];
+  let P_D = balances[0] * n;
+  for (let j = 1; j < balances.length; j++) {
+    P_D = (P_D * balances[j] * n) / invariant;
+    sum += balances[j];
+  }
+  sum -= balances[tokenIndex];
+
+  const inv2 = invariant * invariant;
+  const c = divUp(inv2, ampTimesTotal * P_D) * AMP_PRECISION * balances[tokenIndex];
+  const b = sum + (invariant / ampTimesTotal) * AMP_PRECISION;
+
+  let tokenBalance = divUp(inv2 + c, invariant + b);
+  for (let i = 0; i < 255; i++) {
+    const previous = tokenBalance;
+    tokenBalance = divUp(
+      tokenBalance * tokenBalance + c,
+      tokenBalance * 2n + b - invariant
+    );
+
+    const delta = tokenBalance > previous ? tokenBalance - previous : previous - tokenBalance;
+    if (delta <= 1n) return tokenBalance;
+  }
+
+  throw new Error("Stable balance did not converge");
+}
+
+// StableMath._calcOutGivenIn
+function stableOutGivenIn(amp, balances, indexIn, indexOut, amountIn) {
+  if (amountIn <= 0n) return 0n;
+
+  const invariant = calculateInvariant(amp, balances);
+  const updated = [...balances];
+  updated[indexIn] += amountIn;
+
+  const finalBalanceOut = getTokenBalanceGivenInvariant(amp, updated, invariant, indexOut);
+  const amountOut = balances[indexOut] - finalBalanceOut - 1n;
+  return amountOut > 0n ? amountOut : 0n;
+}
+
+/**
+ * Exact-input swap against a pool snapshot:
+ * { poolType: "WEIGHTED" | "STABLE", tokens, balances, decimals, swapFee,
+ *   weights (weighted) | amp (stable, with AMP_PRECISION) }.
+ * Balances are raw token units. Returns a BigNumber, zero when the pool
+ * does not hold both tokens.
+ */
+function quoteBalancerSwap(pool, tokenIn, tokenOut, amountIn) {
+  const tokens = pool.tokens.map((token) => token.toLowerCase());
+  const indexIn = tokens.indexOf(tokenIn.toLowerCase());
+  const indexOut = tokens.indexOf(tokenOut.toLowerCase());
+  if (indexIn < 0 || indexOut < 0 || indexIn === indexOut) {
+    return ethers.BigNumber.from(0);
+  }
+
+  const factors = pool.decimals.map(scalingFactor);
+  const balances = pool.balances.map((balance, i) => toBigInt(balance) * factors[i]);
+  const scaledIn = subtractSwapFee(
+    toBigInt(amountIn) * factors[indexIn],
+    toBigInt(pool.swapFee)
+  );
+
+  const scaledOut =
+    pool.poolType === "STABLE"
+      ? stableOutGivenIn(toBigInt(pool.amp), balances, indexIn, indexOut, scaledIn)
+      : weightedOutGivenIn(
+          balances[indexIn],
+          toBigInt(pool.weights[indexIn]),
+          balances[indexOut],
+          toBigInt(pool.weights[indexOut]),
+          scaledIn
+        );
+
+  return ethers.BigNumber.from((scaledOut / factors[indexOut]).toString());
+}
+
+module.exports = {
+  AMP_PRECISION,
+  weightedOutGivenIn,
+  calculateInvariant,
+  getTokenBalanceGivenInvariant,
+  stableOutGivenIn,
+  quoteBalancerSwap,
+};
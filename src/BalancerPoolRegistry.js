@@ -0,0 +1,194 @@
+const { ethers } = require("ethers");
+
+const VAULT_EVENTS_ABI = [
+  "event PoolRegistered(bytes32 indexed poolId, address indexed poolAddress, uint8 specialization)",
+  "event TokensRegistered(bytes32 indexed poolId, address[] tokens, address[] assetManagers)",
+  "event TokensDeregistered(bytes32 indexed poolId, address[] tokens)",
+];
+
+const VAULT_EVENTS_INTERFACE = new ethers.utils.Interface(VAULT_EVENTS_ABI);
+const POOL_REGISTERED_TOPIC = VAULT_EVENTS_INTERFACE.getEventTopic("PoolRegistered");
+const TOKENS_REGISTERED_TOPIC = VAULT_EVENTS_INTERFACE.getEventTopic("TokensRegistered");
+const TOKENS_DEREGISTERED_TOPIC = VAULT_EVENTS_INTERFACE.getEventTopic("TokensDeregistered");
+
+// The Vault packs the pool address into the top 20 bytes of its id
+function getPoolAddress(poolId) {
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(poolId, 0, 20));
+}
+
+class BalancerPoolRegistry {
+  constructor(provider, logger, options = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.vault = options.vault;
+
+    // Registry settings
+    this.config = {
+      fromBlock: options.fromBlock !== undefined ? options.fromBlock : null, // Vault deployment block, if known
+      lookbackBlocks:
+        options.lookbackBlocks || parseInt(process.env.BALANCER_POOL_LOOKBACK_BLOCKS) || 50000,
+      maxBlockRange: options.maxBlockRange || 10000, // Per eth_getLogs query
+    };
+
+    // poolId (lowercase) => { poolId, address, tokens, resolved }
+    // Configured pools are unresolved until getPoolTokens fills in their tokens
+    this.pools = new Map();
+    this.lastIndexedBlock = null;
+
+    for (const poolId of options.pools || []) {
+      this.registerPool(poolId, [], false);
+    }
+
+    this.stats = {
+      logQueries: 0,
+      poolsDiscovered: 0,
+      failedQueries: 0,
+    };
+  }
+
+  registerPool(poolId, tokens, resolved = true) {
+    const key = poolId.toLowerCase();
+    const existing = this.pools.get(key);
+    if (existing) {
+      this.addTokens(poolId, tokens);
+      existing.resolved = existing.resolved || resolved;
+      return existing;
+    }
+
+    const entry = {
+      poolId,
+      address: getPoolAddress(poolId),
+      tokens: [...tokens],
+      resolved,
+    };
+    this.pools.set(key, entry);
+    return entry;
+  }
+
+  addTokens(poolId, tokens) {
+    const entry = this.pools.get(poolId.toLowerCase());
+    if (!entry) return;
+
+    const known = new Set(entry.tokens.map((token) => token.toLowerCase()));
+    entry.tokens.push(...tokens.filter((token) => !known.has(token.toLowerCase())));
+  }
+
+  removeTokens(poolId, tokens) {
+    const entry = this.pools.get(poolId.toLowerCase());
+    if (!entry) return;
+
+    const removed = new Set(tokens.map((token) => token.toLowerCase()));
+    entry.tokens = entry.tokens.filter((token) => !removed.has(token.toLowerCase()));
+  }
+
+  // Tokens read from the Vault replace whatever the registry had
+  setTokens(poolId, tokens) {
+    const entry = this.registerPool(poolId, [], true);
+    entry.tokens = [...tokens];
+  }
+
+  // Pools whose tokens are still unknown, to be read with getPoolTokens
+  getUnresolvedPools() {
+    return [...this.pools.values()].filter((pool) => !pool.resolved);
+  }
+
+  getPoolsForPair(tokenA, tokenB) {
+    const a = tokenA.toLowerCase();
+    const b = tokenB.toLowerCase();
+
+    return [...this.pools.values()].filter((pool) => {
+      const tokens = pool.tokens.map((token) => token.toLowerCase());
+      return tokens.includes(a) && tokens.includes(b);
+    });
+  }
+
+  /**
+   * Index pool registrations up to blockNumber from the Vault's
+   * PoolRegistered, TokensRegistered and TokensDeregistered events. The
+   * first call starts at the configured block, or lookbackBlocks back when
+   * the Vault's deployment block is not known; later calls only read the
+   * blocks since the last one.
+   */
+  async syncToBlock(blockNumber) {
+    if (!this.vault) return 0;
+    if (this.lastIndexedBlock !== null && this.lastIndexedBlock >= blockNumber) return 0;
+
+    let fromBlock =
+      this.lastIndexedBlock !== null
+        ? this.lastIndexedBlock + 1
+        : this.config.fromBlock !== null
+          ? this.config.fromBlock
+          : Math.max(0, blockNumber - this.config.lookbackBlocks);
+
+    const before = this.pools.size;
+    try {
+      while (fromBlock <= blockNumber) {
+        const toBlock = Math.min(fromBlock + this.config.maxBlockRange - 1, blockNumber);
+        const logs = await this.fetchVaultLogs(fromBlock, toBlock);
+        this.applyVaultLogs(logs);
+
+        this.lastIndexedBlock = toBlock;
+        fromBlock = toBlock + 1;
+      }
+    } catch (error) {
+      // Indexed ranges are kept, the next call resumes where this one stopped
+      this.stats.failedQueries++;
+      this.logger.debug("Balancer pool event query failed", {
+        fromBlock,
+        toBlock: blockNumber,
+        error: error.message,
+      });
+    }
+
+    const discovered = this.pools.size - before;
+    this.stats.poolsDiscovered += discovered;
+    return discovered;
+  }
+
+  async fetchVaultLogs(fromBlock, toBlock) {
+    this.stats.logQueries++;
+
+    return await this.provider.send("eth_getLogs", [
+      {
+        address: this.vault,
+        topics: [[POOL_REGISTERED_TOPIC, TOKENS_REGISTERED_TOPIC, TOKENS_DEREGISTERED_TOPIC]],
+        fromBlock: ethers.utils.hexValue(fromBlock),
+        toBlock: ethers.utils.hexValue(toBlock),
+      },
+    ]);
+  }
+
+  applyVaultLogs(logs) {
+    const ordered = logs
+      .filter((log) => !log.removed)
+      .map((log) => ({
+        ...log,
+        blockNumber: ethers.BigNumber.from(log.blockNumber).toNumber(),
+        logIndex: ethers.BigNumber.from(log.logIndex).toNumber(),
+      }))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (const log of ordered) {
+      const { name, args } = VAULT_EVENTS_INTERFACE.parseLog(log);
+
+      if (name === "PoolRegistered") {
+        this.registerPool(args.poolId, []);
+      } else if (name === "TokensRegistered") {
+        this.registerPool(args.poolId, args.tokens);
+      } else {
+        this.removeTokens(args.poolId, args.tokens);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pools: this.pools.size,
+      lastIndexedBlock: this.lastIndexedBlock,
+    };
+  }
+}
+
+module.exports = BalancerPoolRegistry;
+module.exports.getPoolAddress = getPoolAddress;
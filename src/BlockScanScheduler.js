@@ -0,0 +1,179 @@
+class BlockScanScheduler {
+  constructor(provider, logger, options = {}) {
+    this.provider = provider;
+    this.logger = logger;
+
+    // Scheduler settings
+    this.config = {
+      cancelOnNewBlock: options.cancelOnNewBlock !== undefined ? options.cancelOnNewBlock : true,
+      maxLagHistory: options.maxLagHistory || 100
+    };
+
+    // Called with { blockNumber, durationMs, lagBlocks, cancelled } after each scan
+    this.onScanComplete = options.onScanComplete || null;
+
+    this.scanFn = null;
+    this.isRunning = false;
+    this.blockListener = null;
+
+    // Scan state - at most one scan runs, at most one block waits behind it
+    this.headBlock = 0;
+    this.activeScan = null;
+    this.pendingBlock = null;
+
+    this.lagHistory = [];
+    this.stats = {
+      blocksReceived: 0,
+      scansStarted: 0,
+      scansCompleted: 0,
+      scansCancelled: 0,
+      scansFailed: 0,
+      blocksSkipped: 0,
+      lastScanBlock: 0,
+      lastScanLagBlocks: 0,
+      lastScanDurationMs: 0,
+      maxLagBlocks: 0
+    };
+  }
+
+  start(scanFn) {
+    if (this.isRunning) return;
+
+    this.scanFn = scanFn;
+    this.isRunning = true;
+    this.blockListener = (blockNumber) => {
+      this.onBlock(blockNumber);
+    };
+    this.provider.on("block", this.blockListener);
+
+    this.logger.info("Block scan scheduler started", {
+      cancelOnNewBlock: this.config.cancelOnNewBlock
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.provider.off("block", this.blockListener);
+    this.blockListener = null;
+    this.pendingBlock = null;
+
+    if (this.activeScan) {
+      this.activeScan.cancelled = true;
+    }
+
+    this.logger.info("Block scan scheduler stopped", this.getStats());
+  }
+
+  onBlock(blockNumber) {
+    if (!this.isRunning || blockNumber <= this.headBlock) return null;
+
+    this.headBlock = blockNumber;
+    this.stats.blocksReceived++;
+
+    if (this.activeScan) {
+      // Quotes from the running scan are now stale
+      if (this.config.cancelOnNewBlock && !this.activeScan.cancelled) {
+        this.activeScan.cancelled = true;
+        this.logger.debug("Newer block arrived, cancelling running scan", {
+          scanBlock: this.activeScan.blockNumber,
+          headBlock: blockNumber
+        });
+      }
+
+      // Only the newest block is worth scanning once the current scan ends
+      if (this.pendingBlock !== null) {
+        this.stats.blocksSkipped++;
+      }
+      this.pendingBlock = blockNumber;
+      return null;
+    }
+
+    return this.runScan(blockNumber);
+  }
+
+  async runScan(blockNumber) {
+    const scan = {
+      blockNumber,
+      startedAt: Date.now(),
+      cancelled: false,
+      isCancelled: () => scan.cancelled || !this.isRunning
+    };
+
+    this.activeScan = scan;
+    this.stats.scansStarted++;
+
+    try {
+      await this.scanFn(scan);
+      this.recordScanCompletion(scan);
+    } catch (error) {
+      this.stats.scansFailed++;
+      this.logger.error("Block scan failed", {
+        blockNumber,
+        error: error.message
+      });
+    } finally {
+      this.activeScan = null;
+    }
+
+    if (this.isRunning && this.pendingBlock !== null) {
+      const nextBlock = this.pendingBlock;
+      this.pendingBlock = null;
+      return this.runScan(nextBlock);
+    }
+  }
+
+  recordScanCompletion(scan) {
+    const durationMs = Date.now() - scan.startedAt;
+    const lagBlocks = Math.max(0, this.headBlock - scan.blockNumber);
+
+    if (scan.cancelled) {
+      this.stats.scansCancelled++;
+    } else {
+      this.stats.scansCompleted++;
+    }
+
+    this.stats.lastScanBlock = scan.blockNumber;
+    this.stats.lastScanLagBlocks = lagBlocks;
+    this.stats.lastScanDurationMs = durationMs;
+    this.stats.maxLagBlocks = Math.max(this.stats.maxLagBlocks, lagBlocks);
+
+    this.lagHistory.push(lagBlocks);
+    if (this.lagHistory.length > this.config.maxLagHistory) {
+      this.lagHistory = this.lagHistory.slice(-this.config.maxLagHistory);
+    }
+
+    this.logger.debug("Block scan finished", {
+      scanBlock: scan.blockNumber,
+      headBlock: this.headBlock,
+      lagBlocks,
+      durationMs,
+      cancelled: scan.cancelled
+    });
+
+    if (this.onScanComplete) {
+      this.onScanComplete({
+        blockNumber: scan.blockNumber,
+        durationMs,
+        lagBlocks,
+        cancelled: scan.cancelled
+      });
+    }
+  }
+
+  getStats() {
+    const averageLagBlocks = this.lagHistory.length > 0
+      ? this.lagHistory.reduce((a, b) => a + b, 0) / this.lagHistory.length
+      : 0;
+
+    return {
+      ...this.stats,
+      headBlock: this.headBlock,
+      scanInProgress: !!this.activeScan,
+      averageLagBlocks: averageLagBlocks.toFixed(2)
+    };
+  }
+}
+
+module.exports = BlockScanScheduler;
@@ -0,0 +1,133 @@
+const BID_MODES = ["contract", "transaction"];
+
+/**
+ * Sizes what a bundle pays the block builder, as a share of its expected
+ * profit after gas. Builders order bundles by what they pay, so the share
+ * follows recent blocks: each block a bundle missed raises it by one step
+ * while inclusion is under target, each block it landed in lowers it by one
+ * step while inclusion is on target, and each included trade that still
+ * lost money lowers it by one step.
+ *
+ * The bid goes to block.coinbase either from the contract, as msg.value of
+ * requestFlashLoanWithTip (mode "contract"), or from a payCoinbase
+ * transaction after the trade in the same bundle (mode "transaction").
+ */
+class BundleBidder {
+  constructor(logger, networkConfig = {}, options = {}) {
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+
+    const initialShare = parseFloat(process.env.BUNDLE_BID_SHARE) || 0;
+    this.config = {
+      // Only bundles reach builders, so bids need Flashbots on mainnet
+      enabled: initialShare > 0 && process.env.USE_FLASHBOTS === "true" && networkConfig.chainId === 1,
+      mode: process.env.BUNDLE_BID_MODE || "contract",
+      initialShare,
+      minShare: parseFloat(process.env.BUNDLE_BID_MIN_SHARE) || 0.1,
+      maxShare: parseFloat(process.env.BUNDLE_BID_MAX_SHARE) || 0.9,
+      step: parseFloat(process.env.BUNDLE_BID_STEP) || 0.05,
+      targetInclusionRate: parseFloat(process.env.BUNDLE_BID_TARGET_INCLUSION) || 0.5,
+      historySize: 20, // Blocks and trades the history keeps
+      minSamples: 3, // Blocks before the inclusion rate moves the share
+      ...options.config,
+    };
+
+    if (!BID_MODES.includes(this.config.mode)) {
+      this.logger.warn("Unknown BUNDLE_BID_MODE, paying from the contract", {
+        mode: this.config.mode,
+      });
+      this.config.mode = "contract";
+    }
+
+    this.share = this.clampShare(this.config.initialShare);
+    this.blocks = []; // { blockNumber, included }
+    this.trades = []; // Realized net profit in ETH, bid included
+    this.adjustments = 0;
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  clampShare(share) {
+    return Math.min(this.config.maxShare, Math.max(this.config.minShare, share));
+  }
+
+  // { mode, share, bidETH } for a trade expected to make expectedProfitETH
+  // after gas; no bid when disabled or unprofitable
+  calculateBid(expectedProfitETH) {
+    if (!this.isEnabled() || !(expectedProfitETH > 0)) {
+      return { mode: this.config.mode, share: 0, bidETH: 0 };
+    }
+
+    return {
+      mode: this.config.mode,
+      share: this.share,
+      bidETH: expectedProfitETH * this.share,
+    };
+  }
+
+  // Whether a bundle landed in one of its target blocks
+  recordBlock(blockNumber, included) {
+    this.blocks.push({ blockNumber, included });
+    if (this.blocks.length > this.config.historySize) {
+      this.blocks.shift();
+    }
+
+    if (this.blocks.length < this.config.minSamples) return;
+
+    const inclusionRate = this.getInclusionRate();
+    if (!included && inclusionRate < this.config.targetInclusionRate) {
+      this.adjustShare(this.config.step, "missed block");
+    } else if (included && inclusionRate >= this.config.targetInclusionRate) {
+      this.adjustShare(-this.config.step, "included block");
+    }
+  }
+
+  // Realized net profit of an included trade
+  recordTrade(netProfitETH) {
+    this.trades.push(netProfitETH);
+    if (this.trades.length > this.config.historySize) {
+      this.trades.shift();
+    }
+
+    if (netProfitETH < 0) {
+      this.adjustShare(-this.config.step, "losing trade");
+    }
+  }
+
+  adjustShare(delta, reason) {
+    const previous = this.share;
+    this.share = this.clampShare(this.share + delta);
+    if (this.share === previous) return;
+
+    this.adjustments++;
+    this.logger.debug("Bundle bid share adjusted", {
+      from: previous.toFixed(2),
+      to: this.share.toFixed(2),
+      reason,
+      inclusionRate: this.getInclusionRate(),
+    });
+  }
+
+  getInclusionRate() {
+    if (this.blocks.length === 0) return null;
+    return this.blocks.filter((block) => block.included).length / this.blocks.length;
+  }
+
+  getStats() {
+    const inclusionRate = this.getInclusionRate();
+
+    return {
+      enabled: this.isEnabled(),
+      mode: this.config.mode,
+      share: this.share,
+      inclusionRate: inclusionRate === null ? null : (inclusionRate * 100).toFixed(2) + "%",
+      blocks: this.blocks.length,
+      losingTrades: this.trades.filter((profit) => profit < 0).length,
+      adjustments: this.adjustments,
+    };
+  }
+}
+
+module.exports = BundleBidder;
@@ -0,0 +1,236 @@
+const http = require("http");
+const crypto = require("crypto");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Embedded HTTP API over a running bot. GET endpoints report health, stats,
+ * recent opportunities, risk state, gas analytics, chain status and
+ * Prometheus metrics; POST endpoints pause and resume scanning, toggle demo
+ * mode, trip or reset the circuit breaker and reload thresholds, and need
+ * the bearer token from CONTROL_API_TOKEN. Each endpoint calls the bot method of the same purpose
+ * and answers 501 when the bot has none. GET /health answers 503 once the
+ * bot reports itself unhealthy, for orchestration health checks.
+ */
+class ControlServer {
+  constructor(bot, logger, options = {}) {
+    this.bot = bot;
+    this.logger = logger;
+
+    this.config = {
+      port: options.port !== undefined
+        ? options.port
+        : parseInt(process.env.CONTROL_API_PORT) || null, // Disabled without a port
+      host: options.host || process.env.CONTROL_API_HOST || "127.0.0.1",
+      token: options.token !== undefined ? options.token : process.env.CONTROL_API_TOKEN || null,
+    };
+
+    this.server = null;
+
+    // "METHOD path" => [bot method, handler, options]; raw handlers resolve
+    // to { contentType, body } instead of JSON
+    this.routes = {
+      "GET /health": ["getHealth", () => this.getHealth()],
+      "GET /stats": ["getStats", () => this.bot.getStats()],
+      "GET /opportunities": [
+        "getRecentOpportunities",
+        (request) => this.bot.getRecentOpportunities(this.getLimit(request.url)),
+      ],
+      "GET /risk": ["getRiskState", () => this.bot.getRiskState()],
+      "GET /gas": ["getGasAnalytics", () => this.bot.getGasAnalytics()],
+      "GET /chains": ["getChainStatuses", () => this.bot.getChainStatuses()],
+      "GET /metrics": ["getMetrics", () => this.bot.getMetrics(), { raw: true }],
+      "POST /pause": ["pause", () => this.bot.pause()],
+      "POST /resume": ["resume", () => this.bot.resume()],
+      "POST /demo-mode": ["setDemoMode", (request, body) => this.setDemoMode(body)],
+      "POST /circuit-breaker/trip": [
+        "tripCircuitBreaker",
+        (request, body) => this.bot.tripCircuitBreaker(body.reason || "Tripped via control API"),
+      ],
+      "POST /circuit-breaker/reset": ["resetCircuitBreaker", () => this.bot.resetCircuitBreaker()],
+      "POST /thresholds": ["reloadThresholds", (request, body) => this.reloadThresholds(body)],
+    };
+  }
+
+  async start() {
+    if (this.config.port === null) {
+      this.logger.debug("Control API disabled, set CONTROL_API_PORT to enable it");
+      return null;
+    }
+
+    this.server = http.createServer((request, response) =>
+      this.handleRequest(request, response)
+    );
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    this.logger.info("Control API listening", {
+      host: this.config.host,
+      port,
+      controlEnabled: Boolean(this.config.token),
+    });
+    return port;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  async handleRequest(request, response) {
+    const pathname = new URL(request.url, "http://localhost").pathname.replace(/\/+$/, "") || "/";
+    const route = this.routes[`${request.method} ${pathname}`];
+
+    try {
+      if (!route) {
+        throw httpError(404, `No endpoint ${request.method} ${pathname}`);
+      }
+
+      const [method, handler, options = {}] = route;
+      if (typeof this.bot[method] !== "function") {
+        throw httpError(501, `${pathname} is not supported by this bot`);
+      }
+
+      let body = {};
+      if (request.method === "POST") {
+        this.authorize(request);
+        body = await this.readBody(request);
+
+        this.logger.info("Control API action", { action: pathname });
+      }
+
+      const result = await handler(request, body);
+      if (options.raw) {
+        this.sendRaw(response, 200, result.contentType, result.body);
+        return;
+      }
+
+      const statusCode = pathname === "/health" && !result.healthy ? 503 : 200;
+      this.send(response, statusCode, result);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        this.logger.error("Control API request failed", {
+          path: pathname,
+          error: error.message,
+        });
+      }
+      this.send(response, statusCode, { error: error.message });
+    }
+  }
+
+  authorize(request) {
+    if (!this.config.token) {
+      throw httpError(403, "Control endpoints are disabled, set CONTROL_API_TOKEN");
+    }
+
+    const header = request.headers.authorization || "";
+    const presented = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(this.config.token);
+
+    if (
+      presented.length !== expected.length ||
+      !crypto.timingSafeEqual(presented, expected)
+    ) {
+      throw httpError(401, "Invalid or missing bearer token");
+    }
+  }
+
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      request.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(httpError(413, "Request body too large"));
+          request.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      request.on("end", () => {
+        const raw = Buffer.concat(chunks).toString("utf8").trim();
+        if (!raw) return resolve({});
+
+        try {
+          const body = JSON.parse(raw);
+          if (!body || typeof body !== "object" || Array.isArray(body)) {
+            return reject(httpError(400, "Request body must be a JSON object"));
+          }
+          resolve(body);
+        } catch (error) {
+          reject(httpError(400, "Request body is not valid JSON"));
+        }
+      });
+
+      request.on("error", reject);
+    });
+  }
+
+  send(response, statusCode, body) {
+    const payload = JSON.stringify(body, (key, value) =>
+      typeof value === "bigint" ? value.toString() : value
+    );
+    this.sendRaw(response, statusCode, "application/json", payload);
+  }
+
+  sendRaw(response, statusCode, contentType, payload) {
+    response.writeHead(statusCode, {
+      "Content-Type": contentType,
+      "Content-Length": Buffer.byteLength(payload),
+      "Cache-Control": "no-store",
+    });
+    response.end(payload);
+  }
+
+  async getHealth() {
+    const health = await this.bot.getHealth();
+    return { ...health, timestamp: new Date().toISOString() };
+  }
+
+  getLimit(url) {
+    const limit = parseInt(new URL(url, "http://localhost").searchParams.get("limit"));
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, 500) : 50;
+  }
+
+  setDemoMode(body) {
+    if (typeof body.enabled !== "boolean") {
+      throw httpError(400, "Body must be { \"enabled\": true | false }");
+    }
+    return this.bot.setDemoMode(body.enabled);
+  }
+
+  // A body of { THRESHOLD_NAME: number } applies those values; an empty
+  // body has the bot reload them from its environment file
+  async reloadThresholds(body) {
+    for (const [name, value] of Object.entries(body)) {
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        throw httpError(400, `${name} must be a non-negative number`);
+      }
+    }
+
+    try {
+      return await this.bot.reloadThresholds(Object.keys(body).length > 0 ? body : null);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+}
+
+module.exports = ControlServer;
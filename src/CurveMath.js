@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+
+// Port of the Curve StableSwap plain pool math (get_D, get_y, get_dy).
+// Balances are normalised to 18 decimals the way the pool's RATES do, and
+// every division rounds down like the Vyper source.
+
+const FEE_DENOMINATOR = 10n ** 10n;
+
+function toBigInt(value) {
+  return BigInt(ethers.BigNumber.from(value).toString());
+}
+
+function abs(value) {
+  return value < 0n ? -value : value;
+}
+
+function getD(xp, amp) {
+  const n = BigInt(xp.length);
+  const S = xp.reduce((total, x) => total + x, 0n);
+  if (S === 0n) return 0n;
+
+  let D = S;
+  const Ann = amp * n;
+
+  for (let i = 0; i < 255; i++) {
+    let D_P = D;
+    for (const x of xp) {
+      D_P = (D_P * D) / (x * n);
+    }
+
+    const Dprev = D;
+    D = ((Ann * S + D_P * n) * D) / ((Ann - 1n) * D + (n + 1n) * D_P);
+    if (abs(D - Dprev) <= 1n) return D;
+  }
+
+  throw new Error("StableSwap invariant did not converge");
+}
+
+// Balance of coin j that keeps D constant once coin i holds x
+function getY(i, j, x, xp, amp) {
+  const n = BigInt(xp.length);
+  const D = getD(xp, amp);
+  const Ann = amp * n;
+
+  let c = D;
+  let S = 0n;
+  for (let k = 0; k < xp.length; k++) {
+    if (k === j) continue;
+    const balance = k === i ? x : xp[k];
+    S += balance;
+    c = (c * D) / (balance * n);
+  }
+  c = (c * D) / (Ann * n);
+  const b = S + D / Ann;
+
+  let y = D;
+  for (let k = 0; k < 255; k++) {
+    const yPrev = y;
+    y = (y * y + c) / (2n * y + b - D);
+    if (abs(y - yPrev) <= 1n) return y;
+  }
+
+  throw new Error("StableSwap balance did not converge");
+}
+
+/**
+ * get_dy against a pool snapshot { coins, balances, decimals, A, fee }, with
+ * balances in raw coin units and fee on the 1e10 scale. Returns a BigNumber,
+ * zero when the pool does not hold both tokens.
+ */
+function quoteCurveSwap(pool, tokenIn, tokenOut, amountIn) {
+  const coins = pool.coins.map((coin) => coin.toLowerCase());
+  const i = coins.indexOf(tokenIn.toLowerCase());
+  const j = coins.indexOf(tokenOut.toLowerCase());
+  if (i < 0 || j < 0 || i === j) return ethers.BigNumber.from(0);
+
+  const precisionMul = pool.decimals.map((decimals) => 10n ** BigInt(18 - decimals));
+  const xp = pool.balances.map((balance, k) => toBigInt(balance) * precisionMul[k]);
+  const dx = toBigInt(amountIn);
+  if (dx <= 0n) return ethers.BigNumber.from(0);
+
+  const y = getY(i, j, xp[i] + dx * precisionMul[i], xp, toBigInt(pool.A));
+  const dyScaled = xp[j] - y - 1n;
+  if (dyScaled <= 0n) return ethers.BigNumber.from(0);
+
+  const dy = dyScaled / precisionMul[j];
+  const fee = (toBigInt(pool.fee) * dy) / FEE_DENOMINATOR;
+  return ethers.BigNumber.from((dy - fee).toString());
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  getD,
+  getY,
+  quoteCurveSwap,
+};
@@ -1,4 +1,7 @@
 const { ethers } = require("ethers");
+const MulticallBatcher = require("./MulticallBatcher");
+const TokenRegistry = require("./TokenRegistry");
+const { DexAdapterRegistry } = require("./adapters");
 
 // DEX Router ABIs
 const UNISWAP_V2_ROUTER_ABI = [
@@ -6,50 +9,38 @@ const UNISWAP_V2_ROUTER_ABI = [
   "function factory() external pure returns (address)",
 ];
 
-const UNISWAP_V2_FACTORY_ABI = [
-  "function getPair(address tokenA, address tokenB) external view returns (address pair)",
-];
-
-const UNISWAP_V2_PAIR_ABI = [
-  "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
-  "function token0() external view returns (address)",
-  "function token1() external view returns (address)",
-];
-
-const UNISWAP_V3_QUOTER_ABI = [
-  "function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut)",
-];
-
-const UNISWAP_V3_FACTORY_ABI = [
-  "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)",
-];
-
-const BALANCER_VAULT_ABI = [
-  "function getPoolTokens(bytes32 poolId) external view returns (address[] memory tokens, uint256[] memory balances, uint256 lastChangeBlock)",
-];
-
 const CHAINLINK_AGGREGATOR_ABI = [
   "function latestRoundData() external view returns (uint80 roundId, int256 price, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
   "function decimals() external view returns (uint8)",
 ];
 
-const ERC20_ABI = [
-  "function decimals() external view returns (uint8)",
-  "function symbol() external view returns (string)",
-  "function balanceOf(address account) external view returns (uint256)",
-];
+const UNISWAP_V2_ROUTER_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V2_ROUTER_ABI
+);
 
 class DexPriceFetcher {
-  constructor(provider, logger, networkConfig) {
+  constructor(provider, logger, networkConfig = {}) {
     this.provider = provider;
     this.logger = logger;
     this.networkConfig = networkConfig;
     this.priceCache = new Map();
     this.cacheTimeout = 5000; // 5 seconds cache
-
-    // Sepolia testnet specific configurations
-    this.uniswapV3Fees = [500, 3000, 10000]; // 0.05%, 0.3%, 1%
     this.priceFeeds = networkConfig.priceFeeds || {};
+
+    // Batched quoting - factory addresses never change once known
+    this.multicall = new MulticallBatcher(provider, logger, networkConfig);
+    this.factoryCache = new Map(); // router => factory
+    this.batchedQuotes = new Map(); // Quotes prefetched for the current block
+
+    // Decimals and symbols for every token amount we format or parse
+    this.tokenRegistry = new TokenRegistry(provider, logger, networkConfig);
+
+    // Quoting, pool discovery and pool state live in one adapter per DEX type
+    this.adapters = new DexAdapterRegistry(this);
+  }
+
+  getAdapter(dexType) {
+    return this.adapters.get(dexType);
   }
 
   async getChainlinkPrice(token) {
@@ -94,149 +85,153 @@ class DexPriceFetcher {
     }
   }
 
-  async fetchUniswapV2Price(routerAddress, tokenA, tokenB, amountIn) {
-    try {
+  // Output per unit of input in whole tokens, whatever the decimals
+  calculatePrice(tokenIn, tokenOut, amountIn, amountOut) {
+    return (
+      this.tokenRegistry.toUnits(amountOut, tokenOut) /
+      this.tokenRegistry.toUnits(amountIn, tokenIn)
+    );
+  }
+
+  async getFactoryAddress(routerAddress) {
+    if (!this.factoryCache.has(routerAddress)) {
       const router = new ethers.Contract(
         routerAddress,
         UNISWAP_V2_ROUTER_ABI,
         this.provider
       );
-      const factory = new ethers.Contract(
-        await router.factory(),
-        UNISWAP_V2_FACTORY_ABI,
-        this.provider
-      );
+      this.factoryCache.set(routerAddress, await router.factory());
+    }
 
-      // Check if pair exists
-      const pairAddress = await factory.getPair(tokenA, tokenB);
-      if (pairAddress === ethers.constants.AddressZero) {
-        return null; // Pair doesn't exist
-      }
+    return this.factoryCache.get(routerAddress);
+  }
 
-      // Get pair reserves to check liquidity
-      const pair = new ethers.Contract(
-        pairAddress,
-        UNISWAP_V2_PAIR_ABI,
-        this.provider
-      );
-      const [reserve0, reserve1] = await pair.getReserves();
+  // Factories of every router not seen yet, in one multicall
+  async resolveFactoryAddresses(routers) {
+    const unknownRouters = [...new Set(routers)].filter(
+      (router) => !this.factoryCache.has(router)
+    );
+    if (unknownRouters.length === 0) return;
+
+    const results = await this.multicall.call(
+      unknownRouters.map((router) => ({
+        target: router,
+        iface: UNISWAP_V2_ROUTER_INTERFACE,
+        method: "factory",
+      }))
+    );
 
-      // Check if there's sufficient liquidity (at least $1000 worth)
-      const minLiquidity = ethers.utils.parseEther("0.5"); // 0.5 ETH worth
-      if (reserve0.lt(minLiquidity) && reserve1.lt(minLiquidity)) {
-        return null; // Insufficient liquidity
+    results.forEach((item, index) => {
+      if (item.success) {
+        this.factoryCache.set(unknownRouters[index], item.result[0]);
       }
+    });
+  }
 
-      // Get price using getAmountsOut
-      const path = [tokenA, tokenB];
-      const amounts = await router.getAmountsOut(amountIn, path);
-
-      if (amounts && amounts.length >= 2 && amounts[1].gt(0)) {
-        const amountOut = amounts[1];
-        const price =
-          parseFloat(ethers.utils.formatEther(amountOut)) /
-          parseFloat(ethers.utils.formatEther(amountIn));
-
-        return {
-          price,
-          amountIn: amountIn.toString(),
-          amountOut: amountOut.toString(),
-          liquidity: reserve0.add(reserve1).toString(),
-          pairAddress,
-          dexType: "UNISWAP_V2",
-        };
-      }
+  getPairCacheKey(factoryAddress, tokenA, tokenB) {
+    const [token0, token1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+    return `${factoryAddress.toLowerCase()}-${token0}-${token1}`;
+  }
 
-      return null;
-    } catch (error) {
-      this.logger.debug(`UniswapV2 price fetch failed: ${error.message}`);
-      return null;
+  /**
+   * Fetch reserves and quotes for every (DEX, pair, fee tier) at one block
+   * in a single Multicall3 round-trip. fetchPrice serves these before
+   * falling back to individual RPC calls. A pair's own amountIn, if set,
+   * takes precedence over the shared one. Each adapter discovers and loads
+   * its pools first, in as few batched rounds as it can, and hands back
+   * the calls its quotes still need; those all share the final multicall.
+   */
+  async prefetchQuotes(dexConfigs, tokenPairs, amountIn, blockTag = "latest") {
+    this.batchedQuotes.clear();
+    for (const adapter of this.adapters.all()) {
+      adapter.clearBlockState();
     }
-  }
 
-  async fetchUniswapV3Price(
-    quoterAddress,
-    tokenA,
-    tokenB,
-    amountIn,
-    fee = 3000
-  ) {
     try {
-      const quoter = new ethers.Contract(
-        quoterAddress,
-        UNISWAP_V3_QUOTER_ABI,
-        this.provider
+      await this.tokenRegistry.preload(
+        tokenPairs.flatMap(({ tokenA, tokenB }) => [tokenA, tokenB])
       );
 
-      // Try different fee tiers (remove duplicates)
-      const feeTiers = [...new Set([fee, 500, 3000, 10000])]; // 0.05%, 0.3%, 1%
-
-      for (const currentFee of feeTiers) {
-        try {
-          const amountOut = await quoter.callStatic.quoteExactInputSingle(
-            tokenA,
-            tokenB,
-            currentFee,
-            amountIn,
-            0 // sqrtPriceLimitX96 = 0 (no limit)
-          );
+      const requests = [];
+      for (const [adapter, configs] of this.adapters.group(dexConfigs)) {
+        requests.push(
+          ...(await adapter.prepareBatch(configs, tokenPairs, amountIn, blockTag))
+        );
+      }
 
-          if (amountOut.gt(0)) {
-            const price =
-              parseFloat(ethers.utils.formatEther(amountOut)) /
-              parseFloat(ethers.utils.formatEther(amountIn));
-
-            return {
-              price,
-              amountIn: amountIn.toString(),
-              amountOut: amountOut.toString(),
-              fee: currentFee,
-              dexType: "UNISWAP_V3",
-            };
-          }
-        } catch (error) {
-          // Log the error and try next fee tier
-          this.logger.debug(
-            `Fee tier ${currentFee} failed for ${tokenA}-${tokenB}`,
-            {
-              error: error.message,
-            }
-          );
-          continue;
-        }
+      const calls = requests.flatMap((request) => request.calls);
+      const results = await this.multicall.call(calls, blockTag);
+
+      let offset = 0;
+      for (const request of requests) {
+        const own = results.slice(offset, offset + request.calls.length);
+        offset += request.calls.length;
+        this.batchedQuotes.set(request.key, request.decode(own));
       }
 
-      return null;
+      this.logger.debug("Prefetched quotes via multicall", {
+        blockTag,
+        calls: calls.length,
+        quotes: this.batchedQuotes.size,
+      });
+
+      return this.batchedQuotes.size;
     } catch (error) {
-      this.logger.debug(`UniswapV3 price fetch failed: ${error.message}`);
-      return null;
+      this.logger.debug("Batched quoting failed, using individual calls", {
+        error: error.message,
+      });
+      this.batchedQuotes.clear();
+      return 0;
     }
   }
 
-  async fetchSushiswapPrice(routerAddress, tokenA, tokenB, amountIn) {
-    // Sushiswap uses same interface as Uniswap V2
-    return await this.fetchUniswapV2Price(
-      routerAddress,
-      tokenA,
-      tokenB,
-      amountIn
-    );
+  // What a quote was computed from, so callers can re-quote other sizes
+  getPoolState(priceData) {
+    if (!priceData) return null;
+
+    const adapter = this.getAdapter(priceData.dexType);
+    return adapter ? adapter.getPoolState(priceData) : null;
+  }
+
+  // Load whatever the legs of an opportunity need for sizing that the
+  // quote did not carry, such as tick snapshots of quoter-priced V3 pools
+  async attachPoolStates(opportunity, dexConfigs, blockTag = "latest") {
+    const sides = [
+      [opportunity.buyPool, opportunity.buyDex],
+      [opportunity.sellPool, opportunity.sellDex],
+    ];
+
+    for (const [pool, dexName] of sides) {
+      if (!pool) continue;
+
+      const dexConfig = dexConfigs.find((dex) => dex.name === dexName);
+      const adapter = this.getAdapter(pool.dexType);
+      if (!dexConfig || !adapter) continue;
+
+      await adapter.loadPoolState(
+        pool,
+        dexConfig,
+        opportunity.tokenA,
+        opportunity.tokenB,
+        blockTag
+      );
+    }
+
+    return opportunity;
   }
 
-  async fetchPancakeSwapPrice(routerAddress, tokenA, tokenB, amountIn) {
-    // PancakeSwap uses same interface as Uniswap V2
-    return await this.fetchUniswapV2Price(
-      routerAddress,
+  getQuoteKey(router, tokenA, tokenB, amountIn, blockTag) {
+    return `${router}-${tokenA}-${tokenB}-${amountIn.toString()}-${blockTag}`;
+  }
+
+  async fetchPrice(dexConfig, tokenA, tokenB, amountIn, blockTag = "latest") {
+    const cacheKey = this.getQuoteKey(
+      dexConfig.router,
       tokenA,
       tokenB,
-      amountIn
+      amountIn,
+      blockTag
     );
-  }
-
-  async fetchPrice(dexConfig, tokenA, tokenB, amountIn) {
-    const cacheKey = `${
-      dexConfig.router
-    }-${tokenA}-${tokenB}-${amountIn.toString()}`;
 
     // Check cache
     const cached = this.priceCache.get(cacheKey);
@@ -244,50 +239,27 @@ class DexPriceFetcher {
       return cached.data;
     }
 
-    let priceData = null;
+    // Quotes prefetched for this block need no further RPC calls
+    if (this.batchedQuotes.has(cacheKey)) {
+      return this.batchedQuotes.get(cacheKey);
+    }
+
+    const adapter = this.getAdapter(dexConfig.type);
+    if (!adapter) {
+      this.logger.warn(`Unknown DEX type: ${dexConfig.type}`);
+      return null;
+    }
 
     try {
-      switch (dexConfig.type) {
-        case "UNISWAP_V2":
-          priceData = await this.fetchUniswapV2Price(
-            dexConfig.router,
-            tokenA,
-            tokenB,
-            amountIn
-          );
-          break;
-
-        case "UNISWAP_V3":
-          priceData = await this.fetchUniswapV3Price(
-            dexConfig.quoter,
-            tokenA,
-            tokenB,
-            amountIn
-          );
-          break;
-
-        case "SUSHISWAP":
-          priceData = await this.fetchSushiswapPrice(
-            dexConfig.router,
-            tokenA,
-            tokenB,
-            amountIn
-          );
-          break;
-
-        case "PANCAKESWAP":
-          priceData = await this.fetchPancakeSwapPrice(
-            dexConfig.router,
-            tokenA,
-            tokenB,
-            amountIn
-          );
-          break;
+      await this.tokenRegistry.preload([tokenA, tokenB]);
 
-        default:
-          this.logger.warn(`Unknown DEX type: ${dexConfig.type}`);
-          return null;
-      }
+      const priceData = await adapter.quote(
+        dexConfig,
+        tokenA,
+        tokenB,
+        amountIn,
+        blockTag
+      );
 
       // Cache the result
       if (priceData) {
@@ -308,33 +280,29 @@ class DexPriceFetcher {
   }
 
   async getTokenDecimals(tokenAddress) {
-    try {
-      const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
-      return await token.decimals();
-    } catch (error) {
-      this.logger.warn(`Failed to get decimals for token ${tokenAddress}`, {
-        error: error.message,
-      });
-      return 18; // Default to 18 decimals
-    }
+    return await this.tokenRegistry.getDecimals(tokenAddress);
   }
 
   async getTokenSymbol(tokenAddress) {
-    try {
-      const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
-      return await token.symbol();
-    } catch (error) {
-      this.logger.warn(`Failed to get symbol for token ${tokenAddress}`, {
-        error: error.message,
-      });
-      return "UNKNOWN";
-    }
+    return await this.tokenRegistry.getSymbol(tokenAddress);
   }
 
   // Get multiple prices for comparison
-  async fetchMultiplePrices(dexConfigs, tokenA, tokenB, amountIn) {
+  async fetchMultiplePrices(
+    dexConfigs,
+    tokenA,
+    tokenB,
+    amountIn,
+    blockTag = "latest"
+  ) {
     const promises = dexConfigs.map(async (dexConfig) => {
-      const price = await this.fetchPrice(dexConfig, tokenA, tokenB, amountIn);
+      const price = await this.fetchPrice(
+        dexConfig,
+        tokenA,
+        tokenB,
+        amountIn,
+        blockTag
+      );
       return {
         dex: dexConfig.name,
         type: dexConfig.type,
@@ -352,14 +320,27 @@ class DexPriceFetcher {
   }
 
   // Find best arbitrage opportunity
-  async findArbitrageOpportunity(dexConfigs, tokenA, tokenB, amountIn) {
+  async findArbitrageOpportunity(
+    dexConfigs,
+    tokenA,
+    tokenB,
+    amountIn,
+    blockTag = "latest"
+  ) {
     const prices = await this.fetchMultiplePrices(
       dexConfigs,
       tokenA,
       tokenB,
-      amountIn
+      amountIn,
+      blockTag
     );
 
+    return this.buildOpportunity(prices, tokenA, tokenB, amountIn, blockTag);
+  }
+
+  // Cheapest against dearest of the DEX quotes, null unless the spread is
+  // significant (> 0.5%)
+  buildOpportunity(prices, tokenA, tokenB, amountIn, blockTag = "latest") {
     if (prices.length < 2) {
       return null; // Need at least 2 DEXs for arbitrage
     }
@@ -380,12 +361,17 @@ class DexPriceFetcher {
         tokenB,
         buyDex: cheapest.dex,
         sellDex: mostExpensive.dex,
+        buyDexType: cheapest.type,
+        sellDexType: mostExpensive.type,
         buyPrice: cheapest.price.price,
         sellPrice: mostExpensive.price.price,
         profitPercentage,
         amountIn: amountIn.toString(),
         buyAmountOut: cheapest.price.amountOut,
         sellAmountOut: mostExpensive.price.amountOut,
+        buyPool: this.getPoolState(cheapest.price),
+        sellPool: this.getPoolState(mostExpensive.price),
+        blockNumber: typeof blockTag === "number" ? blockTag : null,
         timestamp: Date.now(),
       };
     }
@@ -440,13 +426,15 @@ class DexPriceFetcher {
     dexConfigs,
     tokenA,
     tokenB,
-    amountIn
+    amountIn,
+    blockTag = "latest"
   ) {
     const prices = await this.fetchMultiplePrices(
       dexConfigs,
       tokenA,
       tokenB,
-      amountIn
+      amountIn,
+      blockTag
     );
 
     if (prices.length < 2) {
@@ -481,15 +469,20 @@ class DexPriceFetcher {
         tokenB,
         buyDex: cheapest.dex,
         sellDex: mostExpensive.dex,
+        buyDexType: cheapest.type,
+        sellDexType: mostExpensive.type,
         buyPrice: cheapest.price.price,
         sellPrice: mostExpensive.price.price,
         profitPercentage,
         amountIn: amountIn.toString(),
         buyAmountOut: cheapest.price.amountOut,
         sellAmountOut: mostExpensive.price.amountOut,
+        buyPool: this.getPoolState(cheapest.price),
+        sellPool: this.getPoolState(mostExpensive.price),
         oracleValidated: true,
         buyDeviation: cheapest.deviation,
         sellDeviation: mostExpensive.deviation,
+        blockNumber: typeof blockTag === "number" ? blockTag : null,
         timestamp: Date.now(),
       };
     }
@@ -499,6 +492,7 @@ class DexPriceFetcher {
 
   clearCache() {
     this.priceCache.clear();
+    this.batchedQuotes.clear();
   }
 }
 
@@ -0,0 +1,150 @@
+const axios = require("axios");
+const { ethers } = require("ethers");
+
+/**
+ * JSON-RPC client for the Flashbots relay or any block builder that takes
+ * Flashbots-style bundles. With the default "flashbots" auth every request
+ * is signed with the auth signer: the relay reads X-Flashbots-Signature as
+ * "<address>:<signature of keccak256(body)>" and builds that address's
+ * reputation from the bundles it lands, so the auth key is not the key that
+ * holds funds. Builders that want an API key use auth "api-key" instead,
+ * and "none" sends requests unauthenticated.
+ *
+ * refundPercent and refundRecipient are added to eth_sendBundle for
+ * builders that pay back part of the bundle's value; coinbase lists the fee
+ * recipients the builder puts in the blocks it builds.
+ */
+class FlashbotsRelay {
+  constructor(authSigner, logger, options = {}) {
+    this.authSigner = authSigner;
+    this.logger = logger;
+
+    this.name = options.name || "flashbots";
+    this.url = options.url || "https://relay.flashbots.net";
+    this.auth = options.auth || "flashbots"; // flashbots, api-key, none
+    this.apiKey = options.apiKey || null;
+    this.apiKeyHeader = options.apiKeyHeader || "Authorization";
+    this.refundPercent = options.refundPercent !== undefined ? options.refundPercent : null;
+    this.refundRecipient = options.refundRecipient || null;
+    this.coinbase = [].concat(options.coinbase || []).map((address) => address.toLowerCase());
+    this.timeout = options.timeout || 10000;
+    this.nextId = 1;
+
+    this.stats = {
+      requests: 0,
+      errors: 0,
+    };
+  }
+
+  async request(method, params) {
+    const body = JSON.stringify({
+      jsonrpc: "2.0",
+      id: this.nextId++,
+      method,
+      params,
+    });
+
+    this.stats.requests++;
+    let data;
+    try {
+      // Post the exact string that was signed
+      ({ data } = await axios.post(this.url, body, {
+        timeout: this.timeout,
+        headers: {
+          "Content-Type": "application/json",
+          ...(await this.getAuthHeaders(body)),
+        },
+      }));
+    } catch (error) {
+      this.stats.errors++;
+      const relayError = error.response && error.response.data && error.response.data.error;
+      throw new Error(`Relay ${method} failed: ${relayError ? relayError.message : error.message}`);
+    }
+
+    if (data.error) {
+      this.stats.errors++;
+      throw new Error(`Relay ${method} failed: ${data.error.message}`);
+    }
+
+    return data.result;
+  }
+
+  async getAuthHeaders(body) {
+    switch (this.auth) {
+      case "flashbots": {
+        const signature = await this.authSigner.signMessage(ethers.utils.id(body));
+        return { "X-Flashbots-Signature": `${this.authSigner.address}:${signature}` };
+      }
+      case "api-key":
+        return { [this.apiKeyHeader]: this.apiKey };
+      default:
+        return {};
+    }
+  }
+
+  // Submits signed transactions for one block; resolves to { bundleHash }
+  async sendBundle(signedTransactions, targetBlock, options = {}) {
+    return await this.request("eth_sendBundle", [
+      {
+        txs: signedTransactions,
+        blockNumber: ethers.utils.hexValue(targetBlock),
+        ...(options.minTimestamp && { minTimestamp: options.minTimestamp }),
+        ...(options.maxTimestamp && { maxTimestamp: options.maxTimestamp }),
+        ...(options.revertingTxHashes && { revertingTxHashes: options.revertingTxHashes }),
+        ...(this.refundPercent !== null && { refundPercent: this.refundPercent }),
+        ...(this.refundRecipient && { refundRecipient: this.refundRecipient }),
+      },
+    ]);
+  }
+
+  /**
+   * Simulates the bundle on top of stateBlock as if it were mined in
+   * targetBlock. Resolves to { success, error, results, totalGasUsed,
+   * coinbaseDiff, bundleGasPrice, bundleHash }; success is false when any
+   * transaction reverts.
+   */
+  async simulate(signedTransactions, targetBlock, stateBlock = "latest") {
+    const result = await this.request("eth_callBundle", [
+      {
+        txs: signedTransactions,
+        blockNumber: ethers.utils.hexValue(targetBlock),
+        stateBlockNumber: typeof stateBlock === "number" ? ethers.utils.hexValue(stateBlock) : stateBlock,
+      },
+    ]);
+
+    const results = result.results || [];
+    const failed = results.find((tx) => tx.error || tx.revert);
+
+    return {
+      success: !failed,
+      error: failed ? failed.revert || failed.error : null,
+      results,
+      totalGasUsed: result.totalGasUsed,
+      coinbaseDiff: result.coinbaseDiff,
+      bundleGasPrice: result.bundleGasPrice,
+      bundleHash: result.bundleHash,
+    };
+  }
+
+  // How far the relay and builders got with a bundle for one block
+  async getBundleStats(bundleHash, blockNumber) {
+    return await this.request("flashbots_getBundleStatsV2", [
+      {
+        bundleHash,
+        blockNumber: ethers.utils.hexValue(blockNumber),
+      },
+    ]);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      name: this.name,
+      url: this.url,
+      auth: this.auth,
+      authAddress: this.auth === "flashbots" ? this.authSigner.address : null,
+    };
+  }
+}
+
+module.exports = FlashbotsRelay;
@@ -0,0 +1,151 @@
+const { ethers } = require("ethers");
+const { createL2FeeEstimator } = require("./L2FeeEstimator");
+
+class GasEstimator {
+  constructor(provider, logger, networkConfig = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+
+    this.config = {
+      forkRpcUrl: process.env.GAS_FORK_RPC_URL || null, // Local fork to simulate on
+      calibrationSamples: parseInt(process.env.GAS_CALIBRATION_SAMPLES) || 20,
+    };
+
+    this.forkProvider = null;
+    this.receiptSamples = new Map(); // route shape => gasUsed of past executions
+
+    // How the chain charges for the data it posts to L1, from its l2FeeModel
+    this.l2FeeEstimator = createL2FeeEstimator(provider, logger, networkConfig);
+  }
+
+  // DEX types of the legs in execution order, e.g. "UNISWAP_V2>UNISWAP_V3"
+  getRouteShape(pools) {
+    return pools
+      .map((pool) => (pool && pool.dexType) || "UNISWAP_V2")
+      .join(">");
+  }
+
+  getForkProvider() {
+    if (!this.forkProvider && this.config.forkRpcUrl) {
+      this.forkProvider = new ethers.providers.JsonRpcProvider(this.config.forkRpcUrl);
+    }
+    return this.forkProvider;
+  }
+
+  /**
+   * Gas for requestFlashLoan with the prepared params: estimateGas against
+   * the local fork when one is configured, else against the chain. When the
+   * estimate fails, past receipts of the same route shape stand in, and
+   * without those gasUsed is null and callers use their static model. The
+   * L1 data fee is priced from the real calldata either way.
+   */
+  async estimateExecution(contract, arbParams, shape, from) {
+    let gasUsed = null;
+    let source = null;
+
+    try {
+      const forkProvider = this.getForkProvider();
+      const target = forkProvider ? contract.connect(forkProvider) : contract;
+      const estimate = await target.estimateGas.requestFlashLoan(
+        arbParams.tokenA,
+        arbParams.amount,
+        arbParams,
+        { from }
+      );
+      gasUsed = estimate.toNumber();
+      source = forkProvider ? "fork" : "estimateGas";
+    } catch (error) {
+      this.logger.debug("Execution gas estimate failed, using receipts", {
+        shape,
+        error: error.message,
+      });
+
+      gasUsed = this.getCalibratedGas(shape);
+      source = gasUsed ? "receipts" : null;
+    }
+
+    let transaction = null;
+    if (this.l2FeeEstimator) {
+      try {
+        const populated = await contract.populateTransaction.requestFlashLoan(
+          arbParams.tokenA,
+          arbParams.amount,
+          arbParams
+        );
+        transaction = { ...populated, from };
+      } catch (error) {
+        this.logger.debug("Could not populate transaction for L1 fee", {
+          error: error.message,
+        });
+      }
+    }
+
+    const l1DataFee = await this.estimateL1DataFee(transaction, {
+      gasUsed,
+      swapCount: (arbParams.dexRouters || []).length,
+    });
+
+    return { shape, gasUsed, source, l1DataFee };
+  }
+
+  // L1 data fee as the chain's estimator prices it, null on L1 chains or
+  // when the estimate fails
+  async estimateL1DataFee(transaction, context = {}) {
+    if (!this.l2FeeEstimator) return null;
+
+    try {
+      return await this.l2FeeEstimator.estimate(transaction, context);
+    } catch (error) {
+      this.logger.debug("L1 data fee unavailable", { error: error.message });
+      return null;
+    }
+  }
+
+  // Keep gasUsed of each executed trade as the calibration for its shape
+  recordReceipt(shape, receipt) {
+    if (!receipt || receipt.status !== 1 || !receipt.gasUsed) return;
+
+    const samples = this.receiptSamples.get(shape) || [];
+    samples.push(ethers.BigNumber.from(receipt.gasUsed).toNumber());
+    this.receiptSamples.set(shape, samples.slice(-this.config.calibrationSamples));
+  }
+
+  // Seed the calibration with receipts of executions from earlier runs
+  async calibrateFromTransactions(shape, txHashes) {
+    for (const txHash of txHashes) {
+      try {
+        this.recordReceipt(shape, await this.provider.getTransactionReceipt(txHash));
+      } catch (error) {
+        this.logger.debug("Receipt unavailable for calibration", {
+          txHash,
+          error: error.message,
+        });
+      }
+    }
+    return (this.receiptSamples.get(shape) || []).length;
+  }
+
+  // Sample count and median gasUsed of every calibrated route shape
+  getCalibrationStats() {
+    const stats = {};
+    for (const [shape, samples] of this.receiptSamples) {
+      stats[shape] = { samples: samples.length, gasUsed: this.getCalibratedGas(shape) };
+    }
+    return stats;
+  }
+
+  // Median gasUsed of the shape's past executions, null before the first one
+  getCalibratedGas(shape) {
+    const samples = this.receiptSamples.get(shape);
+    if (!samples || samples.length === 0) return null;
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+}
+
+module.exports = GasEstimator;
@@ -1,4 +1,5 @@
 const { ethers } = require("ethers");
+const { createL2FeeEstimator } = require("./L2FeeEstimator");
 
 class GasOptimizer {
   constructor(provider, logger, networkConfig) {
@@ -13,6 +14,9 @@ class GasOptimizer {
                           this.networkConfig.chainId === 137 || // Polygon
                           this.networkConfig.chainId === 42161 || // Arbitrum
                           this.networkConfig.chainId === 10; // Optimism
+
+    // Rollups add an L1 data fee on top of execution gas
+    this.l2FeeEstimator = createL2FeeEstimator(provider, logger, networkConfig);
   }
 
   async getOptimalGasSettings(urgency = 'standard') {
@@ -190,7 +194,11 @@ class GasOptimizer {
 
   async getCompleteGasSettings(transaction, urgency = 'standard') {
     const gasSettings = await this.getOptimalGasSettings(urgency);
-    const gasLimit = await this.estimateGasLimit(transaction);
+
+    // Respect a gas limit the caller already estimated and buffered
+    const gasLimit = transaction.gasLimit
+      ? ethers.BigNumber.from(transaction.gasLimit)
+      : await this.estimateGasLimit(transaction);
     
     gasSettings.gasLimit = gasLimit;
     
@@ -207,12 +215,35 @@ class GasOptimizer {
       );
     }
 
+    gasSettings.l1DataFeeETH = await this.estimateL1DataFeeETH(transaction, gasLimit);
+    gasSettings.estimatedCostETH += gasSettings.l1DataFeeETH;
+
     // Record gas data for analysis
     this.recordGasData(gasSettings);
 
     return gasSettings;
   }
 
+  // L1 data fee the transaction pays beyond its gas limit; fees billed as
+  // L2 gas are already inside the estimate
+  async estimateL1DataFeeETH(transaction, gasLimit) {
+    if (!this.l2FeeEstimator || !transaction.data) return 0;
+
+    try {
+      const l1DataFee = await this.l2FeeEstimator.estimate(transaction, {
+        gasUsed: gasLimit,
+      });
+      if (!l1DataFee || l1DataFee.includedInGas) return 0;
+
+      return parseFloat(ethers.utils.formatEther(l1DataFee.feeWei));
+    } catch (error) {
+      this.logger.warn("L1 data fee estimation failed", {
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
   recordGasData(gasSettings) {
     const gasData = {
       timestamp: Date.now(),
@@ -0,0 +1,171 @@
+const { ethers } = require("ethers");
+
+const OP_GAS_PRICE_ORACLE = "0x420000000000000000000000000000000000000F";
+const ARBITRUM_NODE_INTERFACE = "0x00000000000000000000000000000000000000C8";
+
+const GAS_PRICE_ORACLE_ABI = [
+  "function getL1Fee(bytes memory data) external view returns (uint256)",
+];
+
+const NODE_INTERFACE_ABI = [
+  "function gasEstimateComponents(address to, bool contractCreation, bytes calldata data) external payable returns (uint64 gasEstimate, uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)",
+];
+
+// Signature-sized filler, oracles price the signed transaction
+const PLACEHOLDER_SIGNATURE = {
+  r: "0x" + "ff".repeat(32),
+  s: "0x7f" + "ff".repeat(31),
+  v: 27,
+};
+
+/**
+ * What a rollup charges a transaction for the data it posts to L1, on top
+ * of L2 execution gas. estimate() resolves to { feeWei, includedInGas } or
+ * null when the chain's model cannot price it. includedInGas marks fees the
+ * chain bills as extra L2 gas, which estimateGas and receipts already count.
+ */
+class L2FeeEstimator {
+  constructor(provider, logger, options = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.options = options;
+  }
+
+  // transaction is { to, from, data } or null when no calldata is prepared
+  async estimate(transaction, { gasUsed = null, swapCount = 0 } = {}) {
+    return null;
+  }
+}
+
+// OP-stack chains (and Scroll, with its own oracle) price the signed
+// transaction bytes in a GasPriceOracle predeploy
+class OpStackFeeEstimator extends L2FeeEstimator {
+  async estimate(transaction, { gasUsed = null } = {}) {
+    if (!transaction) return null;
+
+    const oracle = new ethers.Contract(
+      this.options.oracle || OP_GAS_PRICE_ORACLE,
+      GAS_PRICE_ORACLE_ABI,
+      this.provider
+    );
+    const signedTransaction = ethers.utils.serializeTransaction(
+      {
+        to: transaction.to,
+        data: transaction.data,
+        nonce: 0,
+        gasLimit: gasUsed || 0,
+        gasPrice: 0,
+        chainId: this.options.chainId,
+      },
+      PLACEHOLDER_SIGNATURE
+    );
+
+    return { feeWei: await oracle.getL1Fee(signedTransaction), includedInGas: false };
+  }
+}
+
+// Arbitrum charges L1 data as extra L2 gas; NodeInterface splits it out
+class ArbitrumFeeEstimator extends L2FeeEstimator {
+  async estimate(transaction) {
+    if (!transaction) return null;
+
+    const nodeInterface = new ethers.Contract(
+      ARBITRUM_NODE_INTERFACE,
+      NODE_INTERFACE_ABI,
+      this.provider
+    );
+    const { gasEstimateForL1, baseFee } =
+      await nodeInterface.callStatic.gasEstimateComponents(
+        transaction.to,
+        false,
+        transaction.data,
+        { from: transaction.from }
+      );
+
+    return { feeWei: baseFee.mul(gasEstimateForL1), includedInGas: true };
+  }
+}
+
+// zkSync Era publishes state diffs, not calldata, and charges each pubdata
+// byte as L2 gas. Bytes are modelled from the storage slots a flash loan and
+// each swap write, priced at the operator's current pubdata price.
+class ZkSyncFeeEstimator extends L2FeeEstimator {
+  constructor(provider, logger, options = {}) {
+    super(provider, logger, options);
+
+    this.pubdataBytesBase = options.pubdataBytesBase || 200; // Flash loan and payout
+    this.pubdataBytesPerSwap = options.pubdataBytesPerSwap || 140; // Pool and balances
+  }
+
+  async getPubdataPrice() {
+    const params = await this.provider.send("zks_getFeeParams", []);
+    if (params.V2) {
+      return ethers.BigNumber.from(params.V2.l1_pubdata_price);
+    }
+    // V1 operators price pubdata at 17 L1 gas per byte
+    return ethers.BigNumber.from(params.V1.l1_gas_price).mul(17);
+  }
+
+  async estimate(transaction, { swapCount = 0 } = {}) {
+    const pubdataBytes = this.pubdataBytesBase + this.pubdataBytesPerSwap * swapCount;
+    const pubdataPrice = await this.getPubdataPrice();
+
+    return { feeWei: pubdataPrice.mul(pubdataBytes), includedInGas: true };
+  }
+}
+
+// Linea prices L1 data into the priority fee linea_estimateGas returns.
+// Gas cost already counts the market priority fee, so only what Linea asks
+// on top of it is charged here.
+class LineaFeeEstimator extends L2FeeEstimator {
+  async estimate(transaction) {
+    if (!transaction) return null;
+
+    const [estimate, feeData] = await Promise.all([
+      this.provider.send("linea_estimateGas", [
+        { from: transaction.from, to: transaction.to, data: transaction.data },
+      ]),
+      this.provider.getFeeData(),
+    ]);
+
+    const dataFeePerGas = ethers.BigNumber.from(estimate.priorityFeePerGas)
+      .sub(feeData.maxPriorityFeePerGas || 0);
+    return {
+      feeWei: dataFeePerGas.gt(0) ? dataFeePerGas.mul(estimate.gasLimit) : ethers.BigNumber.from(0),
+      includedInGas: false,
+    };
+  }
+}
+
+const L2_FEE_ESTIMATORS = {
+  opStack: OpStackFeeEstimator,
+  arbitrum: ArbitrumFeeEstimator,
+  zkSync: ZkSyncFeeEstimator,
+  linea: LineaFeeEstimator,
+};
+
+// Estimator for the chain's l2FeeModel, a type name or { type, ...options };
+// null on chains that pay no L1 data fee
+function createL2FeeEstimator(provider, logger, networkConfig = {}) {
+  const model = networkConfig.l2FeeModel;
+  if (!model) return null;
+
+  const { type, ...options } = typeof model === "string" ? { type: model } : model;
+  const Estimator = L2_FEE_ESTIMATORS[type];
+  if (!Estimator) {
+    logger.warn(`Unknown L2 fee model: ${type}`);
+    return null;
+  }
+
+  return new Estimator(provider, logger, { ...options, chainId: networkConfig.chainId });
+}
+
+module.exports = {
+  L2FeeEstimator,
+  OpStackFeeEstimator,
+  ArbitrumFeeEstimator,
+  ZkSyncFeeEstimator,
+  LineaFeeEstimator,
+  L2_FEE_ESTIMATORS,
+  createL2FeeEstimator,
+};
@@ -1,29 +1,54 @@
 const { ethers } = require("ethers");
+const FlashbotsRelay = require("./FlashbotsRelay");
 
 class MEVProtection {
-  constructor(provider, wallet, logger, networkConfig) {
+  constructor(provider, wallet, logger, networkConfig, options = {}) {
     this.provider = provider;
     this.wallet = wallet;
     this.logger = logger;
     this.networkConfig = networkConfig;
+    this.bidder = options.bidder || null; // BundleBidder, learns from each target block
+    this.nonceManager = options.nonceManager || null; // Local nonces, replaces stuck transactions
     
     // MEV protection settings
     this.config = {
       useFlashbots: process.env.USE_FLASHBOTS === 'true',
       usePrivateMempool: process.env.USE_PRIVATE_MEMPOOL === 'true',
       flashbotsRelay: process.env.FLASHBOTS_RELAY_URL || 'https://relay.flashbots.net',
+      flashbotsAuthKey: process.env.FLASHBOTS_AUTH_KEY, // Signs relay requests, holds no funds
+      builders: this.parseBuilders(process.env.MEV_BUILDERS), // Builders bundles also go to
       privateRpcUrl: process.env.PRIVATE_RPC_URL,
       maxBlocksAhead: 3, // Maximum blocks to target ahead
-      bundleRetries: 3
+      bundleRetries: 3,
+      blockPollInterval: 1000,
+      blockTime: 12000 // Mainnet slot, bounds the wait for a target block
     };
 
     // Initialize Flashbots if available and on Ethereum mainnet
     this.flashbotsProvider = null;
     this.privateProvider = null;
+    this.builders = []; // The relay first, then every MEV_BUILDERS entry
+    this.builderStats = new Map(); // builder name => submission and inclusion counts
     
     this.initializeMEVProtection();
   }
 
+  // MEV_BUILDERS is a JSON array of { name, url, auth, apiKey, apiKeyHeader,
+  // refundPercent, refundRecipient, coinbase } (see FlashbotsRelay)
+  parseBuilders(value) {
+    if (!value) return [];
+
+    try {
+      const builders = JSON.parse(value);
+      return Array.isArray(builders) ? builders.filter((builder) => builder.name && builder.url) : [];
+    } catch (error) {
+      this.logger.warn("Ignoring invalid MEV_BUILDERS", {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
   async initializeMEVProtection() {
     // Only enable MEV protection on Ethereum mainnet
     if (this.networkConfig.chainId !== 1) {
@@ -57,18 +82,29 @@ class MEVProtection {
 
   async initializeFlashbots() {
     try {
-      // Note: In production, you would install @flashbots/ethers-provider-bundle
-      // For now, we'll simulate the interface
-      this.logger.info("Flashbots integration would be initialized here");
-      
-      // Simulated Flashbots provider
-      this.flashbotsProvider = {
-        sendBundle: this.simulateFlashbotsBundle.bind(this),
-        simulate: this.simulateFlashbotsSimulation.bind(this)
-      };
+      // The relay tracks reputation per auth key, so keep one across restarts
+      const authSigner = this.config.flashbotsAuthKey
+        ? new ethers.Wallet(this.config.flashbotsAuthKey)
+        : ethers.Wallet.createRandom();
+
+      if (!this.config.flashbotsAuthKey) {
+        this.logger.warn("FLASHBOTS_AUTH_KEY not set, signing bundles with a throwaway key");
+      } else if (authSigner.address === this.wallet.address) {
+        this.logger.warn("Flashbots auth key is the trading key, use a separate reputation key");
+      }
+
+      this.flashbotsProvider = new FlashbotsRelay(authSigner, this.logger, {
+        url: this.config.flashbotsRelay
+      });
+      this.builders = [
+        this.flashbotsProvider,
+        ...this.config.builders.map((builder) => new FlashbotsRelay(authSigner, this.logger, builder))
+      ];
       
       this.logger.info("Flashbots provider initialized", {
-        relay: this.config.flashbotsRelay
+        relay: this.config.flashbotsRelay,
+        authAddress: authSigner.address,
+        builders: this.builders.map((builder) => builder.name)
       });
     } catch (error) {
       this.logger.error("Failed to initialize Flashbots", {
@@ -100,17 +136,27 @@ class MEVProtection {
       urgency = 'standard',
       maxSlippage = 0.5,
       useBundle = true,
-      targetBlock = null
+      targetBlock = null,
+      tipTransaction = null,
+      backrunTransaction = null,
+      opportunityTimestamp = null,
+      maxFeePerGas = null
     } = options;
 
+    // For the nonce manager, should the transaction get stuck in the mempool
+    const replacement = { opportunityTimestamp, maxFeePerGas };
+
     try {
       // Choose protection method based on availability and configuration
-      if (this.flashbotsProvider && useBundle && this.networkConfig.chainId === 1) {
-        return await this.sendFlashbotsBundle(transaction, { urgency, targetBlock });
+      if (this.canBundle() && useBundle) {
+        return await this.sendFlashbotsBundle(transaction, { urgency, targetBlock, tipTransaction, backrunTransaction, ...replacement });
+      } else if (backrunTransaction) {
+        // Sent on its own, a backrun trades against pools its victim has not moved
+        throw new Error("Backruns can only be sent in a bundle");
       } else if (this.privateProvider) {
-        return await this.sendPrivateTransaction(transaction, { urgency });
+        return await this.sendPrivateTransaction(transaction, { urgency, ...replacement });
       } else {
-        return await this.sendRegularTransaction(transaction, { urgency });
+        return await this.sendRegularTransaction(transaction, { urgency, ...replacement });
       }
     } catch (error) {
       this.logger.error("Protected transaction failed", {
@@ -122,75 +168,211 @@ class MEVProtection {
   }
 
   async sendFlashbotsBundle(transaction, options = {}) {
+    const reserved = []; // Nonces from the nonce manager, handed back unless a builder took the bundle
+    const submissions = []; // Target blocks some builder accepted the bundle for
+    let txHash = null;
     try {
-      const { urgency, targetBlock } = options;
+      // backrunTransaction is a signed pending transaction the trade follows
+      const { targetBlock, tipTransaction, backrunTransaction } = options;
       const currentBlock = await this.provider.getBlockNumber();
       const targetBlockNumber = targetBlock || currentBlock + 1;
 
       // Prepare bundle
-      const signedTransaction = await this.wallet.signTransaction(transaction);
-      const bundle = [signedTransaction];
+      // signTransaction does not fill in nonce or chainId on its own
+      const nonce = this.nonceManager ? await this.reserveNonce(reserved) : undefined;
+      const populatedTransaction = await this.wallet.populateTransaction({ ...transaction, nonce });
+      const signedTransaction = await this.wallet.signTransaction(populatedTransaction);
+      txHash = ethers.utils.keccak256(signedTransaction);
+      const bundle = backrunTransaction ? [backrunTransaction, signedTransaction] : [signedTransaction];
+
+      // A separate builder payment lands right after the trade or not at all
+      if (tipTransaction) {
+        const populatedTip = await this.wallet.populateTransaction({
+          ...tipTransaction,
+          nonce: this.nonceManager ? await this.reserveNonce(reserved) : populatedTransaction.nonce + 1
+        });
+        bundle.push(await this.wallet.signTransaction(populatedTip));
+      }
 
       this.logger.info("Sending Flashbots bundle", {
         targetBlock: targetBlockNumber,
-        bundleSize: bundle.length
+        bundleSize: bundle.length,
+        txHash
       });
 
       // Simulate bundle first
-      const simulation = await this.flashbotsProvider.simulate(bundle, targetBlockNumber);
+      const simulation = await this.flashbotsProvider.simulate(bundle, targetBlockNumber, currentBlock);
       
       if (!simulation.success) {
-        throw new Error(`Bundle simulation failed: ${simulation.error}`);
+        // It would revert on chain too, so don't fall back to the mempool
+        this.releaseNonces(reserved);
+        this.logger.warn("Flashbots bundle simulation reverted", {
+          error: simulation.error,
+          targetBlock: targetBlockNumber
+        });
+        return {
+          success: false,
+          method: 'flashbots',
+          txHash,
+          reason: `Bundle simulation failed: ${simulation.error}`,
+          receipt: null
+        };
       }
 
-      // Send bundle with retries
-      let bundleResponse = null;
-      for (let i = 0; i < this.config.bundleRetries; i++) {
-        try {
-          bundleResponse = await this.flashbotsProvider.sendBundle(
-            bundle,
-            targetBlockNumber + i
-          );
-          
-          if (bundleResponse.bundleHash) {
-            break;
-          }
-        } catch (error) {
-          this.logger.warn(`Bundle attempt ${i + 1} failed`, {
-            error: error.message,
-            targetBlock: targetBlockNumber + i
-          });
+      // A bundle is only valid for the block it names, so submit it for
+      // each block we are willing to wait for
+      const responses = [];
+      for (let i = 0; i < this.config.maxBlocksAhead; i++) {
+        const blockNumber = targetBlockNumber + i;
+        const blockResponses = await this.broadcastBundle(bundle, blockNumber);
+        responses.push(...blockResponses);
+
+        const accepted = blockResponses.filter((response) => response.accepted);
+        if (accepted.length > 0) {
+          // The relay's hash is the one its bundle stats know about
+          const hashed = accepted.find((response) => response.builder === this.flashbotsProvider.name && response.bundleHash) ||
+            accepted.find((response) => response.bundleHash);
+          submissions.push({ blockNumber, bundleHash: hashed ? hashed.bundleHash : null });
         }
       }
 
-      if (!bundleResponse || !bundleResponse.bundleHash) {
+      if (submissions.length === 0) {
         throw new Error("All bundle attempts failed");
       }
 
+      // Inclusion rates are per bundle, however many blocks it was sent for
+      const acceptedBy = new Set(responses.filter((response) => response.accepted).map((response) => response.builder));
+      acceptedBy.forEach((name) => this.getBuilderStats(name).bundles++);
+
       // Wait for inclusion
-      const receipt = await this.waitForBundleInclusion(
-        bundleResponse.bundleHash,
-        targetBlockNumber,
-        this.config.maxBlocksAhead
-      );
+      const { receipt, bundleHash, blockNumber, includedBy } = await this.waitForBundleInclusion(txHash, submissions);
+      if (includedBy) {
+        this.getBuilderStats(includedBy).included++;
+      }
 
+      // Landed either way, so a missing receipt is no reason to send again
       return {
-        success: true,
+        success: receipt ? receipt.status === 1 : false,
         method: 'flashbots',
-        bundleHash: bundleResponse.bundleHash,
+        txHash,
+        bundleHash,
         receipt,
-        targetBlock: targetBlockNumber
+        blockNumber,
+        ...(!receipt && { reason: "Bundle included, receipt not available yet" }),
+        targetBlock: targetBlockNumber,
+        includedBy,
+        builders: responses
       };
     } catch (error) {
       this.logger.error("Flashbots bundle failed", {
         error: error.message
       });
+
+      if (submissions.length === 0) {
+        this.releaseNonces(reserved);
+      } else {
+        // A bundle a builder took may have landed where we didn't look
+        const receipt = await this.provider.getTransactionReceipt(txHash).catch(() => null);
+        if (receipt) {
+          return {
+            success: receipt.status === 1,
+            method: 'flashbots',
+            txHash,
+            receipt,
+            blockNumber: receipt.blockNumber
+          };
+        }
+
+        // Otherwise the chain says which nonces are spent. A fallback reuses
+        // the bundle's, so at most one of them lands; should the bundle win,
+        // the fallback finds its nonce taken and the manager resyncs.
+        if (this.nonceManager) {
+          await this.nonceManager.sync();
+        }
+      }
+
+      // Without its victim ahead of it a backrun has nothing to trade
+      if (options.backrunTransaction) {
+        return {
+          success: false,
+          method: 'flashbots',
+          reason: `Backrun bundle failed: ${error.message}`,
+          receipt: null
+        };
+      }
       
       // Fallback to private mempool or regular transaction
       return await this.sendPrivateTransaction(transaction, options);
     }
   }
 
+  async reserveNonce(reserved) {
+    const nonce = await this.nonceManager.reserve();
+    reserved.push(nonce);
+    return nonce;
+  }
+
+  // Latest first, so each one is the manager's most recent reservation
+  releaseNonces(reserved) {
+    if (!this.nonceManager) return;
+    while (reserved.length > 0) {
+      this.nonceManager.release(reserved.pop());
+    }
+  }
+
+  // The same bundle to every builder at once, one response per builder
+  async broadcastBundle(bundle, blockNumber) {
+    return await Promise.all(this.builders.map(async (builder) => {
+      const stats = this.getBuilderStats(builder.name);
+      stats.submitted++;
+
+      try {
+        const bundleHash = await this.submitBundle(builder, bundle, blockNumber);
+        stats.accepted++;
+        return { builder: builder.name, blockNumber, accepted: true, bundleHash };
+      } catch (error) {
+        stats.failed++;
+        stats.lastError = error.message;
+        return { builder: builder.name, blockNumber, accepted: false, error: error.message };
+      }
+    }));
+  }
+
+  // Resolves to the bundle hash (null for builders that don't return one);
+  // throws the last error once every retry failed
+  async submitBundle(builder, bundle, blockNumber) {
+    let lastError = null;
+    for (let i = 0; i < this.config.bundleRetries; i++) {
+      try {
+        const bundleResponse = await builder.sendBundle(bundle, blockNumber);
+        return (bundleResponse && bundleResponse.bundleHash) || null;
+      } catch (error) {
+        lastError = error;
+        this.logger.warn(`Bundle attempt ${i + 1} failed`, {
+          builder: builder.name,
+          error: error.message,
+          targetBlock: blockNumber
+        });
+      }
+    }
+
+    throw lastError;
+  }
+
+  getBuilderStats(name) {
+    if (!this.builderStats.has(name)) {
+      this.builderStats.set(name, {
+        submitted: 0, // Block submissions
+        accepted: 0,
+        failed: 0,
+        bundles: 0, // Distinct bundles accepted
+        included: 0,
+        lastError: null
+      });
+    }
+    return this.builderStats.get(name);
+  }
+
   async sendPrivateTransaction(transaction, options = {}) {
     try {
       const provider = this.privateProvider || this.provider;
@@ -200,6 +382,11 @@ class MEVProtection {
         provider: this.privateProvider ? 'private' : 'public'
       });
 
+      if (this.nonceManager) {
+        const result = await this.nonceManager.sendTransaction(transaction, { ...options, provider });
+        return { ...result, method: this.privateProvider ? 'private_mempool' : 'regular' };
+      }
+
       const tx = await privateWallet.sendTransaction(transaction);
       const receipt = await tx.wait();
 
@@ -213,6 +400,11 @@ class MEVProtection {
       this.logger.error("Private transaction failed", {
         error: error.message
       });
+
+      // Once it is out, sending the trade again would only race it
+      if (error.sent) {
+        throw error;
+      }
       
       // Final fallback to regular transaction
       return await this.sendRegularTransaction(transaction, options);
@@ -222,6 +414,11 @@ class MEVProtection {
   async sendRegularTransaction(transaction, options = {}) {
     try {
       this.logger.info("Sending regular transaction");
+
+      if (this.nonceManager) {
+        const result = await this.nonceManager.sendTransaction(transaction, options);
+        return { ...result, method: 'regular' };
+      }
       
       const tx = await this.wallet.sendTransaction(transaction);
       const receipt = await tx.wait();
@@ -240,56 +437,40 @@ class MEVProtection {
     }
   }
 
-  // Simulated Flashbots methods (replace with real implementation)
-  async simulateFlashbotsBundle(bundle, targetBlock) {
-    // Simulate bundle execution
-    this.logger.debug("Simulating Flashbots bundle", {
-      bundleSize: bundle.length,
-      targetBlock
-    });
-
-    // In real implementation, this would call Flashbots simulation API
-    return {
-      success: true,
-      gasUsed: "500000",
-      profit: "0.01"
-    };
-  }
-
-  async simulateFlashbotsSimulation(bundle, targetBlock) {
-    return await this.simulateFlashbotsBundle(bundle, targetBlock);
-  }
-
-  async waitForBundleInclusion(bundleHash, targetBlock, maxBlocks) {
-    const startBlock = await this.provider.getBlockNumber();
-    const endBlock = Math.min(targetBlock + maxBlocks, startBlock + 10);
-
+  // submissions = [{ blockNumber, bundleHash }], one per target block.
+  // Resolves to the receipt, the hash of the bundle that landed, its block
+  // and the builder that included it, when we can tell. The receipt is null
+  // if the node still hasn't indexed it a slot after the block.
+  async waitForBundleInclusion(txHash, submissions) {
     this.logger.info("Waiting for bundle inclusion", {
-      bundleHash,
-      targetBlock,
-      maxBlocks
+      txHash,
+      targetBlocks: submissions.map((submission) => submission.blockNumber)
     });
 
-    for (let blockNumber = targetBlock; blockNumber <= endBlock; blockNumber++) {
+    for (const { blockNumber, bundleHash } of submissions) {
       try {
         // Wait for block
         await this.waitForBlock(blockNumber);
         
-        // Check if bundle was included (simulated)
-        const included = await this.checkBundleInclusion(bundleHash, blockNumber);
-        
-        if (included) {
+        const block = await this.checkBundleInclusion(txHash, blockNumber);
+        if (this.bidder) {
+          this.bidder.recordBlock(blockNumber, !!block);
+        }
+
+        if (block) {
+          const includedBy = this.identifyBuilder(block);
+
           this.logger.info("Bundle included in block", {
             bundleHash,
-            blockNumber
+            blockNumber,
+            includedBy
           });
           
-          return {
-            blockNumber,
-            status: 1,
-            bundleHash
-          };
+          const receipt = await this.waitForReceipt(txHash);
+          return { receipt, bundleHash, blockNumber, includedBy };
         }
+
+        await this.logBundleStats(bundleHash, blockNumber);
       } catch (error) {
         this.logger.warn("Error checking bundle inclusion", {
           error: error.message,
@@ -298,26 +479,96 @@ class MEVProtection {
       }
     }
 
-    throw new Error(`Bundle not included within ${maxBlocks} blocks`);
+    throw new Error(`Bundle not included within ${submissions.length} blocks`);
   }
 
+  // Gives the chain one slot of slack past the target, so a stalled node
+  // can't hold the bundle's nonces forever
   async waitForBlock(blockNumber) {
     let currentBlock = await this.provider.getBlockNumber();
+    const deadline = Date.now() + (blockNumber - currentBlock + 1) * this.config.blockTime;
     
     while (currentBlock < blockNumber) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (Date.now() >= deadline) {
+        throw new Error(`Block ${blockNumber} not reached, still at ${currentBlock}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.config.blockPollInterval));
       currentBlock = await this.provider.getBlockNumber();
     }
   }
 
-  async checkBundleInclusion(bundleHash, blockNumber) {
-    // Simulated bundle inclusion check
-    // In real implementation, this would check Flashbots API
-    return Math.random() > 0.7; // 30% chance of inclusion per block
+  // Nodes can serve a block before they index its receipts. Once the trade
+  // is in a block nothing may send it again, so errors only mean try again.
+  async waitForReceipt(txHash) {
+    const deadline = Date.now() + this.config.blockTime;
+    while (true) {
+      try {
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (receipt) return receipt;
+      } catch (error) {
+        this.logger.debug("Receipt not available yet", { txHash, error: error.message });
+      }
+      if (Date.now() >= deadline) return null;
+      await new Promise(resolve => setTimeout(resolve, this.config.blockPollInterval));
+    }
+  }
+
+  // The bundle landed if its transaction is in the block; resolves to that
+  // block, or null
+  async checkBundleInclusion(txHash, blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block && block.transactions.includes(txHash) ? block : null;
+  }
+
+  // Builders pay themselves through the block's coinbase, and most name
+  // themselves in its extra data
+  identifyBuilder(block) {
+    const miner = (block.miner || "").toLowerCase();
+    const byCoinbase = this.builders.find((builder) => builder.coinbase.includes(miner));
+    if (byCoinbase) return byCoinbase.name;
+
+    let extraData = "";
+    try {
+      extraData = ethers.utils.toUtf8String(block.extraData || "0x").toLowerCase();
+    } catch (error) {
+      return null;
+    }
+
+    const byName = this.builders.find((builder) => extraData.includes(builder.name.toLowerCase()));
+    return byName ? byName.name : null;
+  }
+
+  // Why a bundle missed its block, as far as the relay can tell
+  async logBundleStats(bundleHash, blockNumber) {
+    try {
+      const stats = await this.flashbotsProvider.getBundleStats(bundleHash, blockNumber);
+
+      this.logger.info("Bundle not included", {
+        bundleHash,
+        blockNumber,
+        simulated: stats.isSimulated,
+        highPriority: stats.isHighPriority,
+        consideredByBuilders: (stats.consideredByBuildersAt || []).length,
+        sealedByBuilders: (stats.sealedByBuildersAt || []).length
+      });
+
+      return stats;
+    } catch (error) {
+      this.logger.debug("Bundle stats unavailable", {
+        bundleHash,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Whether transactions go out as Flashbots bundles
+  canBundle() {
+    return !!this.flashbotsProvider && this.networkConfig.chainId === 1;
   }
 
   getProtectionMethod() {
-    if (this.flashbotsProvider && this.networkConfig.chainId === 1) {
+    if (this.canBundle()) {
       return 'flashbots';
     } else if (this.privateProvider) {
       return 'private_mempool';
@@ -335,6 +586,16 @@ class MEVProtection {
       method: this.getProtectionMethod(),
       available: this.isProtectionAvailable(),
       flashbotsEnabled: !!this.flashbotsProvider,
+      flashbotsRelay: this.flashbotsProvider ? this.flashbotsProvider.getStats() : null,
+      builders: this.builders.map((builder) => {
+        const stats = this.getBuilderStats(builder.name);
+        return {
+          name: builder.name,
+          url: builder.url,
+          ...stats,
+          inclusionRate: stats.bundles > 0 ? (stats.included / stats.bundles * 100).toFixed(2) + "%" : "0%"
+        };
+      }),
       privateMempool: !!this.privateProvider,
       network: this.networkConfig.name,
       chainId: this.networkConfig.chainId
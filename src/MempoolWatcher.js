@@ -0,0 +1,311 @@
+const { ethers } = require("ethers");
+
+const SUBSCRIPTION_TAG = "mempool";
+const formatter = new ethers.providers.Formatter();
+
+/**
+ * Watches pending transactions for swaps through the configured routers
+ * and turns them into backrun candidates. Each swap is applied to the
+ * quote of its own pool, the pair is re-quoted across every DEX with that
+ * pool as it will be right after the swap, and a spread the swap opens up
+ * becomes an opportunity that carries the signed victim transaction, to be
+ * bundled directly after it.
+ *
+ * Over WebSocket the watcher subscribes to newPendingTransactions with full
+ * bodies; nodes that ignore the flag send hashes, which are fetched, as are
+ * the hashes of the "pending" filter other providers poll. Only swaps
+ * between configured tokens are followed, and swaps within one transaction
+ * are each evaluated against the state before it.
+ */
+class MempoolWatcher {
+  constructor(provider, logger, networkConfig = {}, options = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+    this.priceFetcher = options.priceFetcher;
+    this.dexConfigs = options.dexConfigs || [];
+
+    this.config = {
+      quoteSize: process.env.MEMPOOL_QUOTE_SIZE || "0.1", // Probe, in whole tokenIn
+      maxTracked: 5000, // Hashes remembered to skip repeats
+      ...options.config,
+    };
+
+    this.tokens = new Set(
+      Object.values(networkConfig.tokens || {}).map((token) => token.toLowerCase())
+    );
+    this.routers = new Map(this.dexConfigs.map((dex) => [dex.router.toLowerCase(), dex]));
+
+    this.onCandidate = null;
+    this.isRunning = false;
+    this.pendingListener = null;
+    this.blockListener = null;
+    this.headBlock = null; // Every swap seen in a block is quoted at its head
+    this.seen = new Set();
+
+    this.stats = {
+      received: 0,
+      routerTransactions: 0,
+      swapsDecoded: 0,
+      candidates: 0,
+      unsignable: 0, // Bodies the signed transaction could not be rebuilt from
+      errors: 0,
+    };
+  }
+
+  async start(onCandidate) {
+    if (this.isRunning) return;
+
+    this.onCandidate = onCandidate;
+    this.isRunning = true;
+
+    this.blockListener = (blockNumber) => {
+      if (blockNumber > this.headBlock) this.headBlock = blockNumber;
+    };
+    this.provider.on("block", this.blockListener);
+
+    if (typeof this.provider._subscribe === "function") {
+      // ethers v5 only exposes hash subscriptions, full bodies need the raw one
+      await this.provider._subscribe(
+        SUBSCRIPTION_TAG,
+        ["newPendingTransactions", true],
+        (pending) => this.handlePendingTransaction(pending)
+      );
+    } else {
+      this.pendingListener = (hash) => this.handlePendingTransaction(hash);
+      this.provider.on("pending", this.pendingListener);
+    }
+
+    this.logger.info("Mempool watcher started", {
+      routers: this.dexConfigs.map((dex) => dex.name),
+      subscription: this.pendingListener ? "pending filter" : "websocket",
+    });
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    this.provider.off("block", this.blockListener);
+    this.blockListener = null;
+    this.headBlock = null;
+
+    if (this.pendingListener) {
+      this.provider.off("pending", this.pendingListener);
+      this.pendingListener = null;
+    } else {
+      // Mirrors WebSocketProvider._stopEvent for our own tag
+      const subIdPromise = this.provider._subIds[SUBSCRIPTION_TAG];
+      delete this.provider._subIds[SUBSCRIPTION_TAG];
+      if (subIdPromise) {
+        const subId = await subIdPromise;
+        delete this.provider._subs[subId];
+        await this.provider.send("eth_unsubscribe", [subId]).catch(() => {});
+      }
+    }
+
+    this.logger.info("Mempool watcher stopped", this.getStats());
+  }
+
+  // pending is a transaction body as the node sends it, or its hash.
+  // Resolves to the candidates it produced, each also passed to onCandidate.
+  async handlePendingTransaction(pending) {
+    this.stats.received++;
+
+    try {
+      const tx =
+        typeof pending === "string"
+          ? await this.provider.getTransaction(pending)
+          : formatter.transactionResponse(pending);
+      if (!tx || !tx.to || this.seen.has(tx.hash)) return [];
+
+      const dexConfig = this.routers.get(tx.to.toLowerCase());
+      if (!dexConfig) return [];
+      this.remember(tx.hash);
+      this.stats.routerTransactions++;
+
+      const adapter = this.priceFetcher.getAdapter(dexConfig.type);
+      const swaps = adapter ? adapter.decodeSwaps(dexConfig, tx.data) : [];
+      if (swaps.length === 0) return [];
+      this.stats.swapsDecoded += swaps.length;
+
+      const rawTransaction = this.getRawTransaction(tx);
+      if (!rawTransaction) {
+        this.stats.unsignable++;
+        this.logger.debug("Could not rebuild pending transaction", { txHash: tx.hash });
+        return [];
+      }
+
+      const candidates = [];
+      for (const swap of swaps) {
+        const candidate = await this.evaluateSwap(tx, rawTransaction, dexConfig, swap);
+        if (!candidate) continue;
+
+        candidates.push(candidate);
+        this.stats.candidates++;
+        if (this.onCandidate) await this.onCandidate(candidate);
+      }
+      return candidates;
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.debug("Failed to evaluate pending transaction", {
+        txHash: typeof pending === "string" ? pending : pending && pending.hash,
+        error: error.message,
+      });
+      return [];
+    }
+  }
+
+  // Fetched once, then kept current by block events
+  async getBlockNumber() {
+    if (this.headBlock === null) {
+      this.headBlock = await this.provider.getBlockNumber();
+    }
+    return this.headBlock;
+  }
+
+  remember(txHash) {
+    this.seen.add(txHash);
+    if (this.seen.size > this.config.maxTracked) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+
+  /**
+   * Opportunity on the pair a pending swap trades, quoted in the swap's own
+   * direction with its pool as the swap leaves it. Null unless the spread
+   * runs through that pool, a spread elsewhere is the block scan's to find.
+   */
+  async evaluateSwap(tx, rawTransaction, dexConfig, swap) {
+    const { tokenIn, tokenOut } = swap;
+    if (
+      !this.tokens.has(tokenIn.toLowerCase()) ||
+      !this.tokens.has(tokenOut.toLowerCase()) ||
+      !ethers.BigNumber.from(swap.amountIn).gt(0)
+    ) {
+      return null;
+    }
+
+    // A swap through a pool the lookups found missing moves nothing we
+    // quote, so it is dropped before any round-trip
+    const adapter = this.priceFetcher.getAdapter(dexConfig.type);
+    if (adapter.hasPool(dexConfig, swap) === false) return null;
+
+    const blockNumber = await this.getBlockNumber();
+    const tokenRegistry = this.priceFetcher.tokenRegistry;
+    await tokenRegistry.preload([tokenIn, tokenOut]);
+    const amountIn = tokenRegistry.fromUnits(this.config.quoteSize, tokenIn);
+
+    const prices = await this.priceFetcher.fetchMultiplePrices(
+      this.dexConfigs,
+      tokenIn,
+      tokenOut,
+      amountIn,
+      blockNumber
+    );
+    const victim = prices.find((price) => price.dex === dexConfig.name);
+    if (!victim) return null;
+
+    const predicted = await adapter.predictQuote(
+      dexConfig,
+      tokenIn,
+      tokenOut,
+      amountIn,
+      victim.price,
+      swap,
+      blockNumber
+    );
+    if (!predicted || !predicted.priceData) return null;
+
+    // A swap short of its own minimum reverts and moves nothing
+    if (predicted.amountOut.lt(swap.minAmountOut)) {
+      this.logger.debug("Pending swap would revert, not backrunning it", {
+        txHash: tx.hash,
+        amountOut: predicted.amountOut.toString(),
+        minAmountOut: swap.minAmountOut.toString(),
+      });
+      return null;
+    }
+
+    const opportunity = this.priceFetcher.buildOpportunity(
+      prices.map((price) =>
+        price === victim ? { ...price, price: predicted.priceData } : price
+      ),
+      tokenIn,
+      tokenOut,
+      amountIn,
+      blockNumber
+    );
+    if (
+      !opportunity ||
+      (opportunity.buyDex !== dexConfig.name && opportunity.sellDex !== dexConfig.name)
+    ) {
+      return null;
+    }
+
+    this.logger.info("🎯 Backrun opportunity behind pending swap", {
+      txHash: tx.hash,
+      dex: dexConfig.name,
+      buyDex: opportunity.buyDex,
+      sellDex: opportunity.sellDex,
+      profitPercentage: opportunity.profitPercentage.toFixed(4) + "%",
+    });
+
+    return {
+      ...opportunity,
+      type: "backrun",
+      backrun: {
+        txHash: tx.hash,
+        rawTransaction,
+        from: tx.from,
+        dex: dexConfig.name,
+        amountIn: swap.amountIn.toString(),
+        amountOut: predicted.amountOut.toString(),
+      },
+    };
+  }
+
+  // The victim goes into the bundle exactly as it was signed: rebuilt from
+  // its fields and signature, and only trusted when it hashes back to tx.hash
+  getRawTransaction(tx) {
+    try {
+      const unsigned = {
+        type: tx.type || 0,
+        chainId: tx.chainId,
+        nonce: tx.nonce,
+        to: tx.to,
+        gasLimit: tx.gasLimit,
+        value: tx.value,
+        data: tx.data,
+      };
+      if (tx.type === 1 || tx.type === 2) {
+        unsigned.accessList = tx.accessList || [];
+      }
+      if (tx.type === 2) {
+        unsigned.maxFeePerGas = tx.maxFeePerGas;
+        unsigned.maxPriorityFeePerGas = tx.maxPriorityFeePerGas;
+      } else {
+        unsigned.gasPrice = tx.gasPrice;
+      }
+
+      const rawTransaction = ethers.utils.serializeTransaction(unsigned, {
+        r: tx.r,
+        s: tx.s,
+        v: tx.v,
+      });
+      return ethers.utils.keccak256(rawTransaction) === tx.hash ? rawTransaction : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      running: this.isRunning,
+      routers: this.routers.size,
+    };
+  }
+}
+
+module.exports = MempoolWatcher;
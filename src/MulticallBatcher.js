@@ -0,0 +1,100 @@
+const { ethers } = require("ethers");
+
+// Multicall3 is deployed at the same address on almost every EVM chain
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+class MulticallBatcher {
+  constructor(provider, logger, networkConfig = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+
+    this.address = networkConfig.multicall3 || MULTICALL3_ADDRESS;
+    this.maxCallsPerBatch = 500;
+    this.multicall = new ethers.Contract(
+      this.address,
+      MULTICALL3_ABI,
+      provider
+    );
+
+    this.stats = {
+      batches: 0,
+      calls: 0,
+      failedBatches: 0,
+    };
+  }
+
+  /**
+   * Execute read calls in as few round-trips as possible.
+   * Each call is { target, iface, method, args }. Results come back in the
+   * same order as { success, result } with the decoded return values.
+   */
+  async call(calls, blockTag = "latest") {
+    if (calls.length === 0) return [];
+
+    const results = [];
+    for (let i = 0; i < calls.length; i += this.maxCallsPerBatch) {
+      const chunk = calls.slice(i, i + this.maxCallsPerBatch);
+      results.push(...(await this.executeBatch(chunk, blockTag)));
+    }
+
+    return results;
+  }
+
+  async executeBatch(calls, blockTag) {
+    const encodedCalls = calls.map((call) => ({
+      target: call.target,
+      allowFailure: true,
+      callData: call.iface.encodeFunctionData(call.method, call.args || []),
+    }));
+
+    let response;
+    try {
+      response = await this.multicall.callStatic.aggregate3(encodedCalls, {
+        blockTag,
+      });
+    } catch (error) {
+      this.stats.failedBatches++;
+      throw new Error(`Multicall batch failed: ${error.message}`);
+    }
+
+    this.stats.batches++;
+    this.stats.calls += calls.length;
+
+    return response.map((item, index) => {
+      if (!item.success || item.returnData === "0x") {
+        return { success: false, result: null };
+      }
+
+      try {
+        return {
+          success: true,
+          result: calls[index].iface.decodeFunctionResult(
+            calls[index].method,
+            item.returnData
+          ),
+        };
+      } catch (error) {
+        return { success: false, result: null };
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      address: this.address,
+      averageCallsPerBatch:
+        this.stats.batches > 0
+          ? (this.stats.calls / this.stats.batches).toFixed(1)
+          : "0",
+    };
+  }
+}
+
+module.exports = MulticallBatcher;
+module.exports.MULTICALL3_ADDRESS = MULTICALL3_ADDRESS;
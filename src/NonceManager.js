@@ -0,0 +1,317 @@
+const { ethers } = require("ethers");
+
+const NONCE_TOO_LOW = /nonce too low|nonce has already been used|NONCE_EXPIRED/i;
+
+/**
+ * Hands out the wallet's nonces from a local counter and sees every
+ * transaction it sends through to a receipt. A transaction still pending
+ * after stuckTimeoutMs is re-signed at the same nonce with fees bumped by
+ * feeBumpPercent (nodes drop replacements under 10%), up to
+ * maxReplacements times or the caller's fee cap. Once its opportunity is
+ * older than opportunityTtlMs, or it can't be bumped any further, the
+ * nonce is cancelled with a 0-value self-transfer instead, bumped the same
+ * way, so a stale trade can't land late or hold up the ones behind it.
+ *
+ * sync() reconciles the counter with the node's pending transaction count,
+ * on startup and whenever the node reports a nonce as used. Bundles reserve
+ * their nonces and release them when the bundle misses.
+ */
+class NonceManager {
+  constructor(provider, wallet, logger, networkConfig = {}, options = {}) {
+    this.provider = provider;
+    this.wallet = wallet;
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+
+    this.config = {
+      stuckTimeoutMs: parseInt(process.env.NONCE_STUCK_TIMEOUT_MS) || 30000,
+      feeBumpPercent: Math.max(10, parseInt(process.env.NONCE_FEE_BUMP_PERCENT) || 12),
+      maxReplacements: parseInt(process.env.NONCE_MAX_REPLACEMENTS) || 3,
+      opportunityTtlMs: parseInt(process.env.OPPORTUNITY_TTL_MS) || 60000,
+      pollInterval: 1000,
+      ...options.config,
+    };
+
+    this.nextNonce = null; // Unknown until the first sync
+    this.pending = new Map(); // nonce => { hashes, cancelIndex, expiresAt }
+
+    this.stats = {
+      sent: 0,
+      replaced: 0,
+      cancelled: 0,
+      confirmed: 0,
+      resyncs: 0,
+      pendingAtStartup: 0, // Left in the mempool by an earlier run
+    };
+  }
+
+  async sync() {
+    const address = await this.wallet.getAddress();
+    const [pendingCount, minedCount] = await Promise.all([
+      this.provider.getTransactionCount(address, "pending"),
+      this.provider.getTransactionCount(address, "latest"),
+    ]);
+
+    for (const nonce of this.pending.keys()) {
+      if (nonce < minedCount) this.pending.delete(nonce);
+    }
+
+    // Our own pending transactions hold their nonces even if a node behind
+    // a load balancer hasn't seen them yet
+    const firstSync = this.nextNonce === null;
+    this.nextNonce = this.pending.size > 0
+      ? Math.max(pendingCount, Math.max(...this.pending.keys()) + 1)
+      : pendingCount;
+    this.stats.resyncs++;
+    if (firstSync) {
+      this.stats.pendingAtStartup = pendingCount - minedCount;
+    }
+
+    this.logger.info("Nonces reconciled", {
+      address,
+      nextNonce: this.nextNonce,
+      mined: minedCount,
+      pending: pendingCount - minedCount,
+      tracked: this.pending.size,
+    });
+    if (firstSync && pendingCount > minedCount) {
+      this.logger.warn("Transactions from an earlier run are still pending", {
+        nonces: `${minedCount}-${pendingCount - 1}`,
+      });
+    }
+
+    return this.nextNonce;
+  }
+
+  async reserve() {
+    if (this.nextNonce === null) {
+      await this.sync();
+    }
+    return this.nextNonce++;
+  }
+
+  // Hands back a reservation that never reached the mempool, as long as no
+  // later nonce has been handed out since
+  release(nonce) {
+    if (nonce === this.nextNonce - 1 && !this.pending.has(nonce)) {
+      this.nextNonce--;
+    }
+  }
+
+  /**
+   * Sends transaction at a reserved nonce through provider (the manager's
+   * own by default) and replaces it until one version, or its cancellation,
+   * is mined. Options: opportunityTimestamp, when the trade was found;
+   * maxFeePerGas, the cap for replacing it (cancellations aren't capped).
+   * Resolves to { success, txHash, nonce, receipt, replacements, cancelled }
+   * for whichever version was mined, with the receipt of a cancellation
+   * under cancellationReceipt instead. Errors once the transaction is out
+   * carry sent: true, so callers don't send the trade again; one is thrown
+   * when a cancellation runs out of replacements, leaving the nonce tracked.
+   */
+  async sendTransaction(transaction, options = {}) {
+    const provider = options.provider || this.provider;
+    const nonce = await this.reserve();
+
+    let populated;
+    let txHash;
+    try {
+      populated = await this.wallet.populateTransaction({ ...transaction, nonce });
+      txHash = await this.broadcast(populated, provider);
+    } catch (error) {
+      this.release(nonce);
+      if (NONCE_TOO_LOW.test(error.message)) {
+        await this.sync();
+      }
+      throw error;
+    }
+
+    const entry = {
+      hashes: [txHash], // Every version, in the order they were sent
+      cancelIndex: null, // Index of the first cancellation in hashes
+      expiresAt: (options.opportunityTimestamp || Date.now()) + this.config.opportunityTtlMs,
+    };
+    this.pending.set(nonce, entry);
+    this.stats.sent++;
+
+    this.logger.info("Transaction sent", { hash: txHash, nonce });
+
+    try {
+      return await this.replaceUntilMined(nonce, entry, populated, provider, options.maxFeePerGas);
+    } catch (error) {
+      error.sent = true;
+      throw error;
+    }
+  }
+
+  // Replaces the transaction until one of its versions is mined
+  async replaceUntilMined(nonce, entry, populated, provider, maxFeePerGas) {
+    let current = populated;
+    while (true) {
+      const receipt = await this.waitForReceipt(nonce, entry.hashes);
+      if (receipt) {
+        this.pending.delete(nonce);
+        this.stats.confirmed++;
+        const cancelled = entry.cancelIndex !== null &&
+          entry.hashes.indexOf(receipt.transactionHash) >= entry.cancelIndex;
+
+        // A mined cancellation is a successful transaction but no trade
+        return {
+          success: !cancelled && receipt.status === 1,
+          txHash: receipt.transactionHash,
+          nonce,
+          receipt: cancelled ? null : receipt,
+          replacements: entry.hashes.length - 1,
+          cancelled,
+          ...(cancelled && { reason: "Stuck transaction was cancelled", cancellationReceipt: receipt }),
+        };
+      }
+
+      if (entry.cancelIndex !== null &&
+        entry.hashes.length - 1 - entry.cancelIndex >= this.config.maxReplacements) {
+        throw new Error(`Nonce ${nonce} still pending after cancelling it`);
+      }
+
+      const replacement = await this.getReplacement(current, entry, maxFeePerGas);
+      try {
+        entry.hashes.push(await this.broadcast(replacement, provider));
+      } catch (error) {
+        // The last version may have been mined in the meantime, or the
+        // nonce taken by another transaction; either way the counter moved
+        if (NONCE_TOO_LOW.test(error.message)) {
+          await this.sync();
+          continue;
+        }
+        throw error;
+      }
+      current = replacement;
+    }
+  }
+
+  async broadcast(transaction, provider) {
+    const signed = await this.wallet.signTransaction(transaction);
+    await provider.sendTransaction(signed);
+    return ethers.utils.keccak256(signed);
+  }
+
+  // The receipt of any version of nonce mined within stuckTimeoutMs, or null
+  async waitForReceipt(nonce, hashes) {
+    const deadline = Date.now() + this.config.stuckTimeoutMs;
+    let timedOut = false;
+
+    while (true) {
+      for (const hash of hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      }
+      if (timedOut) break;
+
+      await new Promise((resolve) => setTimeout(resolve, this.config.pollInterval));
+      if (Date.now() >= deadline) {
+        // Mined by a transaction we never sent, unless one of ours made it
+        // since the last check
+        const minedCount = await this.provider.getTransactionCount(await this.wallet.getAddress(), "latest");
+        if (minedCount <= nonce) return null;
+        timedOut = true;
+      }
+    }
+
+    // Whoever took it may have taken later nonces too
+    this.pending.delete(nonce);
+    await this.sync();
+    throw new Error(`Nonce ${nonce} was used by another transaction`);
+  }
+
+  /**
+   * The next version of a stuck transaction: the same call with bumped fees
+   * while it is worth landing, otherwise a 0-value self-transfer, with fees
+   * bumped over the last version either way.
+   */
+  async getReplacement(current, entry, maxFeePerGas) {
+    const fees = await this.getBumpedFees(current);
+    const feePerGas = fees.maxFeePerGas || fees.gasPrice;
+
+    if (entry.cancelIndex === null) {
+      const reason = this.getCancelReason(entry, feePerGas, maxFeePerGas);
+      if (reason) {
+        return await this.getCancellation(current, entry, fees, reason);
+      }
+      this.stats.replaced++;
+    }
+
+    this.logger.warn("Transaction stuck, bumping its fees", {
+      nonce: current.nonce,
+      replaces: entry.hashes[entry.hashes.length - 1],
+      cancellation: entry.cancelIndex !== null,
+      feePerGas: ethers.utils.formatUnits(feePerGas, "gwei") + " gwei",
+    });
+    return { ...current, ...fees };
+  }
+
+  // Why a stuck trade should be cancelled rather than replaced, or null
+  getCancelReason(entry, feePerGas, maxFeePerGas) {
+    if (Date.now() >= entry.expiresAt) return "opportunity expired";
+    if (entry.hashes.length > this.config.maxReplacements) return "out of replacements";
+    if (maxFeePerGas && feePerGas.gt(maxFeePerGas)) return "fee cap reached";
+    return null;
+  }
+
+  async getCancellation(current, entry, fees, reason) {
+    entry.cancelIndex = entry.hashes.length;
+    this.stats.cancelled++;
+    this.logger.warn("Cancelling stale transaction", {
+      nonce: current.nonce,
+      replaces: entry.hashes[entry.hashes.length - 1],
+      reason,
+    });
+
+    const cancellation = {
+      type: current.type,
+      chainId: current.chainId,
+      nonce: current.nonce,
+      to: await this.wallet.getAddress(),
+      value: 0,
+      data: "0x",
+      gasLimit: 21000,
+      ...fees,
+    };
+    if (current.type === 1 || current.type === 2) {
+      cancellation.accessList = [];
+    }
+    return cancellation;
+  }
+
+  // feeBumpPercent over the last version, or the network's current fees
+  // when those are higher
+  async getBumpedFees(current) {
+    const feeData = await this.provider.getFeeData();
+    const bump = (fee, market) => {
+      const bumped = ethers.BigNumber.from(fee)
+        .mul(100 + this.config.feeBumpPercent)
+        .add(99)
+        .div(100);
+      return market && market.gt(bumped) ? market : bumped;
+    };
+
+    if (current.type === 2) {
+      const maxPriorityFeePerGas = bump(current.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas);
+      const maxFeePerGas = bump(current.maxFeePerGas, feeData.maxFeePerGas);
+      return {
+        maxFeePerGas: maxFeePerGas.gt(maxPriorityFeePerGas) ? maxFeePerGas : maxPriorityFeePerGas,
+        maxPriorityFeePerGas,
+      };
+    }
+
+    return { gasPrice: bump(current.gasPrice, feeData.gasPrice) };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      nextNonce: this.nextNonce,
+      pending: [...this.pending.keys()],
+    };
+  }
+}
+
+module.exports = NonceManager;
@@ -1,11 +1,17 @@
 const { ethers } = require("ethers");
+const client = require("prom-client");
 const fs = require("fs");
 const path = require("path");
 
+// Histogram buckets in seconds
+const RPC_LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
 class PerformanceMonitor {
-  constructor(logger, networkConfig) {
+  constructor(logger, networkConfig, options = {}) {
     this.logger = logger;
     this.networkConfig = networkConfig;
+    this.alertManager = options.alertManager || null; // Delivers alerts to sinks
     
     // Performance metrics
     this.metrics = {
@@ -21,6 +27,9 @@ class PerformanceMonitor {
       lastUpdateTime: Date.now()
     };
 
+    // Realized less estimated net profit of each executed trade
+    this.profitVariances = [];
+
     // Performance history
     this.performanceHistory = [];
     this.maxHistorySize = 1000;
@@ -36,10 +45,193 @@ class PerformanceMonitor {
     // Monitoring intervals
     this.monitoringInterval = null;
     this.reportingInterval = null;
+
+    // Prometheus metrics, served from the control API's /metrics
+    this.metricsRegistry = new client.Registry();
+    this.initializeMetrics();
     
     this.initializeMonitoring();
   }
 
+  initializeMetrics() {
+    const registers = [this.metricsRegistry];
+    this.metricsRegistry.setDefaultLabels({ network: this.networkConfig.name });
+
+    this.prometheus = {
+      opportunitiesDetected: new client.Counter({
+        name: "arbitrage_opportunities_detected_total",
+        help: "Arbitrage opportunities found by scans",
+        labelNames: ["dex_pair"],
+        registers
+      }),
+      trades: new client.Counter({
+        name: "arbitrage_trades_total",
+        help: "Trades sent on-chain, by outcome",
+        labelNames: ["dex_pair", "outcome"],
+        registers
+      }),
+      tradeFailures: new client.Counter({
+        name: "arbitrage_trade_failures_total",
+        help: "Failed trades by failure reason",
+        labelNames: ["dex_pair", "reason"],
+        registers
+      }),
+      vetoes: new client.Counter({
+        name: "arbitrage_trade_vetoes_total",
+        help: "Trades stopped before submission, by stage and failure reason",
+        labelNames: ["dex_pair", "stage", "reason"],
+        registers
+      }),
+      errors: new client.Counter({
+        name: "arbitrage_errors_total",
+        help: "Errors recorded by the performance monitor",
+        labelNames: ["type"],
+        registers
+      }),
+      gasCost: new client.Counter({
+        name: "arbitrage_gas_cost_eth_total",
+        help: "Gas paid by sent trades, in ETH",
+        registers
+      }),
+      executionDuration: new client.Histogram({
+        name: "arbitrage_execution_duration_seconds",
+        help: "Time from risk assessment to trade outcome",
+        labelNames: ["dex_pair"],
+        buckets: DURATION_BUCKETS,
+        registers
+      }),
+      scanDuration: new client.Histogram({
+        name: "arbitrage_scan_duration_seconds",
+        help: "Duration of block scans, by whether a newer block cancelled them",
+        labelNames: ["outcome"],
+        buckets: DURATION_BUCKETS,
+        registers
+      }),
+      rpcLatency: new client.Histogram({
+        name: "arbitrage_rpc_request_duration_seconds",
+        help: "JSON-RPC request latency per provider",
+        labelNames: ["provider", "method", "status"],
+        buckets: RPC_LATENCY_BUCKETS,
+        registers
+      }),
+      successRate: new client.Gauge({
+        name: "arbitrage_success_ratio",
+        help: "Successful share of sent trades",
+        registers
+      }),
+      errorRate: new client.Gauge({
+        name: "arbitrage_error_ratio",
+        help: "Errors per executed opportunity",
+        registers
+      }),
+      profitPerHour: new client.Gauge({
+        name: "arbitrage_profit_per_hour_eth",
+        help: "Profit before gas per hour of uptime, in ETH",
+        registers
+      }),
+      netProfit: new client.Gauge({
+        name: "arbitrage_net_profit_eth",
+        help: "Profit less gas since start, in ETH",
+        registers
+      }),
+      averageExecutionTime: new client.Gauge({
+        name: "arbitrage_average_execution_seconds",
+        help: "Mean execution time of opportunities",
+        registers
+      }),
+      opportunitiesPerHour: new client.Gauge({
+        name: "arbitrage_opportunities_per_hour",
+        help: "Executed opportunities per hour of uptime",
+        registers
+      }),
+      profitVariance: new client.Gauge({
+        name: "arbitrage_profit_variance_usd",
+        help: "Mean realized less estimated net profit per trade, in USD",
+        registers
+      })
+    };
+  }
+
+  // Legs in execution order, the same label for a pair and its route
+  getDexPair(opportunity) {
+    if (!opportunity) return "unknown";
+    const dexes = opportunity.dexes || [opportunity.sellDex, opportunity.buyDex].filter(Boolean);
+    return dexes.length > 0 ? dexes.join(">") : "unknown";
+  }
+
+  // Time every JSON-RPC request the provider sends from its debug events;
+  // named after the RPC host unless a name is given
+  instrumentProvider(provider, name = null) {
+    const providerName = name || this.getProviderName(provider);
+    const pending = new Map(); // request id => start time
+
+    provider.on("debug", (event) => {
+      const request = event.request;
+      if (!request || request.id === undefined) return;
+
+      if (event.action === "request") {
+        pending.set(request.id, Date.now());
+      } else if (event.action === "response" && pending.has(request.id)) {
+        this.prometheus.rpcLatency.observe(
+          {
+            provider: providerName,
+            method: request.method,
+            status: event.error ? "error" : "ok"
+          },
+          (Date.now() - pending.get(request.id)) / 1000
+        );
+        pending.delete(request.id);
+      }
+    });
+  }
+
+  getProviderName(provider) {
+    try {
+      return new URL(provider.connection.url).host;
+    } catch (error) {
+      return "default";
+    }
+  }
+
+  recordDetection(opportunity) {
+    this.prometheus.opportunitiesDetected.inc({ dex_pair: this.getDexPair(opportunity) });
+  }
+
+  // A trade the risk manager or executor stopped before it was sent
+  recordVeto(opportunity, stage, category = null) {
+    this.prometheus.vetoes.inc({
+      dex_pair: this.getDexPair(opportunity),
+      stage,
+      reason: category || stage
+    });
+  }
+
+  // Scan timings reported by BlockScanScheduler
+  recordScan({ durationMs, cancelled }) {
+    this.prometheus.scanDuration.observe(
+      { outcome: cancelled ? "cancelled" : "completed" },
+      durationMs / 1000
+    );
+  }
+
+  // Prometheus exposition of every metric, gauges refreshed first
+  async getMetrics() {
+    const metrics = this.collectPerformanceMetrics();
+
+    this.prometheus.successRate.set(metrics.successRate);
+    this.prometheus.errorRate.set(metrics.errorRate);
+    this.prometheus.profitPerHour.set(metrics.profitPerHour);
+    this.prometheus.netProfit.set(metrics.netProfitETH);
+    this.prometheus.averageExecutionTime.set(metrics.averageExecutionTime / 1000);
+    this.prometheus.opportunitiesPerHour.set(metrics.opportunitiesPerHour);
+    this.prometheus.profitVariance.set(metrics.profitVariance.averageVarianceUSD);
+
+    return {
+      contentType: this.metricsRegistry.contentType,
+      body: await this.metricsRegistry.metrics()
+    };
+  }
+
   initializeMonitoring() {
     // Start performance monitoring
     this.monitoringInterval = setInterval(() => {
@@ -78,6 +270,10 @@ class PerformanceMonitor {
 
     // Update average execution time
     this.updateAverageExecutionTime(executionTime);
+    this.prometheus.executionDuration.observe(
+      { dex_pair: this.getDexPair(opportunity) },
+      executionTime / 1000
+    );
     
     this.logger.debug("Opportunity recorded", {
       totalOpportunities: this.metrics.totalOpportunities,
@@ -85,25 +281,85 @@ class PerformanceMonitor {
     });
   }
 
-  recordTradeExecution(result, profitability, gasUsed) {
+  recordTradeExecution(result, profitability, gasUsed, opportunity = null) {
+    const realized = result.realized;
+    const dexPair = this.getDexPair(opportunity);
+
+    this.prometheus.trades.inc({ dex_pair: dexPair, outcome: result.success ? "success" : "failure" });
+    if (!result.success) {
+      this.prometheus.tradeFailures.inc({
+        dex_pair: dexPair,
+        reason: result.category || result.stage || "unknown"
+      });
+    }
+
     if (result.success) {
       this.metrics.successfulTrades++;
-      this.metrics.totalProfitETH += profitability.netProfitETH;
-      
-      if (gasUsed) {
-        this.metrics.totalGasCostETH += parseFloat(ethers.utils.formatEther(gasUsed));
-      }
+
+      // Gas is tracked separately, so realized profit counts before gas
+      this.metrics.totalProfitETH +=
+        realized && realized.profitETH !== null
+          ? realized.profitETH
+          : profitability.netProfitETH;
     } else {
       this.metrics.failedTrades++;
       this.recordError('trade_execution_failed', result.reason);
     }
 
+    // Mined reverts burn gas too
+    if (gasUsed) {
+      const gasCostETH = parseFloat(ethers.utils.formatEther(gasUsed));
+      this.metrics.totalGasCostETH += gasCostETH;
+      this.prometheus.gasCost.inc(gasCostETH);
+    }
+
+    if (result.variance) {
+      this.recordProfitVariance(result.variance);
+    }
+
     this.metrics.lastUpdateTime = Date.now();
     
     // Check for alerts
     this.checkAlertConditions();
   }
 
+  recordProfitVariance(variance) {
+    this.profitVariances.push({ timestamp: Date.now(), ...variance });
+
+    if (this.profitVariances.length > this.maxHistorySize) {
+      this.profitVariances = this.profitVariances.slice(-this.maxHistorySize);
+    }
+
+    this.logger.info("Estimated vs realized profit", {
+      estimatedProfitUSD: variance.estimatedProfitUSD.toFixed(4),
+      realizedProfitUSD: variance.realizedProfitUSD.toFixed(4),
+      varianceUSD: variance.varianceUSD.toFixed(4)
+    });
+  }
+
+  // Mean signed variance shows bias, mean absolute variance shows accuracy
+  getProfitVarianceStats() {
+    const count = this.profitVariances.length;
+    if (count === 0) {
+      return { count: 0, averageVarianceUSD: 0, averageAbsVarianceUSD: 0, averageAbsVariancePercent: null };
+    }
+
+    const percents = this.profitVariances
+      .map(variance => variance.variancePercent)
+      .filter(percent => percent !== null);
+
+    return {
+      count,
+      averageVarianceUSD:
+        this.profitVariances.reduce((sum, variance) => sum + variance.varianceUSD, 0) / count,
+      averageAbsVarianceUSD:
+        this.profitVariances.reduce((sum, variance) => sum + Math.abs(variance.varianceUSD), 0) / count,
+      averageAbsVariancePercent: percents.length > 0
+        ? percents.reduce((sum, percent) => sum + Math.abs(percent), 0) / percents.length
+        : null
+    };
+  }
+
   recordPriceUpdate(dexName, tokenPair, price) {
     this.metrics.priceUpdateCount++;
     
@@ -117,6 +373,7 @@ class PerformanceMonitor {
 
   recordError(errorType, errorMessage) {
     this.metrics.errorCount++;
+    this.prometheus.errors.inc({ type: errorType });
     
     const errorRecord = {
       timestamp: Date.now(),
@@ -160,6 +417,7 @@ class PerformanceMonitor {
       priceUpdateCount: this.metrics.priceUpdateCount,
       opportunitiesPerHour: this.calculateOpportunitiesPerHour(uptime),
       profitPerHour: this.calculateProfitPerHour(uptime),
+      profitVariance: this.getProfitVarianceStats(),
       network: this.networkConfig.name
     };
 
@@ -189,7 +447,8 @@ class PerformanceMonitor {
         successRate: (metrics.successRate * 100).toFixed(2) + "%",
         errorRate: (metrics.errorRate * 100).toFixed(2) + "%",
         netProfitETH: metrics.netProfitETH.toFixed(6),
-        averageExecutionTime: metrics.averageExecutionTime.toFixed(0) + "ms"
+        averageExecutionTime: metrics.averageExecutionTime.toFixed(0) + "ms",
+        averageProfitVarianceUSD: metrics.profitVariance.averageVarianceUSD.toFixed(4)
       },
       performance: {
         opportunitiesPerHour: metrics.opportunitiesPerHour.toFixed(2),
@@ -215,46 +474,64 @@ class PerformanceMonitor {
     return `${hours}h ${minutes}m ${seconds}s`;
   }
 
+  // Raise each condition that holds and resolve the ones that cleared; the
+  // alert manager throttles repeats, so this can run after every trade
   checkAlertConditions() {
     const metrics = this.collectPerformanceMetrics();
     
     // Check success rate
-    if (metrics.successRate < this.alertThresholds.minSuccessRate && metrics.totalTrades > 10) {
-      this.triggerAlert('low_success_rate', {
+    this.setAlertCondition(
+      'low_success_rate',
+      metrics.successRate < this.alertThresholds.minSuccessRate && metrics.totalTrades > 10,
+      {
         current: (metrics.successRate * 100).toFixed(2) + "%",
         threshold: (this.alertThresholds.minSuccessRate * 100) + "%"
-      });
-    }
+      }
+    );
 
     // Check execution time
-    if (metrics.averageExecutionTime > this.alertThresholds.maxExecutionTime) {
-      this.triggerAlert('high_execution_time', {
+    this.setAlertCondition(
+      'high_execution_time',
+      metrics.averageExecutionTime > this.alertThresholds.maxExecutionTime,
+      {
         current: metrics.averageExecutionTime.toFixed(0) + "ms",
         threshold: this.alertThresholds.maxExecutionTime + "ms"
-      });
-    }
+      }
+    );
 
     // Check profit margin
     const profitMargin = metrics.totalTrades > 0 ? 
       (metrics.netProfitETH / metrics.totalTrades) * 100 : 0;
     
-    if (profitMargin < this.alertThresholds.minProfitMargin && metrics.totalTrades > 5) {
-      this.triggerAlert('low_profit_margin', {
+    this.setAlertCondition(
+      'low_profit_margin',
+      profitMargin < this.alertThresholds.minProfitMargin && metrics.totalTrades > 5,
+      {
         current: profitMargin.toFixed(4) + "%",
         threshold: this.alertThresholds.minProfitMargin + "%"
-      });
-    }
+      }
+    );
   }
 
   checkErrorRate() {
     const errorRate = this.metrics.totalOpportunities > 0 ? 
       this.metrics.errorCount / this.metrics.totalOpportunities : 0;
     
-    if (errorRate > this.alertThresholds.maxErrorRate && this.metrics.totalOpportunities > 10) {
-      this.triggerAlert('high_error_rate', {
+    this.setAlertCondition(
+      'high_error_rate',
+      errorRate > this.alertThresholds.maxErrorRate && this.metrics.totalOpportunities > 10,
+      {
         current: (errorRate * 100).toFixed(2) + "%",
         threshold: (this.alertThresholds.maxErrorRate * 100) + "%"
-      });
+      }
+    );
+  }
+
+  setAlertCondition(alertType, holds, data) {
+    if (holds) {
+      this.triggerAlert(alertType, data);
+    } else if (this.alertManager) {
+      this.alertManager.resolve(alertType, data);
     }
   }
 
@@ -269,9 +546,7 @@ class PerformanceMonitor {
 
     this.logger.warn(`🚨 PERFORMANCE ALERT: ${alertType}`, alert);
     
-    // In production, you would send this to monitoring systems
-    // like Slack, Discord, email, or monitoring dashboards
-    this.sendAlert(alert);
+    return this.sendAlert(alert);
   }
 
   getAlertSeverity(alertType) {
@@ -286,18 +561,8 @@ class PerformanceMonitor {
   }
 
   sendAlert(alert) {
-    // Placeholder for alert sending logic
-    // In production, integrate with:
-    // - Slack webhooks
-    // - Discord webhooks
-    // - Email notifications
-    // - SMS alerts
-    // - Monitoring dashboards (Grafana, DataDog, etc.)
-    
-    this.logger.info("Alert would be sent to monitoring systems", {
-      type: alert.type,
-      severity: alert.severity
-    });
+    if (!this.alertManager) return null;
+    return this.alertManager.raise(alert);
   }
 
   getActiveAlerts() {
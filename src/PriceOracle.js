@@ -156,7 +156,7 @@ class PriceOracle {
     return result;
   }
 
-  async getTokenPriceInUSD(tokenAddress, amount) {
+  async getTokenPriceInUSD(tokenAddress, amount, decimals = 18) {
     try {
       // Find token symbol from network config
       const tokenSymbol = this.findTokenSymbol(tokenAddress);
@@ -165,9 +165,9 @@ class PriceOracle {
       }
 
       const price = await this.getPrice(tokenSymbol);
-      const amountInEther = parseFloat(ethers.utils.formatEther(amount));
+      const amountInTokens = parseFloat(ethers.utils.formatUnits(amount, decimals));
       
-      return amountInEther * price;
+      return amountInTokens * price;
     } catch (error) {
       this.logger.error("Failed to get token price in USD", {
         error: error.message,
@@ -1,28 +1,52 @@
 const { ethers } = require("ethers");
 const PriceOracle = require("./PriceOracle");
+const TokenRegistry = require("./TokenRegistry");
+const GasEstimator = require("./GasEstimator");
+const { getOptimalAmountIn } = require("./UniswapV2Math");
+const { DexAdapterRegistry } = require("./adapters");
+const { DEFAULT_SWAP_GAS } = require("./adapters/DexAdapter");
+
+const AAVE_ADDRESS_PROVIDER_ABI = [
+  "function getPool() external view returns (address)",
+];
+
+const AAVE_POOL_ABI = [
+  "function FLASHLOAN_PREMIUM_TOTAL() external view returns (uint128)",
+];
 
 class ProfitCalculator {
-  constructor(provider, logger, networkConfig) {
+  constructor(provider, logger, networkConfig, tokenRegistry = null, options = {}) {
     this.provider = provider;
     this.logger = logger;
     this.networkConfig = networkConfig;
+    this.bidder = options.bidder || null; // BundleBidder, what bundles pay the builder
     this.priceOracle = new PriceOracle(provider, logger, networkConfig);
 
+    // Share the price fetcher's registry when given one
+    this.tokenRegistry =
+      tokenRegistry || new TokenRegistry(provider, logger, networkConfig);
+
     // Fee constants
-    this.AAVE_FLASHLOAN_FEE = 0.0009; // 0.09%
-    this.UNISWAP_V2_FEE = 0.003; // 0.3%
-    this.UNISWAP_V3_FEE = 0.003; // 0.3% (varies by pool)
-    this.SUSHISWAP_FEE = 0.003; // 0.3%
+    this.AAVE_FLASHLOAN_FEE = 0.0009; // 0.09%, when the live premium cannot be read
+    this.UNISWAP_V2_FEE = 0.003; // 0.3%, for DEX types without an adapter
 
-    // Gas estimates
+    // Static gas model, when neither a live estimate nor receipts are at hand;
+    // each swap costs what its DEX adapter estimates
     this.GAS_ESTIMATES = {
       FLASHLOAN_BASE: 150000,
-      UNISWAP_V2_SWAP: 120000,
-      UNISWAP_V3_SWAP: 150000,
-      SUSHISWAP_SWAP: 120000,
       TOKEN_TRANSFER: 21000,
       BUFFER: 50000, // Safety buffer
     };
+
+    // Fee and gas model per DEX type
+    this.adapters = new DexAdapterRegistry(this);
+
+    // Execution gas from estimateGas and past receipts, plus L1 data fees
+    this.gasEstimator = new GasEstimator(provider, logger, networkConfig);
+
+    // Aave governance changes the premium rarely, re-read it hourly
+    this.flashloanPremium = null; // { rate, fetchedAt }
+    this.flashloanPremiumTtl = 3600000;
   }
 
   async calculateGasCost(gasEstimate, gasPriceGwei) {
@@ -41,137 +65,358 @@ class ProfitCalculator {
     }
   }
 
-  calculateDexFee(amountIn, dexType) {
-    let feeRate;
-    switch (dexType) {
-      case "UNISWAP_V2":
-        feeRate = this.UNISWAP_V2_FEE;
-        break;
-      case "UNISWAP_V3":
-        feeRate = this.UNISWAP_V3_FEE;
-        break;
-      case "SUSHISWAP":
-        feeRate = this.SUSHISWAP_FEE;
-        break;
-      default:
-        feeRate = 0.003; // Default 0.3%
-    }
-
-    return parseFloat(ethers.utils.formatEther(amountIn)) * feeRate;
-  }
+  // Fee in whole units of the input token (18 decimals when no token given).
+  // pool, when known, lets the adapter use the fee the pool actually charges:
+  // the V3 tier, the fork's V2 fee, Balancer's swap fee or Curve's fee
+  calculateDexFee(amountIn, dexType, token = null, pool = null) {
+    const adapter = this.adapters.get(dexType);
+    const feeRate = adapter
+      ? adapter.getFeeRate(dexType, pool)
+      : this.UNISWAP_V2_FEE; // Default 0.3%
 
-  async calculateArbitrageProfitability(opportunity) {
-    try {
-      const amountIn = ethers.BigNumber.from(opportunity.amountIn);
-      const buyAmountOut = ethers.BigNumber.from(opportunity.buyAmountOut);
-      const sellAmountOut = ethers.BigNumber.from(opportunity.sellAmountOut);
+    const amount = token
+      ? this.tokenRegistry.toUnits(amountIn, token)
+      : parseFloat(ethers.utils.formatEther(amountIn));
 
-      // Get real-time ETH price from oracle
-      const ethPriceUSD = await this.priceOracle.getPrice("ETH");
+    return amount * feeRate;
+  }
 
-      // Calculate amounts in ETH terms
-      const amountInETH = parseFloat(ethers.utils.formatEther(amountIn));
-      const sellAmountOutETH = parseFloat(
-        ethers.utils.formatEther(sellAmountOut)
-      );
+  // Quotes from an adapter are net of fees unless it says otherwise; a fee
+  // the quote already paid is part of gross profit and not a further cost
+  isFeeInQuote(dexType, pool = null) {
+    const adapter = this.adapters.get(dexType);
+    return adapter ? adapter.quotesIncludeFees(pool) : false;
+  }
 
-      // Calculate gross profit (before fees and gas)
-      const grossProfitETH = sellAmountOutETH - amountInETH;
-      const grossProfitUSD = grossProfitETH * ethPriceUSD;
+  // USD fees of a set of swaps { amountIn, dexType, token, pool, priceUSD },
+  // split by whether the quotes already paid them
+  calculateSwapFeesUSD(swaps) {
+    let dexFeesUSD = 0;
+    let quotedDexFeesUSD = 0;
+
+    for (const swap of swaps) {
+      const feeUSD =
+        this.calculateDexFee(swap.amountIn, swap.dexType, swap.token, swap.pool) *
+        swap.priceUSD;
+      dexFeesUSD += feeUSD;
+      if (this.isFeeInQuote(swap.dexType, swap.pool)) {
+        quotedDexFeesUSD += feeUSD;
+      }
+    }
 
-      // Calculate DEX fees
-      const buyDexFee = this.calculateDexFee(amountIn, opportunity.buyDex);
-      const sellDexFee = this.calculateDexFee(
-        buyAmountOut,
-        opportunity.sellDex
-      );
-      const totalDexFeesETH = buyDexFee + sellDexFee;
-      const totalDexFeesUSD = totalDexFeesETH * ethPriceUSD;
+    return { dexFeesUSD, quotedDexFeesUSD };
+  }
 
-      // Calculate Aave flashloan fee
-      const flashloanFeeETH = amountInETH * this.AAVE_FLASHLOAN_FEE;
-      const flashloanFeeUSD = flashloanFeeETH * ethPriceUSD;
+  // DEX type of an opportunity leg: declared by the fetcher, else the
+  // quoted pool's, else the DEX name, which matches its type for most DEXes
+  getLegDexType(dexType, pool, dexName) {
+    return dexType || (pool && pool.dexType) || dexName;
+  }
 
-      // Calculate gas costs
-      const currentGasPrice = await this.getCurrentGasPrice();
-      const totalGasEstimate =
-        this.GAS_ESTIMATES.FLASHLOAN_BASE +
-        this.GAS_ESTIMATES.UNISWAP_V2_SWAP * 2 + // Buy and sell
-        this.GAS_ESTIMATES.TOKEN_TRANSFER * 2 +
-        this.GAS_ESTIMATES.BUFFER;
+  /**
+   * Aave's flash loan premium as a fraction, read live from the pool's
+   * FLASHLOAN_PREMIUM_TOTAL (basis points). Networks without an address
+   * provider, or a failed read, use AAVE_FLASHLOAN_FEE until the next
+   * refresh.
+   */
+  async getFlashloanPremium() {
+    if (
+      this.flashloanPremium &&
+      Date.now() - this.flashloanPremium.fetchedAt < this.flashloanPremiumTtl
+    ) {
+      return this.flashloanPremium.rate;
+    }
 
-      const gasCostWei = await this.calculateGasCost(
-        totalGasEstimate,
-        currentGasPrice
-      );
-      const gasCostETH = parseFloat(ethers.utils.formatEther(gasCostWei));
-      const gasCostUSD = gasCostETH * ethPriceUSD;
+    let rate = this.AAVE_FLASHLOAN_FEE;
+    const addressProvider = this.networkConfig && this.networkConfig.aaveAddressProvider;
+    if (addressProvider) {
+      try {
+        const addresses = new ethers.Contract(
+          addressProvider,
+          AAVE_ADDRESS_PROVIDER_ABI,
+          this.provider
+        );
+        const pool = new ethers.Contract(
+          await addresses.getPool(),
+          AAVE_POOL_ABI,
+          this.provider
+        );
+        const premiumBps = await pool.FLASHLOAN_PREMIUM_TOTAL();
+        rate = premiumBps.toNumber() / 10000;
+      } catch (error) {
+        this.logger.debug("Failed to read Aave flash loan premium, using default", {
+          error: error.message,
+        });
+      }
+    }
 
-      // Calculate net profit
-      const totalCostsETH = totalDexFeesETH + flashloanFeeETH + gasCostETH;
-      const totalCostsUSD = totalDexFeesUSD + flashloanFeeUSD + gasCostUSD;
+    this.flashloanPremium = { rate, fetchedAt: Date.now() };
+    return rate;
+  }
 
-      const netProfitETH = grossProfitETH - totalCostsETH;
-      const netProfitUSD = grossProfitUSD - totalCostsUSD;
+  // USD price of one whole token, via its configured symbol (WETH -> ETH)
+  async getUnitPriceUSD(token) {
+    const symbol = this.priceOracle.findTokenSymbol(token);
+    return await this.priceOracle.getPrice(symbol || "ETH");
+  }
 
-      // Calculate profit margin
-      const profitMargin = (netProfitETH / amountInETH) * 100;
+  // executionGas is the GasEstimator's estimate for the prepared transaction
+  async calculateArbitrageProfitability(opportunity, executionGas = null) {
+    if (opportunity.hops) {
+      return await this.calculateRouteProfitability(opportunity, executionGas);
+    }
 
-      // Calculate minimum profitable amount
-      const breakEvenAmountETH =
-        totalCostsETH / (opportunity.profitPercentage / 100);
+    try {
+      const { tokenA, tokenB } = opportunity;
+      const amountIn = ethers.BigNumber.from(opportunity.amountIn);
+      const buyAmountOut = ethers.BigNumber.from(opportunity.buyAmountOut);
+      const sellAmountOut = ethers.BigNumber.from(opportunity.sellAmountOut);
 
-      return {
-        // Input amounts
-        amountInETH,
-        amountInUSD: amountInETH * ethPriceUSD,
+      // Amounts are raw token units, each token has its own decimals
+      await this.tokenRegistry.preload([tokenA, tokenB]);
+      const amountInTokens = this.tokenRegistry.toUnits(amountIn, tokenA);
+      const buyAmountOutTokens = this.tokenRegistry.toUnits(
+        buyAmountOut,
+        tokenB
+      );
+      const sellAmountOutTokens = this.tokenRegistry.toUnits(
+        sellAmountOut,
+        tokenB
+      );
 
-        // Gross profit
-        grossProfitETH,
-        grossProfitUSD,
-        grossProfitPercentage: opportunity.profitPercentage,
-
-        // Costs breakdown
-        costs: {
-          dexFeesETH: totalDexFeesETH,
-          dexFeesUSD: totalDexFeesUSD,
-          flashloanFeeETH,
-          flashloanFeeUSD,
-          gasCostETH,
-          gasCostUSD,
-          totalCostsETH,
-          totalCostsUSD,
+      // Get real-time prices from oracle
+      const [ethPriceUSD, tokenAPriceUSD, tokenBPriceUSD] = await Promise.all([
+        this.priceOracle.getPrice("ETH"),
+        this.getUnitPriceUSD(tokenA),
+        this.getUnitPriceUSD(tokenB),
+      ]);
+
+      const amountInUSD = amountInTokens * tokenAPriceUSD;
+
+      // Calculate gross profit (before fees and gas): swap tokenA into tokenB
+      // on the sell DEX, then back into tokenA at the buy DEX's rate, unless
+      // the trade was sized and its round trip simulated already
+      const buyRate = buyAmountOutTokens / amountInTokens; // tokenB per tokenA
+      const amountBackTokens = opportunity.expectedAmountOut
+        ? this.tokenRegistry.toUnits(opportunity.expectedAmountOut, tokenA)
+        : sellAmountOutTokens / buyRate;
+      const grossProfitUSD = (amountBackTokens - amountInTokens) * tokenAPriceUSD;
+
+      // DEX fees: the sell DEX swaps amountIn of tokenA, the buy DEX swaps
+      // the tokenB received back into tokenA
+      const { dexFeesUSD, quotedDexFeesUSD } = this.calculateSwapFeesUSD([
+        {
+          amountIn,
+          dexType: this.getLegDexType(opportunity.sellDexType, opportunity.sellPool, opportunity.sellDex),
+          token: tokenA,
+          pool: opportunity.sellPool,
+          priceUSD: tokenAPriceUSD,
         },
+        {
+          amountIn: sellAmountOut,
+          dexType: this.getLegDexType(opportunity.buyDexType, opportunity.buyPool, opportunity.buyDex),
+          token: tokenB,
+          pool: opportunity.buyPool,
+          priceUSD: tokenBPriceUSD,
+        },
+      ]);
 
-        // Net profit
-        netProfitETH,
-        netProfitUSD,
-        profitMargin,
-
-        // Gas info
-        gasPrice: currentGasPrice,
-        gasEstimate: totalGasEstimate,
-
-        // Profitability analysis
-        isProfitable: netProfitETH > 0,
-        breakEvenAmountETH,
-        breakEvenAmountUSD: breakEvenAmountETH * ethPriceUSD,
-
-        // Risk metrics
-        riskScore: this.calculateRiskScore(
-          opportunity,
-          netProfitETH,
-          totalCostsETH
-        ),
-
-        timestamp: Date.now(),
-      };
+      return await this.summarizeProfitability(opportunity, {
+        ethPriceUSD,
+        amountInTokens,
+        amountInUSD,
+        grossProfitUSD,
+        dexFeesUSD,
+        quotedDexFeesUSD,
+        swaps: [opportunity.sellPool, opportunity.buyPool], // Sell and buy back
+        executionGas,
+      });
     } catch (error) {
       this.logger.error("Error calculating profitability:", error.message);
       return null;
     }
   }
 
+  // Multi-hop route: gross profit comes from the quoted amount back in tokenA
+  async calculateRouteProfitability(route, executionGas = null) {
+    try {
+      const { tokenA } = route;
+      await this.tokenRegistry.preload(route.path);
+
+      const [ethPriceUSD, tokenAPriceUSD] = await Promise.all([
+        this.priceOracle.getPrice("ETH"),
+        this.getUnitPriceUSD(tokenA),
+      ]);
+
+      const amountInTokens = this.tokenRegistry.toUnits(route.amountIn, tokenA);
+      const amountBackTokens = this.tokenRegistry.toUnits(
+        route.expectedAmountOut,
+        tokenA
+      );
+      const amountInUSD = amountInTokens * tokenAPriceUSD;
+      const grossProfitUSD = (amountBackTokens - amountInTokens) * tokenAPriceUSD;
+
+      // Each hop pays its DEX fee in the token it sells
+      const swaps = [];
+      for (const hop of route.hops) {
+        swaps.push({
+          amountIn: hop.amountIn,
+          dexType: this.getLegDexType(hop.dexType, hop.pool, hop.dex),
+          token: hop.tokenIn,
+          pool: hop.pool,
+          priceUSD: await this.getUnitPriceUSD(hop.tokenIn),
+        });
+      }
+      const { dexFeesUSD, quotedDexFeesUSD } = this.calculateSwapFeesUSD(swaps);
+
+      return await this.summarizeProfitability(route, {
+        ethPriceUSD,
+        amountInTokens,
+        amountInUSD,
+        grossProfitUSD,
+        dexFeesUSD,
+        quotedDexFeesUSD,
+        swaps: route.hops.map((hop) => hop.pool || { dexType: hop.dexType }),
+        executionGas,
+      });
+    } catch (error) {
+      this.logger.error("Error calculating route profitability:", error.message);
+      return null;
+    }
+  }
+
+  // Shared cost side: flash loan premium, gas for every swap, net and risk
+  async summarizeProfitability(
+    opportunity,
+    {
+      ethPriceUSD,
+      amountInTokens,
+      amountInUSD,
+      grossProfitUSD,
+      dexFeesUSD,
+      quotedDexFeesUSD = 0,
+      swaps,
+      executionGas = null,
+    }
+  ) {
+    const amountInETH = amountInUSD / ethPriceUSD;
+    const grossProfitETH = grossProfitUSD / ethPriceUSD;
+    const totalDexFeesETH = dexFeesUSD / ethPriceUSD;
+
+    // Fees the quotes already paid are in gross profit, only the rest is a cost
+    const unquotedDexFeesUSD = dexFeesUSD - quotedDexFeesUSD;
+    const unquotedDexFeesETH = unquotedDexFeesUSD / ethPriceUSD;
+
+    // Calculate Aave flashloan fee
+    const flashloanFeeRate = await this.getFlashloanPremium();
+    const flashloanFeeUSD = amountInUSD * flashloanFeeRate;
+    const flashloanFeeETH = flashloanFeeUSD / ethPriceUSD;
+
+    // Calculate gas costs
+    const currentGasPrice = await this.getCurrentGasPrice();
+    const { gasUnits: totalGasEstimate, source: gasEstimateSource } =
+      this.resolveGasEstimate(swaps, executionGas);
+
+    const gasCostWei = await this.calculateGasCost(
+      totalGasEstimate,
+      currentGasPrice
+    );
+    const gasCostETH = parseFloat(ethers.utils.formatEther(gasCostWei));
+    const gasCostUSD = gasCostETH * ethPriceUSD;
+
+    // Rollups also charge for posting data to L1; without a prepared
+    // transaction only models that need no calldata can price it
+    const l1DataFee = executionGas
+      ? executionGas.l1DataFee
+      : await this.gasEstimator.estimateL1DataFee(null, {
+          gasUsed: totalGasEstimate,
+          swapCount: swaps.length,
+        });
+    const l1DataFeeETH = this.getL1DataFeeETH(l1DataFee, gasEstimateSource);
+    const l1DataFeeUSD = l1DataFeeETH * ethPriceUSD;
+
+    const executionCostsETH =
+      unquotedDexFeesETH + flashloanFeeETH + gasCostETH + l1DataFeeETH;
+    const executionCostsUSD =
+      unquotedDexFeesUSD + flashloanFeeUSD + gasCostUSD + l1DataFeeUSD;
+
+    // The builder's bid is a share of what is left after those costs
+    const bid = this.bidder
+      ? this.bidder.calculateBid(grossProfitETH - executionCostsETH)
+      : { share: 0, bidETH: 0 };
+    const builderBidETH = bid.bidETH;
+    const builderBidUSD = builderBidETH * ethPriceUSD;
+
+    // Calculate net profit
+    const totalCostsETH = executionCostsETH + builderBidETH;
+    const totalCostsUSD = executionCostsUSD + builderBidUSD;
+
+    const netProfitETH = grossProfitETH - totalCostsETH;
+    const netProfitUSD = grossProfitUSD - totalCostsUSD;
+
+    // Calculate profit margin
+    const profitMargin = (netProfitETH / amountInETH) * 100;
+
+    // Calculate minimum profitable amount; the bid is nothing at break-even
+    const breakEvenAmountETH =
+      executionCostsETH / (opportunity.profitPercentage / 100);
+
+    return {
+      // Input amounts
+      amountInETH,
+      amountInUSD,
+      amountInTokens,
+
+      // Gross profit
+      grossProfitETH,
+      grossProfitUSD,
+      grossProfitPercentage: opportunity.profitPercentage,
+
+      // Costs breakdown
+      costs: {
+        dexFeesETH: totalDexFeesETH,
+        dexFeesUSD,
+        quotedDexFeesUSD, // Already paid inside the quoted amounts
+        flashloanFeeRate,
+        flashloanFeeETH,
+        flashloanFeeUSD,
+        gasCostETH,
+        gasCostUSD,
+        l1DataFeeETH,
+        l1DataFeeUSD,
+        builderBidShare: bid.share,
+        builderBidETH,
+        builderBidUSD,
+        totalCostsETH,
+        totalCostsUSD,
+      },
+
+      // Net profit
+      netProfitETH,
+      netProfitUSD,
+      profitMargin,
+
+      // Gas info
+      gasPrice: currentGasPrice,
+      gasEstimate: totalGasEstimate,
+      gasEstimateSource, // estimateGas, fork, receipts or model
+
+      // Profitability analysis
+      isProfitable: netProfitETH > 0,
+      breakEvenAmountETH,
+      breakEvenAmountUSD: breakEvenAmountETH * ethPriceUSD,
+
+      // Risk metrics
+      riskScore: this.calculateRiskScore(
+        opportunity,
+        netProfitETH,
+        totalCostsETH
+      ),
+
+      timestamp: Date.now(),
+    };
+  }
+
   calculateRiskScore(opportunity, netProfitETH, totalCostsETH) {
     let riskScore = 0;
 
@@ -197,16 +442,271 @@ class ProfitCalculator {
     return Math.min(riskScore, 100); // Cap at 100
   }
 
+  /**
+   * Size the round trip tokenA -> tokenB on the sell DEX and back on the buy
+   * DEX. Two constant-product pools have a closed-form optimum, a V3 leg is
+   * searched numerically against tick-walking simulations. Opportunities
+   * without pool state fall back to sampling sizes.
+   */
   async getOptimalTradeSize(
     opportunity,
     maxAmountETH = 10,
     ethPriceUSD = 2000
   ) {
+    const { tokenA, tokenB } = opportunity;
+
+    // Sizes are ETH worth of tokenA, in tokenA's own decimals
+    await this.tokenRegistry.preload([tokenA, tokenB]);
+    const tokenAPriceUSD = await this.getUnitPriceUSD(tokenA);
+    const tokensPerETH = ethPriceUSD / tokenAPriceUSD;
+    const maxAmountIn = this.tokenRegistry.fromUnits(
+      maxAmountETH * tokensPerETH,
+      tokenA
+    );
+
+    const firstLeg = this.buildLegModel(opportunity.sellPool, tokenA, tokenB, false);
+    const secondLeg = this.buildLegModel(opportunity.buyPool, tokenB, tokenA, true);
+    if (!firstLeg || !secondLeg) {
+      return await this.sampleTradeSizes(
+        opportunity,
+        maxAmountETH,
+        ethPriceUSD,
+        tokensPerETH
+      );
+    }
+
+    // The flash loan premium grows with size, so it moves the optimum too
+    const premiumPpm = Math.round((await this.getFlashloanPremium()) * 1000000);
+    const closedForm = firstLeg.type === "v2" && secondLeg.type === "v2";
+    let amountIn = closedForm
+      ? getOptimalAmountIn(firstLeg.pool, secondLeg.pool, premiumPpm)
+      : this.searchOptimalAmountIn(firstLeg, secondLeg, maxAmountIn, premiumPpm);
+
+    if (amountIn.gt(maxAmountIn)) {
+      amountIn = maxAmountIn;
+    }
+
+    const amountOut = amountIn.gt(0)
+      ? this.quoteRoundTrip(firstLeg, secondLeg, amountIn)
+      : null;
+    if (!amountOut || amountOut.lte(amountIn)) {
+      return null;
+    }
+
+    this.logger.debug("Optimal trade size found", {
+      method: closedForm ? "closed-form" : "numeric",
+      amountIn: amountIn.toString(),
+      amountOut: amountOut.toString(),
+    });
+
+    return amountIn;
+  }
+
+  // Opportunity re-quoted at its optimal size, or null if no size is profitable
+  async sizeOpportunity(opportunity, maxAmountETH = 10) {
+    const ethPriceUSD = await this.getETHPriceUSD();
+    const amountIn = await this.getOptimalTradeSize(
+      opportunity,
+      maxAmountETH,
+      ethPriceUSD
+    );
+    if (!amountIn) return null;
+
+    return this.resizeOpportunity(opportunity, amountIn);
+  }
+
+  resizeOpportunity(opportunity, amountIn) {
+    const { tokenA, tokenB } = opportunity;
+    const firstLeg = this.buildLegModel(opportunity.sellPool, tokenA, tokenB, false);
+    const secondLeg = this.buildLegModel(opportunity.buyPool, tokenB, tokenA, true);
+
+    const sellAmountOut = this.estimateAmountOut(
+      opportunity,
+      amountIn,
+      opportunity.sellPool,
+      opportunity.sellPrice
+    );
+    const expectedAmountOut =
+      firstLeg && secondLeg ? secondLeg.quote(sellAmountOut) : null;
+
+    return {
+      ...opportunity,
+      amountIn: amountIn.toString(),
+      buyAmountOut: this.estimateAmountOut(
+        opportunity,
+        amountIn,
+        opportunity.buyPool,
+        opportunity.buyPrice
+      ).toString(),
+      sellAmountOut: sellAmountOut.toString(),
+      expectedAmountOut: expectedAmountOut ? expectedAmountOut.toString() : null,
+    };
+  }
+
+  // Swap model for one leg, from the adapter of the pool's DEX type.
+  // Pool reserves are quoted tokenA -> tokenB, reversed flips them.
+  buildLegModel(pool, tokenIn, tokenOut, reversed) {
+    if (!pool) return null;
+
+    const adapter = this.adapters.get(pool.dexType || "UNISWAP_V2");
+    return adapter ? adapter.buildLegModel(pool, tokenIn, tokenOut, reversed) : null;
+  }
+
+  // Gas the prepared transaction was estimated at, else the median of past
+  // receipts for the same route shape, else the static model
+  resolveGasEstimate(swaps, executionGas = null) {
+    if (executionGas && executionGas.gasUsed) {
+      return { gasUnits: executionGas.gasUsed, source: executionGas.source };
+    }
+
+    const calibrated = this.gasEstimator.getCalibratedGas(
+      this.gasEstimator.getRouteShape(swaps)
+    );
+    if (calibrated) {
+      return { gasUnits: calibrated, source: "receipts" };
+    }
+
+    return {
+      gasUnits:
+        this.GAS_ESTIMATES.FLASHLOAN_BASE +
+        this.estimateSwapsGas(swaps) +
+        this.GAS_ESTIMATES.TOKEN_TRANSFER * swaps.length +
+        this.GAS_ESTIMATES.BUFFER,
+      source: "model",
+    };
+  }
+
+  // Fees the chain bills as L2 gas are already in measured gas and are
+  // only added on top of the static model
+  getL1DataFeeETH(l1DataFee, gasEstimateSource) {
+    if (!l1DataFee) return 0;
+    if (l1DataFee.includedInGas && gasEstimateSource !== "model") return 0;
+
+    return parseFloat(ethers.utils.formatEther(l1DataFee.feeWei));
+  }
+
+  // Gas for each swap as its adapter estimates it; unknown pools cost a V2 swap
+  estimateSwapsGas(swaps) {
+    return swaps.reduce((total, pool) => {
+      const adapter = pool ? this.adapters.get(pool.dexType) : null;
+      return total + (adapter ? adapter.estimateSwapGas(pool) : DEFAULT_SWAP_GAS);
+    }, 0);
+  }
+
+  // Optimal size for a multi-hop route, re-quoted hop by hop
+  async sizeRoute(route, maxAmountETH = 10) {
+    await this.tokenRegistry.preload(route.path);
+    const [ethPriceUSD, tokenAPriceUSD] = await Promise.all([
+      this.getETHPriceUSD(),
+      this.getUnitPriceUSD(route.tokenA),
+    ]);
+    const maxAmountIn = this.tokenRegistry.fromUnits(
+      (maxAmountETH * ethPriceUSD) / tokenAPriceUSD,
+      route.tokenA
+    );
+
+    // The whole route is one leg, the second leg hands tokenA straight back
+    const routeLeg = { quote: (amountIn) => this.quoteRoute(route, amountIn).amountOut };
+    const premiumPpm = Math.round((await this.getFlashloanPremium()) * 1000000);
+    const amountIn = this.searchOptimalAmountIn(
+      routeLeg,
+      { quote: (amount) => amount },
+      maxAmountIn,
+      premiumPpm
+    );
+    if (!amountIn.gt(0)) return null;
+
+    const { amountOut, hops } = this.quoteRoute(route, amountIn);
+    if (!amountOut || amountOut.lte(amountIn)) return null;
+
+    return {
+      ...route,
+      hops,
+      amountIn: amountIn.toString(),
+      expectedAmountOut: amountOut.toString(),
+    };
+  }
+
+  // Chain each hop's output into the next; null once any hop cannot be quoted
+  quoteRoute(route, amountIn) {
+    const hops = [];
+    let amount = ethers.BigNumber.from(amountIn);
+
+    for (const hop of route.hops) {
+      const leg = this.buildLegModel(hop.pool, hop.tokenIn, hop.tokenOut, false);
+      const amountOut = leg
+        ? leg.quote(amount)
+        : this.tokenRegistry.fromUnits(
+            this.tokenRegistry.toUnits(amount, hop.tokenIn) * hop.rate,
+            hop.tokenOut
+          );
+      if (!amountOut || amountOut.lte(0)) {
+        return { amountOut: null, hops };
+      }
+
+      hops.push({
+        ...hop,
+        amountIn: amount.toString(),
+        amountOut: amountOut.toString(),
+      });
+      amount = amountOut;
+    }
+
+    return { amountOut: amount, hops };
+  }
+
+  quoteRoundTrip(firstLeg, secondLeg, amountIn) {
+    const intermediate = firstLeg.quote(amountIn);
+    if (!intermediate || intermediate.lte(0)) return null;
+
+    return secondLeg.quote(intermediate);
+  }
+
+  // Ternary search, round-trip profit is concave in the input size
+  searchOptimalAmountIn(firstLeg, secondLeg, maxAmountIn, premiumPpm = 0) {
+    const profitAt = (amount) => {
+      const amountOut = this.quoteRoundTrip(
+        firstLeg,
+        secondLeg,
+        ethers.BigNumber.from(amount.toString())
+      );
+      if (!amountOut) return null;
+
+      const premium = (amount * BigInt(premiumPpm)) / 1000000n;
+      return BigInt(amountOut.toString()) - amount - premium;
+    };
+
+    let low = 0n;
+    let high = BigInt(maxAmountIn.toString());
+
+    // Stop once the bracket is within a millionth of the upper bound
+    while (high - low > 2n && (high - low) * 1000000n > high) {
+      const third = (high - low) / 3n;
+      const lowMid = low + third;
+      const highMid = high - third;
+      const lowProfit = profitAt(lowMid);
+      const highProfit = profitAt(highMid);
+
+      // An unknown quote means the size ran past the loaded liquidity
+      if (highProfit === null || (lowProfit !== null && lowProfit >= highProfit)) {
+        high = highMid;
+      } else {
+        low = lowMid;
+      }
+    }
+
+    return ethers.BigNumber.from(low.toString());
+  }
+
+  // Fallback for pools quoted without reserves or tick data
+  async sampleTradeSizes(opportunity, maxAmountETH, ethPriceUSD, tokensPerETH) {
     const testAmounts = [];
     const step = maxAmountETH / 20; // Test 20 different amounts
 
     for (let i = 1; i <= 20; i++) {
-      testAmounts.push(ethers.utils.parseEther((step * i).toString()));
+      testAmounts.push(
+        this.tokenRegistry.fromUnits(step * i * tokensPerETH, opportunity.tokenA)
+      );
     }
 
     let bestAmount = null;
@@ -214,23 +714,10 @@ class ProfitCalculator {
 
     for (const amount of testAmounts) {
       // Create test opportunity with this amount
-      const testOpportunity = {
-        ...opportunity,
-        amountIn: amount.toString(),
-        buyAmountOut: amount
-          .mul(Math.floor(opportunity.buyPrice * 1000))
-          .div(1000)
-          .toString(),
-        sellAmountOut: amount
-          .mul(Math.floor(opportunity.sellPrice * 1000))
-          .div(1000)
-          .toString(),
-      };
-
-      const profitability = await this.calculateArbitrageProfitability(
-        testOpportunity,
-        ethPriceUSD
-      );
+      const testOpportunity = this.resizeOpportunity(opportunity, amount);
+
+      // No prepared transaction yet, so gas and the L1 data fee are modelled
+      const profitability = await this.calculateArbitrageProfitability(testOpportunity);
 
       if (
         profitability &&
@@ -245,6 +732,31 @@ class ProfitCalculator {
     return bestAmount;
   }
 
+  // Quote a trade size from pool state when known, so price impact is
+  // included, otherwise scale linearly by the observed spot price
+  estimateAmountOut(opportunity, amountIn, pool, price) {
+    const leg = this.buildLegModel(
+      pool,
+      opportunity.tokenA,
+      opportunity.tokenB,
+      false
+    );
+    const amountOut = leg ? leg.quote(amountIn) : null;
+    if (amountOut) {
+      return amountOut;
+    }
+
+    // Prices are in whole tokens, so convert through each token's decimals
+    const amountInTokens = this.tokenRegistry.toUnits(
+      amountIn,
+      opportunity.tokenA
+    );
+    return this.tokenRegistry.fromUnits(
+      amountInTokens * price,
+      opportunity.tokenB
+    );
+  }
+
   // Validate if opportunity is worth executing
   isOpportunityViable(profitability, minProfitUSD = 5, maxRiskScore = 70) {
     if (!profitability) return false;
@@ -269,7 +781,12 @@ class ProfitCalculator {
 
   // Get token price in USD
   async getTokenPriceUSD(tokenAddress, amount) {
-    return await this.priceOracle.getTokenPriceInUSD(tokenAddress, amount);
+    const decimals = await this.tokenRegistry.getDecimals(tokenAddress);
+    return await this.priceOracle.getTokenPriceInUSD(
+      tokenAddress,
+      amount,
+      decimals
+    );
   }
 }
 
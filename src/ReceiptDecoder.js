@@ -0,0 +1,103 @@
+const { ethers } = require("ethers");
+
+// Events FlashloanArbitrage emits from executeOperation
+const ARBITRAGE_EVENTS_INTERFACE = new ethers.utils.Interface([
+  "event ArbitrageExecuted(address indexed tokenA, address indexed tokenB, uint256 amount, uint256 profit, address[] dexUsed)",
+  "event ArbitrageFailed(address indexed tokenA, address indexed tokenB, uint256 amount, string reason)",
+]);
+
+const ERC20_TRANSFER_INTERFACE = new ethers.utils.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+const TRANSFER_TOPIC = ERC20_TRANSFER_INTERFACE.getEventTopic("Transfer");
+
+// ERC-20 transfers of one token in the receipt, in log order
+function getTokenTransfers(receipt, token) {
+  return (receipt.logs || [])
+    .filter(
+      (log) =>
+        log.address.toLowerCase() === token.toLowerCase() &&
+        log.topics[0] === TRANSFER_TOPIC &&
+        log.topics.length === 3
+    )
+    .map((log) => {
+      const { args } = ERC20_TRANSFER_INTERFACE.parseLog(log);
+      return { from: args.from, to: args.to, value: args.value };
+    });
+}
+
+/**
+ * What an executed flash loan actually did, from its receipt. The contract's
+ * tokenA flows give the realized profit: everything it received less
+ * everything it sent, so a balance it held before does not count. The
+ * lender is whoever sent the borrowed amount in; what went back to it
+ * beyond that amount is the premium. ArbitrageExecuted's own profit figure
+ * is kept as reportedProfit and stands in when the token logs are missing.
+ */
+function decodeExecutionReceipt(receipt, { contractAddress, tokenA, amount }) {
+  const contract = contractAddress.toLowerCase();
+  const borrowed = ethers.BigNumber.from(amount);
+
+  let reportedProfit = null;
+  let failureReason = null;
+  for (const log of receipt.logs || []) {
+    if (log.address.toLowerCase() !== contract) continue;
+
+    try {
+      const event = ARBITRAGE_EVENTS_INTERFACE.parseLog(log);
+      if (event.name === "ArbitrageExecuted") reportedProfit = event.args.profit;
+      // Only reaches a receipt if a failed arbitrage stops reverting the loan
+      if (event.name === "ArbitrageFailed") failureReason = event.args.reason;
+    } catch (error) {
+      // Not one of our events
+    }
+  }
+
+  const transfers = getTokenTransfers(receipt, tokenA);
+  let received = ethers.constants.Zero;
+  let sent = ethers.constants.Zero;
+  for (const transfer of transfers) {
+    if (transfer.to.toLowerCase() === contract) received = received.add(transfer.value);
+    if (transfer.from.toLowerCase() === contract) sent = sent.add(transfer.value);
+  }
+
+  const loan = transfers.find(
+    (transfer) => transfer.to.toLowerCase() === contract && transfer.value.eq(borrowed)
+  );
+  let premium = null;
+  if (loan) {
+    const repaid = transfers
+      .filter(
+        (transfer) =>
+          transfer.from.toLowerCase() === contract &&
+          transfer.to.toLowerCase() === loan.from.toLowerCase()
+      )
+      .reduce((total, transfer) => total.add(transfer.value), ethers.constants.Zero);
+    if (repaid.gte(borrowed)) premium = repaid.sub(borrowed);
+  }
+
+  const gasUsed = ethers.BigNumber.from(receipt.gasUsed || 0);
+  const effectiveGasPrice = receipt.effectiveGasPrice
+    ? ethers.BigNumber.from(receipt.effectiveGasPrice)
+    : null;
+
+  return {
+    executed: reportedProfit !== null,
+    failureReason,
+    reportedProfit,
+    realizedProfit: transfers.length > 0 ? received.sub(sent) : reportedProfit,
+    premium,
+    lender: loan ? loan.from : null,
+    gasUsed,
+    effectiveGasPrice,
+    gasCostWei: effectiveGasPrice ? gasUsed.mul(effectiveGasPrice) : null,
+  };
+}
+
+module.exports = {
+  ARBITRAGE_EVENTS_INTERFACE,
+  ERC20_TRANSFER_INTERFACE,
+  decodeExecutionReceipt,
+  getTokenTransfers,
+};
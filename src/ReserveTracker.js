@@ -0,0 +1,164 @@
+const { ethers } = require("ethers");
+
+const SYNC_EVENT_ABI = [
+  "event Sync(uint112 reserve0, uint112 reserve1)",
+];
+
+const SYNC_INTERFACE = new ethers.utils.Interface(SYNC_EVENT_ABI);
+const SYNC_TOPIC = SYNC_INTERFACE.getEventTopic("Sync");
+
+class ReserveTracker {
+  constructor(provider, logger, options = {}) {
+    this.provider = provider;
+    this.logger = logger;
+
+    // Tracker settings
+    this.config = {
+      maxBlockGap: options.maxBlockGap || 100, // Refetch instead of replaying longer gaps
+      maxAddressesPerQuery: options.maxAddressesPerQuery || 500
+    };
+
+    // pair address (lowercase) => { reserve0, reserve1, blockNumber }
+    // blockNumber is the block the reserves are known to be current at
+    this.reserves = new Map();
+
+    this.stats = {
+      syncQueries: 0,
+      syncEventsApplied: 0,
+      failedQueries: 0,
+      pairsDropped: 0
+    };
+  }
+
+  // Record reserves read directly from the pair at a given block
+  setReserves(pairAddress, reserve0, reserve1, blockNumber) {
+    const key = pairAddress.toLowerCase();
+    const existing = this.reserves.get(key);
+
+    // Never overwrite newer reserves with an older read
+    if (existing && existing.blockNumber > blockNumber) return;
+
+    this.reserves.set(key, {
+      reserve0: ethers.BigNumber.from(reserve0),
+      reserve1: ethers.BigNumber.from(reserve1),
+      blockNumber
+    });
+  }
+
+  // Reserves are only returned when they are known to be current at blockNumber
+  getReserves(pairAddress, blockNumber) {
+    const entry = this.reserves.get(pairAddress.toLowerCase());
+    if (!entry || entry.blockNumber !== blockNumber) return null;
+
+    return entry;
+  }
+
+  isTracked(pairAddress) {
+    return this.reserves.has(pairAddress.toLowerCase());
+  }
+
+  /**
+   * Bring every tracked pair up to blockNumber by replaying Sync events.
+   * One eth_getLogs covers all pairs, so tracked reserves cost a single
+   * request per block instead of a getReserves call per pair.
+   */
+  async syncToBlock(blockNumber) {
+    const stale = [...this.reserves.entries()].filter(
+      ([, entry]) => entry.blockNumber < blockNumber
+    );
+    if (stale.length === 0) return 0;
+
+    // Pairs that fell too far behind are cheaper to re-read than to replay
+    const replayable = [];
+    for (const [address, entry] of stale) {
+      if (blockNumber - entry.blockNumber > this.config.maxBlockGap) {
+        this.reserves.delete(address);
+        this.stats.pairsDropped++;
+      } else {
+        replayable.push(address);
+      }
+    }
+    if (replayable.length === 0) return 0;
+
+    const fromBlock = Math.min(
+      ...replayable.map((address) => this.reserves.get(address).blockNumber)
+    ) + 1;
+
+    let applied = 0;
+    try {
+      for (let i = 0; i < replayable.length; i += this.config.maxAddressesPerQuery) {
+        const addresses = replayable.slice(i, i + this.config.maxAddressesPerQuery);
+        const logs = await this.fetchSyncLogs(addresses, fromBlock, blockNumber);
+        applied += this.applySyncLogs(logs);
+
+        for (const address of addresses) {
+          this.reserves.get(address).blockNumber = blockNumber;
+        }
+      }
+    } catch (error) {
+      // Leave the pairs behind so callers read reserves directly this block
+      this.stats.failedQueries++;
+      this.logger.debug("Sync event query failed", {
+        fromBlock,
+        toBlock: blockNumber,
+        error: error.message
+      });
+    }
+
+    return applied;
+  }
+
+  async fetchSyncLogs(addresses, fromBlock, toBlock) {
+    this.stats.syncQueries++;
+
+    // ethers v5 filters only take a single address, eth_getLogs takes a list
+    return await this.provider.send("eth_getLogs", [
+      {
+        address: addresses,
+        topics: [SYNC_TOPIC],
+        fromBlock: ethers.utils.hexValue(fromBlock),
+        toBlock: ethers.utils.hexValue(toBlock)
+      }
+    ]);
+  }
+
+  applySyncLogs(logs) {
+    // The last Sync of a pair in the range holds its reserves
+    const ordered = logs
+      .filter((log) => !log.removed)
+      .map((log) => ({
+        ...log,
+        blockNumber: ethers.BigNumber.from(log.blockNumber).toNumber(),
+        logIndex: ethers.BigNumber.from(log.logIndex).toNumber()
+      }))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    let applied = 0;
+    for (const log of ordered) {
+      const entry = this.reserves.get(log.address.toLowerCase());
+      if (!entry || log.blockNumber <= entry.blockNumber) continue;
+
+      const { reserve0, reserve1 } = SYNC_INTERFACE.parseLog(log).args;
+      entry.reserve0 = reserve0;
+      entry.reserve1 = reserve1;
+      applied++;
+    }
+
+    this.stats.syncEventsApplied += applied;
+    return applied;
+  }
+
+  clear() {
+    this.reserves.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      trackedPairs: this.reserves.size
+    };
+  }
+}
+
+module.exports = ReserveTracker;
+module.exports.SYNC_TOPIC = SYNC_TOPIC;
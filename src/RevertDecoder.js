@@ -0,0 +1,161 @@
+const { ethers } = require("ethers");
+
+// Why a simulated or estimated execution reverted
+const FAILURE_CATEGORIES = {
+  UNPROFITABLE: "UNPROFITABLE", // Round trip does not cover the loan and minProfit
+  SLIPPAGE: "SLIPPAGE", // A swap returned less than its floor
+  LIQUIDITY: "LIQUIDITY", // A pool could not fill the hop
+  SWAP_FAILED: "SWAP_FAILED", // A router call reverted without a reason
+  CONFIGURATION: "CONFIGURATION", // Params the contract rejects outright
+  PRICE_FEED: "PRICE_FEED", // Chainlink sanity checks
+  ACCESS: "ACCESS", // Caller, owner or initiator checks
+  FLASHLOAN: "FLASHLOAN", // Aave refused the loan
+  TOKEN: "TOKEN", // Transfers, approvals and balances
+  PANIC: "PANIC", // Overflow, division by zero and other asserts
+  UNKNOWN: "UNKNOWN",
+};
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+const NESTED_PREFIX = "Arbitrage failed: "; // executeOperation wraps swap reverts
+
+// Custom errors routers and tokens revert with, by category
+const KNOWN_CUSTOM_ERRORS = {
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)": FAILURE_CATEGORIES.TOKEN,
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)": FAILURE_CATEGORIES.TOKEN,
+  "error SafeERC20FailedOperation(address token)": FAILURE_CATEGORIES.TOKEN,
+  "error OwnableUnauthorizedAccount(address account)": FAILURE_CATEGORIES.ACCESS,
+  "error ReentrancyGuardReentrantCall()": FAILURE_CATEGORIES.ACCESS,
+  "error V2TooLittleReceived()": FAILURE_CATEGORIES.SLIPPAGE,
+  "error V3TooLittleReceived()": FAILURE_CATEGORIES.SLIPPAGE,
+  "error V2InvalidPath()": FAILURE_CATEGORIES.CONFIGURATION,
+  "error InsufficientLiquidity()": FAILURE_CATEGORIES.LIQUIDITY,
+};
+
+const CUSTOM_ERRORS_INTERFACE = new ethers.utils.Interface(
+  Object.keys(KNOWN_CUSTOM_ERRORS)
+);
+
+// Revert strings of the contract, DEX routers and Aave, first match wins
+const REASON_PATTERNS = [
+  [/no profit generated|insufficient profit|insufficient funds to repay/i, FAILURE_CATEGORIES.UNPROFITABLE],
+  [/insufficient_output_amount|too little received|fewer coins than expected|BAL#507/i, FAILURE_CATEGORIES.SLIPPAGE],
+  [/insufficient_liquidity|insufficient_input_amount|no (actual )?tokens|zero tokens|insufficient (token )?balance|BAL#304/i, FAILURE_CATEGORIES.LIQUIDITY],
+  [/dex swap failed|balancer swap failed/i, FAILURE_CATEGORIES.SWAP_FAILED],
+  [/dex not active|need at least 2|mismatched arrays|path|invalid (router|amount)|same token|poolid|empty swap data/i, FAILURE_CATEGORIES.CONFIGURATION],
+  [/price feed|oracle prices/i, FAILURE_CATEGORIES.PRICE_FEED],
+  [/not the owner|caller must be pool|initiator must be|reentrant/i, FAILURE_CATEGORIES.ACCESS],
+  [/^\d+$/, FAILURE_CATEGORIES.FLASHLOAN], // Aave V3 reverts with numeric error codes
+  [/transfer|approve|allowance/i, FAILURE_CATEGORIES.TOKEN],
+];
+
+// Revert data wherever the provider put it: on the error, on the wrapped
+// JSON-RPC error, or in the raw response body
+function getRevertData(error) {
+  for (let current = error; current; current = current.error) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === "string") {
+      return current.data.data;
+    }
+    if (typeof current.body === "string") {
+      try {
+        const body = JSON.parse(current.body);
+        if (body.error && typeof body.error.data === "string") return body.error.data;
+      } catch (parseError) {
+        // Not a JSON-RPC body
+      }
+    }
+  }
+  return null;
+}
+
+function categorizeReason(reason) {
+  const match = REASON_PATTERNS.find(([pattern]) => pattern.test(reason));
+  return match ? match[1] : FAILURE_CATEGORIES.UNKNOWN;
+}
+
+// A revert string, unwrapped from executeOperation's "Arbitrage failed: "
+function decodeReason(reason, data = null) {
+  const nested = reason.startsWith(NESTED_PREFIX);
+  const inner = nested ? reason.slice(NESTED_PREFIX.length) : reason;
+
+  return {
+    category: categorizeReason(inner),
+    reason: inner,
+    nested,
+    errorName: "Error",
+    data,
+  };
+}
+
+/**
+ * Typed failure from a reverted call or gas estimate: { category, reason,
+ * nested, errorName, data }. Revert data is decoded as Error(string),
+ * Panic(uint256) or a known custom error; unknown custom errors keep their
+ * selector. Without revert data the node's message is parsed instead.
+ */
+function decodeRevert(error) {
+  const data = getRevertData(error);
+
+  if (data && data.length >= 10) {
+    const selector = data.slice(0, 10).toLowerCase();
+
+    if (selector === ERROR_SELECTOR) {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + data.slice(10));
+      return decodeReason(reason, data);
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], "0x" + data.slice(10));
+      return {
+        category: FAILURE_CATEGORIES.PANIC,
+        reason: `Panic(0x${code.toHexString().slice(2).padStart(2, "0")})`,
+        nested: false,
+        errorName: "Panic",
+        data,
+      };
+    }
+
+    try {
+      const customError = CUSTOM_ERRORS_INTERFACE.parseError(data);
+      return {
+        category: KNOWN_CUSTOM_ERRORS[customError.errorFragment.format("full")],
+        reason: customError.signature,
+        nested: false,
+        errorName: customError.name,
+        data,
+      };
+    } catch (parseError) {
+      return {
+        category: FAILURE_CATEGORIES.UNKNOWN,
+        reason: `Custom error ${selector}`,
+        nested: false,
+        errorName: null,
+        data,
+      };
+    }
+  }
+
+  // Nodes that only report the reason in the message
+  const message = (error && (error.reason || error.message)) || "";
+  const quoted = message.match(/reverted with reason string '(.*)'/) ||
+    message.match(/execution reverted: (.*)/);
+  if (quoted) return decodeReason(quoted[1], data);
+  if (error && error.reason) return decodeReason(error.reason, data);
+
+  return {
+    category: FAILURE_CATEGORIES.UNKNOWN,
+    reason: message || "Reverted without a reason",
+    nested: false,
+    errorName: null,
+    data,
+  };
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  decodeRevert,
+  getRevertData,
+};
@@ -1,10 +1,12 @@
 const { ethers } = require("ethers");
 
 class RiskManager {
-  constructor(provider, logger, networkConfig) {
+  constructor(provider, logger, networkConfig, options = {}) {
     this.provider = provider;
     this.logger = logger;
     this.networkConfig = networkConfig;
+    this.journal = options.journal || null; // TradeJournal the day's totals survive restarts in
+    this.alertManager = options.alertManager || null; // Circuit breaker and balance alerts
     
     // Risk configuration
     this.config = {
@@ -15,6 +17,7 @@ class RiskManager {
       maxGasPriceGwei: parseFloat(process.env.MAX_GAS_PRICE_GWEI) || 100,
       circuitBreakerThreshold: parseFloat(process.env.CIRCUIT_BREAKER_THRESHOLD) || 3, // 3 consecutive failures
       cooldownPeriod: parseInt(process.env.COOLDOWN_PERIOD) || 300000, // 5 minutes
+      minBalanceETH: parseFloat(process.env.MIN_BALANCE_ETH) || 0.05, // Gas money before alerting
       emergencyStop: process.env.EMERGENCY_STOP === 'true'
     };
 
@@ -32,9 +35,13 @@ class RiskManager {
 
     this.circuitBreakerActive = false;
     this.circuitBreakerActivatedAt = null;
+    this.circuitBreakerManual = false; // Tripped by an operator, held until reset
     this.positionHistory = [];
     this.maxHistorySize = 1000;
 
+    // Pick up today's trades from before a restart
+    this.restoreDailyStats();
+
     // Initialize daily stats reset
     this.initializeDailyReset();
   }
@@ -72,6 +79,28 @@ class RiskManager {
     });
   }
 
+  restoreDailyStats() {
+    if (!this.journal || !this.journal.db) return;
+
+    try {
+      const totals = this.journal.getRiskTotals();
+      Object.assign(this.dailyStats, totals, {
+        netProfitETH: totals.totalProfitETH - totals.totalLossETH
+      });
+
+      this.logger.info("Daily risk stats restored from trade journal", {
+        date: this.dailyStats.date,
+        totalLossETH: this.dailyStats.totalLossETH.toFixed(6),
+        netProfitETH: this.dailyStats.netProfitETH.toFixed(6),
+        trades: totals.executedTrades + totals.failedTrades
+      });
+    } catch (error) {
+      this.logger.warn("Failed to restore daily risk stats", {
+        error: error.message
+      });
+    }
+  }
+
   async assessOpportunityRisk(opportunity, profitability) {
     try {
       const riskAssessment = {
@@ -100,7 +129,15 @@ class RiskManager {
       // 2. Check circuit breaker
       if (this.circuitBreakerActive) {
         const timeSinceActivation = Date.now() - this.circuitBreakerActivatedAt;
-        if (timeSinceActivation < this.config.cooldownPeriod) {
+        if (this.circuitBreakerManual) {
+          riskAssessment.riskFactors.push({
+            factor: 'circuit_breaker',
+            severity: 'critical',
+            description: 'Circuit breaker tripped manually, waiting for reset'
+          });
+          riskAssessment.approved = false;
+          return riskAssessment;
+        } else if (timeSinceActivation < this.config.cooldownPeriod) {
           riskAssessment.riskFactors.push({
             factor: 'circuit_breaker',
             severity: 'critical',
@@ -342,16 +379,20 @@ class RiskManager {
       success: result.success
     };
 
+    // Realized profit from the receipt when the executor measured one
+    const netProfitETH = this.getRealizedProfitETH(profitability, result);
+    const bookedProfitETH = this.getBookedProfitETH(profitability, result);
+
     // Update daily stats
+    if (bookedProfitETH > 0) {
+      this.dailyStats.totalProfitETH += bookedProfitETH;
+    } else {
+      this.dailyStats.totalLossETH += Math.abs(bookedProfitETH);
+    }
+
     if (result.success) {
       this.dailyStats.executedTrades++;
       this.dailyStats.consecutiveFailures = 0;
-      
-      if (profitability.netProfitETH > 0) {
-        this.dailyStats.totalProfitETH += profitability.netProfitETH;
-      } else {
-        this.dailyStats.totalLossETH += Math.abs(profitability.netProfitETH);
-      }
     } else {
       this.dailyStats.failedTrades++;
       this.dailyStats.consecutiveFailures++;
@@ -372,13 +413,31 @@ class RiskManager {
 
     this.logger.info("Trade result recorded", {
       success: result.success,
-      netProfitETH: profitability.netProfitETH.toFixed(6),
+      netProfitETH: netProfitETH.toFixed(6),
       dailyNetProfit: this.dailyStats.netProfitETH.toFixed(6),
       consecutiveFailures: this.dailyStats.consecutiveFailures
     });
   }
 
-  activateCircuitBreaker() {
+  getRealizedProfitETH(profitability, result) {
+    const realized = result.realized;
+    return realized && realized.netProfitETH !== null
+      ? realized.netProfitETH
+      : profitability.netProfitETH;
+  }
+
+  // Signed amount a trade adds to the day's profit or loss: its net profit
+  // when it succeeded, the gas a mined revert burned when it failed
+  getBookedProfitETH(profitability, result) {
+    if (result.success) {
+      return this.getRealizedProfitETH(profitability, result);
+    }
+    return result.realized && result.realized.netProfitETH < 0
+      ? result.realized.netProfitETH
+      : 0;
+  }
+
+  activateCircuitBreaker(reason = null) {
     this.circuitBreakerActive = true;
     this.circuitBreakerActivatedAt = Date.now();
     
@@ -387,16 +446,62 @@ class RiskManager {
       threshold: this.config.circuitBreakerThreshold,
       cooldownPeriod: this.config.cooldownPeriod / 1000 + "s"
     });
+
+    this.raiseAlert('circuit_breaker', 'critical',
+      reason || `${this.dailyStats.consecutiveFailures} consecutive failed trades`, {
+        consecutiveFailures: this.dailyStats.consecutiveFailures,
+        manual: this.circuitBreakerManual,
+        cooldownPeriod: this.circuitBreakerManual ? "until reset" : this.config.cooldownPeriod / 1000 + "s"
+      });
+  }
+
+  // Operator stop: unlike a failure streak it does not cool down by itself
+  tripCircuitBreaker(reason) {
+    this.circuitBreakerManual = true;
+    this.activateCircuitBreaker(`Tripped manually: ${reason}`);
+
+    this.logger.warn("Circuit breaker tripped manually", { reason });
   }
 
   deactivateCircuitBreaker() {
     this.circuitBreakerActive = false;
     this.circuitBreakerActivatedAt = null;
+    this.circuitBreakerManual = false;
     this.dailyStats.consecutiveFailures = 0;
     
     this.logger.info("✅ Circuit breaker deactivated", {
       cooldownCompleted: true
     });
+
+    if (this.alertManager) {
+      this.alertManager.resolve('circuit_breaker');
+    }
+  }
+
+  // Alert while the wallet cannot pay for much more gas, resolved once it
+  // is topped up again
+  checkWalletBalance(balanceETH) {
+    const low = balanceETH < this.config.minBalanceETH;
+
+    if (low) {
+      this.logger.warn("Wallet balance low", {
+        balanceETH: balanceETH.toFixed(6),
+        minBalanceETH: this.config.minBalanceETH
+      });
+      this.raiseAlert('low_balance', 'high', 'Wallet balance below minimum', {
+        balanceETH: balanceETH.toFixed(6),
+        minBalanceETH: this.config.minBalanceETH
+      });
+    } else if (this.alertManager) {
+      this.alertManager.resolve('low_balance', { balanceETH: balanceETH.toFixed(6) });
+    }
+
+    return !low;
+  }
+
+  raiseAlert(type, severity, message, data) {
+    if (!this.alertManager) return;
+    this.alertManager.raise({ type, severity, message, data, network: this.networkConfig.name });
   }
 
   getRiskStats() {
@@ -405,8 +510,9 @@ class RiskManager {
       dailyStats: this.dailyStats,
       circuitBreaker: {
         active: this.circuitBreakerActive,
+        manual: this.circuitBreakerManual,
         activatedAt: this.circuitBreakerActivatedAt,
-        cooldownRemaining: this.circuitBreakerActive 
+        cooldownRemaining: this.circuitBreakerActive && !this.circuitBreakerManual
           ? Math.max(0, this.config.cooldownPeriod - (Date.now() - this.circuitBreakerActivatedAt))
           : 0
       },
@@ -0,0 +1,166 @@
+class RouteFinder {
+  constructor(priceFetcher, logger, options = {}) {
+    this.priceFetcher = priceFetcher;
+    this.logger = logger;
+
+    // Route search settings
+    this.config = {
+      minHops: options.minHops || 3, // Two-hop cycles are the pair scanner's job
+      maxHops: options.maxHops || parseInt(process.env.MAX_ROUTE_HOPS) || 4,
+      minProfitPercentage:
+        options.minProfitPercentage !== undefined
+          ? options.minProfitPercentage
+          : parseFloat(process.env.MIN_ROUTE_PROFIT_PERCENTAGE) || 0.1,
+      maxRoutes: options.maxRoutes || 10,
+    };
+
+    this.stats = {
+      graphsBuilt: 0,
+      edgesQuoted: 0,
+      cyclesChecked: 0,
+      routesFound: 0,
+    };
+  }
+
+  /**
+   * Quote every ordered token pair on every DEX and keep the best edge per
+   * direction. A cycle through the best edges is the best cycle over that
+   * token sequence, so parallel edges never need to be searched.
+   */
+  async buildGraph(dexConfigs, tokens, quoteSize, blockTag = "latest") {
+    const tokenPairs = [];
+    for (const tokenIn of tokens) {
+      for (const tokenOut of tokens) {
+        if (tokenIn.toLowerCase() === tokenOut.toLowerCase()) continue;
+        tokenPairs.push({
+          tokenA: tokenIn,
+          tokenB: tokenOut,
+          amountIn: quoteSize(tokenIn),
+        });
+      }
+    }
+
+    await this.priceFetcher.prefetchQuotes(dexConfigs, tokenPairs, null, blockTag);
+
+    const edges = new Map(); // tokenIn (lowercase) => [edge]
+    for (const pair of tokenPairs) {
+      const quotes = await this.priceFetcher.fetchMultiplePrices(
+        dexConfigs,
+        pair.tokenA,
+        pair.tokenB,
+        pair.amountIn,
+        blockTag
+      );
+      if (quotes.length === 0) continue;
+
+      const best = quotes.reduce((a, b) => (b.price.price > a.price.price ? b : a));
+      const key = pair.tokenA.toLowerCase();
+      if (!edges.has(key)) edges.set(key, []);
+      edges.get(key).push({
+        dex: best.dex,
+        dexType: best.type,
+        router: best.router,
+        tokenIn: pair.tokenA,
+        tokenOut: pair.tokenB,
+        rate: best.price.price, // Whole tokenOut per whole tokenIn, net of the swap fee
+        pool: this.priceFetcher.getPoolState(best.price),
+      });
+      this.stats.edgesQuoted++;
+    }
+
+    this.stats.graphsBuilt++;
+    return { tokens, edges, blockNumber: blockTag };
+  }
+
+  /**
+   * Bounded DFS for simple cycles of minHops..maxHops edges that start and
+   * end in one of startTokens (the assets we can flash borrow). A rotation
+   * of a cycle is the same trade, so each cycle is reported once, from the
+   * first start token that reaches it.
+   */
+  findRoutes(graph, startTokens = graph.tokens) {
+    const routes = [];
+    const seen = new Set();
+
+    for (const start of startTokens) {
+      const startKey = start.toLowerCase();
+
+      const visit = (token, hops, visited) => {
+        for (const edge of graph.edges.get(token) || []) {
+          const next = edge.tokenOut.toLowerCase();
+
+          if (next === startKey) {
+            if (hops.length + 1 >= this.config.minHops) {
+              const route = this.evaluateCycle([...hops, edge], seen, graph);
+              if (route) routes.push(route);
+            }
+            continue;
+          }
+
+          if (visited.has(next) || hops.length + 1 >= this.config.maxHops) continue;
+          visit(next, [...hops, edge], new Set([...visited, next]));
+        }
+      };
+
+      visit(startKey, [], new Set([startKey]));
+    }
+
+    routes.sort((a, b) => b.profitPercentage - a.profitPercentage);
+    this.stats.routesFound += routes.length;
+
+    return routes.slice(0, this.config.maxRoutes);
+  }
+
+  evaluateCycle(hops, seen, graph) {
+    const key = this.getCycleKey(hops);
+    if (seen.has(key)) return null;
+    seen.add(key);
+    this.stats.cyclesChecked++;
+
+    // Summing -log(rate) keeps long products from drifting, a cycle is
+    // profitable when the sum is negative
+    const weight = hops.reduce((sum, hop) => sum - Math.log(hop.rate), 0);
+    const profitPercentage = (Math.exp(-weight) - 1) * 100;
+    if (!(profitPercentage > this.config.minProfitPercentage)) return null;
+
+    const path = [hops[0].tokenIn, ...hops.map((hop) => hop.tokenOut)];
+
+    return {
+      type: "route",
+      tokenA: path[0],
+      tokenB: path[1],
+      path,
+      hops,
+      dexes: hops.map((hop) => hop.dex),
+      profitPercentage,
+      blockNumber: graph.blockNumber,
+      timestamp: Date.now(),
+    };
+  }
+
+  // Rotation-independent identity of a cycle
+  getCycleKey(hops) {
+    const tokens = hops.map((hop) => hop.tokenIn.toLowerCase());
+    const smallest = tokens.indexOf([...tokens].sort()[0]);
+    return [...tokens.slice(smallest), ...tokens.slice(0, smallest)].join("-");
+  }
+
+  async findArbitrageRoutes(dexConfigs, tokens, quoteSize, blockTag = "latest", startTokens = tokens) {
+    try {
+      const graph = await this.buildGraph(dexConfigs, tokens, quoteSize, blockTag);
+      return this.findRoutes(graph, startTokens);
+    } catch (error) {
+      this.logger.error("Error searching arbitrage routes:", error.message);
+      return [];
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      maxHops: this.config.maxHops,
+    };
+  }
+}
+
+module.exports = RouteFinder;
@@ -0,0 +1,144 @@
+const { ethers } = require("ethers");
+
+const ERC20_METADATA_ABI = [
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)",
+];
+
+const DEFAULT_DECIMALS = 18;
+
+class TokenRegistry {
+  constructor(provider, logger, networkConfig = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+
+    // address (lowercase) => { address, symbol, decimals }
+    // Token metadata never changes, so entries are kept for the whole run
+    this.tokens = new Map();
+    this.pending = new Map(); // In-flight lookups, so concurrent callers share one
+  }
+
+  register(tokenAddress, { symbol, decimals }) {
+    const entry = {
+      address: tokenAddress,
+      symbol,
+      decimals: Number(decimals),
+    };
+    this.tokens.set(tokenAddress.toLowerCase(), entry);
+    return entry;
+  }
+
+  async getToken(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (this.tokens.has(key)) {
+      return this.tokens.get(key);
+    }
+    if (this.pending.has(key)) {
+      return await this.pending.get(key);
+    }
+
+    const lookup = this.fetchToken(tokenAddress);
+    this.pending.set(key, lookup);
+    try {
+      return await lookup;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  async fetchToken(tokenAddress) {
+    const token = new ethers.Contract(
+      tokenAddress,
+      ERC20_METADATA_ABI,
+      this.provider
+    );
+
+    const [decimals, symbol] = await Promise.all([
+      token.decimals().catch(() => null),
+      token.symbol().catch(() => null),
+    ]);
+
+    if (decimals === null) {
+      // Not cached, a later lookup may succeed once the RPC recovers
+      this.logger.warn(`Failed to get decimals for token ${tokenAddress}`, {
+        fallback: DEFAULT_DECIMALS,
+      });
+      return {
+        address: tokenAddress,
+        symbol: symbol || this.findConfiguredSymbol(tokenAddress) || "UNKNOWN",
+        decimals: DEFAULT_DECIMALS,
+      };
+    }
+
+    return this.register(tokenAddress, {
+      symbol: symbol || this.findConfiguredSymbol(tokenAddress) || "UNKNOWN",
+      decimals,
+    });
+  }
+
+  async preload(tokenAddresses) {
+    const unique = [
+      ...new Set(tokenAddresses.map((address) => address.toLowerCase())),
+    ];
+    await Promise.all(unique.map((address) => this.getToken(address)));
+  }
+
+  async getDecimals(tokenAddress) {
+    return (await this.getToken(tokenAddress)).decimals;
+  }
+
+  async getSymbol(tokenAddress) {
+    return (await this.getToken(tokenAddress)).symbol;
+  }
+
+  // Synchronous lookup for hot paths that preloaded their tokens
+  getCachedDecimals(tokenAddress) {
+    const entry = this.tokens.get(tokenAddress.toLowerCase());
+    return entry ? entry.decimals : DEFAULT_DECIMALS;
+  }
+
+  // Raw token amount to a float in whole-token units
+  toUnits(amount, tokenAddress) {
+    return parseFloat(
+      ethers.utils.formatUnits(amount, this.getCachedDecimals(tokenAddress))
+    );
+  }
+
+  // Whole-token amount (string or number) to a raw BigNumber
+  fromUnits(amount, tokenAddress) {
+    const decimals = this.getCachedDecimals(tokenAddress);
+    const text =
+      typeof amount === "number" ? amount.toFixed(decimals) : amount.toString();
+
+    // Trim to the token's precision so parseUnits does not reject it
+    const [whole, fraction = ""] = text.split(".");
+    const trimmed =
+      fraction && decimals > 0 ? `${whole}.${fraction.slice(0, decimals)}` : whole;
+
+    return ethers.utils.parseUnits(trimmed, decimals);
+  }
+
+  findConfiguredSymbol(tokenAddress) {
+    if (!this.networkConfig.tokens) return null;
+
+    for (const [symbol, address] of Object.entries(this.networkConfig.tokens)) {
+      if (address.toLowerCase() === tokenAddress.toLowerCase()) {
+        return symbol;
+      }
+    }
+    return null;
+  }
+
+  getStats() {
+    return {
+      cachedTokens: this.tokens.size,
+      tokens: Array.from(this.tokens.values()).map(
+        (token) => `${token.symbol} (${token.decimals})`
+      ),
+    };
+  }
+}
+
+module.exports = TokenRegistry;
+module.exports.DEFAULT_DECIMALS = DEFAULT_DECIMALS;
@@ -0,0 +1,406 @@
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const path = require("path");
+
+// Schema versions in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+  `
+  CREATE TABLE opportunities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chain_id INTEGER NOT NULL,
+    detected_at INTEGER NOT NULL,
+    block_number INTEGER,
+    type TEXT NOT NULL,
+    token_a TEXT,
+    token_b TEXT,
+    profit_percentage REAL,
+    amount_in TEXT
+  );
+  CREATE INDEX opportunities_detected_at ON opportunities (chain_id, detected_at);
+
+  CREATE TABLE opportunity_dexes (
+    opportunity_id INTEGER NOT NULL REFERENCES opportunities (id),
+    position INTEGER NOT NULL,
+    dex TEXT NOT NULL,
+    PRIMARY KEY (opportunity_id, position)
+  );
+
+  CREATE TABLE events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    opportunity_id INTEGER NOT NULL REFERENCES opportunities (id),
+    created_at INTEGER NOT NULL,
+    stage TEXT NOT NULL,
+    passed INTEGER NOT NULL,
+    category TEXT,
+    reason TEXT,
+    data TEXT
+  );
+  CREATE INDEX events_opportunity ON events (opportunity_id);
+  CREATE INDEX events_created_at ON events (created_at);
+
+  CREATE TABLE trades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    opportunity_id INTEGER NOT NULL REFERENCES opportunities (id),
+    chain_id INTEGER NOT NULL,
+    executed_at INTEGER NOT NULL,
+    success INTEGER NOT NULL,
+    tx_hash TEXT,
+    method TEXT,
+    block_number INTEGER,
+    gas_used TEXT,
+    gas_cost_wei TEXT,
+    expected_profit_usd REAL,
+    simulated_profit_usd REAL,
+    realized_profit_usd REAL,
+    booked_profit_eth REAL NOT NULL
+  );
+  CREATE INDEX trades_executed_at ON trades (chain_id, executed_at);
+  `,
+];
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today.getTime();
+}
+
+/**
+ * Durable record of every opportunity and what became of it, in a local
+ * SQLite file. Each opportunity gets a row when detected; the viability
+ * decision, risk assessment, simulation, submission and receipt follow as
+ * events against it, and every trade that reached the risk manager lands in
+ * trades with the profit it booked. Writes never throw into the trading path.
+ */
+class TradeJournal {
+  constructor(logger, networkConfig = {}) {
+    this.logger = logger;
+    this.networkConfig = networkConfig;
+
+    this.config = {
+      path: process.env.TRADE_JOURNAL_PATH || path.join(__dirname, "../data/trades.db"),
+    };
+
+    this.db = null;
+  }
+
+  get chainId() {
+    return this.networkConfig.chainId || 0;
+  }
+
+  open() {
+    if (this.db) return this;
+
+    if (this.config.path !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.config.path), { recursive: true });
+    }
+
+    this.db = new Database(this.config.path);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.migrate();
+
+    this.logger.info("Trade journal opened", {
+      path: this.config.path,
+      schemaVersion: this.getSchemaVersion(),
+    });
+    return this;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  getSchemaVersion() {
+    return this.db.pragma("user_version", { simple: true });
+  }
+
+  // Run the migrations this file has not seen yet, each in its own transaction
+  migrate() {
+    const current = this.getSchemaVersion();
+
+    for (let version = current; version < MIGRATIONS.length; version++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[version]);
+        this.db.pragma(`user_version = ${version + 1}`);
+      })();
+
+      this.logger.debug("Trade journal migrated", { version: version + 1 });
+    }
+  }
+
+  // Swallow and log write failures; a full disk must not stop trading
+  write(action, fn) {
+    if (!this.db) return null;
+
+    try {
+      return fn();
+    } catch (error) {
+      this.logger.warn(`Trade journal failed to record ${action}`, {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  // Legs in execution order, as ArbitrageExecutor routes them
+  getDexes(opportunity) {
+    if (opportunity.dexes) return opportunity.dexes;
+    return [opportunity.sellDex, opportunity.buyDex].filter(Boolean);
+  }
+
+  // Row id the later stages are recorded against
+  recordOpportunity(opportunity) {
+    return this.write("opportunity", () => {
+      const { lastInsertRowid } = this.db
+        .prepare(
+          `INSERT INTO opportunities
+            (chain_id, detected_at, block_number, type, token_a, token_b, profit_percentage, amount_in)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          this.chainId,
+          opportunity.timestamp || Date.now(),
+          typeof opportunity.blockNumber === "number" ? opportunity.blockNumber : null,
+          opportunity.type || "pair",
+          opportunity.tokenA || null,
+          opportunity.tokenB || null,
+          Number(opportunity.profitPercentage) || null,
+          opportunity.amountIn ? opportunity.amountIn.toString() : null
+        );
+
+      const insertDex = this.db.prepare(
+        "INSERT INTO opportunity_dexes (opportunity_id, position, dex) VALUES (?, ?, ?)"
+      );
+      this.getDexes(opportunity).forEach((dex, position) =>
+        insertDex.run(lastInsertRowid, position, dex)
+      );
+
+      return Number(lastInsertRowid);
+    });
+  }
+
+  recordEvent(opportunityId, stage, passed, { category = null, reason = null, data = null } = {}) {
+    if (!opportunityId) return null;
+
+    return this.write(`${stage} event`, () =>
+      this.db
+        .prepare(
+          `INSERT INTO events (opportunity_id, created_at, stage, passed, category, reason, data)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          opportunityId,
+          Date.now(),
+          stage,
+          passed ? 1 : 0,
+          category,
+          reason,
+          data ? JSON.stringify(data) : null
+        )
+    );
+  }
+
+  recordViability(opportunityId, profitability, viable, reason = null) {
+    return this.recordEvent(opportunityId, "viability", viable, {
+      reason,
+      data: profitability && {
+        netProfitUSD: profitability.netProfitUSD,
+        profitMargin: profitability.profitMargin,
+        riskScore: profitability.riskScore,
+        gasCostUSD: profitability.costs && profitability.costs.gasCostUSD,
+        gasEstimateSource: profitability.gasEstimateSource,
+      },
+    });
+  }
+
+  recordRiskAssessment(opportunityId, riskAssessment) {
+    return this.recordEvent(opportunityId, "risk", riskAssessment.approved, {
+      reason: riskAssessment.approved
+        ? null
+        : riskAssessment.riskFactors.map((factor) => factor.description).join("; "),
+      data: {
+        riskScore: riskAssessment.riskScore,
+        maxSlippage: riskAssessment.maxSlippage,
+        factors: riskAssessment.riskFactors.map((factor) => factor.factor),
+      },
+    });
+  }
+
+  /**
+   * The executor's result as the stages it got through: a veto is one
+   * failed event at its stage; anything that went past simulation records
+   * the simulation, the submission and, when mined, the receipt. Every
+   * non-vetoed result is also a trade carrying bookedProfitETH, the signed
+   * amount RiskManager added to the day's profit or loss.
+   */
+  recordExecution(opportunityId, result, profitability, bookedProfitETH) {
+    if (!opportunityId) return;
+
+    if (result.vetoed) {
+      this.recordEvent(opportunityId, result.stage, false, {
+        category: result.category || null,
+        reason: result.reason,
+      });
+      return;
+    }
+
+    this.write("execution", () =>
+      this.db.transaction(() => {
+        // Only results from past the simulation carry its profit, even when
+        // the trace could not measure one
+        const simulated = "simulatedProfitUSD" in result;
+        if (simulated) {
+          this.recordEvent(opportunityId, "simulation", true, {
+            data: { netProfitUSD: result.simulatedProfitUSD },
+          });
+        }
+
+        const stage = simulated || result.txHash ? "submission" : "execution";
+        this.recordEvent(opportunityId, stage, Boolean(result.txHash), {
+          reason: result.txHash ? null : result.reason,
+          data: { txHash: result.txHash || null, method: result.method || null },
+        });
+
+        if (result.receipt) {
+          this.recordEvent(opportunityId, "receipt", result.success, {
+            reason: result.success ? null : result.reason,
+            data: {
+              txHash: result.txHash,
+              blockNumber: result.receipt.blockNumber,
+              status: result.receipt.status,
+            },
+          });
+        }
+
+        const realized = result.realized;
+        this.db
+          .prepare(
+            `INSERT INTO trades
+              (opportunity_id, chain_id, executed_at, success, tx_hash, method, block_number, gas_used,
+               gas_cost_wei, expected_profit_usd, simulated_profit_usd, realized_profit_usd, booked_profit_eth)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          )
+          .run(
+            opportunityId,
+            this.chainId,
+            Date.now(),
+            result.success ? 1 : 0,
+            result.txHash || null,
+            result.method || null,
+            result.receipt ? result.receipt.blockNumber : null,
+            result.receipt && result.receipt.gasUsed ? result.receipt.gasUsed.toString() : null,
+            result.gasCostWei ? result.gasCostWei.toString() : null,
+            profitability ? profitability.netProfitUSD : null,
+            typeof result.simulatedProfitUSD === "number" ? result.simulatedProfitUSD : null,
+            realized && realized.netProfitUSD !== null ? realized.netProfitUSD : null,
+            bookedProfitETH
+          );
+      })()
+    );
+  }
+
+  // Latest opportunities with their legs and the last stage they reached
+  getRecentOpportunities(limit = 50) {
+    return this.db
+      .prepare(
+        `SELECT o.id, o.detected_at AS detectedAt, o.block_number AS blockNumber, o.type,
+           o.token_a AS tokenA, o.token_b AS tokenB, o.profit_percentage AS profitPercentage,
+           (SELECT group_concat(dex, '>') FROM
+             (SELECT dex FROM opportunity_dexes WHERE opportunity_id = o.id ORDER BY position)) AS dexes,
+           e.stage AS lastStage, e.passed AS lastStagePassed, e.reason AS lastReason
+         FROM opportunities o
+         LEFT JOIN events e ON e.id = (SELECT MAX(id) FROM events WHERE opportunity_id = o.id)
+         WHERE o.chain_id = ?
+         ORDER BY o.id DESC LIMIT ?`
+      )
+      .all(this.chainId, limit);
+  }
+
+  /**
+   * Totals RiskManager keeps per day, summed from trades since `since`:
+   * { totalProfitETH, totalLossETH, executedTrades, failedTrades,
+   *   consecutiveFailures }.
+   */
+  getRiskTotals(since = startOfToday()) {
+    const totals = this.db
+      .prepare(
+        `SELECT
+           COALESCE(SUM(CASE WHEN booked_profit_eth > 0 THEN booked_profit_eth END), 0) AS totalProfitETH,
+           COALESCE(SUM(CASE WHEN booked_profit_eth < 0 THEN -booked_profit_eth END), 0) AS totalLossETH,
+           COALESCE(SUM(success), 0) AS executedTrades,
+           COALESCE(SUM(1 - success), 0) AS failedTrades
+         FROM trades WHERE chain_id = ? AND executed_at >= ?`
+      )
+      .get(this.chainId, since);
+
+    // Failures since the last success
+    const { consecutiveFailures } = this.db
+      .prepare(
+        `SELECT COUNT(*) AS consecutiveFailures FROM trades
+         WHERE chain_id = ? AND executed_at >= ? AND success = 0 AND id > COALESCE(
+           (SELECT MAX(id) FROM trades WHERE chain_id = ? AND executed_at >= ? AND success = 1), 0)`
+      )
+      .get(this.chainId, since, this.chainId, since);
+
+    return { ...totals, consecutiveFailures };
+  }
+
+  // Profit, loss and trade counts per local calendar day, newest first
+  getDailyPnL(days = 30) {
+    const since = startOfToday() - (days - 1) * 24 * 60 * 60 * 1000;
+
+    return this.db
+      .prepare(
+        `SELECT
+           date(executed_at / 1000, 'unixepoch', 'localtime') AS date,
+           COUNT(*) AS trades,
+           SUM(success) AS successful,
+           SUM(1 - success) AS failed,
+           COALESCE(SUM(CASE WHEN booked_profit_eth > 0 THEN booked_profit_eth END), 0) AS profitETH,
+           COALESCE(SUM(CASE WHEN booked_profit_eth < 0 THEN -booked_profit_eth END), 0) AS lossETH,
+           SUM(booked_profit_eth) AS netProfitETH,
+           COALESCE(SUM(realized_profit_usd), 0) AS realizedProfitUSD,
+           COALESCE(SUM(expected_profit_usd), 0) AS expectedProfitUSD
+         FROM trades WHERE chain_id = ? AND executed_at >= ?
+         GROUP BY date ORDER BY date DESC`
+      )
+      .all(this.chainId, since);
+  }
+
+  // Why opportunities stopped, by stage and failure category, most common first
+  getFailureReasons(since = 0, limit = 20) {
+    return this.db
+      .prepare(
+        `SELECT e.stage, e.category, e.reason, COUNT(*) AS count, MAX(e.created_at) AS lastSeen
+         FROM events e JOIN opportunities o ON o.id = e.opportunity_id
+         WHERE o.chain_id = ? AND e.passed = 0 AND e.created_at >= ?
+         GROUP BY e.stage, e.category, e.reason
+         ORDER BY count DESC, lastSeen DESC LIMIT ?`
+      )
+      .all(this.chainId, since, limit);
+  }
+
+  // Opportunities, trades and booked profit of every DEX a leg went through
+  getDexStats(since = 0) {
+    return this.db
+      .prepare(
+        `SELECT d.dex,
+           COUNT(DISTINCT d.opportunity_id) AS opportunities,
+           COUNT(t.id) AS trades,
+           COALESCE(SUM(t.success), 0) AS successful,
+           COALESCE(SUM(t.booked_profit_eth), 0) AS netProfitETH,
+           COALESCE(SUM(t.realized_profit_usd), 0) AS realizedProfitUSD
+         FROM (SELECT DISTINCT opportunity_id, dex FROM opportunity_dexes) d
+         JOIN opportunities o ON o.id = d.opportunity_id
+         LEFT JOIN trades t ON t.opportunity_id = d.opportunity_id
+         WHERE o.chain_id = ? AND o.detected_at >= ?
+         GROUP BY d.dex ORDER BY netProfitETH DESC`
+      )
+      .all(this.chainId, since);
+  }
+}
+
+module.exports = TradeJournal;
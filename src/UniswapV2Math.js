@@ -0,0 +1,112 @@
+const { ethers } = require("ethers");
+
+// Swap fee in basis points charged by each Uniswap V2 fork
+const V2_FEE_BPS = {
+  UNISWAP_V2: 30, // 0.3%
+  SUSHISWAP: 30, // 0.3%
+  PANCAKESWAP: 25, // 0.25%
+};
+
+const DEFAULT_V2_FEE_BPS = 30;
+
+function getV2FeeBps(dexType, override) {
+  if (override !== undefined && override !== null) {
+    return Number(override);
+  }
+  return V2_FEE_BPS[dexType] !== undefined
+    ? V2_FEE_BPS[dexType]
+    : DEFAULT_V2_FEE_BPS;
+}
+
+/**
+ * Output of a constant-product swap, rounded down exactly like
+ * UniswapV2Library.getAmountOut so results match the router on-chain.
+ */
+function getAmountOut(
+  amountIn,
+  reserveIn,
+  reserveOut,
+  feeBps = DEFAULT_V2_FEE_BPS
+) {
+  amountIn = ethers.BigNumber.from(amountIn);
+  reserveIn = ethers.BigNumber.from(reserveIn);
+  reserveOut = ethers.BigNumber.from(reserveOut);
+
+  if (amountIn.lte(0) || reserveIn.lte(0) || reserveOut.lte(0)) {
+    return ethers.BigNumber.from(0);
+  }
+
+  const amountInWithFee = amountIn.mul(10000 - feeBps);
+  const numerator = amountInWithFee.mul(reserveOut);
+  const denominator = reserveIn.mul(10000).add(amountInWithFee);
+
+  return numerator.div(denominator);
+}
+
+function sqrt(value) {
+  if (value < 2n) return value;
+
+  // Newton's method on BigInt, converges from above
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * Input that maximises the round trip tokenA -> tokenB -> tokenA through two
+ * constant-product pools. Each pool is { reserveIn, reserveOut, feeBps } in
+ * its own swap direction. Chaining the two swaps gives
+ * out(x) = K * x / (M + N * x), so profit out(x) - x peaks at
+ * x = (sqrt(K * M) - M) / N, and there is no profitable size when K <= M.
+ * A premium on the borrowed input (in parts per million, e.g. a flash loan
+ * fee) makes the cost x * (1 + p), which scales K * M by 1 / (1 + p).
+ */
+function getOptimalAmountIn(firstPool, secondPool, premiumPpm = 0) {
+  const a1 = BigInt(ethers.BigNumber.from(firstPool.reserveIn).toString());
+  const b1 = BigInt(ethers.BigNumber.from(firstPool.reserveOut).toString());
+  const b2 = BigInt(ethers.BigNumber.from(secondPool.reserveIn).toString());
+  const a2 = BigInt(ethers.BigNumber.from(secondPool.reserveOut).toString());
+  const g1 = BigInt(10000 - firstPool.feeBps);
+  const g2 = BigInt(10000 - secondPool.feeBps);
+
+  const K = g1 * g2 * b1 * a2;
+  const M = a1 * b2 * 100000000n;
+  const N = g1 * b2 * 10000n + g1 * g2 * b1;
+
+  const ppm = BigInt(premiumPpm);
+  if (K * 1000000n <= M * (1000000n + ppm)) {
+    return ethers.BigNumber.from(0);
+  }
+
+  const root = sqrt((K * M * 1000000n) / (1000000n + ppm));
+  return ethers.BigNumber.from(((root - M) / N).toString());
+}
+
+// Pair tokens are ordered by address, token0 being the lower one
+function sortTokens(tokenA, tokenB) {
+  return tokenA.toLowerCase() < tokenB.toLowerCase()
+    ? [tokenA, tokenB]
+    : [tokenB, tokenA];
+}
+
+// Orient pair reserves to the direction of the swap
+function getReservesForSwap(tokenIn, tokenOut, reserve0, reserve1) {
+  const [token0] = sortTokens(tokenIn, tokenOut);
+  return token0.toLowerCase() === tokenIn.toLowerCase()
+    ? { reserveIn: reserve0, reserveOut: reserve1 }
+    : { reserveIn: reserve1, reserveOut: reserve0 };
+}
+
+module.exports = {
+  V2_FEE_BPS,
+  DEFAULT_V2_FEE_BPS,
+  getV2FeeBps,
+  getAmountOut,
+  getOptimalAmountIn,
+  sortTokens,
+  getReservesForSwap,
+};
@@ -0,0 +1,293 @@
+const { ethers } = require("ethers");
+
+// Ports of the Uniswap V3 core libraries (TickMath, SqrtPriceMath, SwapMath).
+// Native BigInt keeps the 256-bit intermediate math exact; amounts are
+// converted to and from ethers BigNumbers at the edges.
+
+const Q96 = 1n << 96n;
+const Q128 = 1n << 128n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const FEE_DENOMINATOR = 1000000n; // Fees are in hundredths of a bip
+
+const TICK_RATIO_FACTORS = [
+  [0x2, 0xfff97272373d413259a46990580e213an],
+  [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000, 0x48a170391f7dc42444e8fa2n],
+];
+
+function toBigInt(value) {
+  return BigInt(ethers.BigNumber.from(value).toString());
+}
+
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  return product / denominator + (product % denominator > 0n ? 1n : 0n);
+}
+
+function divRoundingUp(a, b) {
+  return a / b + (a % b > 0n ? 1n : 0n);
+}
+
+function getSqrtRatioAtTick(tick) {
+  if (tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick ${tick} out of range`);
+  }
+
+  const absTick = Math.abs(tick);
+  let ratio =
+    absTick & 0x1
+      ? 0xfffcb933bd6fad37aa2d162d1a594001n
+      : 0x100000000000000000000000000000000n;
+
+  for (const [bit, factor] of TICK_RATIO_FACTORS) {
+    if (absTick & bit) {
+      ratio = (ratio * factor) >> 128n;
+    }
+  }
+
+  if (tick > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+
+  // Q128.128 to Q64.96, rounding up so the result is never below the real price
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Greatest tick whose sqrt price is at or below sqrtPriceX96, as TickMath
+// computes it, by binary search over getSqrtRatioAtTick
+function getTickAtSqrtRatio(sqrtPriceX96) {
+  const sqrtPrice = toBigInt(sqrtPriceX96);
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPrice) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+function getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  if (sqrtRatioA > sqrtRatioB) [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtRatioB - sqrtRatioA;
+
+  return roundUp
+    ? divRoundingUp(
+        mulDivRoundingUp(numerator1, numerator2, sqrtRatioB),
+        sqrtRatioA
+      )
+    : mulDiv(numerator1, numerator2, sqrtRatioB) / sqrtRatioA;
+}
+
+function getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  if (sqrtRatioA > sqrtRatioB) [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+
+  return roundUp
+    ? mulDivRoundingUp(liquidity, sqrtRatioB - sqrtRatioA, Q96)
+    : mulDiv(liquidity, sqrtRatioB - sqrtRatioA, Q96);
+}
+
+function getNextSqrtPriceFromInput(sqrtPrice, liquidity, amountIn, zeroForOne) {
+  if (amountIn === 0n) return sqrtPrice;
+
+  if (zeroForOne) {
+    // Adding token0 moves the price down, rounded up
+    const numerator1 = liquidity << 96n;
+    const product = amountIn * sqrtPrice;
+    if (product <= MAX_UINT256) {
+      return mulDivRoundingUp(numerator1, sqrtPrice, numerator1 + product);
+    }
+    return divRoundingUp(numerator1, numerator1 / sqrtPrice + amountIn);
+  }
+
+  // Adding token1 moves the price up, rounded down
+  const quotient =
+    amountIn <= MAX_UINT160
+      ? (amountIn << 96n) / liquidity
+      : mulDiv(amountIn, Q96, liquidity);
+  return sqrtPrice + quotient;
+}
+
+function computeSwapStep(sqrtPriceCurrent, sqrtPriceTarget, liquidity, amountRemaining, feePips) {
+  const zeroForOne = sqrtPriceCurrent >= sqrtPriceTarget;
+  const amountRemainingLessFee = mulDiv(
+    amountRemaining,
+    FEE_DENOMINATOR - feePips,
+    FEE_DENOMINATOR
+  );
+
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtPriceTarget, sqrtPriceCurrent, liquidity, true)
+    : getAmount1Delta(sqrtPriceCurrent, sqrtPriceTarget, liquidity, true);
+
+  const sqrtPriceNext =
+    amountRemainingLessFee >= amountIn
+      ? sqrtPriceTarget
+      : getNextSqrtPriceFromInput(
+          sqrtPriceCurrent,
+          liquidity,
+          amountRemainingLessFee,
+          zeroForOne
+        );
+
+  const reachedTarget = sqrtPriceNext === sqrtPriceTarget;
+  if (!reachedTarget) {
+    amountIn = zeroForOne
+      ? getAmount0Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, true)
+      : getAmount1Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, true);
+  }
+
+  const amountOut = zeroForOne
+    ? getAmount1Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, false)
+    : getAmount0Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, false);
+
+  // When the step ends inside the range the pool keeps the remainder as fee
+  const feeAmount = reachedTarget
+    ? mulDivRoundingUp(amountIn, feePips, FEE_DENOMINATOR - feePips)
+    : amountRemaining - amountIn;
+
+  return { sqrtPriceNext, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * Simulate an exact-input swap against a pool snapshot by walking its
+ * initialized ticks. pool = { sqrtPriceX96, tick, liquidity, fee, ticks,
+ * tickRange }, where ticks is a list of { tick, liquidityNet } and tickRange
+ * the { min, max } span the ticks were loaded for. Crossing past the loaded
+ * span stops the walk and flags the result as incomplete. tickAfter and
+ * liquidityAfter are the pool's state once the swap is done, so a later
+ * swap can be simulated on top of it.
+ */
+function simulateExactInput(pool, zeroForOne, amountIn) {
+  let amountRemaining = toBigInt(amountIn);
+  let sqrtPrice = toBigInt(pool.sqrtPriceX96);
+  let liquidity = toBigInt(pool.liquidity);
+  let tick = pool.tick;
+  const feePips = BigInt(pool.fee);
+
+  const ticks = [...(pool.ticks || [])].sort((a, b) => a.tick - b.tick);
+  const tickRange = pool.tickRange || { min: MIN_TICK, max: MAX_TICK };
+  const sqrtPriceLimit = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+
+  let amountOut = 0n;
+  let ticksCrossed = 0;
+  let complete = true;
+
+  while (amountRemaining > 0n && sqrtPrice !== sqrtPriceLimit) {
+    const sqrtPriceStart = sqrtPrice;
+    const next = zeroForOne
+      ? [...ticks].reverse().find((t) => t.tick <= tick)
+      : ticks.find((t) => t.tick > tick);
+
+    // Unknown liquidity beyond the loaded span, the quote would be a guess
+    let targetTick = next ? next.tick : zeroForOne ? tickRange.min : tickRange.max;
+    const beyondRange = zeroForOne
+      ? targetTick < tickRange.min
+      : targetTick > tickRange.max;
+    if (beyondRange) {
+      targetTick = zeroForOne ? tickRange.min : tickRange.max;
+    }
+    targetTick = Math.min(Math.max(targetTick, MIN_TICK), MAX_TICK);
+
+    const sqrtPriceTick = getSqrtRatioAtTick(targetTick);
+    const sqrtPriceTarget = zeroForOne
+      ? sqrtPriceTick < sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceTick
+      : sqrtPriceTick > sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceTick;
+
+    const step = computeSwapStep(
+      sqrtPrice,
+      sqrtPriceTarget,
+      liquidity,
+      amountRemaining,
+      feePips
+    );
+
+    amountRemaining -= step.amountIn + step.feeAmount;
+    amountOut += step.amountOut;
+    sqrtPrice = step.sqrtPriceNext;
+
+    // Swap finished inside the range
+    if (sqrtPrice !== sqrtPriceTick) {
+      if (sqrtPrice !== sqrtPriceStart) tick = getTickAtSqrtRatio(sqrtPrice);
+      break;
+    }
+
+    if (!next || beyondRange || next.tick !== targetTick) {
+      if (amountRemaining > 0n) complete = false;
+      break;
+    }
+
+    // Crossing an initialized tick changes the active liquidity
+    const liquidityNet = toBigInt(next.liquidityNet);
+    liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+    tick = zeroForOne ? next.tick - 1 : next.tick;
+    ticksCrossed++;
+  }
+
+  return {
+    amountOut: ethers.BigNumber.from(amountOut.toString()),
+    amountInUsed: ethers.BigNumber.from(
+      (toBigInt(amountIn) - amountRemaining).toString()
+    ),
+    sqrtPriceX96After: ethers.BigNumber.from(sqrtPrice.toString()),
+    tickAfter: tick,
+    liquidityAfter: ethers.BigNumber.from(liquidity.toString()),
+    ticksCrossed,
+    complete: complete && amountRemaining === 0n,
+  };
+}
+
+// Direction of a swap through a pool, token0 being the lower address
+function isZeroForOne(tokenIn, tokenOut) {
+  return tokenIn.toLowerCase() < tokenOut.toLowerCase();
+}
+
+module.exports = {
+  Q96,
+  Q128,
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  getAmount0Delta,
+  getAmount1Delta,
+  getNextSqrtPriceFromInput,
+  computeSwapStep,
+  simulateExactInput,
+  isZeroForOne,
+};
@@ -0,0 +1,293 @@
+const { ethers } = require("ethers");
+const DexAdapter = require("./DexAdapter");
+const BalancerPoolRegistry = require("../BalancerPoolRegistry");
+const { quoteBalancerSwap } = require("../BalancerMath");
+
+const BALANCER_VAULT_ABI = [
+  "function getPoolTokens(bytes32 poolId) external view returns (address[] memory tokens, uint256[] memory balances, uint256 lastChangeBlock)",
+];
+
+// Weighted pools answer getNormalizedWeights, stable pools getAmplificationParameter
+const BALANCER_POOL_ABI = [
+  "function getSwapFeePercentage() external view returns (uint256)",
+  "function getNormalizedWeights() external view returns (uint256[] memory)",
+  "function getAmplificationParameter() external view returns (uint256 value, bool isUpdating, uint256 precision)",
+];
+
+const BALANCER_VAULT_INTERFACE = new ethers.utils.Interface(BALANCER_VAULT_ABI);
+const BALANCER_POOL_INTERFACE = new ethers.utils.Interface(BALANCER_POOL_ABI);
+
+// Balancer V2: pools are discovered per Vault and quoted from their balances
+class BalancerV2Adapter extends DexAdapter {
+  constructor(context) {
+    super(context);
+
+    this.registries = new Map(); // vault => BalancerPoolRegistry
+    this.stateCache = new Map(); // poolId-blockTag => snapshot, cleared every block
+  }
+
+  clearBlockState() {
+    this.stateCache.clear();
+  }
+
+  // One registry per Vault, seeded with the configured pool ids
+  getRegistry(dexConfig) {
+    const key = dexConfig.router.toLowerCase();
+    if (!this.registries.has(key)) {
+      const networkConfig = this.context.networkConfig || {};
+      const configuredPools =
+        dexConfig.pools ||
+        networkConfig.balancerPools ||
+        (process.env.BALANCER_POOLS ? process.env.BALANCER_POOLS.split(",") : []);
+
+      this.registries.set(
+        key,
+        new BalancerPoolRegistry(this.context.provider, this.logger, {
+          vault: dexConfig.router,
+          pools: configuredPools.map((poolId) => poolId.trim()).filter(Boolean),
+          fromBlock: networkConfig.balancerFromBlock,
+        })
+      );
+    }
+    return this.registries.get(key);
+  }
+
+  // Index new pool registrations and read the tokens of configured pools
+  async syncPools(dexConfig, blockTag = "latest") {
+    const registry = this.getRegistry(dexConfig);
+    const blockNumber =
+      typeof blockTag === "number"
+        ? blockTag
+        : await this.context.provider.getBlockNumber();
+    await registry.syncToBlock(blockNumber);
+
+    const unresolved = registry.getUnresolvedPools();
+    if (unresolved.length > 0) {
+      const results = await this.context.multicall.call(
+        unresolved.map((pool) => ({
+          target: dexConfig.router,
+          iface: BALANCER_VAULT_INTERFACE,
+          method: "getPoolTokens",
+          args: [pool.poolId],
+        })),
+        blockTag
+      );
+      results.forEach((result, index) => {
+        if (result.success) {
+          registry.setTokens(unresolved[index].poolId, result.result.tokens);
+        }
+      });
+    }
+
+    return registry;
+  }
+
+  async discoverPools(dexConfigs, tokenPairs, blockTag = "latest") {
+    for (const dex of dexConfigs) {
+      await this.syncPools(dex, blockTag);
+    }
+  }
+
+  /**
+   * Snapshots of Balancer pools for quoteBalancerSwap: Vault balances from
+   * getPoolTokens plus the pool's swap fee and either its weights or its
+   * amplification, all in one multicall at the same block. Composable
+   * pools, which hold their own BPT, and other pool types are left null.
+   */
+  async getPoolStates(dexConfig, pools, blockTag = "latest") {
+    const pending = pools.filter(
+      (pool) => !this.stateCache.has(`${pool.poolId}-${blockTag}`)
+    );
+
+    if (pending.length > 0) {
+      const results = await this.context.multicall.call(
+        pending.flatMap((pool) => [
+          {
+            target: dexConfig.router,
+            iface: BALANCER_VAULT_INTERFACE,
+            method: "getPoolTokens",
+            args: [pool.poolId],
+          },
+          { target: pool.address, iface: BALANCER_POOL_INTERFACE, method: "getSwapFeePercentage" },
+          { target: pool.address, iface: BALANCER_POOL_INTERFACE, method: "getNormalizedWeights" },
+          { target: pool.address, iface: BALANCER_POOL_INTERFACE, method: "getAmplificationParameter" },
+        ]),
+        blockTag
+      );
+
+      for (const [index, pool] of pending.entries()) {
+        const [poolTokens, swapFee, weights, amp] = results.slice(index * 4, index * 4 + 4);
+        const state = await this.buildPoolState(pool, poolTokens, swapFee, weights, amp);
+        this.stateCache.set(`${pool.poolId}-${blockTag}`, state);
+      }
+    }
+
+    return pools.map((pool) => this.stateCache.get(`${pool.poolId}-${blockTag}`));
+  }
+
+  async buildPoolState(pool, poolTokens, swapFee, weights, amp) {
+    if (!poolTokens.success || !swapFee.success) return null;
+
+    const { tokens, balances } = poolTokens.result;
+    if (tokens.some((token) => token.toLowerCase() === pool.address.toLowerCase())) {
+      return null;
+    }
+
+    const tokenRegistry = this.context.tokenRegistry;
+    await tokenRegistry.preload(tokens);
+    const state = {
+      poolId: pool.poolId,
+      poolAddress: pool.address,
+      tokens: [...tokens],
+      balances: balances.map((balance) => balance.toString()),
+      decimals: tokens.map((token) => tokenRegistry.getCachedDecimals(token)),
+      swapFee: swapFee.result[0].toString(),
+    };
+
+    if (weights.success) {
+      return {
+        ...state,
+        poolType: "WEIGHTED",
+        weights: weights.result[0].map((weight) => weight.toString()),
+      };
+    }
+    if (amp.success) {
+      return { ...state, poolType: "STABLE", amp: amp.result.value.toString() };
+    }
+
+    return null;
+  }
+
+  // Best pool for the pair, quoted off-chain from each pool's snapshot
+  selectQuote(tokenA, tokenB, amountIn, states) {
+    let best = null;
+    for (const state of states) {
+      if (!state) continue;
+
+      let amountOut;
+      try {
+        amountOut = quoteBalancerSwap(state, tokenA, tokenB, amountIn);
+      } catch (error) {
+        continue; // Stable math that does not converge has no quote
+      }
+      if (!best || amountOut.gt(best.amountOut)) {
+        best = { state, amountOut };
+      }
+    }
+    if (!best || !best.amountOut.gt(0)) return null;
+
+    return {
+      price: this.context.calculatePrice(tokenA, tokenB, amountIn, best.amountOut),
+      amountIn: amountIn.toString(),
+      amountOut: best.amountOut.toString(),
+      poolId: best.state.poolId,
+      poolAddress: best.state.poolAddress,
+      poolType: best.state.poolType,
+      swapFee: best.state.swapFee,
+      state: best.state,
+      dexType: "BALANCER_V2",
+    };
+  }
+
+  async quote(dexConfig, tokenA, tokenB, amountIn, blockTag = "latest") {
+    try {
+      const registry = await this.syncPools(dexConfig, blockTag);
+      const pools = registry.getPoolsForPair(tokenA, tokenB);
+      if (pools.length === 0) return null;
+
+      const states = await this.getPoolStates(dexConfig, pools, blockTag);
+      return this.selectQuote(tokenA, tokenB, amountIn, states);
+    } catch (error) {
+      this.logger.debug(`Balancer price fetch failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Every pool holding any of the pairs, loaded in one round per Vault
+  async prepareBatch(dexConfigs, tokenPairs, amountIn, blockTag = "latest") {
+    await this.discoverPools(dexConfigs, tokenPairs, blockTag);
+
+    const requests = [];
+    for (const dex of dexConfigs) {
+      const registry = this.getRegistry(dex);
+      const pools = [
+        ...new Set(
+          tokenPairs.flatMap(({ tokenA, tokenB }) => registry.getPoolsForPair(tokenA, tokenB))
+        ),
+      ];
+      await this.getPoolStates(dex, pools, blockTag);
+
+      for (const pair of tokenPairs) {
+        const { tokenA, tokenB } = pair;
+        const pairAmountIn = pair.amountIn || amountIn;
+        const pairPools = registry.getPoolsForPair(tokenA, tokenB);
+        const states = await this.getPoolStates(dex, pairPools, blockTag);
+
+        requests.push({
+          key: this.context.getQuoteKey(dex.router, tokenA, tokenB, pairAmountIn, blockTag),
+          calls: [],
+          decode: () =>
+            pairPools.length > 0
+              ? this.selectQuote(tokenA, tokenB, pairAmountIn, states)
+              : null,
+        });
+      }
+    }
+
+    return requests;
+  }
+
+  // Balancer swaps go through the Vault and need the poolId to execute
+  getPoolState(priceData) {
+    return {
+      dexType: "BALANCER_V2",
+      poolId: priceData.poolId,
+      state: priceData.state,
+    };
+  }
+
+  buildLegModel(pool, tokenIn, tokenOut, reversed) {
+    if (!pool.state) return null;
+
+    return {
+      type: "balancer",
+      quote: (amountIn) => {
+        try {
+          return quoteBalancerSwap(pool.state, tokenIn, tokenOut, amountIn);
+        } catch (error) {
+          return null; // Stable math did not converge at this size
+        }
+      },
+    };
+  }
+
+  // The contract builds the Vault swap itself, it only needs the pool and a floor
+  encodeSwap({ tokenIn, tokenOut, minAmountOut, pool }) {
+    if (!pool || !pool.poolId) {
+      this.logger.error("Balancer hop has no poolId", {
+        tokenIn,
+        tokenOut,
+      });
+      return null;
+    }
+
+    return ethers.utils.defaultAbiCoder.encode(
+      ["bytes32", "uint256"],
+      [pool.poolId, minAmountOut]
+    );
+  }
+
+  // Swap fee percentage, 18-decimal fixed point
+  getFeeRate(dexType, pool = null) {
+    if (!pool || !pool.state || !pool.state.swapFee) return super.getFeeRate(dexType, pool);
+    return parseFloat(ethers.utils.formatEther(pool.state.swapFee));
+  }
+
+  estimateSwapGas(pool = null) {
+    return 130000;
+  }
+}
+
+BalancerV2Adapter.types = ["BALANCER_V2"];
+
+module.exports = BalancerV2Adapter;
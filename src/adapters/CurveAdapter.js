@@ -0,0 +1,215 @@
+const { ethers } = require("ethers");
+const DexAdapter = require("./DexAdapter");
+const { FEE_DENOMINATOR, quoteCurveSwap } = require("../CurveMath");
+
+// Plain StableSwap pools, each pool is its own swap contract
+const CURVE_POOL_ABI = [
+  "function coins(uint256 i) external view returns (address)",
+  "function balances(uint256 i) external view returns (uint256)",
+  "function A() external view returns (uint256)",
+  "function fee() external view returns (uint256)",
+];
+
+const CURVE_POOL_INTERFACE = new ethers.utils.Interface(CURVE_POOL_ABI);
+
+// Curve pools are configured directly as routers and quoted with get_dy math
+class CurveAdapter extends DexAdapter {
+  constructor(context) {
+    super(context);
+
+    this.maxCoins = 4; // Plain pools hold two to four coins
+    this.coinsCache = new Map(); // pool => coins, fixed at deployment
+    this.stateCache = new Map(); // pool-blockTag => snapshot, cleared every block
+  }
+
+  clearBlockState() {
+    this.stateCache.clear();
+  }
+
+  /**
+   * Snapshots of Curve pools for quoteCurveSwap: coins (read once, probing
+   * coins(i) until it reverts), balances, A and fee, all in one multicall
+   * at the same block. Results keep pool order, null where unreadable.
+   */
+  async getPoolStates(poolAddresses, blockTag = "latest") {
+    const pending = [...new Set(poolAddresses)].filter(
+      (pool) => !this.stateCache.has(`${pool}-${blockTag}`)
+    );
+
+    if (pending.length > 0) {
+      const indexes = [...Array(this.maxCoins).keys()];
+      const poolCall = (pool, method, args = []) => ({
+        target: pool,
+        iface: CURVE_POOL_INTERFACE,
+        method,
+        args,
+      });
+
+      const perPool = 2 + indexes.length * 2;
+      const results = await this.context.multicall.call(
+        pending.flatMap((pool) => [
+          poolCall(pool, "A"),
+          poolCall(pool, "fee"),
+          ...indexes.map((i) => poolCall(pool, "coins", [i])),
+          ...indexes.map((i) => poolCall(pool, "balances", [i])),
+        ]),
+        blockTag
+      );
+
+      for (const [index, pool] of pending.entries()) {
+        const items = results.slice(index * perPool, (index + 1) * perPool);
+        const state = await this.buildPoolState(pool, items);
+        this.stateCache.set(`${pool}-${blockTag}`, state);
+      }
+    }
+
+    return poolAddresses.map((pool) => this.stateCache.get(`${pool}-${blockTag}`));
+  }
+
+  async buildPoolState(poolAddress, [amp, fee, ...rest]) {
+    const coinItems = rest.slice(0, this.maxCoins);
+    const balanceItems = rest.slice(this.maxCoins);
+    if (!amp.success || !fee.success) return null;
+
+    // coins(i) reverts past the last coin
+    if (!this.coinsCache.has(poolAddress)) {
+      const count = coinItems.findIndex((item) => !item.success);
+      const coins = coinItems
+        .slice(0, count === -1 ? coinItems.length : count)
+        .map((item) => item.result[0]);
+      if (coins.length < 2) return null;
+      this.coinsCache.set(poolAddress, coins);
+    }
+
+    const coins = this.coinsCache.get(poolAddress);
+    const balances = balanceItems.slice(0, coins.length);
+    if (balances.some((item) => !item.success)) return null;
+
+    const tokenRegistry = this.context.tokenRegistry;
+    await tokenRegistry.preload(coins);
+    return {
+      poolAddress,
+      coins,
+      balances: balances.map((item) => item.result[0].toString()),
+      decimals: coins.map((coin) => tokenRegistry.getCachedDecimals(coin)),
+      A: amp.result[0].toString(),
+      fee: fee.result[0].toString(),
+    };
+  }
+
+  buildPriceData(tokenA, tokenB, amountIn, state) {
+    if (!state) return null;
+
+    let amountOut;
+    try {
+      amountOut = quoteCurveSwap(state, tokenA, tokenB, amountIn);
+    } catch (error) {
+      return null; // Invariant did not converge for this size
+    }
+    if (!amountOut.gt(0)) return null;
+
+    return {
+      price: this.context.calculatePrice(tokenA, tokenB, amountIn, amountOut),
+      amountIn: amountIn.toString(),
+      amountOut: amountOut.toString(),
+      poolAddress: state.poolAddress,
+      fee: state.fee,
+      state,
+      dexType: "CURVE",
+    };
+  }
+
+  async quote(dexConfig, tokenA, tokenB, amountIn, blockTag = "latest") {
+    try {
+      const [state] = await this.getPoolStates([dexConfig.router], blockTag);
+      return this.buildPriceData(tokenA, tokenB, amountIn, state);
+    } catch (error) {
+      this.logger.debug(`Curve price fetch failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Every configured pool in one more round
+  async prepareBatch(dexConfigs, tokenPairs, amountIn, blockTag = "latest") {
+    const states = await this.getPoolStates(
+      dexConfigs.map((dex) => dex.router),
+      blockTag
+    );
+
+    const requests = [];
+    for (const pair of tokenPairs) {
+      const { tokenA, tokenB } = pair;
+      const pairAmountIn = pair.amountIn || amountIn;
+
+      dexConfigs.forEach((dex, index) => {
+        requests.push({
+          key: this.context.getQuoteKey(dex.router, tokenA, tokenB, pairAmountIn, blockTag),
+          calls: [],
+          decode: () => this.buildPriceData(tokenA, tokenB, pairAmountIn, states[index]),
+        });
+      });
+    }
+
+    return requests;
+  }
+
+  // Curve swaps address coins by index, so the pool's coin list goes along
+  getPoolState(priceData) {
+    return {
+      dexType: "CURVE",
+      poolAddress: priceData.poolAddress,
+      coins: priceData.state.coins,
+      state: priceData.state,
+    };
+  }
+
+  buildLegModel(pool, tokenIn, tokenOut, reversed) {
+    if (!pool.state) return null;
+
+    return {
+      type: "curve",
+      quote: (amountIn) => {
+        try {
+          return quoteCurveSwap(pool.state, tokenIn, tokenOut, amountIn);
+        } catch (error) {
+          return null; // Stable math did not converge at this size
+        }
+      },
+    };
+  }
+
+  // The router is the pool itself. The contract calls exchange(i, j, dx,
+  // min_dy) with dx the amount the previous hop delivered, so it only needs
+  // the coin indexes and the floor
+  encodeSwap({ tokenIn, tokenOut, minAmountOut, pool }) {
+    const coins = pool && pool.coins ? pool.coins.map((coin) => coin.toLowerCase()) : [];
+    const i = coins.indexOf(tokenIn.toLowerCase());
+    const j = coins.indexOf(tokenOut.toLowerCase());
+    if (i < 0 || j < 0) {
+      this.logger.error("Curve hop tokens not in pool", {
+        tokenIn,
+        tokenOut,
+      });
+      return null;
+    }
+
+    return ethers.utils.defaultAbiCoder.encode(
+      ["int128", "int128", "uint256"],
+      [i, j, minAmountOut]
+    );
+  }
+
+  // Pool fee on the 1e10 scale
+  getFeeRate(dexType, pool = null) {
+    if (!pool || !pool.state || !pool.state.fee) return super.getFeeRate(dexType, pool);
+    return Number(BigInt(pool.state.fee)) / Number(FEE_DENOMINATOR);
+  }
+
+  estimateSwapGas(pool = null) {
+    return 150000;
+  }
+}
+
+CurveAdapter.types = ["CURVE"];
+
+module.exports = CurveAdapter;
@@ -0,0 +1,108 @@
+const DEFAULT_FEE_RATE = 0.003; // 0.3%
+const DEFAULT_SWAP_GAS = 120000;
+
+/**
+ * Base class for DEX adapters. An adapter owns everything specific to one
+ * kind of DEX: discovering its pools, quoting them, the pool state used to
+ * size trades, encoding the swap the contract executes, and its fee and gas
+ * model. Subclasses list the dexTypes they handle in a static `types`.
+ *
+ * context is the component the adapter works for. Discovery and quoting
+ * read through a DexPriceFetcher (multicall, token registry, factory
+ * cache); encoding and the cost model only need its logger.
+ */
+class DexAdapter {
+  constructor(context) {
+    this.context = context;
+    this.logger = context.logger;
+  }
+
+  // Drop state that is only valid for the block it was read at
+  clearBlockState() {}
+
+  // Resolve the pools quoting needs, batched across DEXes and pairs
+  async discoverPools(dexConfigs, tokenPairs, blockTag = "latest") {}
+
+  // Price data for amountIn of tokenA into tokenB, null when there is no pool
+  async quote(dexConfig, tokenA, tokenB, amountIn, blockTag = "latest") {
+    return null;
+  }
+
+  /**
+   * Quotes for every pair at one block, as requests
+   * { key, calls, decode(results) } whose calls all go into one shared
+   * multicall; decode gets back the results of its own calls, in order.
+   * Adapters that cannot batch return nothing and are quoted one by one.
+   */
+  async prepareBatch(dexConfigs, tokenPairs, amountIn, blockTag = "latest") {
+    return [];
+  }
+
+  // What a quote was computed from, so trades can be re-sized and executed
+  getPoolState(priceData) {
+    return null;
+  }
+
+  // Fill in state that was not part of the quote, before sizing
+  async loadPoolState(pool, dexConfig, tokenA, tokenB, blockTag = "latest") {}
+
+  // { type, quote(amountIn) } for the swap tokenIn -> tokenOut through pool
+  buildLegModel(pool, tokenIn, tokenOut, reversed) {
+    return null;
+  }
+
+  /**
+   * Calldata the contract passes to the router for one swap.
+   * swap = { dexConfig, tokenIn, tokenOut, amountIn, minAmountOut, fee,
+   * pool, recipient, deadline }. Null when the swap cannot be encoded.
+   */
+  encodeSwap(swap) {
+    return null;
+  }
+
+  /**
+   * Swaps a pending call to dexConfig.router would make, as { tokenIn,
+   * tokenOut, amountIn, minAmountOut, fee }. Empty when the calldata is not
+   * a swap the adapter can follow.
+   */
+  decodeSwaps(dexConfig, data) {
+    return [];
+  }
+
+  // Whether the pool a decoded swap trades through exists, from lookups
+  // already made; undefined when it was never looked up
+  hasPool(dexConfig, swap) {
+    return undefined;
+  }
+
+  /**
+   * The quote of amountIn tokenA -> tokenB once swap has gone through the
+   * pool priceData was quoted from, as { amountOut, priceData } where
+   * amountOut is what the swap itself receives. Null when the pool's state
+   * after the swap cannot be predicted.
+   */
+  async predictQuote(dexConfig, tokenA, tokenB, amountIn, priceData, swap, blockTag = "latest") {
+    return null;
+  }
+
+  // Share of the input paid as swap fee
+  getFeeRate(dexType, pool = null) {
+    return DEFAULT_FEE_RATE;
+  }
+
+  // Whether quotes are already net of the swap fee, as pool math and
+  // on-chain quoters are; a quote from a mid price would not be
+  quotesIncludeFees(pool = null) {
+    return true;
+  }
+
+  estimateSwapGas(pool = null) {
+    return DEFAULT_SWAP_GAS;
+  }
+}
+
+DexAdapter.types = [];
+
+module.exports = DexAdapter;
+module.exports.DEFAULT_FEE_RATE = DEFAULT_FEE_RATE;
+module.exports.DEFAULT_SWAP_GAS = DEFAULT_SWAP_GAS;
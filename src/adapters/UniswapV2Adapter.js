@@ -0,0 +1,442 @@
+const { ethers } = require("ethers");
+const DexAdapter = require("./DexAdapter");
+const ReserveTracker = require("../ReserveTracker");
+const {
+  getV2FeeBps,
+  getAmountOut,
+  getReservesForSwap,
+  sortTokens,
+} = require("../UniswapV2Math");
+
+const UNISWAP_V2_FACTORY_ABI = [
+  "function getPair(address tokenA, address tokenB) external view returns (address pair)",
+];
+
+const UNISWAP_V2_PAIR_ABI = [
+  "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function token0() external view returns (address)",
+  "function token1() external view returns (address)",
+];
+
+const UNISWAP_V2_ROUTER_ABI = [
+  "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+];
+
+const UNISWAP_V2_FACTORY_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V2_FACTORY_ABI
+);
+const UNISWAP_V2_PAIR_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V2_PAIR_ABI
+);
+const UNISWAP_V2_ROUTER_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V2_ROUTER_ABI
+);
+
+// Uniswap V2 and its forks: quotes are computed locally from pair reserves
+class UniswapV2Adapter extends DexAdapter {
+  constructor(context) {
+    super(context);
+
+    // Pair addresses never change once created
+    this.pairCache = new Map(); // factory-token0-token1 => { address, checkedAt }
+    this.missingPairRecheckMs = 600000; // Re-check non-existent pairs every 10 minutes
+
+    // Reserves are kept current by Sync events instead of re-reading them
+    this.reserveTracker = new ReserveTracker(context.provider, context.logger);
+  }
+
+  async quote(dexConfig, tokenA, tokenB, amountIn, blockTag = "latest") {
+    try {
+      // Check if pair exists
+      const factoryAddress = await this.context.getFactoryAddress(dexConfig.router);
+      const pairAddress = await this.getPairAddress(
+        factoryAddress,
+        tokenA,
+        tokenB
+      );
+      if (pairAddress === ethers.constants.AddressZero) {
+        return null; // Pair doesn't exist
+      }
+
+      const { reserve0, reserve1 } = await this.getPairReserves(
+        pairAddress,
+        blockTag
+      );
+
+      return this.buildPriceData(
+        tokenA,
+        tokenB,
+        amountIn,
+        reserve0,
+        reserve1,
+        pairAddress,
+        getV2FeeBps(dexConfig.type, dexConfig.feeBps)
+      );
+    } catch (error) {
+      this.logger.debug(`UniswapV2 price fetch failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getPairReserves(pairAddress, blockTag = "latest") {
+    if (typeof blockTag === "number") {
+      const tracked = this.reserveTracker.getReserves(pairAddress, blockTag);
+      if (tracked) return tracked;
+    }
+
+    const pair = new ethers.Contract(
+      pairAddress,
+      UNISWAP_V2_PAIR_ABI,
+      this.context.provider
+    );
+    const [reserve0, reserve1] = await pair.getReserves({ blockTag });
+
+    // Reserves read at a known block can be kept current from Sync events
+    if (typeof blockTag === "number") {
+      this.reserveTracker.setReserves(pairAddress, reserve0, reserve1, blockTag);
+    }
+
+    return { reserve0, reserve1 };
+  }
+
+  hasSufficientLiquidity(tokenA, tokenB, reserve0, reserve1) {
+    // Check if there's sufficient liquidity (at least half a token on one side)
+    const [token0, token1] = sortTokens(tokenA, tokenB);
+    const tokenRegistry = this.context.tokenRegistry;
+    return !(
+      tokenRegistry.toUnits(reserve0, token0) < 0.5 &&
+      tokenRegistry.toUnits(reserve1, token1) < 0.5
+    );
+  }
+
+  buildPriceData(
+    tokenA,
+    tokenB,
+    amountIn,
+    reserve0,
+    reserve1,
+    pairAddress,
+    feeBps
+  ) {
+    // Get pair reserves to check liquidity
+    if (!this.hasSufficientLiquidity(tokenA, tokenB, reserve0, reserve1)) {
+      return null;
+    }
+
+    // Same x*y=k formula the router uses, without the round-trip
+    const { reserveIn, reserveOut } = getReservesForSwap(
+      tokenA,
+      tokenB,
+      reserve0,
+      reserve1
+    );
+    const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, feeBps);
+    if (!amountOut.gt(0)) {
+      return null;
+    }
+
+    const price = this.context.calculatePrice(tokenA, tokenB, amountIn, amountOut);
+
+    return {
+      price,
+      amountIn: amountIn.toString(),
+      amountOut: amountOut.toString(),
+      liquidity: reserve0.add(reserve1).toString(),
+      reserveIn: reserveIn.toString(),
+      reserveOut: reserveOut.toString(),
+      feeBps,
+      pairAddress,
+      dexType: "UNISWAP_V2",
+    };
+  }
+
+  async getPairAddress(factoryAddress, tokenA, tokenB) {
+    const cached = this.getCachedPairAddress(factoryAddress, tokenA, tokenB);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const factory = new ethers.Contract(
+      factoryAddress,
+      UNISWAP_V2_FACTORY_ABI,
+      this.context.provider
+    );
+    const pairAddress = await factory.getPair(tokenA, tokenB);
+    this.cachePairAddress(factoryAddress, tokenA, tokenB, pairAddress);
+
+    return pairAddress;
+  }
+
+  getCachedPairAddress(factoryAddress, tokenA, tokenB) {
+    const entry = this.pairCache.get(
+      this.context.getPairCacheKey(factoryAddress, tokenA, tokenB)
+    );
+    if (!entry) return undefined;
+
+    // Pairs can be created later, so missing pairs are re-checked periodically
+    if (
+      entry.address === ethers.constants.AddressZero &&
+      Date.now() - entry.checkedAt > this.missingPairRecheckMs
+    ) {
+      return undefined;
+    }
+
+    return entry.address;
+  }
+
+  cachePairAddress(factoryAddress, tokenA, tokenB, pairAddress) {
+    this.pairCache.set(this.context.getPairCacheKey(factoryAddress, tokenA, tokenB), {
+      address: pairAddress,
+      checkedAt: Date.now(),
+    });
+  }
+
+  // Resolve factory and pair addresses for every V2 DEX in at most two multicalls
+  async discoverPools(dexConfigs, tokenPairs, blockTag = "latest") {
+    await this.context.resolveFactoryAddresses(dexConfigs.map((dex) => dex.router));
+
+    const pairLookups = [];
+    for (const dex of dexConfigs) {
+      const factoryAddress = this.context.factoryCache.get(dex.router);
+      if (!factoryAddress) continue;
+
+      for (const { tokenA, tokenB } of tokenPairs) {
+        const key = this.context.getPairCacheKey(factoryAddress, tokenA, tokenB);
+        const cached = this.getCachedPairAddress(factoryAddress, tokenA, tokenB);
+        const alreadyQueued = pairLookups.some((lookup) => lookup.key === key);
+        if (cached === undefined && !alreadyQueued) {
+          pairLookups.push({ key, factoryAddress, tokenA, tokenB });
+        }
+      }
+    }
+
+    if (pairLookups.length > 0) {
+      const results = await this.context.multicall.call(
+        pairLookups.map((lookup) => ({
+          target: lookup.factoryAddress,
+          iface: UNISWAP_V2_FACTORY_INTERFACE,
+          method: "getPair",
+          args: [lookup.tokenA, lookup.tokenB],
+        }))
+      );
+
+      results.forEach((item, index) => {
+        if (item.success) {
+          const lookup = pairLookups[index];
+          this.cachePairAddress(
+            lookup.factoryAddress,
+            lookup.tokenA,
+            lookup.tokenB,
+            item.result[0]
+          );
+        }
+      });
+    }
+
+    // Tracked pairs are brought up to date from Sync events, not re-read
+    if (typeof blockTag === "number") {
+      await this.reserveTracker.syncToBlock(blockTag);
+    }
+  }
+
+  async prepareBatch(dexConfigs, tokenPairs, amountIn, blockTag = "latest") {
+    await this.discoverPools(dexConfigs, tokenPairs, blockTag);
+
+    const requests = [];
+    for (const pair of tokenPairs) {
+      const { tokenA, tokenB } = pair;
+      const pairAmountIn = pair.amountIn || amountIn;
+
+      for (const dex of dexConfigs) {
+        const factoryAddress = this.context.factoryCache.get(dex.router);
+        const pairAddress = factoryAddress
+          ? this.getCachedPairAddress(factoryAddress, tokenA, tokenB)
+          : undefined;
+        if (pairAddress === undefined) continue;
+
+        const key = this.context.getQuoteKey(dex.router, tokenA, tokenB, pairAmountIn, blockTag);
+        if (pairAddress === ethers.constants.AddressZero) {
+          requests.push({ key, calls: [], decode: () => null });
+          continue;
+        }
+
+        const feeBps = getV2FeeBps(dex.type, dex.feeBps);
+        const tracked =
+          typeof blockTag === "number"
+            ? this.reserveTracker.getReserves(pairAddress, blockTag)
+            : null;
+        if (tracked) {
+          requests.push({
+            key,
+            calls: [],
+            decode: () =>
+              this.buildPriceData(
+                tokenA,
+                tokenB,
+                pairAmountIn,
+                tracked.reserve0,
+                tracked.reserve1,
+                pairAddress,
+                feeBps
+              ),
+          });
+          continue;
+        }
+
+        requests.push({
+          key,
+          calls: [
+            {
+              target: pairAddress,
+              iface: UNISWAP_V2_PAIR_INTERFACE,
+              method: "getReserves",
+            },
+          ],
+          decode: ([reserves]) => {
+            if (!reserves.success) return null;
+
+            const [reserve0, reserve1] = reserves.result;
+            if (typeof blockTag === "number") {
+              this.reserveTracker.setReserves(pairAddress, reserve0, reserve1, blockTag);
+            }
+
+            return this.buildPriceData(
+              tokenA,
+              tokenB,
+              pairAmountIn,
+              reserve0,
+              reserve1,
+              pairAddress,
+              feeBps
+            );
+          },
+        });
+      }
+    }
+
+    return requests;
+  }
+
+  // Reserves a quote was computed from, so callers can re-quote other sizes
+  getPoolState(priceData) {
+    if (!priceData.reserveIn || !priceData.reserveOut) {
+      return null;
+    }
+
+    return {
+      dexType: priceData.dexType,
+      pairAddress: priceData.pairAddress,
+      reserveIn: priceData.reserveIn,
+      reserveOut: priceData.reserveOut,
+      feeBps: priceData.feeBps,
+    };
+  }
+
+  buildLegModel(pool, tokenIn, tokenOut, reversed) {
+    if (!pool.reserveIn || !pool.reserveOut) return null;
+
+    const oriented = {
+      reserveIn: reversed ? pool.reserveOut : pool.reserveIn,
+      reserveOut: reversed ? pool.reserveIn : pool.reserveOut,
+      feeBps: pool.feeBps,
+    };
+    return {
+      type: "v2",
+      pool: oriented,
+      quote: (amountIn) =>
+        getAmountOut(
+          amountIn,
+          oriented.reserveIn,
+          oriented.reserveOut,
+          oriented.feeBps
+        ),
+    };
+  }
+
+  encodeSwap({ tokenIn, tokenOut, amountIn, minAmountOut, recipient, deadline }) {
+    return UNISWAP_V2_ROUTER_INTERFACE.encodeFunctionData("swapExactTokensForTokens", [
+      amountIn,
+      minAmountOut,
+      [tokenIn, tokenOut],
+      recipient, // Send tokens to contract
+      deadline,
+    ]);
+  }
+
+  // Direct swaps only: a multi-hop path moves pools the quote never read
+  decodeSwaps(dexConfig, data) {
+    let call;
+    try {
+      call = UNISWAP_V2_ROUTER_INTERFACE.parseTransaction({ data });
+    } catch (error) {
+      return [];
+    }
+
+    if (call.name !== "swapExactTokensForTokens" || call.args.path.length !== 2) {
+      return [];
+    }
+
+    return [
+      {
+        tokenIn: call.args.path[0],
+        tokenOut: call.args.path[1],
+        amountIn: call.args.amountIn,
+        minAmountOut: call.args.amountOutMin,
+        fee: null,
+      },
+    ];
+  }
+
+  hasPool(dexConfig, swap) {
+    const factoryAddress = this.context.factoryCache.get(dexConfig.router);
+    if (!factoryAddress) return undefined;
+
+    const pairAddress = this.getCachedPairAddress(factoryAddress, swap.tokenIn, swap.tokenOut);
+    return pairAddress === undefined ? undefined : pairAddress !== ethers.constants.AddressZero;
+  }
+
+  async predictQuote(dexConfig, tokenA, tokenB, amountIn, priceData, swap) {
+    if (!priceData.reserveIn || !priceData.reserveOut) return null;
+
+    // Quote reserves are tokenA -> tokenB, the swap may go either way
+    let reserveIn = ethers.BigNumber.from(priceData.reserveIn);
+    let reserveOut = ethers.BigNumber.from(priceData.reserveOut);
+    const forward = swap.tokenIn.toLowerCase() === tokenA.toLowerCase();
+    const amountOut = forward
+      ? getAmountOut(swap.amountIn, reserveIn, reserveOut, priceData.feeBps)
+      : getAmountOut(swap.amountIn, reserveOut, reserveIn, priceData.feeBps);
+    if (!amountOut.gt(0)) return null;
+
+    if (forward) {
+      reserveIn = reserveIn.add(swap.amountIn);
+      reserveOut = reserveOut.sub(amountOut);
+    } else {
+      reserveOut = reserveOut.add(swap.amountIn);
+      reserveIn = reserveIn.sub(amountOut);
+    }
+
+    const [token0] = sortTokens(tokenA, tokenB);
+    const tokenAIsToken0 = token0.toLowerCase() === tokenA.toLowerCase();
+    return {
+      amountOut,
+      priceData: this.buildPriceData(
+        tokenA,
+        tokenB,
+        amountIn,
+        tokenAIsToken0 ? reserveIn : reserveOut,
+        tokenAIsToken0 ? reserveOut : reserveIn,
+        priceData.pairAddress,
+        priceData.feeBps
+      ),
+    };
+  }
+
+  getFeeRate(dexType, pool = null) {
+    const feeBps = pool && pool.feeBps !== undefined ? pool.feeBps : getV2FeeBps(dexType);
+    return feeBps / 10000;
+  }
+}
+
+UniswapV2Adapter.types = ["UNISWAP_V2", "SUSHISWAP", "PANCAKESWAP"];
+
+module.exports = UniswapV2Adapter;
@@ -0,0 +1,578 @@
+const { ethers } = require("ethers");
+const DexAdapter = require("./DexAdapter");
+const { simulateExactInput, isZeroForOne } = require("../UniswapV3Math");
+
+const UNISWAP_V3_QUOTER_ABI = [
+  "function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut)",
+];
+
+const UNISWAP_V3_FACTORY_ABI = [
+  "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)",
+];
+
+const UNISWAP_V3_POOL_ABI = [
+  "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() external view returns (uint128)",
+  "function tickSpacing() external view returns (int24)",
+  "function tickBitmap(int16 wordPosition) external view returns (uint256)",
+  "function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)",
+];
+
+const UNISWAP_V3_ROUTER_ABI = [
+  "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut)",
+];
+
+// Swaps pending transactions make through SwapRouter and SwapRouter02,
+// which drops the deadline from its params and wraps calls in multicall
+const UNISWAP_V3_SWAP_CALLS_ABI = [
+  ...UNISWAP_V3_ROUTER_ABI,
+  "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut)",
+  "function multicall(bytes[] data) external returns (bytes[] results)",
+  "function multicall(uint256 deadline, bytes[] data) external returns (bytes[] results)",
+];
+
+const UNISWAP_V3_QUOTER_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V3_QUOTER_ABI
+);
+const UNISWAP_V3_FACTORY_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V3_FACTORY_ABI
+);
+const UNISWAP_V3_POOL_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V3_POOL_ABI
+);
+const UNISWAP_V3_ROUTER_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V3_ROUTER_ABI
+);
+const UNISWAP_V3_SWAP_CALLS_INTERFACE = new ethers.utils.Interface(
+  UNISWAP_V3_SWAP_CALLS_ABI
+);
+
+const DEFAULT_V3_FEE = 3000; // 0.3%, for hops quoted without a fee tier
+
+// Uniswap V3: pools are simulated tick by tick, the quoter covers the rest
+class UniswapV3Adapter extends DexAdapter {
+  constructor(context) {
+    super(context);
+
+    this.fees = [500, 3000, 10000]; // 0.05%, 0.3%, 1%
+
+    // Pool snapshots for tick-level simulation
+    this.poolCache = new Map(); // factory-token0-token1-fee => pool address
+    this.stateCache = new Map(); // pool-blockTag => snapshot, cleared every block
+    this.tickWords = 2; // Bitmap words loaded on each side of the current tick
+  }
+
+  clearBlockState() {
+    this.stateCache.clear();
+  }
+
+  buildPriceData(tokenA, tokenB, amountIn, amountOut, fee) {
+    if (!amountOut || !amountOut.gt(0)) {
+      return null;
+    }
+
+    const price = this.context.calculatePrice(tokenA, tokenB, amountIn, amountOut);
+
+    return {
+      price,
+      amountIn: amountIn.toString(),
+      amountOut: amountOut.toString(),
+      fee,
+      dexType: "UNISWAP_V3",
+    };
+  }
+
+  /**
+   * V3 price from the local pool model: each fee tier's pool is loaded from
+   * slot0, liquidity and its initialized ticks, and the swap simulated across
+   * tick crossings. Tiers that cannot be simulated for this size fall back
+   * to the quoter.
+   */
+  async quote(dexConfig, tokenA, tokenB, amountIn, blockTag = "latest") {
+    try {
+      const states = await this.getPoolStates(
+        dexConfig,
+        this.fees.map((fee) => ({ tokenA, tokenB, fee })),
+        blockTag
+      );
+      const { quotes, unresolvedFees } = this.simulateFeeTiers(
+        tokenA,
+        tokenB,
+        amountIn,
+        states
+      );
+
+      if (unresolvedFees.length > 0 && dexConfig.quoter) {
+        quotes.push(
+          ...(await this.quoteFeeTiers(
+            dexConfig.quoter,
+            tokenA,
+            tokenB,
+            amountIn,
+            unresolvedFees,
+            blockTag
+          ))
+        );
+      }
+
+      return this.selectQuote(tokenA, tokenB, amountIn, quotes);
+    } catch (error) {
+      this.logger.debug(`UniswapV3 price fetch failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async quoteFeeTiers(quoterAddress, tokenA, tokenB, amountIn, feeTiers, blockTag) {
+    const quoter = new ethers.Contract(
+      quoterAddress,
+      UNISWAP_V3_QUOTER_ABI,
+      this.context.provider
+    );
+
+    const quotes = [];
+    for (const fee of feeTiers) {
+      try {
+        const amountOut = await quoter.callStatic.quoteExactInputSingle(
+          tokenA,
+          tokenB,
+          fee,
+          amountIn,
+          0, // sqrtPriceLimitX96 = 0 (no limit)
+          { blockTag }
+        );
+        quotes.push({ fee, amountOut, source: "quoter", state: null });
+      } catch (error) {
+        // Log the error and try next fee tier
+        this.logger.debug(`Fee tier ${fee} failed for ${tokenA}-${tokenB}`, {
+          error: error.message,
+        });
+      }
+    }
+
+    return quotes;
+  }
+
+  // Simulate amountIn through each tier's snapshot. Tiers without one, or
+  // whose loaded ticks are too shallow for the size, are left for the quoter.
+  simulateFeeTiers(tokenA, tokenB, amountIn, states) {
+    const zeroForOne = isZeroForOne(tokenA, tokenB);
+    const quotes = [];
+    const unresolvedFees = [];
+
+    states.forEach((state, index) => {
+      const fee = this.fees[index];
+      if (!state) {
+        unresolvedFees.push(fee);
+        return;
+      }
+
+      const result = simulateExactInput({ ...state, fee }, zeroForOne, amountIn);
+      if (!result.complete) {
+        unresolvedFees.push(fee);
+        return;
+      }
+
+      quotes.push({ fee, amountOut: result.amountOut, source: "simulation", state });
+    });
+
+    return { quotes, unresolvedFees };
+  }
+
+  // Best fee tier, with every tier's output kept for reporting
+  selectQuote(tokenA, tokenB, amountIn, quotes) {
+    let best = null;
+    for (const quote of quotes) {
+      if (!best || ethers.BigNumber.from(quote.amountOut).gt(best.amountOut)) {
+        best = quote;
+      }
+    }
+    if (!best) return null;
+
+    const priceData = this.buildPriceData(
+      tokenA,
+      tokenB,
+      amountIn,
+      ethers.BigNumber.from(best.amountOut),
+      best.fee
+    );
+    if (!priceData) return null;
+
+    return {
+      ...priceData,
+      quoteSource: best.source,
+      state: best.state,
+      feeTierQuotes: quotes
+        .map(({ fee, amountOut, source }) => ({
+          fee,
+          amountOut: amountOut.toString(),
+          source,
+        }))
+        .sort((a, b) => a.fee - b.fee),
+    };
+  }
+
+  // Simulated tiers for every pair, with quoter calls for the rest going
+  // into the shared multicall
+  async prepareBatch(dexConfigs, tokenPairs, amountIn, blockTag = "latest") {
+    const requests = [];
+    const feeCount = this.fees.length;
+
+    for (const dex of dexConfigs) {
+      // Snapshots for every pair and fee tier, in pair order
+      const states = await this.getPoolStates(
+        dex,
+        tokenPairs.flatMap(({ tokenA, tokenB }) =>
+          this.fees.map((fee) => ({ tokenA, tokenB, fee }))
+        ),
+        blockTag
+      );
+
+      for (const [pairIndex, pair] of tokenPairs.entries()) {
+        const { tokenA, tokenB } = pair;
+        const pairAmountIn = pair.amountIn || amountIn;
+        const { quotes, unresolvedFees } = this.simulateFeeTiers(
+          tokenA,
+          tokenB,
+          pairAmountIn,
+          states.slice(pairIndex * feeCount, (pairIndex + 1) * feeCount)
+        );
+
+        const tierFees = dex.quoter ? unresolvedFees : [];
+        requests.push({
+          key: this.context.getQuoteKey(dex.router, tokenA, tokenB, pairAmountIn, blockTag),
+          calls: tierFees.map((fee) => ({
+            target: dex.quoter,
+            iface: UNISWAP_V3_QUOTER_INTERFACE,
+            method: "quoteExactInputSingle",
+            args: [tokenA, tokenB, fee, pairAmountIn, 0],
+          })),
+          decode: (results) => {
+            // Simulated tiers plus whatever the quoter filled in, best output wins
+            const tierQuotes = [...quotes];
+            results.forEach((item, index) => {
+              if (item.success) {
+                tierQuotes.push({
+                  fee: tierFees[index],
+                  amountOut: item.result.amountOut,
+                  source: "quoter",
+                  state: null,
+                });
+              }
+            });
+            return this.selectQuote(tokenA, tokenB, pairAmountIn, tierQuotes);
+          },
+        });
+      }
+    }
+
+    return requests;
+  }
+
+  // V3 pools are simulated from a tick snapshot, quoter-priced ones get
+  // theirs from loadPoolState
+  getPoolState(priceData) {
+    return {
+      dexType: "UNISWAP_V3",
+      fee: priceData.fee,
+      state: priceData.state || null,
+    };
+  }
+
+  async loadPoolState(pool, dexConfig, tokenA, tokenB, blockTag = "latest") {
+    if (pool.state) return;
+    pool.state = await this.getPoolStateAt(dexConfig, tokenA, tokenB, pool.fee, blockTag);
+  }
+
+  async getPoolStateAt(dexConfig, tokenA, tokenB, fee, blockTag = "latest") {
+    const [state] = await this.getPoolStates(
+      dexConfig,
+      [{ tokenA, tokenB, fee }],
+      blockTag
+    );
+    return state;
+  }
+
+  /**
+   * Snapshots of V3 pools for simulateExactInput: price, active liquidity
+   * and every initialized tick within tickWords bitmap words of the
+   * current tick, all read at the same block. Requests are
+   * { tokenA, tokenB, fee }; every pool is loaded in the same four batched
+   * rounds (pool address, slot0 and liquidity, bitmap words, ticks).
+   * Results keep request order, null where a pool is missing or unreadable.
+   */
+  async getPoolStates(dexConfig, requests, blockTag = "latest") {
+    try {
+      // The quoter and router both expose the factory they were deployed with
+      const factoryAddress = await this.context.getFactoryAddress(
+        dexConfig.quoter || dexConfig.router
+      );
+      const poolKeys = requests.map(
+        ({ tokenA, tokenB, fee }) =>
+          `${this.context.getPairCacheKey(factoryAddress, tokenA, tokenB)}-${fee}`
+      );
+
+      // Pool addresses never change, only unknown ones are looked up
+      const unresolved = [...new Set(poolKeys)].filter(
+        (key) => !this.poolCache.has(key)
+      );
+      if (unresolved.length > 0) {
+        const lookups = unresolved.map((key) => requests[poolKeys.indexOf(key)]);
+        const results = await this.context.multicall.call(
+          lookups.map(({ tokenA, tokenB, fee }) => ({
+            target: factoryAddress,
+            iface: UNISWAP_V3_FACTORY_INTERFACE,
+            method: "getPool",
+            args: [tokenA, tokenB, fee],
+          })),
+          blockTag
+        );
+        results.forEach((result, index) => {
+          if (result.success) {
+            this.poolCache.set(unresolved[index], result.result[0]);
+          }
+        });
+      }
+
+      const poolAddresses = poolKeys.map((key) => this.poolCache.get(key));
+      const pending = [
+        ...new Set(
+          poolAddresses.filter(
+            (address) =>
+              address &&
+              address !== ethers.constants.AddressZero &&
+              !this.stateCache.has(`${address}-${blockTag}`)
+          )
+        ),
+      ];
+      await this.loadPoolSnapshots(pending, blockTag);
+
+      return requests.map((request, index) => {
+        const state = this.stateCache.get(`${poolAddresses[index]}-${blockTag}`);
+        return state ? { ...state, fee: request.fee } : null;
+      });
+    } catch (error) {
+      this.logger.debug("Failed to load Uniswap V3 pool state", {
+        pools: requests.length,
+        error: error.message,
+      });
+      return requests.map(() => null);
+    }
+  }
+
+  async loadPoolSnapshots(poolAddresses, blockTag) {
+    if (poolAddresses.length === 0) return;
+
+    const multicall = this.context.multicall;
+    const poolCall = (poolAddress, method, args = []) => ({
+      target: poolAddress,
+      iface: UNISWAP_V3_POOL_INTERFACE,
+      method,
+      args,
+    });
+
+    const heads = await multicall.call(
+      poolAddresses.flatMap((pool) => [
+        poolCall(pool, "slot0"),
+        poolCall(pool, "liquidity"),
+        poolCall(pool, "tickSpacing"),
+      ]),
+      blockTag
+    );
+
+    const pools = [];
+    poolAddresses.forEach((poolAddress, index) => {
+      const [slot0, liquidity, tickSpacing] = heads.slice(index * 3, index * 3 + 3);
+      if (!slot0.success || !liquidity.success || !tickSpacing.success) return;
+
+      const tick = slot0.result.tick;
+      const spacing = tickSpacing.result[0];
+      const currentWord = Math.floor(tick / spacing) >> 8;
+      const words = [];
+      for (
+        let word = currentWord - this.tickWords;
+        word <= currentWord + this.tickWords;
+        word++
+      ) {
+        words.push(word);
+      }
+
+      pools.push({
+        poolAddress,
+        sqrtPriceX96: slot0.result.sqrtPriceX96.toString(),
+        tick,
+        liquidity: liquidity.result[0].toString(),
+        tickSpacing: spacing,
+        words,
+      });
+    });
+
+    // Each set bit in a bitmap word marks an initialized tick
+    const bitmaps = await multicall.call(
+      pools.flatMap((pool) =>
+        pool.words.map((word) => poolCall(pool.poolAddress, "tickBitmap", [word]))
+      ),
+      blockTag
+    );
+    let offset = 0;
+    for (const pool of pools) {
+      pool.initializedTicks = [];
+      for (const word of pool.words) {
+        const bitmap = bitmaps[offset++];
+        // A missing word would hide the ticks in it
+        if (!bitmap.success) {
+          pool.failed = true;
+          continue;
+        }
+        const bits = BigInt(bitmap.result[0].toString());
+        for (let bit = 0; bit < 256; bit++) {
+          if ((bits >> BigInt(bit)) & 1n) {
+            pool.initializedTicks.push((word * 256 + bit) * pool.tickSpacing);
+          }
+        }
+      }
+    }
+
+    const tickData = await multicall.call(
+      pools.flatMap((pool) =>
+        pool.initializedTicks.map((t) => poolCall(pool.poolAddress, "ticks", [t]))
+      ),
+      blockTag
+    );
+    offset = 0;
+    for (const pool of pools) {
+      const ticks = tickData.slice(offset, offset + pool.initializedTicks.length);
+      offset += pool.initializedTicks.length;
+
+      // A missing tick would silently skip a liquidity change
+      if (pool.failed || ticks.some((item) => !item.success)) continue;
+
+      this.stateCache.set(`${pool.poolAddress}-${blockTag}`, {
+        poolAddress: pool.poolAddress,
+        sqrtPriceX96: pool.sqrtPriceX96,
+        tick: pool.tick,
+        liquidity: pool.liquidity,
+        tickSpacing: pool.tickSpacing,
+        ticks: pool.initializedTicks.map((t, index) => ({
+          tick: t,
+          liquidityNet: ticks[index].result.liquidityNet.toString(),
+        })),
+        tickRange: {
+          min: pool.words[0] * 256 * pool.tickSpacing,
+          max: ((pool.words[pool.words.length - 1] + 1) * 256 - 1) * pool.tickSpacing,
+        },
+      });
+    }
+  }
+
+  buildLegModel(pool, tokenIn, tokenOut, reversed) {
+    if (!pool.state) return null;
+
+    const zeroForOne = isZeroForOne(tokenIn, tokenOut);
+    return {
+      type: "v3",
+      quote: (amountIn) => {
+        const result = simulateExactInput(pool.state, zeroForOne, amountIn);
+        // Past the loaded ticks the output is unknown
+        return result.complete ? result.amountOut : null;
+      },
+    };
+  }
+
+  encodeSwap({ tokenIn, tokenOut, amountIn, minAmountOut, fee, recipient, deadline }) {
+    return UNISWAP_V3_ROUTER_INTERFACE.encodeFunctionData("exactInputSingle", [
+      {
+        tokenIn,
+        tokenOut,
+        fee: fee || DEFAULT_V3_FEE,
+        recipient,
+        deadline,
+        amountIn,
+        amountOutMinimum: minAmountOut,
+        sqrtPriceLimitX96: 0,
+      },
+    ]);
+  }
+
+  decodeSwaps(dexConfig, data) {
+    let call;
+    try {
+      call = UNISWAP_V3_SWAP_CALLS_INTERFACE.parseTransaction({ data });
+    } catch (error) {
+      return [];
+    }
+
+    if (call.name === "multicall") {
+      return call.args.data.flatMap((inner) => this.decodeSwaps(dexConfig, inner));
+    }
+
+    // A price limit can stop the swap part way, which the simulation ignores
+    const params = call.args[0];
+    if (!params.sqrtPriceLimitX96.isZero()) return [];
+
+    return [
+      {
+        tokenIn: params.tokenIn,
+        tokenOut: params.tokenOut,
+        amountIn: params.amountIn,
+        minAmountOut: params.amountOutMinimum,
+        fee: params.fee,
+      },
+    ];
+  }
+
+  hasPool(dexConfig, swap) {
+    const factoryAddress = this.context.factoryCache.get(dexConfig.quoter || dexConfig.router);
+    if (!factoryAddress) return undefined;
+
+    const key = `${this.context.getPairCacheKey(factoryAddress, swap.tokenIn, swap.tokenOut)}-${swap.fee || DEFAULT_V3_FEE}`;
+    const poolAddress = this.poolCache.get(key);
+    return poolAddress === undefined ? undefined : poolAddress !== ethers.constants.AddressZero;
+  }
+
+  // The swap moves the pool of its own fee tier, whichever tier quoted best,
+  // so the prediction quotes that pool after it
+  async predictQuote(dexConfig, tokenA, tokenB, amountIn, priceData, swap, blockTag = "latest") {
+    const fee = swap.fee || DEFAULT_V3_FEE;
+    const state =
+      priceData.fee === fee && priceData.state
+        ? priceData.state
+        : await this.getPoolStateAt(dexConfig, tokenA, tokenB, fee, blockTag);
+    if (!state) return null;
+
+    const swapResult = simulateExactInput(
+      { ...state, fee },
+      isZeroForOne(swap.tokenIn, swap.tokenOut),
+      swap.amountIn
+    );
+    if (!swapResult.complete) return null;
+
+    const after = {
+      ...state,
+      fee,
+      sqrtPriceX96: swapResult.sqrtPriceX96After.toString(),
+      tick: swapResult.tickAfter,
+      liquidity: swapResult.liquidityAfter.toString(),
+    };
+    const quote = simulateExactInput(after, isZeroForOne(tokenA, tokenB), amountIn);
+    if (!quote.complete) return null;
+
+    const predicted = this.buildPriceData(tokenA, tokenB, amountIn, quote.amountOut, fee);
+    return {
+      amountOut: swapResult.amountOut,
+      priceData: predicted && { ...predicted, quoteSource: "prediction", state: after },
+    };
+  }
+
+  // The tier the pool was quoted at, in hundredths of a bip
+  getFeeRate(dexType, pool = null) {
+    return (pool && pool.fee ? pool.fee : DEFAULT_V3_FEE) / 1000000;
+  }
+
+  estimateSwapGas(pool = null) {
+    return 150000;
+  }
+}
+
+UniswapV3Adapter.types = ["UNISWAP_V3"];
+
+module.exports = UniswapV3Adapter;
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const DexAdapter = require("./DexAdapter");
+
+// dexType => adapter class
+const adapterClasses = new Map();
+
+function registerAdapter(AdapterClass) {
+  for (const type of AdapterClass.types) {
+    adapterClasses.set(type, AdapterClass);
+  }
+}
+
+function hasAdapter(dexType) {
+  return adapterClasses.has(dexType);
+}
+
+function getAdapterTypes() {
+  return [...adapterClasses.keys()];
+}
+
+// One adapter instance per class for each component, so caches are shared
+// between the dexTypes an adapter handles
+class DexAdapterRegistry {
+  constructor(context) {
+    this.context = context;
+    this.instances = new Map(); // adapter class => instance
+  }
+
+  get(dexType) {
+    const AdapterClass = adapterClasses.get(dexType);
+    if (!AdapterClass) return null;
+
+    if (!this.instances.has(AdapterClass)) {
+      this.instances.set(AdapterClass, new AdapterClass(this.context));
+    }
+    return this.instances.get(AdapterClass);
+  }
+
+  // Adapters in use, each with the DEX configs it handles
+  group(dexConfigs) {
+    const groups = new Map(); // adapter => dexConfigs
+    for (const dexConfig of dexConfigs) {
+      const adapter = this.get(dexConfig.type);
+      if (!adapter) continue;
+      if (!groups.has(adapter)) groups.set(adapter, []);
+      groups.get(adapter).push(dexConfig);
+    }
+    return groups;
+  }
+
+  all() {
+    return [...new Set(getAdapterTypes().map((type) => this.get(type)))];
+  }
+}
+
+// Every *Adapter.js module next to this file registers itself, so a new DEX
+// is one new module
+for (const file of fs.readdirSync(__dirname).sort()) {
+  if (file === "DexAdapter.js" || !file.endsWith("Adapter.js")) continue;
+  registerAdapter(require(path.join(__dirname, file)));
+}
+
+module.exports = {
+  DexAdapter,
+  DexAdapterRegistry,
+  registerAdapter,
+  hasAdapter,
+  getAdapterTypes,
+};
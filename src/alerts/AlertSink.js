@@ -0,0 +1,59 @@
+/**
+ * Base class for alert sinks. A sink delivers notifications to one kind of
+ * destination; subclasses set a static `type`, the name alert routes refer
+ * to, and a static configFromEnv(env) that returns their options, or null
+ * when the environment does not configure them.
+ *
+ * A notification is { type, severity, status, title, message, data,
+ * network, timestamp, repeats, durationMs }: status is "firing" or
+ * "resolved", repeats counts the throttled repeats since it last went out
+ * and durationMs is how long a resolved alert was firing.
+ */
+class AlertSink {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = options;
+  }
+
+  static configFromEnv(env) {
+    return null;
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  // Rejects when the destination refuses the notification
+  async send(notification) {}
+
+  // One-line summary, e.g. "🚨 [HIGH] Circuit breaker (Ethereum Mainnet)"
+  formatTitle(notification) {
+    const icon = notification.status === "resolved" ? "✅" : "🚨";
+    const status = notification.status === "resolved" ? "RESOLVED" : notification.severity.toUpperCase();
+    const network = notification.network ? ` (${notification.network})` : "";
+    return `${icon} [${status}] ${notification.title}${network}`;
+  }
+
+  // Plain-text body for chat messages and email
+  formatText(notification) {
+    const lines = [this.formatTitle(notification)];
+    if (notification.message) lines.push(notification.message);
+
+    for (const [key, value] of Object.entries(notification.data || {})) {
+      lines.push(`${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`);
+    }
+
+    if (notification.repeats > 0) {
+      lines.push(`Repeated ${notification.repeats} times since the last notification`);
+    }
+    if (notification.status === "resolved" && notification.durationMs !== undefined) {
+      lines.push(`Firing for ${Math.round(notification.durationMs / 1000)}s`);
+    }
+
+    return lines.join("\n");
+  }
+}
+
+AlertSink.type = null;
+
+module.exports = AlertSink;
@@ -0,0 +1,47 @@
+const nodemailer = require("nodemailer");
+const AlertSink = require("./AlertSink");
+
+// SMTP email through nodemailer; options.transport overrides the SMTP
+// settings with any nodemailer transport
+class EmailSink extends AlertSink {
+  static configFromEnv(env) {
+    if (!env.ALERT_SMTP_HOST || !env.ALERT_EMAIL_TO) return null;
+    return {
+      host: env.ALERT_SMTP_HOST,
+      port: parseInt(env.ALERT_SMTP_PORT) || 587,
+      secure: env.ALERT_SMTP_SECURE === "true", // TLS from the start, usually port 465
+      user: env.ALERT_SMTP_USER,
+      pass: env.ALERT_SMTP_PASS,
+      from: env.ALERT_EMAIL_FROM || env.ALERT_SMTP_USER,
+      to: env.ALERT_EMAIL_TO,
+    };
+  }
+
+  constructor(logger, options = {}) {
+    super(logger, options);
+
+    this.from = options.from;
+    this.to = options.to;
+    this.transporter = nodemailer.createTransport(
+      options.transport || {
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+      }
+    );
+  }
+
+  async send(notification) {
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: this.formatTitle(notification),
+      text: this.formatText(notification),
+    });
+  }
+}
+
+EmailSink.type = "email";
+
+module.exports = EmailSink;
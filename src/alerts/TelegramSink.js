@@ -0,0 +1,44 @@
+const axios = require("axios");
+const AlertSink = require("./AlertSink");
+
+// Bot API sendMessage to one chat
+class TelegramSink extends AlertSink {
+  static configFromEnv(env) {
+    if (!env.ALERT_TELEGRAM_BOT_TOKEN || !env.ALERT_TELEGRAM_CHAT_ID) return null;
+    return {
+      botToken: env.ALERT_TELEGRAM_BOT_TOKEN,
+      chatId: env.ALERT_TELEGRAM_CHAT_ID,
+      apiUrl: env.ALERT_TELEGRAM_API_URL,
+    };
+  }
+
+  constructor(logger, options = {}) {
+    super(logger, options);
+
+    this.botToken = options.botToken;
+    this.chatId = options.chatId;
+    this.apiUrl = options.apiUrl || "https://api.telegram.org";
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(notification) {
+    const { data } = await axios.post(
+      `${this.apiUrl}/bot${this.botToken}/sendMessage`,
+      {
+        chat_id: this.chatId,
+        text: this.formatText(notification),
+        disable_web_page_preview: true,
+      },
+      { timeout: this.timeout }
+    );
+
+    // The Bot API reports some refusals with a 200
+    if (data && data.ok === false) {
+      throw new Error(`Telegram refused message: ${data.description}`);
+    }
+  }
+}
+
+TelegramSink.type = "telegram";
+
+module.exports = TelegramSink;
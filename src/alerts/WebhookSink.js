@@ -0,0 +1,81 @@
+const axios = require("axios");
+const AlertSink = require("./AlertSink");
+
+// Embed and attachment colors by severity, resolved alerts are green
+const COLORS = {
+  critical: 0xb00020,
+  high: 0xe53935,
+  medium: 0xfb8c00,
+  low: 0x1e88e5,
+  resolved: 0x43a047,
+};
+
+// Incoming webhooks: the notification as JSON, or the payload Slack or
+// Discord incoming webhooks expect
+class WebhookSink extends AlertSink {
+  static configFromEnv(env) {
+    if (!env.ALERT_WEBHOOK_URL) return null;
+    return {
+      url: env.ALERT_WEBHOOK_URL,
+      format: env.ALERT_WEBHOOK_FORMAT || "generic", // generic, slack, discord
+    };
+  }
+
+  constructor(logger, options = {}) {
+    super(logger, options);
+
+    this.url = options.url;
+    this.format = options.format || "generic";
+    this.timeout = options.timeout || 10000;
+  }
+
+  getColor(notification) {
+    return COLORS[notification.status === "resolved" ? "resolved" : notification.severity] || COLORS.low;
+  }
+
+  getFields(notification) {
+    return Object.entries(notification.data || {}).map(([name, value]) => ({
+      name,
+      value: typeof value === "object" ? JSON.stringify(value) : String(value),
+    }));
+  }
+
+  buildPayload(notification) {
+    switch (this.format) {
+      case "slack":
+        return {
+          text: this.formatTitle(notification),
+          attachments: [
+            {
+              color: `#${this.getColor(notification).toString(16).padStart(6, "0")}`,
+              text: this.formatText(notification).split("\n").slice(1).join("\n"),
+              ts: Math.floor(notification.timestamp / 1000),
+            },
+          ],
+        };
+      case "discord":
+        return {
+          content: this.formatTitle(notification),
+          embeds: [
+            {
+              title: notification.title,
+              description: notification.message || undefined,
+              color: this.getColor(notification),
+              fields: this.getFields(notification).map((field) => ({ ...field, inline: true })),
+              timestamp: new Date(notification.timestamp).toISOString(),
+            },
+          ],
+        };
+      default:
+        return notification;
+    }
+  }
+
+  async send(notification) {
+    await axios.post(this.url, this.buildPayload(notification), { timeout: this.timeout });
+  }
+}
+
+WebhookSink.type = "webhook";
+
+module.exports = WebhookSink;
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+const AlertSink = require("./AlertSink");
+
+// sink type => sink class
+const sinkClasses = new Map();
+
+function registerSink(SinkClass) {
+  sinkClasses.set(SinkClass.type, SinkClass);
+}
+
+function getSinkTypes() {
+  return [...sinkClasses.keys()];
+}
+
+function createSink(type, logger, options = {}) {
+  const SinkClass = sinkClasses.get(type);
+  if (!SinkClass) {
+    throw new Error(`Unknown alert sink: ${type}`);
+  }
+  return new SinkClass(logger, options);
+}
+
+// Every sink the environment configures
+function createSinksFromEnv(logger, env = process.env) {
+  const sinks = [];
+  for (const SinkClass of sinkClasses.values()) {
+    const options = SinkClass.configFromEnv(env);
+    if (options) sinks.push(new SinkClass(logger, options));
+  }
+  return sinks;
+}
+
+// Every *Sink.js module next to this file registers itself
+for (const file of fs.readdirSync(__dirname).sort()) {
+  if (file === "AlertSink.js" || !file.endsWith("Sink.js")) continue;
+  registerSink(require(path.join(__dirname, file)));
+}
+
+module.exports = {
+  AlertSink,
+  registerSink,
+  getSinkTypes,
+  createSink,
+  createSinksFromEnv,
+};
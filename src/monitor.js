@@ -2,7 +2,8 @@ const { ethers } = require("ethers");
 const winston = require("winston");
 const fs = require("fs");
 const path = require("path");
-require("dotenv").config();
+const dotenv = require("dotenv");
+dotenv.config();
 
 // Import enhanced arbitrage components
 const DexPriceFetcher = require("./DexPriceFetcher");
@@ -14,6 +15,15 @@ const MEVProtection = require("./MEVProtection");
 const ChainValidator = require("./ChainValidator");
 const RiskManager = require("./RiskManager");
 const PerformanceMonitor = require("./PerformanceMonitor");
+const BlockScanScheduler = require("./BlockScanScheduler");
+const RouteFinder = require("./RouteFinder");
+const TradeJournal = require("./TradeJournal");
+const ControlServer = require("./ControlServer");
+const AlertManager = require("./AlertManager");
+const BundleBidder = require("./BundleBidder");
+const MempoolWatcher = require("./MempoolWatcher");
+const NonceManager = require("./NonceManager");
+const { hasAdapter } = require("./adapters");
 const networks = require("../config/networks.json");
 const FlashloanArbitrageABI =
   require("../artifacts/contracts/FlashloanArbitrage.sol/FlashloanArbitrage.json").abi;
@@ -30,18 +40,34 @@ const targetNetwork = networkArg
 const CONFIG = {
   PRIVATE_KEY: process.env.PRIVATE_KEY,
   ALCHEMY_API_KEY: process.env.ALCHEMY_API_KEY,
+  RPC_URL: process.env.RPC_URL, // wss:// enables WebSocket block subscriptions
   MIN_PROFIT_USD: parseFloat(process.env.MIN_PROFIT_USD) || 2, // Lower for testnet
   MAX_GAS_PRICE_GWEI: parseFloat(process.env.MAX_GAS_PRICE_GWEI) || 50, // Lower for Sepolia
+  REQUIRE_SIMULATED_PROFIT: process.env.REQUIRE_SIMULATED_PROFIT === "true", // Needs debug_traceCall
   MAX_RISK_SCORE: parseFloat(process.env.MAX_RISK_SCORE) || 70,
   SLIPPAGE_TOLERANCE: parseFloat(process.env.SLIPPAGE_TOLERANCE) || 1.0, // Higher for testnet
+  GAS_URGENCY: process.env.GAS_URGENCY || "fast", // slow, standard, fast, urgent
   DEMO_MODE: process.env.DEMO_MODE === "true" || false,
   MULTICHAIN: multichainArg,
   TARGET_NETWORK: targetNetwork,
-  SCAN_INTERVAL: 30000, // 30 seconds for Sepolia
+  SCAN_CANCEL_ON_NEW_BLOCK: process.env.SCAN_CANCEL_ON_NEW_BLOCK !== "false",
+  ROUTE_SEARCH: process.env.ROUTE_SEARCH !== "false", // Triangular and 4-hop cycles
+  MEMPOOL_WATCH: process.env.MEMPOOL_WATCH === "true", // Backrun pending swaps
   ORACLE_VALIDATION: true, // Enable Chainlink oracle validation
   FLASHLOAN_AMOUNT: ethers.utils.parseEther("1000"), // 1000 tokens for testing
 };
 
+// Thresholds the control API can change at runtime, by environment variable
+const RISK_THRESHOLDS = {
+  MAX_POSITION_SIZE_ETH: "maxPositionSizeETH",
+  MAX_DAILY_LOSS_ETH: "maxDailyLossETH",
+  MAX_SLIPPAGE_PERCENT: "maxSlippagePercent",
+  MIN_PROFIT_MARGIN: "minProfitMargin",
+  CIRCUIT_BREAKER_THRESHOLD: "circuitBreakerThreshold",
+  COOLDOWN_PERIOD: "cooldownPeriod",
+};
+const THRESHOLDS = ["MIN_PROFIT_USD", "MAX_GAS_PRICE_GWEI", "MAX_RISK_SCORE", ...Object.keys(RISK_THRESHOLDS)];
+
 console.log("🚀 Starting REAL Arbitrage Bot...");
 console.log(
   "Mode:",
@@ -114,9 +140,11 @@ class RealArbitrageBot {
   constructor(networkConfig) {
     this.networkConfig = networkConfig;
     this.provider = null;
+    this.blockProvider = null;
     this.wallet = null;
     this.contract = null;
     this.isRunning = false;
+    this.paused = false; // Scans skipped while paused via the control API
 
     // Enhanced arbitrage components
     this.priceFetcher = null;
@@ -128,6 +156,10 @@ class RealArbitrageBot {
     this.chainValidator = null;
     this.riskManager = null;
     this.performanceMonitor = null;
+    this.scanScheduler = null;
+    this.mempoolWatcher = null;
+    this.journal = null;
+    this.controlServer = null;
 
     // DEX configurations for the network
     this.dexConfigs = [];
@@ -153,6 +185,7 @@ class RealArbitrageBot {
       this.networkConfig.rpcUrl
     );
     this.wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, this.provider);
+    this.blockProvider = await this.createBlockProvider();
 
     // Initialize contract
     this.contract = new ethers.Contract(
@@ -167,17 +200,15 @@ class RealArbitrageBot {
       logger,
       this.networkConfig
     );
+    this.bidder = new BundleBidder(logger, this.networkConfig);
     this.profitCalculator = new ProfitCalculator(
       this.provider,
       logger,
-      this.networkConfig
-    );
-    this.executor = new ArbitrageExecutor(
-      this.contract,
-      this.wallet,
-      this.provider,
-      logger
+      this.networkConfig,
+      this.priceFetcher.tokenRegistry,
+      { bidder: this.bidder }
     );
+    this.routeFinder = new RouteFinder(this.priceFetcher, logger);
     this.priceOracle = new PriceOracle(
       this.provider,
       logger,
@@ -188,26 +219,70 @@ class RealArbitrageBot {
       logger,
       this.networkConfig
     );
-    this.mevProtection = new MEVProtection(
+    this.nonceManager = new NonceManager(
       this.provider,
       this.wallet,
       logger,
       this.networkConfig
     );
+    this.mevProtection = new MEVProtection(
+      this.provider,
+      this.wallet,
+      logger,
+      this.networkConfig,
+      { bidder: this.bidder, nonceManager: this.nonceManager }
+    );
+    this.executor = new ArbitrageExecutor(
+      this.contract,
+      this.wallet,
+      this.provider,
+      logger,
+      {
+        gasOptimizer: this.gasOptimizer,
+        mevProtection: this.mevProtection,
+        maxGasPriceGwei: CONFIG.MAX_GAS_PRICE_GWEI,
+        tokenRegistry: this.priceFetcher.tokenRegistry,
+        gasEstimator: this.profitCalculator.gasEstimator,
+        minProfitUSD: CONFIG.MIN_PROFIT_USD,
+        requireSimulatedProfit: CONFIG.REQUIRE_SIMULATED_PROFIT,
+        bidder: this.bidder,
+        nonceManager: this.nonceManager,
+      }
+    );
     this.chainValidator = new ChainValidator(logger);
+    this.journal = new TradeJournal(logger, this.networkConfig).open();
+    this.alertManager = new AlertManager(logger, this.networkConfig);
     this.riskManager = new RiskManager(
       this.provider,
       logger,
-      this.networkConfig
+      this.networkConfig,
+      { journal: this.journal, alertManager: this.alertManager }
     );
     this.performanceMonitor = new PerformanceMonitor(
       logger,
-      this.networkConfig
+      this.networkConfig,
+      { alertManager: this.alertManager }
     );
 
+    // RPC latency per provider for the metrics endpoint
+    this.performanceMonitor.instrumentProvider(this.provider);
+    if (this.blockProvider !== this.provider) {
+      this.performanceMonitor.instrumentProvider(this.blockProvider);
+    }
+
     // Setup DEX configurations
     this.setupDexConfigs();
 
+    // Pending swaps through our routers, over the block provider's WebSocket
+    if (CONFIG.MEMPOOL_WATCH) {
+      this.mempoolWatcher = new MempoolWatcher(
+        this.blockProvider,
+        logger,
+        this.networkConfig,
+        { priceFetcher: this.priceFetcher, dexConfigs: this.dexConfigs }
+      );
+    }
+
     // Verify connection and contract
     const balance = await this.wallet.getBalance();
     const blockNumber = await this.provider.getBlockNumber();
@@ -219,6 +294,13 @@ class RealArbitrageBot {
       throw new Error("Contract not deployed at specified address");
     }
 
+    // Pick up after whatever an earlier run left in the mempool
+    await this.nonceManager.sync();
+
+    this.riskManager.checkWalletBalance(
+      parseFloat(ethers.utils.formatEther(balance))
+    );
+
     logger.info("REAL Arbitrage Bot initialized successfully", {
       address: this.wallet.address,
       balance: ethers.utils.formatEther(balance),
@@ -229,27 +311,61 @@ class RealArbitrageBot {
     });
   }
 
+  async createBlockProvider() {
+    if (!CONFIG.RPC_URL || !CONFIG.RPC_URL.startsWith("wss://")) {
+      return this.provider;
+    }
+
+    try {
+      const wsProvider = new ethers.providers.WebSocketProvider(CONFIG.RPC_URL);
+      const network = await wsProvider.getNetwork();
+
+      // Never schedule scans off another chain's blocks
+      if (network.chainId !== this.networkConfig.chainId) {
+        logger.warn("RPC_URL WebSocket is on a different chain, using polling", {
+          expectedChainId: this.networkConfig.chainId,
+          actualChainId: network.chainId,
+        });
+        await wsProvider.destroy();
+        return this.provider;
+      }
+
+      logger.info("Using WebSocket provider for block subscriptions");
+      return wsProvider;
+    } catch (error) {
+      logger.warn("Failed to connect WebSocket provider, using polling", {
+        error: error.message,
+      });
+      return this.provider;
+    }
+  }
+
+  // Every router whose adapter type networks.json declares in dexTypes,
+  // either as a type name or as { type, ...options } merged into the config
   setupDexConfigs() {
     this.dexConfigs = [];
+    const dexTypes = this.networkConfig.dexTypes || {};
 
     for (const [dexName, routerAddress] of Object.entries(
       this.networkConfig.dexRouters
     )) {
-      let dexType = "UNISWAP_V2"; // Default
-
-      if (dexName.includes("UNISWAP_V3")) {
-        dexType = "UNISWAP_V3";
-      } else if (dexName.includes("SUSHISWAP")) {
-        dexType = "SUSHISWAP";
-      } else if (dexName.includes("PANCAKESWAP")) {
-        dexType = "PANCAKESWAP";
+      const declared = dexTypes[dexName];
+      if (!declared) {
+        logger.debug(`No DEX type declared for ${dexName}, skipping`);
+        continue;
+      }
+
+      const options = typeof declared === "string" ? { type: declared } : declared;
+      if (!hasAdapter(options.type)) {
+        logger.warn(`No adapter for DEX type ${options.type}, skipping ${dexName}`);
+        continue;
       }
 
       this.dexConfigs.push({
         name: dexName,
-        type: dexType,
         router: routerAddress,
-        quoter: dexType === "UNISWAP_V3" ? routerAddress : null,
+        quoter: null,
+        ...options,
       });
     }
 
@@ -266,30 +382,49 @@ class RealArbitrageBot {
 
     // Start real arbitrage scanning
     this.startRealArbitrageScanning();
+    await this.startMempoolWatching();
 
     // Start status reporting
     this.startStatusReporting();
+
+    this.controlServer = new ControlServer(this, logger);
+    await this.controlServer.start();
   }
 
   async stop() {
     this.isRunning = false;
     logger.info("Stopping REAL arbitrage bot...");
+
+    if (this.scanScheduler) {
+      this.scanScheduler.stop();
+    }
+
+    if (this.mempoolWatcher) {
+      await this.mempoolWatcher.stop();
+    }
+
+    if (this.controlServer) {
+      await this.controlServer.stop();
+    }
+
+    if (this.journal) {
+      this.journal.close();
+    }
   }
 
   startRealArbitrageScanning() {
-    logger.info("Starting real arbitrage opportunity scanning...");
+    logger.info("Starting block-driven arbitrage opportunity scanning...");
 
-    setInterval(async () => {
-      if (!this.isRunning) return;
+    this.scanScheduler = new BlockScanScheduler(this.blockProvider, logger, {
+      cancelOnNewBlock: CONFIG.SCAN_CANCEL_ON_NEW_BLOCK,
+      onScanComplete: (scan) => this.performanceMonitor.recordScan(scan),
+    });
 
-      try {
-        await this.scanForRealArbitrageOpportunities();
-      } catch (error) {
-        logger.error("Error scanning for real arbitrage opportunities", {
-          error: error.message,
-        });
-      }
-    }, CONFIG.SCAN_INTERVAL);
+    // The scheduler counts and logs failed scans itself
+    this.scanScheduler.start(async (scan) => {
+      if (!this.isRunning || this.paused) return;
+      await this.scanForRealArbitrageOpportunities(scan);
+    });
   }
 
   startStatusReporting() {
@@ -297,24 +432,70 @@ class RealArbitrageBot {
       if (!this.isRunning) return;
 
       this.reportStatus();
+      this.checkWalletBalance();
     }, 60000); // Every minute
   }
 
-  async scanForRealArbitrageOpportunities() {
+  async checkWalletBalance() {
+    try {
+      const balance = await this.wallet.getBalance();
+      this.riskManager.checkWalletBalance(
+        parseFloat(ethers.utils.formatEther(balance))
+      );
+    } catch (error) {
+      logger.warn("Could not check wallet balance", { error: error.message });
+    }
+  }
+
+  async scanForRealArbitrageOpportunities(scan = null) {
     const tokens = Object.keys(this.networkConfig.tokens);
+    // Pin every quote in this scan to the same block
+    const blockTag = scan ? scan.blockNumber : "latest";
+    const tokenRegistry = this.priceFetcher.tokenRegistry;
     let totalOpportunities = 0;
     this.stats.lastScanTime = Date.now();
 
     logger.debug(
-      `Scanning ${tokens.length} tokens across ${this.dexConfigs.length} DEXs...`
+      `Scanning ${tokens.length} tokens across ${this.dexConfigs.length} DEXs...`,
+      { blockNumber: blockTag }
+    );
+
+    // Test with 0.1 of tokenA, in that token's own decimals
+    await tokenRegistry.preload(Object.values(this.networkConfig.tokens));
+    const quoteSize = (token) => tokenRegistry.fromUnits("0.1", token);
+
+    // Quote every pair on every DEX in one multicall round-trip
+    const tokenPairs = [];
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = i + 1; j < tokens.length; j++) {
+        const tokenA = this.networkConfig.tokens[tokens[i]];
+        tokenPairs.push({
+          tokenA,
+          tokenB: this.networkConfig.tokens[tokens[j]],
+          amountIn: quoteSize(tokenA),
+        });
+      }
+    }
+    await this.priceFetcher.prefetchQuotes(
+      this.dexConfigs,
+      tokenPairs,
+      null,
+      blockTag
     );
 
     // Scan all token pairs
     for (let i = 0; i < tokens.length; i++) {
       for (let j = i + 1; j < tokens.length; j++) {
+        if (scan && scan.isCancelled()) {
+          logger.debug("Scan superseded by a newer block", {
+            blockNumber: scan.blockNumber,
+          });
+          return;
+        }
+
         const tokenA = this.networkConfig.tokens[tokens[i]];
         const tokenB = this.networkConfig.tokens[tokens[j]];
-        const amountIn = ethers.utils.parseEther("0.1"); // Test with 0.1 ETH worth
+        const amountIn = quoteSize(tokenA);
 
         try {
           // Find arbitrage opportunity using oracle-validated price fetcher
@@ -323,21 +504,26 @@ class RealArbitrageBot {
                 this.dexConfigs,
                 tokenA,
                 tokenB,
-                amountIn
+                amountIn,
+                blockTag
               )
             : await this.priceFetcher.findArbitrageOpportunity(
                 this.dexConfigs,
                 tokenA,
                 tokenB,
-                amountIn
+                amountIn,
+                blockTag
               );
 
           if (opportunity) {
             totalOpportunities++;
             this.stats.opportunitiesFound++;
+            this.performanceMonitor.recordDetection(opportunity);
+            const journalId = this.journal.recordOpportunity(opportunity);
 
             logger.info("🎯 Real arbitrage opportunity detected!", {
               tokenPair: `${tokens[i]}-${tokens[j]}`,
+              blockNumber: opportunity.blockNumber,
               buyDex: opportunity.buyDex,
               sellDex: opportunity.sellDex,
               profitPercentage: opportunity.profitPercentage + "%",
@@ -352,44 +538,34 @@ class RealArbitrageBot {
                 : "N/A",
             });
 
-            // Calculate real profitability
-            const profitability =
-              await this.profitCalculator.calculateArbitrageProfitability(
-                opportunity
+            // Size the trade from pool state instead of the probe amount
+            await this.priceFetcher.attachPoolStates(
+              opportunity,
+              this.dexConfigs,
+              blockTag
+            );
+            const sizedOpportunity =
+              await this.profitCalculator.sizeOpportunity(
+                opportunity,
+                this.riskManager.config.maxPositionSizeETH
               );
 
-            if (
-              profitability &&
-              this.profitCalculator.isOpportunityViable(
-                profitability,
-                CONFIG.MIN_PROFIT_USD,
-                CONFIG.MAX_RISK_SCORE
-              )
-            ) {
-              logger.info("✅ Opportunity is viable for execution!", {
-                netProfitUSD: profitability.netProfitUSD.toFixed(4),
-                profitMargin: profitability.profitMargin.toFixed(2) + "%",
-                riskScore: profitability.riskScore,
-                gasCostUSD: profitability.costs.gasCostUSD.toFixed(4),
-              });
-
-              // Execute the arbitrage if not in demo mode
-              if (!CONFIG.DEMO_MODE) {
-                await this.executeRealArbitrage(opportunity, profitability);
-              } else {
-                logger.info("🎭 DEMO MODE: Would execute arbitrage", {
-                  expectedProfitUSD: profitability.netProfitUSD.toFixed(4),
-                });
-              }
-            } else {
-              logger.debug("❌ Opportunity not viable", {
-                reason: profitability
-                  ? "Risk/profit threshold not met"
-                  : "Profitability calculation failed",
-                netProfitUSD: profitability?.netProfitUSD?.toFixed(4) || "N/A",
-                riskScore: profitability?.riskScore || "N/A",
+            if (!sizedOpportunity) {
+              logger.debug("❌ No profitable trade size", {
+                tokenPair: `${tokens[i]}-${tokens[j]}`,
+                buyDex: opportunity.buyDex,
+                sellDex: opportunity.sellDex,
               });
+              this.journal.recordViability(
+                journalId,
+                null,
+                false,
+                "No profitable trade size"
+              );
+              continue;
             }
+
+            await this.executeIfViable(sizedOpportunity, journalId);
           }
         } catch (error) {
           logger.debug(
@@ -400,6 +576,10 @@ class RealArbitrageBot {
       }
     }
 
+    if (CONFIG.ROUTE_SEARCH && !(scan && scan.isCancelled())) {
+      totalOpportunities += await this.scanArbitrageRoutes(blockTag, quoteSize);
+    }
+
     if (totalOpportunities === 0) {
       logger.debug("No arbitrage opportunities found in this scan");
     } else {
@@ -407,27 +587,253 @@ class RealArbitrageBot {
     }
   }
 
-  async executeRealArbitrage(opportunity, profitability) {
+  async startMempoolWatching() {
+    if (!this.mempoolWatcher) return;
+
+    try {
+      await this.mempoolWatcher.start((candidate) =>
+        this.handleBackrunCandidate(candidate)
+      );
+    } catch (error) {
+      logger.warn("Mempool watching unavailable, block scans only", {
+        error: error.message,
+      });
+    }
+  }
+
+  // A pending swap opened a spread: size the trade against the pools as the
+  // swap leaves them and send it bundled right behind the swap
+  async handleBackrunCandidate(opportunity) {
+    if (!this.isRunning || this.paused) return;
+
+    this.stats.opportunitiesFound++;
+    this.performanceMonitor.recordDetection(opportunity);
+    const journalId = this.journal.recordOpportunity(opportunity);
+
     try {
+      await this.priceFetcher.attachPoolStates(
+        opportunity,
+        this.dexConfigs,
+        opportunity.blockNumber
+      );
+      const sizedOpportunity = await this.profitCalculator.sizeOpportunity(
+        opportunity,
+        this.riskManager.config.maxPositionSizeETH
+      );
+
+      if (!sizedOpportunity) {
+        logger.debug("❌ No profitable backrun size", {
+          txHash: opportunity.backrun.txHash,
+        });
+        this.journal.recordViability(
+          journalId,
+          null,
+          false,
+          "No profitable trade size"
+        );
+        return;
+      }
+
+      await this.executeIfViable(sizedOpportunity, journalId);
+    } catch (error) {
+      logger.debug("Error evaluating backrun:", error.message);
+    }
+  }
+
+  // Cycles of three or more hops through the configured tokens
+  async scanArbitrageRoutes(blockTag, quoteSize) {
+    const tokenRegistry = this.priceFetcher.tokenRegistry;
+    const routes = await this.routeFinder.findArbitrageRoutes(
+      this.dexConfigs,
+      Object.values(this.networkConfig.tokens),
+      quoteSize,
+      blockTag
+    );
+
+    for (const route of routes) {
+      this.stats.opportunitiesFound++;
+      this.performanceMonitor.recordDetection(route);
+      const journalId = this.journal.recordOpportunity(route);
+
+      logger.info("🎯 Multi-hop arbitrage route detected!", {
+        path: route.path
+          .map((token) => tokenRegistry.findConfiguredSymbol(token) || token)
+          .join(" → "),
+        dexes: route.dexes,
+        blockNumber: route.blockNumber,
+        profitPercentage: route.profitPercentage.toFixed(4) + "%",
+      });
+
+      try {
+        const sizedRoute = await this.profitCalculator.sizeRoute(
+          route,
+          this.riskManager.config.maxPositionSizeETH
+        );
+
+        if (!sizedRoute) {
+          logger.debug("❌ No profitable trade size", { dexes: route.dexes });
+          this.journal.recordViability(
+            journalId,
+            null,
+            false,
+            "No profitable trade size"
+          );
+          continue;
+        }
+
+        await this.executeIfViable(sizedRoute, journalId);
+      } catch (error) {
+        logger.debug("Error evaluating route:", error.message);
+      }
+    }
+
+    return routes.length;
+  }
+
+  // journalId is the opportunity's trade journal row, every stage is
+  // recorded against it
+  async executeIfViable(opportunity, journalId = null) {
+    // Cost the gas of the transaction we would actually send
+    const executionGas = await this.executor.estimateExecutionGas(
+      opportunity,
+      this.dexConfigs
+    );
+
+    // Calculate real profitability
+    const profitability =
+      await this.profitCalculator.calculateArbitrageProfitability(
+        opportunity,
+        executionGas
+      );
+
+    if (
+      profitability &&
+      this.profitCalculator.isOpportunityViable(
+        profitability,
+        CONFIG.MIN_PROFIT_USD,
+        CONFIG.MAX_RISK_SCORE
+      )
+    ) {
+      logger.info("✅ Opportunity is viable for execution!", {
+        netProfitUSD: profitability.netProfitUSD.toFixed(4),
+        profitMargin: profitability.profitMargin.toFixed(2) + "%",
+        riskScore: profitability.riskScore,
+        gasCostUSD: profitability.costs.gasCostUSD.toFixed(4),
+        gasEstimateSource: profitability.gasEstimateSource,
+      });
+
+      this.journal.recordViability(journalId, profitability, true);
+
+      // Run the opportunity through the execution pipeline
+      await this.executeRealArbitrage(opportunity, profitability, journalId);
+    } else {
+      const reason = profitability
+        ? "Risk/profit threshold not met"
+        : "Profitability calculation failed";
+
+      logger.debug("❌ Opportunity not viable", {
+        reason,
+        netProfitUSD: profitability?.netProfitUSD?.toFixed(4) || "N/A",
+        riskScore: profitability?.riskScore || "N/A",
+      });
+      this.journal.recordViability(journalId, profitability, false, reason);
+    }
+  }
+
+  async executeRealArbitrage(opportunity, profitability, journalId = null) {
+    const startTime = Date.now();
+
+    try {
+      // Stage 1: Risk manager must approve the trade
+      const riskAssessment = await this.riskManager.assessOpportunityRisk(
+        opportunity,
+        profitability
+      );
+      this.journal.recordRiskAssessment(journalId, riskAssessment);
+
+      if (!riskAssessment.approved) {
+        this.logTradeVeto(
+          "risk",
+          riskAssessment.riskFactors
+            .map((factor) => factor.description)
+            .join("; ") || "Risk assessment rejected trade",
+          opportunity
+        );
+        return;
+      }
+
+      if (CONFIG.DEMO_MODE) {
+        logger.info("🎭 DEMO MODE: Would execute arbitrage", {
+          expectedProfitUSD: profitability.netProfitUSD.toFixed(4),
+          riskScore: riskAssessment.riskScore,
+        });
+        return;
+      }
+
+      // Stages 2-3: gas sizing and protected submission happen in the executor
       const result = await this.executor.executeArbitrage(
         opportunity,
         profitability,
-        this.dexConfigs
+        this.dexConfigs,
+        {
+          urgency: CONFIG.GAS_URGENCY,
+          maxSlippage: riskAssessment.maxSlippage,
+        }
+      );
+
+      if (result.vetoed) {
+        this.logTradeVeto(result.stage, result.reason, opportunity, result.category);
+        this.journal.recordExecution(journalId, result);
+        return;
+      }
+
+      // Stage 4: feed the outcome back into risk and performance tracking
+      this.riskManager.recordTradeResult(opportunity, profitability, result);
+      this.journal.recordExecution(
+        journalId,
+        result,
+        profitability,
+        this.riskManager.getBookedProfitETH(profitability, result)
+      );
+      this.performanceMonitor.recordTradeExecution(
+        result,
+        profitability,
+        result.gasCostWei,
+        opportunity
+      );
+      this.performanceMonitor.recordOpportunity(
+        opportunity,
+        profitability,
+        Date.now() - startTime
       );
 
+      // Realized profit from the receipt, the estimate when it had none
+      const profitUSD =
+        result.realizedProfitUSD !== null && result.realizedProfitUSD !== undefined
+          ? result.realizedProfitUSD
+          : profitability.netProfitUSD;
+
       if (result.success) {
         this.stats.opportunitiesExecuted++;
-        this.stats.totalProfitUSD += profitability.netProfitUSD;
+        this.stats.totalProfitUSD += profitUSD;
         this.stats.averageProfitUSD =
           this.stats.totalProfitUSD / this.stats.opportunitiesExecuted;
 
         logger.info("🎉 Arbitrage executed successfully!", {
           txHash: result.txHash,
-          actualProfitUSD: profitability.netProfitUSD.toFixed(4),
+          method: result.method,
+          expectedProfitUSD: profitability.netProfitUSD.toFixed(4),
+          actualProfitUSD: profitUSD.toFixed(4),
           gasUsed: result.gasUsed,
         });
       } else {
+        // A mined revert still cost its gas
+        if (result.realizedProfitUSD) {
+          this.stats.totalProfitUSD += result.realizedProfitUSD;
+        }
+
         logger.error("❌ Arbitrage execution failed", {
+          stage: result.stage,
           reason: result.reason,
           opportunity,
         });
@@ -440,11 +846,190 @@ class RealArbitrageBot {
     }
   }
 
+  logTradeVeto(stage, reason, opportunity, category = null) {
+    logger.warn(`⛔ Trade vetoed at ${stage} stage`, {
+      stage,
+      reason,
+      buyDex: opportunity.buyDex,
+      sellDex: opportunity.sellDex,
+      dexes: opportunity.dexes,
+    });
+    this.performanceMonitor.recordVeto(opportunity, stage, category);
+  }
+
+  // Control API: what the bot is doing
+
+  getHealth() {
+    const performance = this.performanceMonitor.getHealthStatus();
+
+    return {
+      healthy: this.isRunning,
+      status: !this.isRunning ? "stopped" : this.paused ? "paused" : performance.status,
+      network: this.networkConfig.name,
+      paused: this.paused,
+      demoMode: CONFIG.DEMO_MODE,
+      riskHealthy: this.riskManager.isHealthy(),
+      uptime: performance.uptime,
+      lastScanTime: this.stats.lastScanTime
+        ? new Date(this.stats.lastScanTime).toISOString()
+        : null,
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      paused: this.paused,
+      demoMode: CONFIG.DEMO_MODE,
+      execution: this.executor.getExecutionStats(),
+      scans: this.scanScheduler ? this.scanScheduler.getStats() : null,
+      routes: this.routeFinder.getStats(),
+      mempool: this.mempoolWatcher ? this.mempoolWatcher.getStats() : null,
+      bidding: this.bidder.getStats(),
+      nonces: this.nonceManager.getStats(),
+      performance: this.performanceMonitor.collectPerformanceMetrics(),
+      thresholds: this.getThresholds(),
+      alerts: {
+        ...this.alertManager.getStats(),
+        firing: this.alertManager.getActiveAlerts(),
+      },
+    };
+  }
+
+  getRecentOpportunities(limit) {
+    return { opportunities: this.journal.getRecentOpportunities(limit) };
+  }
+
+  getRiskState() {
+    return {
+      ...this.riskManager.getRiskStats(),
+      dailyPnL: this.journal.getDailyPnL(7),
+    };
+  }
+
+  getMetrics() {
+    return this.performanceMonitor.getMetrics();
+  }
+
+  getGasAnalytics() {
+    return {
+      ...this.gasOptimizer.getGasAnalytics(),
+      calibration: this.profitCalculator.gasEstimator.getCalibrationStats(),
+    };
+  }
+
+  async getChainStatuses() {
+    const [blockNumber, balance, gasPrice] = await Promise.all([
+      this.provider.getBlockNumber(),
+      this.wallet.getBalance(),
+      this.provider.getGasPrice(),
+    ]);
+
+    return {
+      [CONFIG.TARGET_NETWORK]: {
+        network: this.networkConfig.name,
+        chainId: this.networkConfig.chainId,
+        isActive: this.isRunning && !this.paused,
+        blockNumber,
+        balance: ethers.utils.formatEther(balance),
+        gasPrice: ethers.utils.formatUnits(gasPrice, "gwei"),
+        arbitrageOpportunities: this.stats.opportunitiesFound,
+        totalProfit: this.stats.totalProfitUSD,
+      },
+    };
+  }
+
+  // Control API: operator actions
+
+  pause() {
+    this.paused = true;
+    logger.warn("⏸️ Arbitrage scanning paused");
+    return { paused: true };
+  }
+
+  resume() {
+    this.paused = false;
+    logger.info("▶️ Arbitrage scanning resumed");
+    return { paused: false };
+  }
+
+  setDemoMode(enabled) {
+    CONFIG.DEMO_MODE = enabled;
+    logger.warn(`🎭 Demo mode ${enabled ? "enabled" : "disabled"}`);
+    return { demoMode: CONFIG.DEMO_MODE };
+  }
+
+  tripCircuitBreaker(reason) {
+    this.riskManager.tripCircuitBreaker(reason);
+    return this.riskManager.getRiskStats().circuitBreaker;
+  }
+
+  resetCircuitBreaker() {
+    this.riskManager.deactivateCircuitBreaker();
+    return this.riskManager.getRiskStats().circuitBreaker;
+  }
+
+  getThresholds() {
+    const thresholds = {
+      MIN_PROFIT_USD: CONFIG.MIN_PROFIT_USD,
+      MAX_GAS_PRICE_GWEI: CONFIG.MAX_GAS_PRICE_GWEI,
+      MAX_RISK_SCORE: CONFIG.MAX_RISK_SCORE,
+    };
+    for (const [name, key] of Object.entries(RISK_THRESHOLDS)) {
+      thresholds[name] = this.riskManager.config[key];
+    }
+    return thresholds;
+  }
+
+  // Apply { THRESHOLD_NAME: value }, or without values re-read the
+  // thresholds from the .env file
+  reloadThresholds(values = null) {
+    const source = values || dotenv.parse(fs.readFileSync(path.resolve(".env")));
+    const updates = {};
+
+    for (const [name, raw] of Object.entries(source)) {
+      if (!THRESHOLDS.includes(name)) {
+        if (values) throw new Error(`Unknown threshold ${name}`);
+        continue;
+      }
+
+      const value = parseFloat(raw);
+      if (!Number.isFinite(value)) {
+        throw new Error(`${name} is not a number`);
+      }
+      updates[name] = value;
+    }
+
+    for (const [name, value] of Object.entries(updates)) {
+      if (RISK_THRESHOLDS[name]) {
+        this.riskManager.config[RISK_THRESHOLDS[name]] = value;
+      } else {
+        CONFIG[name] = value;
+      }
+    }
+
+    // The executor and risk manager keep their own copies of these
+    if ("MIN_PROFIT_USD" in updates) {
+      this.executor.minProfitUSD = updates.MIN_PROFIT_USD;
+    }
+    if ("MAX_GAS_PRICE_GWEI" in updates) {
+      this.executor.maxGasPriceGwei = updates.MAX_GAS_PRICE_GWEI;
+      this.riskManager.config.maxGasPriceGwei = updates.MAX_GAS_PRICE_GWEI;
+    }
+
+    logger.info("🔧 Thresholds reloaded", updates);
+    return { updated: Object.keys(updates), thresholds: this.getThresholds() };
+  }
+
   reportStatus() {
     const executionStats = this.executor.getExecutionStats();
+    const scanStats = this.scanScheduler
+      ? this.scanScheduler.getStats()
+      : {};
 
     logger.info("📊 REAL Arbitrage Bot Status", {
       isRunning: this.isRunning,
+      paused: this.paused,
       network: this.networkConfig.name,
       opportunitiesFound: this.stats.opportunitiesFound,
       opportunitiesExecuted: this.stats.opportunitiesExecuted,
@@ -452,6 +1037,12 @@ class RealArbitrageBot {
       averageProfitUSD: this.stats.averageProfitUSD.toFixed(2),
       successRate: executionStats.successRate,
       lastScanTime: new Date(this.stats.lastScanTime).toLocaleTimeString(),
+      headBlock: scanStats.headBlock,
+      lastScanBlock: scanStats.lastScanBlock,
+      lastScanLagBlocks: scanStats.lastScanLagBlocks,
+      averageLagBlocks: scanStats.averageLagBlocks,
+      scansCancelled: scanStats.scansCancelled,
+      blocksSkipped: scanStats.blocksSkipped,
     });
   }
 }
@@ -1,6 +1,7 @@
 const { ethers } = require("ethers");
 const winston = require("winston");
 const MultiChainManager = require("./MultiChainManager");
+const ControlServer = require("./ControlServer");
 const FlashloanArbitrageABI = require("../artifacts/contracts/FlashloanArbitrage.sol/FlashloanArbitrage.json").abi;
 
 // Configure logger
@@ -25,7 +26,9 @@ const logger = winston.createLogger({
 class MultiChainArbitrageBot {
   constructor() {
     this.multiChain = null;
+    this.controlServer = null;
     this.isRunning = false;
+    this.paused = false; // Scans skipped while paused via the control API
     this.opportunities = new Map();
     this.executionStats = {
       totalOpportunities: 0,
@@ -127,6 +130,9 @@ class MultiChainArbitrageBot {
     // Start status reporting
     this.startStatusReporting();
 
+    this.controlServer = new ControlServer(this, logger);
+    await this.controlServer.start();
+
     logger.info("✨ Multi-Chain Arbitrage Bot is now running!");
   }
 
@@ -135,6 +141,10 @@ class MultiChainArbitrageBot {
     logger.info("🛑 Stopping Multi-Chain Arbitrage Bot...");
     
     await this.multiChain.stopMultiChainMonitoring();
+
+    if (this.controlServer) {
+      await this.controlServer.stop();
+    }
     
     logger.info("✅ Multi-Chain Arbitrage Bot stopped");
   }
@@ -147,6 +157,7 @@ class MultiChainArbitrageBot {
         clearInterval(scanInterval);
         return;
       }
+      if (this.paused) return;
 
       try {
         await this.scanForArbitrageOpportunities();
@@ -292,6 +303,49 @@ class MultiChainArbitrageBot {
     }, 60000); // Every minute
   }
 
+  // Control API
+
+  getHealth() {
+    return {
+      healthy: this.isRunning,
+      status: !this.isRunning ? "stopped" : this.paused ? "paused" : "healthy",
+      paused: this.paused,
+      demoMode: this.config.DEMO_MODE,
+      activeChains: this.multiChain ? this.multiChain.activeChains.length : 0
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.executionStats,
+      paused: this.paused,
+      demoMode: this.config.DEMO_MODE,
+      minProfitUSD: this.config.MIN_PROFIT_USD
+    };
+  }
+
+  getChainStatuses() {
+    return this.multiChain.getAllChainStatuses();
+  }
+
+  pause() {
+    this.paused = true;
+    logger.warn("⏸️ Multi-chain scanning paused");
+    return { paused: true };
+  }
+
+  resume() {
+    this.paused = false;
+    logger.info("▶️ Multi-chain scanning resumed");
+    return { paused: false };
+  }
+
+  setDemoMode(enabled) {
+    this.config.DEMO_MODE = enabled;
+    logger.warn(`🎭 Demo mode ${enabled ? "enabled" : "disabled"}`);
+    return { demoMode: this.config.DEMO_MODE };
+  }
+
   async reportStatus() {
     const chainStatuses = await this.multiChain.getAllChainStatuses();
     
@@ -5,10 +5,47 @@ const ProfitCalculator = require("../src/ProfitCalculator");
 const ArbitrageExecutor = require("../src/ArbitrageExecutor");
 const PriceOracle = require("../src/PriceOracle");
 const GasOptimizer = require("../src/GasOptimizer");
+const GasEstimator = require("../src/GasEstimator");
+const {
+  OpStackFeeEstimator,
+  ZkSyncFeeEstimator,
+  createL2FeeEstimator,
+} = require("../src/L2FeeEstimator");
 const MEVProtection = require("../src/MEVProtection");
+const FlashbotsRelay = require("../src/FlashbotsRelay");
+const BundleBidder = require("../src/BundleBidder");
 const ChainValidator = require("../src/ChainValidator");
 const RiskManager = require("../src/RiskManager");
 const PerformanceMonitor = require("../src/PerformanceMonitor");
+const TradeJournal = require("../src/TradeJournal");
+const ControlServer = require("../src/ControlServer");
+const AlertManager = require("../src/AlertManager");
+const { createSink, createSinksFromEnv, getSinkTypes } = require("../src/alerts");
+const BlockScanScheduler = require("../src/BlockScanScheduler");
+const MulticallBatcher = require("../src/MulticallBatcher");
+const ReserveTracker = require("../src/ReserveTracker");
+const MempoolWatcher = require("../src/MempoolWatcher");
+const NonceManager = require("../src/NonceManager");
+const RealArbitrageBot = require("../src/monitor");
+const UniswapV2Math = require("../src/UniswapV2Math");
+const UniswapV3Math = require("../src/UniswapV3Math");
+const TokenRegistry = require("../src/TokenRegistry");
+const RouteFinder = require("../src/RouteFinder");
+const BalancerMath = require("../src/BalancerMath");
+const BalancerPoolRegistry = require("../src/BalancerPoolRegistry");
+const CurveMath = require("../src/CurveMath");
+const { DexAdapter, registerAdapter, hasAdapter } = require("../src/adapters");
+const { FAILURE_CATEGORIES, decodeRevert } = require("../src/RevertDecoder");
+const {
+  ARBITRAGE_EVENTS_INTERFACE,
+  ERC20_TRANSFER_INTERFACE,
+  decodeExecutionReceipt,
+} = require("../src/ReceiptDecoder");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
 
 describe("Real Arbitrage System", function () {
   let flashloanArbitrage;
@@ -21,6 +58,7 @@ describe("Real Arbitrage System", function () {
   // Mock addresses for testing
   const WETH_ADDRESS = "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14";
   const USDC_ADDRESS = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
+  const DAI_ADDRESS = "0x68194a729C2450ad26072b3D33ADaCbcef39D574";
   const UNISWAP_V2_ROUTER = "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D";
 
   beforeEach(async function () {
@@ -110,6 +148,1218 @@ describe("Real Arbitrage System", function () {
       priceFetcher.clearCache();
       expect(priceFetcher.priceCache.size).to.equal(0);
     });
+
+    describe("Mixed decimals", function () {
+      beforeEach(function () {
+        priceFetcher.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+        priceFetcher.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+      });
+
+      it("should price WETH/USDC from reserves in whole tokens", function () {
+        // USDC sorts first: reserve0 = 200,000 USDC, reserve1 = 100 WETH
+        const priceData = priceFetcher.getAdapter("UNISWAP_V2").buildPriceData(
+          WETH_ADDRESS,
+          USDC_ADDRESS,
+          ethers.utils.parseEther("1"),
+          ethers.utils.parseUnits("200000", 6),
+          ethers.utils.parseEther("100"),
+          "0x0000000000000000000000000000000000000aBc",
+          30
+        );
+
+        expect(priceData.price).to.be.closeTo(1974.3, 0.1);
+      });
+
+      it("should price the reverse direction", function () {
+        const priceData = priceFetcher.getAdapter("UNISWAP_V2").buildPriceData(
+          USDC_ADDRESS,
+          WETH_ADDRESS,
+          ethers.utils.parseUnits("2000", 6),
+          ethers.utils.parseUnits("200000", 6),
+          ethers.utils.parseEther("100"),
+          "0x0000000000000000000000000000000000000aBc",
+          30
+        );
+
+        expect(priceData.price).to.be.closeTo(1 / 2026, 0.00001);
+      });
+
+      it("should price V3 quotes with each token's decimals", function () {
+        const priceData = priceFetcher.getAdapter("UNISWAP_V3").buildPriceData(
+          WETH_ADDRESS,
+          USDC_ADDRESS,
+          ethers.utils.parseEther("0.5"),
+          ethers.utils.parseUnits("1000", 6),
+          500
+        );
+
+        expect(priceData.price).to.equal(2000);
+      });
+
+      it("should not reject USDC pools for small raw reserves", function () {
+        expect(
+          priceFetcher.getAdapter("UNISWAP_V2").hasSufficientLiquidity(
+            WETH_ADDRESS,
+            USDC_ADDRESS,
+            ethers.utils.parseUnits("5000", 6),
+            ethers.utils.parseEther("0.1")
+          )
+        ).to.be.true;
+      });
+    });
+
+    describe("Batched quoting", function () {
+      const FACTORY = "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f";
+      const PAIR = "0x0000000000000000000000000000000000000aBc";
+      const dexConfig = { name: "Uniswap V2", type: "UNISWAP_V2", router: UNISWAP_V2_ROUTER };
+      const quotedInterface = new ethers.utils.Interface([
+        "function factory() external pure returns (address)",
+        "function getPair(address tokenA, address tokenB) external view returns (address pair)",
+        "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+        "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)",
+      ]);
+
+      // Answers aggregate3 calls locally and records which methods were batched
+      function stubAggregate3(batcher, requested) {
+        batcher.multicall = {
+          callStatic: {
+            aggregate3: async (calls) =>
+              calls.map((call) => {
+                const parsed = quotedInterface.parseTransaction({ data: call.callData });
+                requested.push(parsed.name);
+                const results = {
+                  factory: () => [FACTORY],
+                  getPair: () => [PAIR],
+                  getReserves: () => [ethers.utils.parseEther("1000"), ethers.utils.parseEther("2000"), 0],
+                  getAmountsOut: () => [[parsed.args.amountIn, parsed.args.amountIn.mul(2)]],
+                };
+                return {
+                  success: true,
+                  returnData: quotedInterface.encodeFunctionResult(parsed.name, results[parsed.name]()),
+                };
+              }),
+          },
+        };
+      }
+
+      it("should decode results and flag failed calls", async function () {
+        const batcher = new MulticallBatcher(provider, console);
+        const iface = new ethers.utils.Interface(["function factory() external pure returns (address)"]);
+        batcher.multicall = {
+          callStatic: {
+            aggregate3: async () => [
+              { success: true, returnData: iface.encodeFunctionResult("factory", [FACTORY]) },
+              { success: false, returnData: "0x" },
+            ],
+          },
+        };
+
+        const results = await batcher.call([
+          { target: UNISWAP_V2_ROUTER, iface, method: "factory" },
+          { target: WETH_ADDRESS, iface, method: "factory" },
+        ]);
+
+        expect(results[0].success).to.be.true;
+        expect(results[0].result[0]).to.equal(FACTORY);
+        expect(results[1].success).to.be.false;
+        expect(batcher.getStats().batches).to.equal(1);
+      });
+
+      it("should serve prefetched quotes without per-DEX calls", async function () {
+        const requested = [];
+        stubAggregate3(priceFetcher.multicall, requested);
+        const amountIn = ethers.utils.parseEther("0.1");
+
+        const quotes = await priceFetcher.prefetchQuotes(
+          [dexConfig],
+          [{ tokenA: WETH_ADDRESS, tokenB: USDC_ADDRESS }],
+          amountIn,
+          100
+        );
+        expect(quotes).to.equal(1);
+
+        // USDC sorts first, so WETH -> USDC swaps into reserve0
+        const price = await priceFetcher.fetchPrice(dexConfig, WETH_ADDRESS, USDC_ADDRESS, amountIn, 100);
+        expect(price.amountOut).to.equal(
+          UniswapV2Math.getAmountOut(
+            amountIn,
+            ethers.utils.parseEther("2000"),
+            ethers.utils.parseEther("1000"),
+            30
+          ).toString()
+        );
+        expect(price.pairAddress).to.equal(PAIR);
+        expect(requested).to.deep.equal(["factory", "getPair", "getReserves"]);
+      });
+
+      it("should only resolve factory and pair addresses once", async function () {
+        const requested = [];
+        stubAggregate3(priceFetcher.multicall, requested);
+        const tokenPairs = [{ tokenA: WETH_ADDRESS, tokenB: USDC_ADDRESS }];
+        const amountIn = ethers.utils.parseEther("0.1");
+
+        await priceFetcher.prefetchQuotes([dexConfig], tokenPairs, amountIn, 100);
+        requested.length = 0;
+        priceFetcher.getAdapter("UNISWAP_V2").reserveTracker.clear();
+        await priceFetcher.prefetchQuotes([dexConfig], tokenPairs, amountIn, 101);
+
+        expect(requested).to.deep.equal(["getReserves"]);
+      });
+
+      it("should replay Sync events instead of re-reading tracked reserves", async function () {
+        const requested = [];
+        stubAggregate3(priceFetcher.multicall, requested);
+        const tokenPairs = [{ tokenA: WETH_ADDRESS, tokenB: USDC_ADDRESS }];
+        const amountIn = ethers.utils.parseEther("0.1");
+        const syncInterface = new ethers.utils.Interface([
+          "event Sync(uint112 reserve0, uint112 reserve1)",
+        ]);
+        const syncLog = syncInterface.encodeEventLog(syncInterface.getEvent("Sync"), [
+          ethers.utils.parseEther("1100"),
+          ethers.utils.parseEther("1900"),
+        ]);
+        priceFetcher.getAdapter("UNISWAP_V2").reserveTracker.provider = {
+          send: async () => [
+            { ...syncLog, address: PAIR, blockNumber: "0x65", logIndex: "0x0" },
+          ],
+        };
+
+        await priceFetcher.prefetchQuotes([dexConfig], tokenPairs, amountIn, 100);
+        requested.length = 0;
+        await priceFetcher.prefetchQuotes([dexConfig], tokenPairs, amountIn, 101);
+
+        const price = await priceFetcher.fetchPrice(dexConfig, WETH_ADDRESS, USDC_ADDRESS, amountIn, 101);
+        expect(requested).to.deep.equal([]);
+        expect(price.reserveIn).to.equal(ethers.utils.parseEther("1900").toString());
+        expect(price.reserveOut).to.equal(ethers.utils.parseEther("1100").toString());
+      });
+
+      it("should fall back to individual calls when multicall fails", async function () {
+        priceFetcher.multicall.multicall = {
+          callStatic: {
+            aggregate3: async () => {
+              throw new Error("multicall unavailable");
+            },
+          },
+        };
+
+        const quotes = await priceFetcher.prefetchQuotes(
+          [dexConfig],
+          [{ tokenA: WETH_ADDRESS, tokenB: USDC_ADDRESS }],
+          ethers.utils.parseEther("0.1"),
+          100
+        );
+
+        expect(quotes).to.equal(0);
+        expect(priceFetcher.batchedQuotes.size).to.equal(0);
+      });
+    });
+
+    describe("Uniswap V3 pool model", function () {
+      let v3Adapter;
+      beforeEach(function () {
+        v3Adapter = priceFetcher.getAdapter("UNISWAP_V3");
+      });
+
+      const e = (n) => ethers.utils.parseEther(n);
+      const POOL = "0x0000000000000000000000000000000000000dEF";
+      const fullRange = (liquidity) => ({
+        sqrtPriceX96: UniswapV3Math.Q96.toString(),
+        tick: 0,
+        liquidity: liquidity.toString(),
+        ticks: [
+          { tick: -887220, liquidityNet: liquidity.toString() },
+          { tick: 887220, liquidityNet: liquidity.mul(-1).toString() },
+        ],
+        tickRange: { min: UniswapV3Math.MIN_TICK, max: UniswapV3Math.MAX_TICK },
+      });
+
+      it("should report the fee tier with the best output", function () {
+        // Tiers are 0.05%, 0.3% and 1%; the 0.3% pool is far deeper
+        const states = [fullRange(e("10")), fullRange(e("1000")), null];
+
+        const { quotes, unresolvedFees } = v3Adapter.simulateFeeTiers(
+          WETH_ADDRESS,
+          USDC_ADDRESS,
+          e("1"),
+          states
+        );
+        const priceData = v3Adapter.selectQuote(WETH_ADDRESS, USDC_ADDRESS, e("1"), quotes);
+
+        expect(unresolvedFees).to.deep.equal([10000]);
+        expect(priceData.fee).to.equal(3000);
+        expect(priceData.quoteSource).to.equal("simulation");
+        expect(priceData.feeTierQuotes.map((q) => q.fee)).to.deep.equal([500, 3000]);
+        expect(priceFetcher.getPoolState(priceData).state).to.equal(states[1]);
+      });
+
+      it("should leave sizes past the loaded ticks to the quoter", async function () {
+        const shallow = {
+          ...fullRange(e("10")),
+          ticks: [
+            { tick: -600, liquidityNet: e("10").toString() },
+            { tick: 600, liquidityNet: e("-10").toString() },
+          ],
+          tickRange: { min: -600, max: 600 },
+        };
+        v3Adapter.getPoolStates = async () => [shallow, fullRange(e("10")), null];
+        const quoted = [];
+        v3Adapter.quoteFeeTiers = async (quoter, tokenA, tokenB, amountIn, fees) => {
+          quoted.push(...fees);
+          return fees.map((fee) => ({ fee, amountOut: e("0.001"), source: "quoter", state: null }));
+        };
+
+        const priceData = await v3Adapter.quote(
+          { name: "UNISWAP_V3", type: "UNISWAP_V3", quoter: UNISWAP_V2_ROUTER },
+          USDC_ADDRESS,
+          WETH_ADDRESS,
+          e("5")
+        );
+
+        expect(quoted).to.deep.equal([500, 10000]);
+        expect(priceData.fee).to.equal(3000);
+        expect(priceData.feeTierQuotes).to.have.length(3);
+      });
+
+      it("should load pool snapshots in batched rounds", async function () {
+        const FACTORY = "0x0000000000000000000000000000000000000aBc";
+        const dexConfig = { name: "UNISWAP_V3", type: "UNISWAP_V3", quoter: UNISWAP_V2_ROUTER };
+        priceFetcher.factoryCache.set(UNISWAP_V2_ROUTER, FACTORY);
+
+        const rounds = [];
+        priceFetcher.multicall.call = async (calls) => {
+          rounds.push(calls.map((call) => call.method));
+          return calls.map((call) => {
+            switch (call.method) {
+              case "getPool":
+                return { success: true, result: [call.args[2] === 3000 ? POOL : ethers.constants.AddressZero] };
+              case "slot0":
+                return { success: true, result: { sqrtPriceX96: UniswapV3Math.Q96.toString(), tick: 10 } };
+              case "liquidity":
+                return { success: true, result: [e("10")] };
+              case "tickSpacing":
+                return { success: true, result: [60] };
+              case "tickBitmap":
+                // Word 0, bit 1: tick 60
+                return { success: true, result: [call.args[0] === 0 ? 2 : 0] };
+              case "ticks":
+                return { success: true, result: { liquidityNet: e("5") } };
+            }
+          });
+        };
+
+        const states = await v3Adapter.getPoolStates(
+          dexConfig,
+          [500, 3000].map((fee) => ({ tokenA: WETH_ADDRESS, tokenB: USDC_ADDRESS, fee })),
+          100
+        );
+
+        expect(states[0]).to.be.null;
+        expect(states[1].fee).to.equal(3000);
+        expect(states[1].ticks).to.deep.equal([{ tick: 60, liquidityNet: e("5").toString() }]);
+        expect(states[1].tickRange).to.deep.equal({ min: -2 * 256 * 60, max: (3 * 256 - 1) * 60 });
+        expect(rounds.map((methods) => methods[0])).to.deep.equal(["getPool", "slot0", "tickBitmap", "ticks"]);
+
+        // Pool addresses and same-block snapshots are reused
+        rounds.length = 0;
+        await v3Adapter.getPoolStateAt(dexConfig, WETH_ADDRESS, USDC_ADDRESS, 3000, 100);
+        expect(rounds).to.be.empty;
+      });
+    });
+
+    describe("Balancer pools", function () {
+      const VAULT = "0xBA12222222228d8Ba445958a75a0704d566BF2C8";
+      const WEIGHTED_POOL = "0x0000000000000000000000000000000000000B0b";
+      const STABLE_POOL = "0x0000000000000000000000000000000000000123";
+      const poolIdFor = (pool) => ethers.utils.hexZeroPad(pool, 20) + "0".repeat(24);
+      const dexConfig = { name: "BALANCER_VAULT", type: "BALANCER_V2", router: VAULT };
+      let balancerAdapter;
+      beforeEach(function () {
+        balancerAdapter = priceFetcher.getAdapter("BALANCER_V2");
+      });
+
+      it("should quote the best pool for a pair and keep its poolId", async function () {
+        priceFetcher.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+        priceFetcher.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+        const registry = balancerAdapter.getRegistry(dexConfig);
+        registry.lastIndexedBlock = 100;
+        registry.registerPool(poolIdFor(WEIGHTED_POOL), [WETH_ADDRESS, USDC_ADDRESS]);
+        registry.registerPool(poolIdFor(STABLE_POOL), [WETH_ADDRESS, DAI_ADDRESS]);
+
+        const rounds = [];
+        priceFetcher.multicall.call = async (calls) => {
+          rounds.push(calls.map((call) => call.method));
+          return calls.map((call) => {
+            switch (call.method) {
+              case "getPoolTokens":
+                return {
+                  success: true,
+                  result: {
+                    tokens: [WETH_ADDRESS, USDC_ADDRESS],
+                    balances: [ethers.utils.parseEther("100"), ethers.utils.parseUnits("200000", 6)],
+                  },
+                };
+              case "getSwapFeePercentage":
+                return { success: true, result: [ethers.utils.parseEther("0.003")] };
+              case "getNormalizedWeights":
+                return { success: true, result: [[ethers.utils.parseEther("0.5"), ethers.utils.parseEther("0.5")]] };
+              default:
+                return { success: false, result: null };
+            }
+          });
+        };
+
+        const amountIn = ethers.utils.parseEther("1");
+        const priceData = await priceFetcher.fetchPrice(dexConfig, WETH_ADDRESS, USDC_ADDRESS, amountIn, 100);
+
+        // A 50/50 pool prices like a constant-product pool with the same fee
+        const expected = UniswapV2Math.getAmountOut(
+          amountIn,
+          ethers.utils.parseEther("100"),
+          ethers.utils.parseUnits("200000", 6),
+          30
+        );
+        expect(priceData.dexType).to.equal("BALANCER_V2");
+        expect(priceData.poolType).to.equal("WEIGHTED");
+        expect(Number(priceData.amountOut)).to.be.closeTo(expected.toNumber(), 2);
+        expect(priceFetcher.getPoolState(priceData).poolId).to.equal(poolIdFor(WEIGHTED_POOL));
+        expect(rounds).to.have.length(1);
+      });
+
+      it("should read the tokens of configured pools from the Vault", async function () {
+        const poolId = poolIdFor(WEIGHTED_POOL);
+        priceFetcher.networkConfig.balancerPools = [poolId];
+        const registry = balancerAdapter.getRegistry(dexConfig);
+        registry.lastIndexedBlock = 100;
+
+        priceFetcher.multicall.call = async (calls) =>
+          calls.map(() => ({ success: true, result: { tokens: [WETH_ADDRESS, DAI_ADDRESS] } }));
+
+        await balancerAdapter.syncPools(dexConfig, 100);
+
+        expect(registry.getUnresolvedPools()).to.be.empty;
+        expect(registry.getPoolsForPair(DAI_ADDRESS, WETH_ADDRESS).map((pool) => pool.poolId)).to.deep.equal([poolId]);
+      });
+
+      it("should skip composable pools that hold their own BPT", async function () {
+        const state = await balancerAdapter.buildPoolState(
+          { poolId: poolIdFor(STABLE_POOL), address: STABLE_POOL },
+          { success: true, result: { tokens: [STABLE_POOL, USDC_ADDRESS], balances: [1, 1] } },
+          { success: true, result: [0] },
+          { success: false },
+          { success: true, result: { value: 200000 } }
+        );
+
+        expect(state).to.be.null;
+      });
+    });
+
+    describe("Curve pools", function () {
+      const POOL = "0x0000000000000000000000000000000000000C3f";
+      const dexConfig = { name: "CURVE_3POOL", type: "CURVE", router: POOL };
+
+      it("should read the pool once per block and quote get_dy locally", async function () {
+        priceFetcher.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+        priceFetcher.tokenRegistry.register(DAI_ADDRESS, { symbol: "DAI", decimals: 18 });
+        const coins = [DAI_ADDRESS, USDC_ADDRESS];
+        const balances = [ethers.utils.parseEther("5000000"), ethers.utils.parseUnits("5000000", 6)];
+
+        let rounds = 0;
+        priceFetcher.multicall.call = async (calls) => {
+          rounds++;
+          return calls.map((call) => {
+            switch (call.method) {
+              case "A":
+                return { success: true, result: [2000] };
+              case "fee":
+                return { success: true, result: [1000000] }; // 0.01%
+              case "coins":
+              case "balances":
+                // Two-coin pool: index 2 and up revert
+                return call.args[0] < 2
+                  ? { success: true, result: [(call.method === "coins" ? coins : balances)[call.args[0]]] }
+                  : { success: false, result: null };
+            }
+          });
+        };
+
+        const amountIn = ethers.utils.parseUnits("10000", 6);
+        const priceData = await priceFetcher.fetchPrice(dexConfig, USDC_ADDRESS, DAI_ADDRESS, amountIn, 100);
+        const reverse = await priceFetcher.fetchPrice(dexConfig, DAI_ADDRESS, USDC_ADDRESS, ethers.utils.parseEther("1"), 100);
+
+        expect(priceData.dexType).to.equal("CURVE");
+        expect(priceData.price).to.be.closeTo(0.9999, 0.00005);
+        expect(reverse.price).to.be.closeTo(0.9999, 0.00005);
+        expect(priceFetcher.getPoolState(priceData).coins).to.deep.equal(coins);
+        expect(rounds).to.equal(1);
+      });
+    });
+  });
+
+  describe("TokenRegistry", function () {
+    it("should read and cache on-chain token metadata", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.deployed();
+
+      const registry = new TokenRegistry(provider, console);
+      expect(await registry.getDecimals(usdc.address)).to.equal(6);
+      expect(await registry.getSymbol(usdc.address)).to.equal("USDC");
+
+      // Served from the cache without touching the chain again
+      registry.provider = null;
+      expect(await registry.getDecimals(usdc.address.toLowerCase())).to.equal(6);
+    });
+
+    it("should not cache the fallback when decimals cannot be read", async function () {
+      const registry = new TokenRegistry(provider, console);
+
+      expect(await registry.getDecimals(WETH_ADDRESS)).to.equal(18);
+      expect(registry.getStats().cachedTokens).to.equal(0);
+    });
+
+    it("should convert amounts using each token's decimals", function () {
+      const registry = new TokenRegistry(provider, console);
+      registry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+
+      expect(registry.toUnits(1500000, USDC_ADDRESS)).to.equal(1.5);
+      expect(registry.fromUnits("0.1", USDC_ADDRESS).toString()).to.equal("100000");
+      expect(registry.fromUnits(1.23456789, USDC_ADDRESS).toString()).to.equal("1234568");
+      expect(registry.fromUnits("0.1", WETH_ADDRESS).toString()).to.equal(
+        ethers.utils.parseEther("0.1").toString()
+      );
+    });
+  });
+
+  describe("UniswapV2Math", function () {
+    it("should match the router's getAmountOut", function () {
+      // 1 ETH into a 100/200000 pool at 0.3%: floor(997 * 200000e18 * 1e18 / (100e18 * 1000 + 997e18))
+      const amountOut = UniswapV2Math.getAmountOut(
+        ethers.utils.parseEther("1"),
+        ethers.utils.parseEther("100"),
+        ethers.utils.parseEther("200000"),
+        30
+      );
+      expect(amountOut.toString()).to.equal("1974316068794122597700");
+    });
+
+    it("should apply each fork's fee", function () {
+      expect(UniswapV2Math.getV2FeeBps("UNISWAP_V2")).to.equal(30);
+      expect(UniswapV2Math.getV2FeeBps("SUSHISWAP")).to.equal(30);
+      expect(UniswapV2Math.getV2FeeBps("PANCAKESWAP")).to.equal(25);
+      expect(UniswapV2Math.getV2FeeBps("PANCAKESWAP", 17)).to.equal(17);
+
+      const reserve = ethers.utils.parseEther("1000");
+      const amountIn = ethers.utils.parseEther("1");
+      expect(
+        UniswapV2Math.getAmountOut(amountIn, reserve, reserve, 25).gt(
+          UniswapV2Math.getAmountOut(amountIn, reserve, reserve, 30)
+        )
+      ).to.be.true;
+    });
+
+    it("should orient reserves by token order", function () {
+      const { reserveIn, reserveOut } = UniswapV2Math.getReservesForSwap(
+        WETH_ADDRESS,
+        USDC_ADDRESS,
+        1,
+        2
+      );
+      // USDC has the lower address, so it is token0
+      expect(reserveIn).to.equal(2);
+      expect(reserveOut).to.equal(1);
+    });
+
+    it("should find the round-trip optimum in closed form", function () {
+      const e = (n) => ethers.utils.parseEther(n);
+      const first = { reserveIn: e("100"), reserveOut: e("110"), feeBps: 30 };
+      const second = { reserveIn: e("100"), reserveOut: e("100"), feeBps: 30 };
+      const profitAt = (x) =>
+        UniswapV2Math.getAmountOut(
+          UniswapV2Math.getAmountOut(x, first.reserveIn, first.reserveOut, 30),
+          second.reserveIn,
+          second.reserveOut,
+          30
+        ).sub(x);
+
+      const optimal = UniswapV2Math.getOptimalAmountIn(first, second);
+      const step = e("0.01");
+      expect(profitAt(optimal).gt(profitAt(optimal.add(step)))).to.be.true;
+      expect(profitAt(optimal).gt(profitAt(optimal.sub(step)))).to.be.true;
+
+      // A premium on the borrowed amount trades a little smaller
+      expect(UniswapV2Math.getOptimalAmountIn(first, second, 900).lt(optimal)).to
+        .be.true;
+      // No size is profitable when prices agree
+      expect(UniswapV2Math.getOptimalAmountIn(second, second).isZero()).to.be
+        .true;
+    });
+  });
+
+  describe("UniswapV3Math", function () {
+    const L = ethers.utils.parseEther("100");
+    const fullRange = (liquidity) => ({
+      sqrtPriceX96: UniswapV3Math.Q96.toString(),
+      tick: 0,
+      liquidity,
+      fee: 3000,
+      ticks: [
+        { tick: -887220, liquidityNet: liquidity },
+        { tick: 887220, liquidityNet: liquidity.mul(-1) },
+      ],
+      tickRange: { min: UniswapV3Math.MIN_TICK, max: UniswapV3Math.MAX_TICK },
+    });
+
+    it("should match TickMath", function () {
+      expect(UniswapV3Math.getSqrtRatioAtTick(0)).to.equal(UniswapV3Math.Q96);
+      expect(UniswapV3Math.getSqrtRatioAtTick(1).toString()).to.equal(
+        "79232123823359799118286999568"
+      );
+      expect(UniswapV3Math.getSqrtRatioAtTick(UniswapV3Math.MIN_TICK)).to.equal(
+        UniswapV3Math.MIN_SQRT_RATIO
+      );
+    });
+
+    it("should quote a full-range position like a V2 pool", function () {
+      const amountIn = ethers.utils.parseEther("1");
+      const { amountOut, complete } = UniswapV3Math.simulateExactInput(
+        fullRange(L),
+        true,
+        amountIn
+      );
+
+      // Liquidity 100e18 at price 1 is 100/100 of virtual reserves
+      const v2Out = UniswapV2Math.getAmountOut(amountIn, L, L, 30);
+      expect(complete).to.be.true;
+      expect(amountOut.sub(v2Out).abs().lte(10)).to.be.true;
+    });
+
+    it("should pick up liquidity from crossed ticks", function () {
+      const pool = {
+        ...fullRange(L),
+        ticks: [
+          { tick: -600, liquidityNet: L },
+          { tick: 60, liquidityNet: L.mul(9) },
+          { tick: 600, liquidityNet: L.mul(-10) },
+        ],
+        tickRange: { min: -600, max: 600 },
+      };
+      const thin = {
+        ...pool,
+        ticks: [
+          { tick: -600, liquidityNet: L },
+          { tick: 600, liquidityNet: L.mul(-1) },
+        ],
+      };
+      const amountIn = ethers.utils.parseEther("2");
+
+      const deep = UniswapV3Math.simulateExactInput(pool, false, amountIn);
+      const shallow = UniswapV3Math.simulateExactInput(thin, false, amountIn);
+
+      expect(deep.ticksCrossed).to.equal(1);
+      expect(deep.complete).to.be.true;
+      expect(deep.amountOut.gt(shallow.amountOut)).to.be.true;
+    });
+
+    it("should flag swaps that run past the loaded ticks", function () {
+      const pool = {
+        ...fullRange(L),
+        ticks: [
+          { tick: -600, liquidityNet: L },
+          { tick: 600, liquidityNet: L.mul(-1) },
+        ],
+        tickRange: { min: -600, max: 600 },
+      };
+
+      const result = UniswapV3Math.simulateExactInput(
+        pool,
+        false,
+        ethers.utils.parseEther("50")
+      );
+
+      expect(result.complete).to.be.false;
+      expect(result.amountInUsed.lt(ethers.utils.parseEther("50"))).to.be.true;
+    });
+
+    it("should leave the pool state a later swap continues from", function () {
+      const pool = {
+        ...fullRange(L),
+        ticks: [
+          { tick: -600, liquidityNet: L },
+          { tick: 60, liquidityNet: L.mul(9) },
+          { tick: 600, liquidityNet: L.mul(-10) },
+        ],
+        tickRange: { min: -600, max: 600 },
+      };
+      const half = ethers.utils.parseEther("1");
+
+      const whole = UniswapV3Math.simulateExactInput(pool, false, half.mul(2));
+      const first = UniswapV3Math.simulateExactInput(pool, false, half);
+      const second = UniswapV3Math.simulateExactInput(
+        {
+          ...pool,
+          sqrtPriceX96: first.sqrtPriceX96After,
+          tick: first.tickAfter,
+          liquidity: first.liquidityAfter,
+        },
+        false,
+        half
+      );
+
+      expect(whole.tickAfter).to.equal(UniswapV3Math.getTickAtSqrtRatio(whole.sqrtPriceX96After));
+      expect(whole.liquidityAfter).to.equal(L.mul(10));
+      expect(second.sqrtPriceX96After.sub(whole.sqrtPriceX96After).abs().lte(1)).to.be.true;
+      expect(first.amountOut.add(second.amountOut).sub(whole.amountOut).abs().lte(10)).to.be.true;
+      expect(UniswapV3Math.getTickAtSqrtRatio(UniswapV3Math.getSqrtRatioAtTick(-1))).to.equal(-1);
+      expect(UniswapV3Math.getTickAtSqrtRatio(UniswapV3Math.getSqrtRatioAtTick(1) - 1n)).to.equal(0);
+    });
+  });
+
+  describe("BalancerMath", function () {
+    const e = (n) => ethers.utils.parseEther(n);
+
+    it("should price an 80/20 pool by its weights", function () {
+      // 1 WETH into 100 WETH (80%) / 50000 USDC (20%) at no fee:
+      // 50000 * (1 - (100 / 101) ^ 4)
+      const out = BalancerMath.quoteBalancerSwap(
+        {
+          poolType: "WEIGHTED",
+          tokens: [WETH_ADDRESS, USDC_ADDRESS],
+          balances: [e("100"), ethers.utils.parseUnits("50000", 6)],
+          decimals: [18, 6],
+          weights: [e("0.8"), e("0.2")],
+          swapFee: 0,
+        },
+        WETH_ADDRESS,
+        USDC_ADDRESS,
+        e("1")
+      );
+
+      const expected = 50000 * (1 - Math.pow(100 / 101, 4));
+      expect(parseFloat(ethers.utils.formatUnits(out, 6))).to.be.closeTo(expected, 0.000002);
+    });
+
+    it("should keep balanced stable swaps close to one to one", function () {
+      const pool = {
+        poolType: "STABLE",
+        tokens: [USDC_ADDRESS, DAI_ADDRESS],
+        balances: [ethers.utils.parseUnits("1000000", 6), e("1000000")],
+        decimals: [6, 18],
+        amp: 200 * 1000, // A = 200 with AMP_PRECISION
+        swapFee: e("0.0004"),
+      };
+
+      const out = BalancerMath.quoteBalancerSwap(pool, USDC_ADDRESS, DAI_ADDRESS, ethers.utils.parseUnits("1000", 6));
+      const dai = parseFloat(ethers.utils.formatEther(out));
+
+      // Only the 0.04% fee and a sliver of curvature are lost
+      expect(dai).to.be.below(999.6);
+      expect(dai).to.be.above(999.5);
+
+      // Draining the pool gets progressively worse rates
+      const large = BalancerMath.quoteBalancerSwap(pool, USDC_ADDRESS, DAI_ADDRESS, ethers.utils.parseUnits("900000", 6));
+      expect(parseFloat(ethers.utils.formatEther(large))).to.be.below(900000 * 0.99);
+    });
+
+    it("should not quote tokens the pool does not hold", function () {
+      const out = BalancerMath.quoteBalancerSwap(
+        { poolType: "WEIGHTED", tokens: [WETH_ADDRESS, USDC_ADDRESS], balances: [1, 1], decimals: [18, 6], weights: [1, 1], swapFee: 0 },
+        WETH_ADDRESS,
+        DAI_ADDRESS,
+        e("1")
+      );
+      expect(out.isZero()).to.be.true;
+    });
+  });
+
+  describe("CurveMath", function () {
+    const pool = (balances, A = 100) => ({
+      coins: [USDC_ADDRESS, DAI_ADDRESS],
+      balances,
+      decimals: [6, 18],
+      A,
+      fee: 4000000, // 0.04%
+    });
+
+    it("should keep D at the balance sum for a balanced pool", function () {
+      const xp = [10n ** 24n, 10n ** 24n];
+      expect(CurveMath.getD(xp, 100n)).to.equal(2n * 10n ** 24n);
+    });
+
+    it("should quote across decimals net of the pool fee", function () {
+      const balanced = pool([ethers.utils.parseUnits("1000000", 6), ethers.utils.parseEther("1000000")]);
+      const out = CurveMath.quoteCurveSwap(balanced, USDC_ADDRESS, DAI_ADDRESS, ethers.utils.parseUnits("1000", 6));
+      const dai = parseFloat(ethers.utils.formatEther(out));
+
+      expect(dai).to.be.below(999.6);
+      expect(dai).to.be.above(999.55);
+    });
+
+    it("should pay more for the scarce coin when the pool is imbalanced", function () {
+      // USDC-heavy pool: DAI is scarce, so USDC buys less than one DAI
+      const imbalanced = pool([ethers.utils.parseUnits("1500000", 6), ethers.utils.parseEther("500000")]);
+      const daiOut = CurveMath.quoteCurveSwap(imbalanced, USDC_ADDRESS, DAI_ADDRESS, ethers.utils.parseUnits("1000", 6));
+      const usdcOut = CurveMath.quoteCurveSwap(imbalanced, DAI_ADDRESS, USDC_ADDRESS, ethers.utils.parseEther("1000"));
+
+      expect(parseFloat(ethers.utils.formatEther(daiOut))).to.be.below(999);
+      expect(parseFloat(ethers.utils.formatUnits(usdcOut, 6))).to.be.above(1000);
+    });
+  });
+
+  describe("BalancerPoolRegistry", function () {
+    const VAULT = "0xBA12222222228d8Ba445958a75a0704d566BF2C8";
+    const vaultEvents = new ethers.utils.Interface([
+      "event PoolRegistered(bytes32 indexed poolId, address indexed poolAddress, uint8 specialization)",
+      "event TokensRegistered(bytes32 indexed poolId, address[] tokens, address[] assetManagers)",
+      "event TokensDeregistered(bytes32 indexed poolId, address[] tokens)",
+    ]);
+    const POOL = "0x0000000000000000000000000000000000000B0b";
+    const POOL_ID = ethers.utils.hexZeroPad(POOL, 20) + "0".repeat(22) + "01";
+    const log = (name, args, blockNumber, logIndex = 0) => ({
+      ...vaultEvents.encodeEventLog(vaultEvents.getEvent(name), args),
+      address: VAULT,
+      blockNumber: ethers.utils.hexValue(blockNumber),
+      logIndex: ethers.utils.hexValue(logIndex),
+    });
+
+    it("should index pools and their tokens from Vault events", async function () {
+      const queries = [];
+      const registry = new BalancerPoolRegistry(
+        {
+          send: async (method, [filter]) => {
+            queries.push([parseInt(filter.fromBlock), parseInt(filter.toBlock)]);
+            if (parseInt(filter.fromBlock) > 5000) return [];
+            return [
+              log("PoolRegistered", [POOL_ID, POOL, 2], 4000),
+              log("TokensRegistered", [POOL_ID, [WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS], [ethers.constants.AddressZero, ethers.constants.AddressZero, ethers.constants.AddressZero]], 4000, 1),
+              log("TokensDeregistered", [POOL_ID, [DAI_ADDRESS]], 4500),
+            ];
+          },
+        },
+        console,
+        { vault: VAULT, fromBlock: 1, maxBlockRange: 5000 }
+      );
+
+      const discovered = await registry.syncToBlock(12000);
+
+      expect(discovered).to.equal(1);
+      expect(queries).to.deep.equal([[1, 5000], [5001, 10000], [10001, 12000]]);
+      expect(registry.getPoolsForPair(USDC_ADDRESS, WETH_ADDRESS)[0].address).to.equal(POOL);
+      expect(registry.getPoolsForPair(WETH_ADDRESS, DAI_ADDRESS)).to.be.empty;
+
+      // Already indexed blocks are not queried again
+      await registry.syncToBlock(12000);
+      expect(queries).to.have.length(3);
+    });
+
+    it("should resume from the last indexed range after a failed query", async function () {
+      let calls = 0;
+      const registry = new BalancerPoolRegistry(
+        {
+          send: async () => {
+            if (++calls === 2) throw new Error("rate limited");
+            return [];
+          },
+        },
+        console,
+        { vault: VAULT, fromBlock: 1, maxBlockRange: 100 }
+      );
+
+      await registry.syncToBlock(300);
+
+      expect(registry.lastIndexedBlock).to.equal(100);
+      expect(registry.getStats().failedQueries).to.equal(1);
+    });
+  });
+
+  describe("DEX adapters", function () {
+    it("should have an adapter for every DEX type networks.json declares", function () {
+      const networks = require("../config/networks.json");
+
+      for (const [network, config] of Object.entries(networks)) {
+        for (const [dexName, declared] of Object.entries(config.dexTypes)) {
+          const type = typeof declared === "string" ? declared : declared.type;
+          expect(hasAdapter(type), `${network} ${dexName}`).to.be.true;
+          expect(config.dexRouters[dexName], `${network} ${dexName}`).to.be.properAddress;
+        }
+      }
+    });
+
+    it("should share one adapter between Uniswap V2 forks", function () {
+      expect(priceFetcher.getAdapter("SUSHISWAP")).to.equal(priceFetcher.getAdapter("UNISWAP_V2"));
+      expect(priceFetcher.getAdapter("UNISWAP_V3")).to.not.equal(priceFetcher.getAdapter("UNISWAP_V2"));
+      expect(priceFetcher.getAdapter("UNKNOWN_DEX")).to.be.null;
+    });
+
+    it("should quote, encode and cost a newly registered DEX type", async function () {
+      class TestAdapter extends DexAdapter {
+        async quote(dexConfig, tokenA, tokenB, amountIn) {
+          return { price: 2, amountIn: amountIn.toString(), amountOut: amountIn.mul(2).toString(), dexType: "TEST_DEX" };
+        }
+
+        encodeSwap({ minAmountOut }) {
+          return ethers.utils.defaultAbiCoder.encode(["uint256"], [minAmountOut]);
+        }
+
+        getFeeRate() {
+          return 0.001;
+        }
+      }
+      TestAdapter.types = ["TEST_DEX"];
+      registerAdapter(TestAdapter);
+
+      const dexConfig = { name: "TEST_DEX", type: "TEST_DEX", router: UNISWAP_V2_ROUTER };
+      const amountIn = ethers.utils.parseEther("1");
+      const price = await priceFetcher.fetchPrice(dexConfig, WETH_ADDRESS, USDC_ADDRESS, amountIn);
+      const swapData = await executor.prepareSwapData(dexConfig, WETH_ADDRESS, USDC_ADDRESS, amountIn, price.amountOut);
+
+      expect(price.amountOut).to.equal(ethers.utils.parseEther("2").toString());
+      expect(swapData).to.equal(
+        ethers.utils.defaultAbiCoder.encode(["uint256"], [ethers.utils.parseEther("1.9")])
+      );
+      expect(profitCalculator.calculateDexFee(amountIn, "TEST_DEX")).to.be.closeTo(0.001, 1e-12);
+    });
+
+    it("should charge the fee tier and swap fee each pool was quoted at", function () {
+      const amountIn = ethers.utils.parseEther("1");
+
+      expect(profitCalculator.calculateDexFee(amountIn, "UNISWAP_V3", null, { fee: 500 })).to.be.closeTo(0.0005, 1e-12);
+      expect(
+        profitCalculator.calculateDexFee(amountIn, "BALANCER_V2", null, {
+          state: { swapFee: ethers.utils.parseEther("0.0004").toString() },
+        })
+      ).to.be.closeTo(0.0004, 1e-12);
+      expect(profitCalculator.calculateDexFee(amountIn, "CURVE", null, { state: { fee: "4000000" } })).to.be.closeTo(
+        0.0004,
+        1e-12
+      );
+      expect(profitCalculator.calculateDexFee(amountIn, "UNKNOWN_DEX")).to.be.closeTo(0.003, 1e-12);
+    });
+  });
+
+  describe("ReserveTracker", function () {
+    const PAIR = "0x0000000000000000000000000000000000000aBc";
+
+    it("should only serve reserves current at the requested block", function () {
+      const tracker = new ReserveTracker(provider, console);
+      tracker.setReserves(PAIR, 10, 20, 100);
+
+      expect(tracker.getReserves(PAIR, 100).reserve0.toNumber()).to.equal(10);
+      expect(tracker.getReserves(PAIR, 101)).to.be.null;
+    });
+
+    it("should drop pairs that fell too far behind", async function () {
+      const tracker = new ReserveTracker(provider, console, { maxBlockGap: 5 });
+      tracker.setReserves(PAIR, 10, 20, 100);
+
+      await tracker.syncToBlock(110);
+
+      expect(tracker.isTracked(PAIR)).to.be.false;
+      expect(tracker.getStats().pairsDropped).to.equal(1);
+    });
+
+    it("should stay behind when the log query fails", async function () {
+      const tracker = new ReserveTracker(
+        { send: async () => { throw new Error("rate limited"); } },
+        console
+      );
+      tracker.setReserves(PAIR, 10, 20, 100);
+
+      await tracker.syncToBlock(101);
+
+      expect(tracker.getReserves(PAIR, 101)).to.be.null;
+      expect(tracker.getStats().failedQueries).to.equal(1);
+    });
+  });
+
+  describe("MempoolWatcher", function () {
+    const SUSHISWAP_ROUTER = "0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F";
+    const e = (n) => ethers.utils.parseEther(n);
+    const usdc = (n) => ethers.utils.parseUnits(n, 6);
+    const dexConfigs = [
+      { name: "UNISWAP_V2", type: "UNISWAP_V2", router: UNISWAP_V2_ROUTER },
+      { name: "SUSHISWAP", type: "SUSHISWAP", router: SUSHISWAP_ROUTER },
+    ];
+    const pairAddress = (index) => ethers.utils.hexZeroPad(ethers.utils.hexlify(0xa0 + index), 20);
+    const v2Router = new ethers.utils.Interface([
+      "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline)",
+    ]);
+    let watcher;
+    let trader;
+
+    beforeEach(async function () {
+      priceFetcher.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+      priceFetcher.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+      const v2Adapter = priceFetcher.getAdapter("UNISWAP_V2");
+      dexConfigs.forEach((dex, index) => {
+        const factory = ethers.utils.hexZeroPad(ethers.utils.hexlify(0xf0 + index), 20);
+        priceFetcher.factoryCache.set(dex.router, factory);
+        v2Adapter.cachePairAddress(factory, WETH_ADDRESS, USDC_ADDRESS, pairAddress(index));
+      });
+
+      trader = ethers.Wallet.createRandom().connect(provider);
+      await owner.sendTransaction({ to: trader.address, value: e("1") });
+      watcher = new MempoolWatcher(
+        provider,
+        console,
+        { tokens: { WETH: WETH_ADDRESS, USDC: USDC_ADDRESS } },
+        { priceFetcher, dexConfigs }
+      );
+
+      // Pending transactions stay pending until the test is done with them
+      await provider.send("evm_setAutomine", [false]);
+    });
+
+    afterEach(async function () {
+      await watcher.stop();
+      await provider.send("evm_mine", []);
+      await provider.send("evm_setAutomine", [true]);
+    });
+
+    // Signs a swap into Hardhat's mempool and captures its pending body as
+    // the node serves it, with both pairs at 2000 USDC per WETH
+    async function sendPendingSwap(amountIn, amountOutMin) {
+      const blockNumber = await provider.getBlockNumber();
+      const v2Adapter = priceFetcher.getAdapter("UNISWAP_V2");
+      dexConfigs.forEach((dex, index) =>
+        v2Adapter.reserveTracker.setReserves(pairAddress(index), usdc("2000000"), e("1000"), blockNumber)
+      );
+
+      const signed = await trader.signTransaction(
+        await trader.populateTransaction({
+          to: UNISWAP_V2_ROUTER,
+          data: v2Router.encodeFunctionData("swapExactTokensForTokens", [
+            amountIn,
+            amountOutMin,
+            [WETH_ADDRESS, USDC_ADDRESS],
+            trader.address,
+            Math.floor(Date.now() / 1000) + 300,
+          ]),
+          gasLimit: 200000,
+        })
+      );
+      const hash = await provider.send("eth_sendRawTransaction", [signed]);
+      return { signed, body: await provider.send("eth_getTransactionByHash", [hash]) };
+    }
+
+    it("should turn a pending swap into a backrun bundled behind it", async function () {
+      const { signed, body } = await sendPendingSwap(e("50"), usdc("90000"));
+      const received = [];
+      await watcher.start(async (candidate) => received.push(candidate));
+
+      const candidates = await watcher.handlePendingTransaction(body);
+
+      expect(candidates).to.have.length(1);
+      expect(received).to.deep.equal(candidates);
+      const [candidate] = candidates;
+      expect(candidate.type).to.equal("backrun");
+      expect(candidate.backrun.txHash).to.equal(body.hash);
+      expect(candidate.backrun.rawTransaction).to.equal(signed);
+      expect(candidate.backrun.amountOut).to.equal(
+        UniswapV2Math.getAmountOut(e("50"), e("1000"), usdc("2000000"), 30).toString()
+      );
+
+      // WETH is cheap on the pool the swap sold into, so we buy it back there
+      expect(candidate.tokenA).to.equal(WETH_ADDRESS);
+      expect(candidate.buyDex).to.equal("UNISWAP_V2");
+      expect(candidate.sellDex).to.equal("SUSHISWAP");
+      expect(candidate.buyPool.reserveIn).to.equal(e("1050").toString());
+      expect(candidate.sellPool.reserveIn).to.equal(e("1000").toString());
+      expect(watcher.getStats()).to.include({ routerTransactions: 1, swapsDecoded: 1, candidates: 1 });
+
+      // The same transaction seen again is not re-evaluated
+      expect(await watcher.handlePendingTransaction(body)).to.be.empty;
+    });
+
+    it("should drop swaps on unknown pools before any round-trip and quote at the head block", async function () {
+      const { body } = await sendPendingSwap(e("50"), usdc("90000"));
+      const headBlock = await provider.getBlockNumber();
+      await watcher.start(async () => {});
+
+      const calls = { getBlockNumber: 0, fetchMultiplePrices: 0 };
+      const fetchMultiplePrices = priceFetcher.fetchMultiplePrices;
+      watcher.provider = {
+        getBlockNumber: () => {
+          calls.getBlockNumber++;
+          return provider.getBlockNumber();
+        },
+      };
+      priceFetcher.fetchMultiplePrices = function (...args) {
+        calls.fetchMultiplePrices++;
+        return fetchMultiplePrices.apply(this, args);
+      };
+
+      try {
+        // The factory has no pair for the swap's tokens
+        const v2Adapter = priceFetcher.getAdapter("UNISWAP_V2");
+        const factory = priceFetcher.factoryCache.get(UNISWAP_V2_ROUTER);
+        v2Adapter.cachePairAddress(factory, WETH_ADDRESS, USDC_ADDRESS, ethers.constants.AddressZero);
+        expect(await watcher.handlePendingTransaction(body)).to.be.empty;
+        expect(watcher.getStats()).to.include({ swapsDecoded: 1, candidates: 0 });
+        expect(calls).to.deep.equal({ getBlockNumber: 0, fetchMultiplePrices: 0 });
+
+        // Once it does, every swap in the block shares one block number lookup
+        v2Adapter.cachePairAddress(factory, WETH_ADDRESS, USDC_ADDRESS, pairAddress(0));
+        const tx = await provider.getTransaction(body.hash);
+        const [swap] = v2Adapter.decodeSwaps(dexConfigs[0], tx.data);
+        const first = await watcher.evaluateSwap(tx, "0x", dexConfigs[0], swap);
+        const second = await watcher.evaluateSwap(tx, "0x", dexConfigs[0], swap);
+        expect([first.blockNumber, second.blockNumber]).to.deep.equal([headBlock, headBlock]);
+        expect(calls).to.deep.equal({ getBlockNumber: 1, fetchMultiplePrices: 2 });
+
+        watcher.blockListener(headBlock + 1);
+        expect(await watcher.getBlockNumber()).to.equal(headBlock + 1);
+        expect(calls.getBlockNumber).to.equal(1);
+      } finally {
+        watcher.provider = provider;
+        priceFetcher.fetchMultiplePrices = fetchMultiplePrices;
+      }
+    });
+
+    it("should skip swaps that would revert or that it cannot follow", async function () {
+      const { body } = await sendPendingSwap(e("50"), usdc("100000"));
+      expect(await watcher.handlePendingTransaction(body)).to.be.empty;
+      expect(watcher.getStats()).to.include({ swapsDecoded: 1, candidates: 0 });
+
+      // Multi-hop V2 paths, and V3 swaps behind a price limit, are not followed
+      const v2Adapter = priceFetcher.getAdapter("UNISWAP_V2");
+      expect(
+        v2Adapter.decodeSwaps(
+          dexConfigs[0],
+          v2Router.encodeFunctionData("swapExactTokensForTokens", [1, 0, [WETH_ADDRESS, DAI_ADDRESS, USDC_ADDRESS], owner.address, 0])
+        )
+      ).to.be.empty;
+
+      const router02 = new ethers.utils.Interface([
+        "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96))",
+        "function multicall(uint256 deadline, bytes[] data)",
+      ]);
+      const exactInputSingle = (sqrtPriceLimitX96) =>
+        router02.encodeFunctionData("exactInputSingle", [
+          { tokenIn: USDC_ADDRESS, tokenOut: WETH_ADDRESS, fee: 500, recipient: owner.address, amountIn: usdc("10"), amountOutMinimum: 0, sqrtPriceLimitX96 },
+        ]);
+      const swaps = priceFetcher
+        .getAdapter("UNISWAP_V3")
+        .decodeSwaps({}, router02.encodeFunctionData("multicall", [0, [exactInputSingle(0), exactInputSingle(1)]]));
+      expect(swaps).to.have.length(1);
+      expect(swaps[0]).to.include({ tokenIn: USDC_ADDRESS, tokenOut: WETH_ADDRESS, fee: 500 });
+      expect(swaps[0].amountIn).to.equal(usdc("10"));
+    });
+
+    it("should quote a V3 pool from the state a pending swap leaves it in", async function () {
+      const v3Adapter = priceFetcher.getAdapter("UNISWAP_V3");
+      const state = {
+        sqrtPriceX96: UniswapV3Math.Q96.toString(),
+        tick: 0,
+        liquidity: e("100").toString(),
+        fee: 3000,
+        ticks: [
+          { tick: -887220, liquidityNet: e("100").toString() },
+          { tick: 887220, liquidityNet: e("-100").toString() },
+        ],
+        tickRange: { min: UniswapV3Math.MIN_TICK, max: UniswapV3Math.MAX_TICK },
+      };
+
+      // Buying WETH with USDC lowers WETH's pool price: token1 per token0
+      const predicted = await v3Adapter.predictQuote(
+        { name: "UNISWAP_V3", type: "UNISWAP_V3", router: UNISWAP_V2_ROUTER },
+        WETH_ADDRESS,
+        USDC_ADDRESS,
+        e("1"),
+        { fee: 3000, state },
+        { tokenIn: USDC_ADDRESS, tokenOut: WETH_ADDRESS, amountIn: e("10"), fee: 3000 }
+      );
+      const before = UniswapV3Math.simulateExactInput(state, false, e("1"));
+
+      expect(predicted.amountOut).to.equal(UniswapV3Math.simulateExactInput(state, true, e("10")).amountOut);
+      expect(predicted.priceData.quoteSource).to.equal("prediction");
+      expect(ethers.BigNumber.from(predicted.priceData.amountOut).gt(before.amountOut)).to.be.true;
+      expect(ethers.BigNumber.from(predicted.priceData.state.sqrtPriceX96).lt(UniswapV3Math.Q96.toString())).to.be.true;
+    });
+  });
+
+  describe("RouteFinder", function () {
+    const edge = (tokenIn, tokenOut, rate, dex = "UNISWAP_V2") => ({
+      dex,
+      dexType: dex,
+      tokenIn,
+      tokenOut,
+      rate,
+      pool: null,
+    });
+    const graphOf = (edges) => {
+      const map = new Map();
+      for (const e of edges) {
+        const key = e.tokenIn.toLowerCase();
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(e);
+      }
+      return { tokens: [WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS], edges: map, blockNumber: 100 };
+    };
+
+    // WETH -> USDC -> DAI -> WETH returns 1% more WETH, every other way loses
+    const triangle = () =>
+      graphOf([
+        edge(WETH_ADDRESS, USDC_ADDRESS, 2000),
+        edge(USDC_ADDRESS, DAI_ADDRESS, 1.01, "SUSHISWAP"),
+        edge(DAI_ADDRESS, WETH_ADDRESS, 0.0005),
+        edge(USDC_ADDRESS, WETH_ADDRESS, 0.000499),
+        edge(DAI_ADDRESS, USDC_ADDRESS, 0.99),
+        edge(WETH_ADDRESS, DAI_ADDRESS, 1990),
+      ]);
+
+    it("should find a profitable triangle once", function () {
+      const finder = new RouteFinder(null, console, { minProfitPercentage: 0.1 });
+
+      const routes = finder.findRoutes(triangle());
+
+      expect(routes).to.have.length(1);
+      expect(routes[0].path).to.deep.equal([WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS, WETH_ADDRESS]);
+      expect(routes[0].dexes).to.deep.equal(["UNISWAP_V2", "SUSHISWAP", "UNISWAP_V2"]);
+      expect(routes[0].profitPercentage).to.be.closeTo(1, 1e-9);
+      expect(routes[0].tokenB).to.equal(USDC_ADDRESS);
+    });
+
+    it("should start routes from the borrowable token", function () {
+      const finder = new RouteFinder(null, console, { minProfitPercentage: 0.1 });
+
+      const routes = finder.findRoutes(triangle(), [DAI_ADDRESS]);
+
+      expect(routes).to.have.length(1);
+      expect(routes[0].path).to.deep.equal([DAI_ADDRESS, WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS]);
+    });
+
+    it("should leave two-hop cycles to the pair scanner", function () {
+      const finder = new RouteFinder(null, console, { minProfitPercentage: 0.1 });
+      const graph = graphOf([
+        edge(WETH_ADDRESS, USDC_ADDRESS, 2000),
+        edge(USDC_ADDRESS, WETH_ADDRESS, 0.00051),
+      ]);
+
+      expect(finder.findRoutes(graph)).to.be.empty;
+    });
+
+    it("should keep the best quote per direction", async function () {
+      const fetcher = {
+        prefetchQuotes: async () => {},
+        fetchMultiplePrices: async () => [
+          { dex: "UNISWAP_V2", type: "UNISWAP_V2", price: { price: 1 } },
+          { dex: "SUSHISWAP", type: "SUSHISWAP", price: { price: 1.2 } },
+        ],
+        getPoolState: () => null,
+      };
+      const finder = new RouteFinder(fetcher, console);
+
+      const graph = await finder.buildGraph(
+        [],
+        [WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS],
+        () => ethers.utils.parseEther("0.1")
+      );
+
+      const edges = [...graph.edges.values()].flat();
+      expect(edges).to.have.length(6);
+      expect(edges.every((e) => e.dex === "SUSHISWAP" && e.rate === 1.2)).to.be.true;
+    });
   });
 
   describe("ProfitCalculator", function () {
@@ -138,58 +1388,678 @@ describe("Real Arbitrage System", function () {
       expect(gasPrice).to.be.at.least(1); // At least 1 gwei
     });
 
-    it("should calculate DEX fees", function () {
-      const amountIn = ethers.utils.parseEther("1");
+    it("should calculate DEX fees", function () {
+      const amountIn = ethers.utils.parseEther("1");
+
+      const uniswapV2Fee = profitCalculator.calculateDexFee(
+        amountIn,
+        "UNISWAP_V2"
+      );
+      expect(uniswapV2Fee).to.equal(0.003); // 0.3% of 1 ETH
+
+      const sushiswapFee = profitCalculator.calculateDexFee(
+        amountIn,
+        "SUSHISWAP"
+      );
+      expect(sushiswapFee).to.equal(0.003); // 0.3% of 1 ETH
+    });
+
+    it("should calculate risk score", function () {
+      const opportunity = {
+        profitPercentage: 2.5,
+        buyDex: "UNISWAP_V2",
+        sellDex: "SUSHISWAP",
+      };
+
+      const riskScore = profitCalculator.calculateRiskScore(
+        opportunity,
+        0.1,
+        1.0
+      );
+      expect(riskScore).to.be.a("number");
+      expect(riskScore).to.be.at.least(0);
+      expect(riskScore).to.be.at.most(100);
+    });
+
+    it("should validate opportunity viability", function () {
+      const goodProfitability = {
+        isProfitable: true,
+        netProfitUSD: 10,
+        riskScore: 50,
+        profitMargin: 2.0,
+      };
+
+      const badProfitability = {
+        isProfitable: false,
+        netProfitUSD: -5,
+        riskScore: 90,
+        profitMargin: 0.1,
+      };
+
+      expect(profitCalculator.isOpportunityViable(goodProfitability, 5, 70)).to
+        .be.true;
+      expect(profitCalculator.isOpportunityViable(badProfitability, 5, 70)).to
+        .be.false;
+    });
+
+    it("should value a WETH/USDC round trip in USD", async function () {
+      profitCalculator.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+      profitCalculator.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+      profitCalculator.priceOracle.getPrice = async (symbol) =>
+        ({ ETH: 2000, USDC: 1 })[symbol];
+
+      // 1 WETH sells for 2020 USDC and buys back at 2000 USDC per WETH
+      const profitability = await profitCalculator.calculateArbitrageProfitability({
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        buyDex: "UNISWAP_V2",
+        sellDex: "SUSHISWAP",
+        amountIn: ethers.utils.parseEther("1").toString(),
+        buyAmountOut: ethers.utils.parseUnits("2000", 6).toString(),
+        sellAmountOut: ethers.utils.parseUnits("2020", 6).toString(),
+        profitPercentage: 1,
+      });
+
+      expect(profitability.amountInUSD).to.equal(2000);
+      expect(profitability.grossProfitUSD).to.be.closeTo(20, 1e-9);
+      // 0.3% of the 1 WETH sold plus 0.3% of the 2020 USDC bought back
+      expect(profitability.costs.dexFeesUSD).to.be.closeTo(12.06, 1e-9);
+      expect(profitability.costs.flashloanFeeUSD).to.be.closeTo(1.8, 1e-9);
+    });
+
+    it("should value a USDC-borrowed round trip in USD", async function () {
+      profitCalculator.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+      profitCalculator.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+      profitCalculator.priceOracle.getPrice = async (symbol) =>
+        ({ ETH: 2000, USDC: 1 })[symbol];
+
+      // 1000 USDC sells for 0.505 WETH and buys back at 0.5 WETH per 1000 USDC
+      const profitability = await profitCalculator.calculateArbitrageProfitability({
+        tokenA: USDC_ADDRESS,
+        tokenB: WETH_ADDRESS,
+        buyDex: "UNISWAP_V2",
+        sellDex: "SUSHISWAP",
+        amountIn: ethers.utils.parseUnits("1000", 6).toString(),
+        buyAmountOut: ethers.utils.parseEther("0.5").toString(),
+        sellAmountOut: ethers.utils.parseEther("0.505").toString(),
+        profitPercentage: 1,
+      });
+
+      expect(profitability.amountInETH).to.equal(0.5);
+      expect(profitability.grossProfitUSD).to.be.closeTo(10, 1e-9);
+      expect(profitability.costs.flashloanFeeUSD).to.be.closeTo(0.9, 1e-9);
+    });
+
+    describe("Fee model", function () {
+      const e = (n) => ethers.utils.parseEther(n);
+      // WETH -> USDC on the sell DEX at 2020, back at 2000 USDC per WETH
+      const roundTrip = (overrides = {}) => ({
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        buyDex: "UNISWAP_V2",
+        sellDex: "SUSHISWAP",
+        amountIn: e("1").toString(),
+        buyAmountOut: ethers.utils.parseUnits("2000", 6).toString(),
+        sellAmountOut: ethers.utils.parseUnits("2020", 6).toString(),
+        profitPercentage: 1,
+        ...overrides,
+      });
+
+      beforeEach(function () {
+        profitCalculator.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+        profitCalculator.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+        profitCalculator.priceOracle.getPrice = async (symbol) => ({ ETH: 2000, USDC: 1 })[symbol];
+        // 10 gwei for 150k base + 2 x (120k swap + 21k transfer) + 50k buffer = $9.64
+        profitCalculator.getCurrentGasPrice = async () => 10;
+      });
+
+      it("should not charge fees the quotes already paid", async function () {
+        const profitability = await profitCalculator.calculateArbitrageProfitability(roundTrip());
+
+        expect(profitability.costs.dexFeesUSD).to.be.closeTo(12.06, 1e-9);
+        expect(profitability.costs.quotedDexFeesUSD).to.be.closeTo(12.06, 1e-9);
+        expect(profitability.costs.gasCostUSD).to.be.closeTo(9.64, 1e-9);
+        expect(profitability.netProfitUSD).to.be.closeTo(20 - 1.8 - 9.64, 1e-9);
+        expect(profitability.isProfitable).to.be.true;
+      });
+
+      it("should judge viability net of the builder bid", async function () {
+        // $100 gross, $88.56 after the flash loan premium and gas
+        const opportunity = roundTrip({ sellAmountOut: ethers.utils.parseUnits("2100", 6).toString() });
+        const unbid = await profitCalculator.calculateArbitrageProfitability(opportunity);
+        expect(profitCalculator.isOpportunityViable(unbid, 50)).to.be.true;
+
+        profitCalculator.bidder = new BundleBidder(console, {}, { config: { enabled: true, initialShare: 0.5 } });
+        const bid = await profitCalculator.calculateArbitrageProfitability(opportunity);
+
+        expect(bid.costs.builderBidShare).to.equal(0.5);
+        expect(bid.costs.builderBidUSD).to.be.closeTo(88.56 / 2, 1e-9);
+        expect(bid.costs.totalCostsUSD).to.be.closeTo(unbid.costs.totalCostsUSD + 88.56 / 2, 1e-9);
+        expect(bid.netProfitUSD).to.be.closeTo(88.56 / 2, 1e-9);
+        expect(bid.breakEvenAmountETH).to.equal(unbid.breakEvenAmountETH);
+        expect(profitCalculator.isOpportunityViable(bid, 50)).to.be.false;
+      });
+
+      it("should charge each leg the fee its DEX type and pool actually take", async function () {
+        const profitability = await profitCalculator.calculateArbitrageProfitability(
+          roundTrip({
+            buyDex: "PANCAKESWAP_V2",
+            buyDexType: "PANCAKESWAP",
+            sellDex: "UNISWAP_V3",
+            sellPool: { dexType: "UNISWAP_V3", fee: 500, state: null },
+          })
+        );
+
+        // 0.05% of $2000 on the V3 tier, 0.25% of $2020 on PancakeSwap
+        expect(profitability.costs.dexFeesUSD).to.be.closeTo(1 + 5.05, 1e-9);
+        // V3 swaps cost 150k gas: 10 gwei x 512k = $10.24
+        expect(profitability.netProfitUSD).to.be.closeTo(20 - 1.8 - 10.24, 1e-9);
+      });
+
+      it("should charge fees that a quote leaves out", async function () {
+        class MidPriceAdapter extends DexAdapter {
+          getFeeRate() {
+            return 0.002;
+          }
+
+          quotesIncludeFees() {
+            return false;
+          }
+        }
+        MidPriceAdapter.types = ["MID_PRICE_DEX"];
+        registerAdapter(MidPriceAdapter);
+
+        const profitability = await profitCalculator.calculateArbitrageProfitability(
+          roundTrip({ sellDexType: "MID_PRICE_DEX" })
+        );
+
+        // 0.2% of the WETH sold is still owed, the 0.3% buy leg is in its quote
+        expect(profitability.costs.dexFeesUSD).to.be.closeTo(4 + 6.06, 1e-9);
+        expect(profitability.costs.quotedDexFeesUSD).to.be.closeTo(6.06, 1e-9);
+        expect(profitability.netProfitUSD).to.be.closeTo(20 - 4 - 1.8 - 9.64, 1e-9);
+      });
+
+      it("should read the flash loan premium from the Aave pool", async function () {
+        const MockAddressProvider = await ethers.getContractFactory("MockAddressProvider");
+        const addressProvider = await MockAddressProvider.deploy();
+        profitCalculator.networkConfig.aaveAddressProvider = addressProvider.address;
+
+        const profitability = await profitCalculator.calculateArbitrageProfitability(roundTrip());
+
+        // FLASHLOAN_PREMIUM_TOTAL = 5 bps
+        expect(profitability.costs.flashloanFeeRate).to.equal(0.0005);
+        expect(profitability.costs.flashloanFeeUSD).to.be.closeTo(1, 1e-9);
+        expect(profitability.netProfitUSD).to.be.closeTo(20 - 1 - 9.64, 1e-9);
+      });
+
+      it("should fall back to the default premium when Aave cannot be read", async function () {
+        profitCalculator.networkConfig.aaveAddressProvider = DAI_ADDRESS; // No code on the test chain
+
+        expect(await profitCalculator.getFlashloanPremium()).to.equal(profitCalculator.AAVE_FLASHLOAN_FEE);
+      });
+    });
+
+    describe("Gas estimation", function () {
+      const e = (n) => ethers.utils.parseEther(n);
+      const arbParams = { tokenA: WETH_ADDRESS, tokenB: USDC_ADDRESS, amount: e("1") };
+      const roundTrip = () => ({
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        buyDex: "UNISWAP_V2",
+        sellDex: "SUSHISWAP",
+        amountIn: e("1").toString(),
+        buyAmountOut: ethers.utils.parseUnits("2000", 6).toString(),
+        sellAmountOut: ethers.utils.parseUnits("2020", 6).toString(),
+        profitPercentage: 1,
+      });
+
+      function buildContract(estimateGas) {
+        return {
+          address: flashloanArbitrage.address,
+          estimateGas: { requestFlashLoan: estimateGas },
+          populateTransaction: {
+            requestFlashLoan: () =>
+              Promise.resolve({ to: flashloanArbitrage.address, data: "0x1234" }),
+          },
+        };
+      }
+
+      // Predeploy stand-in that answers every call with 0.001 ETH
+      async function deployOpGasPriceOracle() {
+        await ethers.provider.send("hardhat_setCode", [
+          "0x420000000000000000000000000000000000000F",
+          "0x6603" + "8d7ea4c68000" + "60005260206000f3",
+        ]);
+      }
+
+      beforeEach(function () {
+        profitCalculator.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+        profitCalculator.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 6 });
+        profitCalculator.priceOracle.getPrice = async (symbol) => ({ ETH: 2000, USDC: 1 })[symbol];
+        profitCalculator.getCurrentGasPrice = async () => 10;
+      });
+
+      it("should cost the gas estimated for the prepared transaction", async function () {
+        const executionGas = await profitCalculator.gasEstimator.estimateExecution(
+          buildContract(() => Promise.resolve(ethers.BigNumber.from(300000))),
+          arbParams,
+          "UNISWAP_V2>UNISWAP_V2",
+          owner.address
+        );
+
+        const profitability = await profitCalculator.calculateArbitrageProfitability(
+          roundTrip(),
+          executionGas
+        );
+
+        // 10 gwei x 300k instead of the 482k static model
+        expect(profitability.gasEstimate).to.equal(300000);
+        expect(profitability.gasEstimateSource).to.equal("estimateGas");
+        expect(profitability.costs.gasCostUSD).to.be.closeTo(6, 1e-9);
+        expect(profitability.costs.l1DataFeeUSD).to.equal(0);
+      });
+
+      it("should fall back to the median receipt of the route shape", async function () {
+        const gasEstimator = profitCalculator.gasEstimator;
+        const shape = gasEstimator.getRouteShape([null, null]);
+        for (const gasUsed of [200000, 260000, 240000]) {
+          gasEstimator.recordReceipt(shape, { status: 1, gasUsed: ethers.BigNumber.from(gasUsed) });
+        }
+        gasEstimator.recordReceipt(shape, { status: 0, gasUsed: ethers.BigNumber.from(900000) });
+
+        const executionGas = await gasEstimator.estimateExecution(
+          buildContract(() => Promise.reject(new Error("header not found"))),
+          arbParams,
+          shape,
+          owner.address
+        );
+        expect(executionGas.gasUsed).to.equal(240000);
+        expect(executionGas.source).to.equal("receipts");
+
+        // Costing without an estimate uses the same calibration
+        const profitability = await profitCalculator.calculateArbitrageProfitability(roundTrip());
+        expect(profitability.gasEstimateSource).to.equal("receipts");
+        expect(profitability.costs.gasCostUSD).to.be.closeTo(4.8, 1e-9);
+
+        // Other shapes still use the static model
+        expect(gasEstimator.getCalibratedGas("UNISWAP_V3>CURVE")).to.be.null;
+      });
+
+      it("should add the OP-stack L1 data fee from the gas price oracle", async function () {
+        await deployOpGasPriceOracle();
+        const gasEstimator = new GasEstimator(provider, console, {
+          chainId: 10,
+          l2FeeModel: "opStack",
+        });
+        expect(gasEstimator.l2FeeEstimator).to.be.instanceOf(OpStackFeeEstimator);
+
+        const executionGas = await gasEstimator.estimateExecution(
+          buildContract(() => Promise.resolve(ethers.BigNumber.from(300000))),
+          arbParams,
+          "UNISWAP_V2>UNISWAP_V2",
+          owner.address
+        );
+        expect(executionGas.l1DataFee.feeWei.eq(e("0.001"))).to.be.true;
+
+        const profitability = await profitCalculator.calculateArbitrageProfitability(
+          roundTrip(),
+          executionGas
+        );
+        expect(profitability.costs.l1DataFeeUSD).to.be.closeTo(2, 1e-9);
+        expect(profitability.netProfitUSD).to.be.closeTo(20 - 1.8 - 6 - 2, 1e-9);
+      });
+
+      it("should not add Arbitrum L1 gas that the estimate already counts", async function () {
+        const l1DataFee = { feeWei: e("0.001"), includedInGas: true };
+
+        const estimated = await profitCalculator.calculateArbitrageProfitability(roundTrip(), {
+          gasUsed: 300000,
+          source: "estimateGas",
+          l1DataFee,
+        });
+        expect(estimated.costs.l1DataFeeUSD).to.equal(0);
+
+        const modelled = await profitCalculator.calculateArbitrageProfitability(roundTrip(), {
+          gasUsed: null,
+          source: null,
+          l1DataFee,
+        });
+        expect(modelled.gasEstimateSource).to.equal("model");
+        expect(modelled.costs.l1DataFeeUSD).to.be.closeTo(2, 1e-9);
+      });
+
+      it("should select the L1 fee model each rollup declares in networks.json", function () {
+        const networks = require("../config/networks.json");
+        const models = Object.fromEntries(
+          Object.entries(networks).map(([name, config]) => {
+            const estimator = createL2FeeEstimator(provider, console, config);
+            return [name, estimator && estimator.constructor.name];
+          })
+        );
+
+        expect(models.ethereum).to.be.null;
+        expect(models.polygon).to.be.null;
+        expect(models.optimism).to.equal("OpStackFeeEstimator");
+        expect(models.base).to.equal("OpStackFeeEstimator");
+        expect(models.mantle).to.equal("OpStackFeeEstimator");
+        expect(models.scroll).to.equal("OpStackFeeEstimator");
+        expect(models.arbitrum).to.equal("ArbitrumFeeEstimator");
+        expect(models.zksync).to.equal("ZkSyncFeeEstimator");
+        expect(models.linea).to.equal("LineaFeeEstimator");
+
+        // Scroll prices L1 data in its own oracle
+        expect(createL2FeeEstimator(provider, console, networks.scroll).options.oracle).to.equal(
+          "0x5300000000000000000000000000000000000002"
+        );
+      });
+
+      it("should split the L1 component out of Arbitrum gasEstimateComponents", async function () {
+        // NodeInterface stand-in: 500k total gas, 100k of it for L1, 0.1 gwei base fee
+        await ethers.provider.send("hardhat_setCode", [
+          "0x00000000000000000000000000000000000000C8",
+          "0x6207a120600052" + "620186a0602052" + "6305f5e100604052" +
+            "6402540be400606052" + "60806000f3",
+        ]);
+        const estimator = createL2FeeEstimator(provider, console, {
+          chainId: 42161,
+          l2FeeModel: "arbitrum",
+        });
+
+        const l1DataFee = await estimator.estimate({
+          to: flashloanArbitrage.address,
+          from: owner.address,
+          data: "0x1234",
+        });
+
+        expect(l1DataFee.includedInGas).to.be.true;
+        expect(l1DataFee.feeWei.toString()).to.equal(
+          ethers.utils.parseUnits("0.1", "gwei").mul(100000).toString()
+        );
+      });
+
+      it("should only charge the part of Linea's priority fee over the market's", async function () {
+        let marketPriorityFee = ethers.utils.parseUnits("1", "gwei");
+        const lineaProvider = {
+          send: async (method) => {
+            expect(method).to.equal("linea_estimateGas");
+            return { gasLimit: "0x7a120", baseFeePerGas: "0x7", priorityFeePerGas: "0x9502f900" }; // 500k gas, 2.5 gwei
+          },
+          getFeeData: async () => ({ maxPriorityFeePerGas: marketPriorityFee }),
+        };
+        const estimator = createL2FeeEstimator(lineaProvider, console, { chainId: 59144, l2FeeModel: "linea" });
+        const transaction = { to: flashloanArbitrage.address, from: owner.address, data: "0x1234" };
+
+        const l1DataFee = await estimator.estimate(transaction);
+        expect(l1DataFee.includedInGas).to.be.false;
+        expect(l1DataFee.feeWei.eq(ethers.utils.parseUnits("1.5", "gwei").mul(500000))).to.be.true;
+
+        // Nothing on top when the market already pays more
+        marketPriorityFee = ethers.utils.parseUnits("3", "gwei");
+        expect((await estimator.estimate(transaction)).feeWei.isZero()).to.be.true;
+      });
+
+      it("should model zkSync pubdata per swap and add it to modelled gas", async function () {
+        const zkProvider = {
+          send: async (method) => {
+            expect(method).to.equal("zks_getFeeParams");
+            return { V2: { l1_pubdata_price: "2000000000000" } }; // 2000 gwei per byte
+          },
+        };
+        profitCalculator.gasEstimator.l2FeeEstimator = new ZkSyncFeeEstimator(zkProvider, console);
+
+        // 200 bytes for the flash loan, 140 per swap
+        const l1DataFee = await profitCalculator.gasEstimator.estimateL1DataFee(null, { swapCount: 2 });
+        expect(l1DataFee.feeWei.eq(ethers.utils.parseUnits("2000", "gwei").mul(480))).to.be.true;
+
+        const profitability = await profitCalculator.calculateArbitrageProfitability(roundTrip());
+        expect(profitability.gasEstimateSource).to.equal("model");
+        expect(profitability.costs.l1DataFeeUSD).to.be.closeTo(0.00096 * 2000, 1e-9);
+        expect(profitability.netProfitUSD).to.be.closeTo(20 - 1.8 - 9.64 - 1.92, 1e-9);
+      });
+
+      it("should charge the modelled L1 data fee on every sampled trade size", async function () {
+        const zkProvider = {
+          send: async () => ({ V2: { l1_pubdata_price: "2000000000000" } }),
+        };
+        profitCalculator.gasEstimator.l2FeeEstimator = new ZkSyncFeeEstimator(zkProvider, console);
+        const calculate = profitCalculator.calculateArbitrageProfitability.bind(profitCalculator);
+        const sampled = [];
+        profitCalculator.calculateArbitrageProfitability = async (...args) => {
+          const profitability = await calculate(...args);
+          sampled.push({ args, profitability });
+          return profitability;
+        };
+
+        await profitCalculator.sampleTradeSizes(
+          { ...roundTrip(), buyPrice: 2000, sellPrice: 2020 },
+          1,
+          2000,
+          1
+        );
+
+        expect(sampled).to.have.length(20);
+        for (const { args, profitability } of sampled) {
+          expect(args).to.have.length(1);
+          expect(profitability.costs.l1DataFeeUSD).to.be.closeTo(1.92, 1e-9);
+          expect(profitability.costs.totalCostsUSD).to.be.at.least(profitability.costs.gasCostUSD + 1.92);
+        }
+      });
+
+      it("should include the L1 data fee in the optimizer's sized cost", async function () {
+        await deployOpGasPriceOracle();
+        const gasOptimizer = new GasOptimizer(provider, console, {
+          name: "Optimism",
+          chainId: 10,
+          l2FeeModel: "opStack",
+        });
 
-      const uniswapV2Fee = profitCalculator.calculateDexFee(
-        amountIn,
-        "UNISWAP_V2"
-      );
-      expect(uniswapV2Fee).to.equal(0.003); // 0.3% of 1 ETH
+        const gasSettings = await gasOptimizer.getCompleteGasSettings({
+          to: flashloanArbitrage.address,
+          data: "0x1234",
+          gasLimit: 300000,
+        });
 
-      const sushiswapFee = profitCalculator.calculateDexFee(
-        amountIn,
-        "SUSHISWAP"
-      );
-      expect(sushiswapFee).to.equal(0.003); // 0.3% of 1 ETH
+        const executionCostETH = parseFloat(
+          ethers.utils.formatEther(gasSettings.maxFeePerGas.mul(300000))
+        );
+        expect(gasSettings.l1DataFeeETH).to.equal(0.001);
+        expect(gasSettings.estimatedCostETH).to.be.closeTo(executionCostETH + 0.001, 1e-12);
+      });
     });
 
-    it("should calculate risk score", function () {
+    it("should sample sizes when a pool has no state", async function () {
+      const reserve = ethers.utils.parseEther("100");
       const opportunity = {
-        profitPercentage: 2.5,
-        buyDex: "UNISWAP_V2",
-        sellDex: "SUSHISWAP",
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        buyPrice: 1,
+        sellPrice: 1.1,
+        profitPercentage: 10,
+        buyPool: { reserveIn: reserve, reserveOut: reserve, feeBps: 30 },
+        sellPool: { dexType: "UNISWAP_V3", fee: 3000, state: null },
+      };
+      const sizes = [];
+      profitCalculator.calculateArbitrageProfitability = async (test) => {
+        sizes.push(test);
+        return null;
       };
 
-      const riskScore = profitCalculator.calculateRiskScore(
-        opportunity,
-        0.1,
-        1.0
+      await profitCalculator.getOptimalTradeSize(opportunity, 10);
+
+      // Price impact grows with size instead of scaling linearly
+      const first = sizes[0];
+      const last = sizes[sizes.length - 1];
+      expect(first.buyAmountOut).to.equal(
+        UniswapV2Math.getAmountOut(first.amountIn, reserve, reserve, 30).toString()
       );
-      expect(riskScore).to.be.a("number");
-      expect(riskScore).to.be.at.least(0);
-      expect(riskScore).to.be.at.most(100);
+      expect(
+        parseFloat(ethers.utils.formatEther(last.buyAmountOut)) /
+          parseFloat(ethers.utils.formatEther(last.amountIn))
+      ).to.be.below(0.92);
     });
 
-    it("should validate opportunity viability", function () {
-      const goodProfitability = {
-        isProfitable: true,
-        netProfitUSD: 10,
-        riskScore: 50,
-        profitMargin: 2.0,
-      };
+    describe("Optimal sizing", function () {
+      const e = (n) => ethers.utils.parseEther(n);
 
-      const badProfitability = {
-        isProfitable: false,
-        netProfitUSD: -5,
-        riskScore: 90,
-        profitMargin: 0.1,
-      };
+      beforeEach(function () {
+        profitCalculator.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+        profitCalculator.tokenRegistry.register(USDC_ADDRESS, { symbol: "USDC", decimals: 18 });
+        profitCalculator.priceOracle.getPrice = async () => 2000;
+      });
 
-      expect(profitCalculator.isOpportunityViable(goodProfitability, 5, 70)).to
-        .be.true;
-      expect(profitCalculator.isOpportunityViable(badProfitability, 5, 70)).to
-        .be.false;
+      // Sell pool quotes WETH -> USDC, buy pool is quoted the same way and
+      // traded in reverse
+      const v2Opportunity = () => ({
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        buyPrice: 0.9,
+        sellPrice: 1,
+        sellPool: { dexType: "UNISWAP_V2", reserveIn: e("100"), reserveOut: e("100"), feeBps: 30 },
+        buyPool: { dexType: "UNISWAP_V2", reserveIn: e("100"), reserveOut: e("90"), feeBps: 30 },
+      });
+
+      it("should size two V2 pools in closed form", async function () {
+        const amountIn = await profitCalculator.getOptimalTradeSize(
+          v2Opportunity(),
+          100,
+          2000
+        );
+
+        const expected = UniswapV2Math.getOptimalAmountIn(
+          { reserveIn: e("100"), reserveOut: e("100"), feeBps: 30 },
+          { reserveIn: e("90"), reserveOut: e("100"), feeBps: 30 },
+          900
+        );
+        expect(amountIn.toString()).to.equal(expected.toString());
+      });
+
+      it("should cap the size at the position limit", async function () {
+        const amountIn = await profitCalculator.getOptimalTradeSize(
+          v2Opportunity(),
+          0.5,
+          2000
+        );
+
+        expect(amountIn.toString()).to.equal(e("0.5").toString());
+      });
+
+      it("should reject routes with no profitable size", async function () {
+        const opportunity = v2Opportunity();
+        opportunity.buyPool = opportunity.sellPool;
+
+        expect(await profitCalculator.getOptimalTradeSize(opportunity, 100, 2000))
+          .to.be.null;
+      });
+
+      it("should search a V3 leg numerically", async function () {
+        // A full-range V3 position behaves like the equivalent V2 pool
+        const opportunity = v2Opportunity();
+        opportunity.sellPool = {
+          dexType: "UNISWAP_V3",
+          fee: 3000,
+          state: {
+            sqrtPriceX96: UniswapV3Math.Q96.toString(),
+            tick: 0,
+            liquidity: e("100"),
+            fee: 3000,
+            ticks: [
+              { tick: -887220, liquidityNet: e("100") },
+              { tick: 887220, liquidityNet: e("-100") },
+            ],
+            tickRange: { min: UniswapV3Math.MIN_TICK, max: UniswapV3Math.MAX_TICK },
+          },
+        };
+
+        const amountIn = await profitCalculator.getOptimalTradeSize(opportunity, 100, 2000);
+        const closedForm = await profitCalculator.getOptimalTradeSize(v2Opportunity(), 100, 2000);
+
+        const relativeError =
+          Math.abs(amountIn.sub(closedForm).toString()) / Number(closedForm.toString());
+        expect(relativeError).to.be.below(1e-4);
+      });
+
+      it("should re-quote the opportunity at its optimal size", async function () {
+        const sized = await profitCalculator.sizeOpportunity(v2Opportunity(), 100);
+
+        const sellAmountOut = UniswapV2Math.getAmountOut(sized.amountIn, e("100"), e("100"), 30);
+        expect(sized.sellAmountOut).to.equal(sellAmountOut.toString());
+        expect(sized.expectedAmountOut).to.equal(
+          UniswapV2Math.getAmountOut(sellAmountOut, e("90"), e("100"), 30).toString()
+        );
+        expect(ethers.BigNumber.from(sized.expectedAmountOut).gt(sized.amountIn)).to.be.true;
+      });
+    });
+
+    describe("Multi-hop routes", function () {
+      const e = (n) => ethers.utils.parseEther(n);
+      const v2 = (reserveIn, reserveOut) => ({
+        dexType: "UNISWAP_V2",
+        reserveIn: e(reserveIn),
+        reserveOut: e(reserveOut),
+        feeBps: 30,
+      });
+      const route = () => ({
+        type: "route",
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        path: [WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS, WETH_ADDRESS],
+        profitPercentage: 9,
+        hops: [
+          { dex: "UNISWAP_V2", dexType: "UNISWAP_V2", tokenIn: WETH_ADDRESS, tokenOut: USDC_ADDRESS, rate: 1.1, pool: v2("100", "110") },
+          { dex: "SUSHISWAP", dexType: "SUSHISWAP", tokenIn: USDC_ADDRESS, tokenOut: DAI_ADDRESS, rate: 1, pool: v2("100", "100") },
+          { dex: "UNISWAP_V2", dexType: "UNISWAP_V2", tokenIn: DAI_ADDRESS, tokenOut: WETH_ADDRESS, rate: 1, pool: v2("100", "100") },
+        ],
+      });
+
+      beforeEach(function () {
+        for (const [address, symbol] of [[WETH_ADDRESS, "WETH"], [USDC_ADDRESS, "USDC"], [DAI_ADDRESS, "DAI"]]) {
+          profitCalculator.tokenRegistry.register(address, { symbol, decimals: 18 });
+        }
+        profitCalculator.priceOracle.getPrice = async () => 2000;
+      });
+
+      it("should chain quotes through every hop", function () {
+        const amountIn = e("1");
+        const { amountOut, hops } = profitCalculator.quoteRoute(route(), amountIn);
+
+        let expected = amountIn;
+        for (const [reserveIn, reserveOut] of [["100", "110"], ["100", "100"], ["100", "100"]]) {
+          expected = UniswapV2Math.getAmountOut(expected, e(reserveIn), e(reserveOut), 30);
+        }
+        expect(amountOut.toString()).to.equal(expected.toString());
+        expect(hops[1].amountIn).to.equal(hops[0].amountOut);
+      });
+
+      it("should size a route near its optimum", async function () {
+        const sized = await profitCalculator.sizeRoute(route(), 100);
+        const amountIn = ethers.BigNumber.from(sized.amountIn);
+        // Net of the flash loan premium the size is optimised for
+        const profitAt = (x) =>
+          profitCalculator.quoteRoute(route(), x).amountOut.sub(x).sub(x.mul(900).div(1000000));
+
+        expect(ethers.BigNumber.from(sized.expectedAmountOut).gt(amountIn)).to.be.true;
+        expect(profitAt(amountIn).gte(profitAt(amountIn.mul(101).div(100)))).to.be.true;
+        expect(profitAt(amountIn).gte(profitAt(amountIn.mul(99).div(100)))).to.be.true;
+      });
+
+      it("should cost every hop of a route", async function () {
+        const hops = route().hops.map((hop) => ({ ...hop, amountIn: e("1").toString() }));
+        const profitability = await profitCalculator.calculateArbitrageProfitability({
+          ...route(),
+          hops,
+          amountIn: e("1").toString(),
+          expectedAmountOut: e("1.01").toString(),
+        });
+
+        const gas = profitCalculator.GAS_ESTIMATES;
+        const v2Gas = profitCalculator.adapters.get("UNISWAP_V2").estimateSwapGas();
+        expect(profitability.grossProfitUSD).to.be.closeTo(20, 1e-6);
+        expect(profitability.costs.dexFeesUSD).to.be.closeTo(18, 1e-9);
+        expect(profitability.costs.flashloanFeeUSD).to.be.closeTo(1.8, 1e-9);
+        expect(profitability.gasEstimate).to.equal(
+          gas.FLASHLOAN_BASE + v2Gas * 3 + gas.TOKEN_TRANSFER * 3 + gas.BUFFER
+        );
+      });
     });
 
     it("should get ETH price", async function () {
@@ -227,6 +2097,280 @@ describe("Real Arbitrage System", function () {
       expect(stats).to.have.property("lastExecutionTime");
     });
 
+    it("should trade the sell DEX first and the buy DEX back", async function () {
+      const swaps = [];
+      executor.prepareSwapData = async (dexConfig, tokenIn, tokenOut, amountIn) => {
+        swaps.push({ dex: dexConfig.name, tokenIn, tokenOut, amountIn });
+        return "0x";
+      };
+      executor.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+
+      const dexConfigs = [
+        { name: "UNISWAP_V2", type: "UNISWAP_V2", router: UNISWAP_V2_ROUTER },
+        { name: "SUSHISWAP", type: "SUSHISWAP", router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506" },
+      ];
+      const params = await executor.prepareArbitrageParams(
+        {
+          tokenA: WETH_ADDRESS,
+          tokenB: USDC_ADDRESS,
+          buyDex: "UNISWAP_V2",
+          sellDex: "SUSHISWAP",
+          amountIn: "1000",
+          buyAmountOut: "900",
+          sellAmountOut: "950",
+        },
+        dexConfigs
+      );
+
+      expect(params.dexRouters).to.deep.equal([dexConfigs[1].router, dexConfigs[0].router]);
+      expect(params.path).to.deep.equal([WETH_ADDRESS, USDC_ADDRESS, WETH_ADDRESS]);
+      expect(swaps).to.deep.equal([
+        { dex: "SUSHISWAP", tokenIn: WETH_ADDRESS, tokenOut: USDC_ADDRESS, amountIn: "1000" },
+        { dex: "UNISWAP_V2", tokenIn: USDC_ADDRESS, tokenOut: WETH_ADDRESS, amountIn: "950" },
+      ]);
+    });
+
+    it("should encode a token path for multi-hop routes", async function () {
+      const swaps = [];
+      executor.prepareSwapData = async (dexConfig, tokenIn, tokenOut, amountIn, amountOut) => {
+        swaps.push({ tokenIn, tokenOut, amountIn, amountOut });
+        return "0x";
+      };
+      executor.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+
+      const dexConfigs = [
+        { name: "UNISWAP_V2", type: "UNISWAP_V2", router: UNISWAP_V2_ROUTER },
+        { name: "SUSHISWAP", type: "SUSHISWAP", router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506" },
+      ];
+      const params = await executor.prepareArbitrageParams(
+        {
+          tokenA: WETH_ADDRESS,
+          tokenB: USDC_ADDRESS,
+          amountIn: "1000",
+          hops: [
+            { dex: "UNISWAP_V2", tokenIn: WETH_ADDRESS, tokenOut: USDC_ADDRESS, amountIn: "1000", amountOut: "2000" },
+            { dex: "SUSHISWAP", tokenIn: USDC_ADDRESS, tokenOut: DAI_ADDRESS, amountIn: "2000", amountOut: "2010" },
+            { dex: "UNISWAP_V2", tokenIn: DAI_ADDRESS, tokenOut: WETH_ADDRESS, amountIn: "2010", amountOut: "1005" },
+          ],
+        },
+        dexConfigs
+      );
+
+      expect(params.path).to.deep.equal([WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS, WETH_ADDRESS]);
+      expect(params.dexRouters).to.deep.equal([UNISWAP_V2_ROUTER, dexConfigs[1].router, UNISWAP_V2_ROUTER]);
+      expect(swaps[2]).to.deep.equal({ tokenIn: DAI_ADDRESS, tokenOut: WETH_ADDRESS, amountIn: "2010", amountOut: "1005" });
+
+      // Hops with an unknown DEX cannot be executed
+      const missing = await executor.prepareArbitrageParams(
+        { tokenA: WETH_ADDRESS, amountIn: "1", hops: [{ dex: "CURVE", tokenIn: WETH_ADDRESS, tokenOut: USDC_ADDRESS }] },
+        dexConfigs
+      );
+      expect(missing).to.be.null;
+    });
+
+    it("should swap V3 hops at the fee tier they were quoted at", async function () {
+      const calldata = await executor.prepareSwapData(
+        { name: "UNISWAP_V3", type: "UNISWAP_V3" },
+        WETH_ADDRESS,
+        USDC_ADDRESS,
+        "1000",
+        "2000",
+        executor.getHopFee({ pool: { dexType: "UNISWAP_V3", fee: 500 } })
+      );
+
+      const iface = new ethers.utils.Interface([
+        "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut)",
+      ]);
+      const [params] = iface.decodeFunctionData("exactInputSingle", calldata);
+      expect(params.fee).to.equal(500);
+      expect(params.amountOutMinimum.toString()).to.equal("1900");
+
+      const hops = executor.getRouteHops({
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        sellDex: "UNISWAP_V3",
+        buyDex: "UNISWAP_V2",
+        sellPool: { dexType: "UNISWAP_V3", fee: 10000 },
+        buyPool: { dexType: "UNISWAP_V2", feeBps: 30 },
+      });
+      expect(hops.map((hop) => executor.getHopFee(hop))).to.deep.equal([10000, null]);
+    });
+
+    it("should route Balancer hops through the pool they were quoted on", async function () {
+      const VAULT = "0xBA12222222228d8Ba445958a75a0704d566BF2C8";
+      const POOL_ID = ethers.utils.hexZeroPad("0x0b0b", 20) + "0".repeat(24);
+      const dexConfigs = [
+        { name: "BALANCER_VAULT", type: "BALANCER_V2", router: VAULT },
+        { name: "UNISWAP_V2", type: "UNISWAP_V2", router: UNISWAP_V2_ROUTER },
+      ];
+      const opportunity = {
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        sellDex: "BALANCER_VAULT",
+        buyDex: "UNISWAP_V2",
+        amountIn: "1000",
+        sellAmountOut: "2000",
+        expectedAmountOut: "1100",
+        sellPool: { dexType: "BALANCER_V2", poolId: POOL_ID },
+        buyPool: { dexType: "UNISWAP_V2", feeBps: 30 },
+      };
+
+      const params = await executor.prepareArbitrageParams(opportunity, dexConfigs);
+      const [poolId, minAmountOut] = ethers.utils.defaultAbiCoder.decode(["bytes32", "uint256"], params.swapData[0]);
+      expect(params.dexRouters[0]).to.equal(VAULT);
+      expect(poolId).to.equal(POOL_ID);
+      expect(minAmountOut.toString()).to.equal("1900");
+
+      // Without a pool the Vault swap cannot be built
+      const unpooled = await executor.prepareArbitrageParams(
+        { ...opportunity, sellPool: { dexType: "BALANCER_V2" } },
+        dexConfigs
+      );
+      expect(unpooled).to.be.null;
+    });
+
+    it("should call exchange on Curve pools with the quoted coin indexes", async function () {
+      const POOL = "0x0000000000000000000000000000000000000C3f";
+      const calldata = await executor.prepareSwapData(
+        { name: "CURVE_3POOL", type: "CURVE", router: POOL },
+        USDC_ADDRESS,
+        DAI_ADDRESS,
+        "1000000",
+        "1000000000000000000",
+        null,
+        { dexType: "CURVE", poolAddress: POOL, coins: [DAI_ADDRESS, USDC_ADDRESS, WETH_ADDRESS] }
+      );
+
+      // The contract swaps whatever the previous hop delivered, so only the
+      // coin indexes and the floor are encoded
+      const [i, j, minDy] = ethers.utils.defaultAbiCoder.decode(["int128", "int128", "uint256"], calldata);
+      expect([i.toNumber(), j.toNumber()]).to.deep.equal([1, 0]);
+      expect(minDy.toString()).to.equal(ethers.utils.parseEther("0.95").toString());
+
+      // A pool without the hop's tokens has nothing to call
+      const missing = await executor.prepareSwapData(
+        { name: "CURVE_3POOL", type: "CURVE", router: POOL },
+        USDC_ADDRESS,
+        DAI_ADDRESS,
+        "1000000",
+        null,
+        null,
+        { dexType: "CURVE", coins: [WETH_ADDRESS, DAI_ADDRESS] }
+      );
+      expect(missing).to.be.null;
+    });
+
+    it("should swap the amount the previous hop delivered on a closing Curve hop", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const tokenA = await MockERC20.deploy("Token A", "TKA", 18);
+      const tokenB = await MockERC20.deploy("Token B", "TKB", 18);
+      const MockCurvePool = await ethers.getContractFactory("MockCurvePool");
+      const openingPool = await MockCurvePool.deploy(tokenA.address, tokenB.address, ethers.utils.parseEther("2"));
+      const closingPool = await MockCurvePool.deploy(tokenA.address, tokenB.address, ethers.utils.parseEther("1.9"));
+      const MockAddressProvider = await ethers.getContractFactory("MockAddressProvider");
+      const lender = await MockAddressProvider.deploy();
+      const FlashloanArbitrage = await ethers.getContractFactory("FlashloanArbitrage");
+      const contract = await FlashloanArbitrage.deploy(lender.address);
+
+      const liquidity = ethers.utils.parseEther("10000");
+      await tokenA.transfer(lender.address, liquidity);
+      for (const pool of [openingPool, closingPool]) {
+        await tokenA.transfer(pool.address, liquidity);
+        await tokenB.transfer(pool.address, liquidity);
+        await contract.addDEX(pool.address, 4);
+      }
+
+      const hop = (pool, tokenIn, tokenOut, amountIn, expectedOut) => executor.prepareSwapData(
+        { name: "CURVE", type: "CURVE", router: pool.address },
+        tokenIn,
+        tokenOut,
+        amountIn,
+        expectedOut,
+        null,
+        { dexType: "CURVE", poolAddress: pool.address, coins: [tokenA.address, tokenB.address] }
+      );
+      // Quoted at 150 B in, while the opening hop delivers 200 B on chain
+      const amount = ethers.utils.parseEther("100");
+      const swapData = [
+        await hop(openingPool, tokenA.address, tokenB.address, amount, ethers.utils.parseEther("200")),
+        await hop(closingPool, tokenB.address, tokenA.address, ethers.utils.parseEther("150"), ethers.utils.parseEther("100")),
+      ];
+
+      await contract.requestFlashLoan(tokenA.address, amount, {
+        tokenA: tokenA.address,
+        tokenB: tokenB.address,
+        amount,
+        dexRouters: [openingPool.address, closingPool.address],
+        swapData,
+        path: [tokenA.address, tokenB.address, tokenA.address],
+        minProfit: 0,
+      });
+
+      const returned = ethers.utils.parseEther("200").mul(ethers.utils.parseEther("1")).div(ethers.utils.parseEther("1.9"));
+      const premium = amount.mul(5).div(10000);
+      expect((await tokenA.balanceOf(contract.address)).toString())
+        .to.equal(returned.sub(amount).sub(premium).toString());
+      expect((await tokenB.balanceOf(contract.address)).toNumber()).to.equal(0);
+    });
+
+    it("should check the oracle on every hop of a multi-hop route", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const [tokenA, tokenB, tokenC] = await Promise.all(
+        ["TKA", "TKB", "TKC"].map((symbol) => MockERC20.deploy(symbol, symbol, 18))
+      );
+      const MockCurvePool = await ethers.getContractFactory("MockCurvePool");
+      const pools = [
+        await MockCurvePool.deploy(tokenA.address, tokenB.address, ethers.utils.parseEther("2")),
+        await MockCurvePool.deploy(tokenB.address, tokenC.address, ethers.utils.parseEther("1")),
+        await MockCurvePool.deploy(tokenA.address, tokenC.address, ethers.utils.parseEther("1.9")),
+      ];
+      const MockAddressProvider = await ethers.getContractFactory("MockAddressProvider");
+      const lender = await MockAddressProvider.deploy();
+      const FlashloanArbitrage = await ethers.getContractFactory("FlashloanArbitrage");
+      const contract = await FlashloanArbitrage.deploy(lender.address);
+
+      const liquidity = ethers.utils.parseEther("10000");
+      await tokenA.transfer(lender.address, liquidity);
+      for (const pool of pools) {
+        for (const token of [tokenA, tokenB, tokenC]) {
+          await token.transfer(pool.address, liquidity);
+        }
+        await contract.addDEX(pool.address, 4);
+      }
+
+      // Only the middle token's feed is stale
+      const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+      const feeds = await Promise.all([1, 1, 1].map((price) => MockPriceFeed.deploy(price)));
+      const { timestamp } = await provider.getBlock("latest");
+      await feeds[2].setAnswer(1, timestamp - 7200);
+      await contract.setPriceFeed(tokenA.address, feeds[0].address);
+      await contract.setPriceFeed(tokenB.address, feeds[1].address);
+      await contract.setPriceFeed(tokenC.address, feeds[2].address);
+
+      const encode = (i, j) => ethers.utils.defaultAbiCoder.encode(["int128", "int128", "uint256"], [i, j, 0]);
+      const amount = ethers.utils.parseEther("100");
+      const params = {
+        tokenA: tokenA.address,
+        tokenB: tokenB.address,
+        amount,
+        dexRouters: pools.map((pool) => pool.address),
+        swapData: [encode(0, 1), encode(0, 1), encode(1, 0)],
+        path: [tokenA.address, tokenB.address, tokenC.address, tokenA.address],
+        minProfit: 0,
+      };
+
+      await expect(contract.requestFlashLoan(tokenA.address, amount, params))
+        .to.be.revertedWith("Arbitrage failed: Price feed B stale");
+
+      await feeds[2].setAnswer(1, timestamp);
+      await contract.requestFlashLoan(tokenA.address, amount, params);
+      expect((await tokenA.balanceOf(contract.address)).gt(0)).to.be.true;
+    });
+
+    it("should floor each hop's output in its own token", function () {
+      expect(executor.getMinAmountOut("1000000000000000000", "2000000000").toString()).to.equal("1900000000");
+    });
+
     it("should record execution", function () {
       const mockOpportunity = {
         tokenA: WETH_ADDRESS,
@@ -260,21 +2404,620 @@ describe("Real Arbitrage System", function () {
       ).to.have.property("result");
     });
 
-    it("should prepare swap data", async function () {
-      const dexConfig = {
-        type: "UNISWAP_V2",
-        router: UNISWAP_V2_ROUTER,
-      };
+    it("should prepare swap data", async function () {
+      const dexConfig = {
+        type: "UNISWAP_V2",
+        router: UNISWAP_V2_ROUTER,
+      };
+
+      const swapData = await executor.prepareSwapData(
+        dexConfig,
+        WETH_ADDRESS,
+        USDC_ADDRESS,
+        ethers.utils.parseEther("1")
+      );
+
+      expect(swapData).to.be.a("string");
+      expect(swapData.startsWith("0x")).to.be.true;
+    });
+
+    describe("Execution pipeline", function () {
+      const arbParams = {
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        amount: ethers.utils.parseEther("1"),
+      };
+      const profitability = {
+        netProfitETH: 0.01,
+        netProfitUSD: 20,
+        costs: { gasCostETH: 0.002 },
+      };
+
+      function buildContract(estimateGas, callStatic = () => Promise.resolve()) {
+        return {
+          address: flashloanArbitrage.address,
+          estimateGas: { requestFlashLoan: estimateGas },
+          callStatic: { requestFlashLoan: callStatic },
+          populateTransaction: {
+            requestFlashLoan: (asset, amount, params, overrides = {}) =>
+              Promise.resolve({
+                to: flashloanArbitrage.address,
+                from: owner.address,
+                data: "0x1234",
+                gasLimit: overrides.gasLimit,
+              }),
+          },
+        };
+      }
+
+      function buildGasOptimizer(gasSettings) {
+        return {
+          getCompleteGasSettings: (transaction) =>
+            Promise.resolve({
+              ...gasSettings,
+              gasLimit: ethers.BigNumber.from(transaction.gasLimit),
+            }),
+        };
+      }
+
+      it("should veto when gas estimation reverts", async function () {
+        const pipelineExecutor = new ArbitrageExecutor(
+          buildContract(() => Promise.reject(new Error("execution reverted"))),
+          owner,
+          provider,
+          console
+        );
+
+        const result = await pipelineExecutor.executeFlashloan(
+          {},
+          arbParams,
+          profitability
+        );
+
+        expect(result.success).to.be.false;
+        expect(result.vetoed).to.be.true;
+        expect(result.stage).to.equal("gas");
+      });
+
+      it("should veto when sized gas cost exceeds expected profit", async function () {
+        let sent = false;
+        const pipelineExecutor = new ArbitrageExecutor(
+          buildContract(() => Promise.resolve(ethers.BigNumber.from(500000))),
+          owner,
+          provider,
+          console,
+          {
+            gasOptimizer: buildGasOptimizer({
+              type: 0,
+              gasPrice: ethers.utils.parseUnits("100", "gwei"),
+              urgency: "fast",
+              estimatedCostETH: 0.06,
+            }),
+            mevProtection: {
+              protectedTransactionSend: () => {
+                sent = true;
+                return Promise.resolve({});
+              },
+            },
+          }
+        );
+
+        const result = await pipelineExecutor.executeFlashloan(
+          {},
+          arbParams,
+          profitability
+        );
+
+        expect(result.vetoed).to.be.true;
+        expect(result.stage).to.equal("gas");
+        expect(result.reason).to.include("exceeds expected profit");
+        expect(sent).to.be.false;
+      });
+
+      it("should send through MEV protection with sized EIP-1559 fees", async function () {
+        let sentTransaction = null;
+        const gasEstimator = new GasEstimator(provider, console);
+        const pipelineExecutor = new ArbitrageExecutor(
+          buildContract(() => Promise.resolve(ethers.BigNumber.from(500000))),
+          owner,
+          provider,
+          console,
+          {
+            gasEstimator,
+            gasOptimizer: buildGasOptimizer({
+              type: 2,
+              maxFeePerGas: ethers.utils.parseUnits("2", "gwei"),
+              maxPriorityFeePerGas: ethers.utils.parseUnits("1", "gwei"),
+              urgency: "fast",
+              estimatedCostETH: 0.0012,
+            }),
+            mevProtection: {
+              protectedTransactionSend: (transaction) => {
+                sentTransaction = transaction;
+                return Promise.resolve({
+                  success: true,
+                  method: "regular",
+                  txHash: "0xabc",
+                  receipt: {
+                    status: 1,
+                    blockNumber: 1,
+                    gasUsed: ethers.BigNumber.from(400000),
+                    effectiveGasPrice: ethers.utils.parseUnits("1.5", "gwei"),
+                  },
+                });
+              },
+            },
+          }
+        );
+
+        const result = await pipelineExecutor.executeFlashloan(
+          {},
+          arbParams,
+          profitability,
+          { urgency: "fast" }
+        );
+
+        expect(result.success).to.be.true;
+        expect(result.method).to.equal("regular");
+        expect(sentTransaction.type).to.equal(2);
+        expect(sentTransaction.gasLimit.toString()).to.equal("600000");
+        expect(sentTransaction).to.not.have.property("gasPrice");
+        expect(result.gasCostWei).to.equal(
+          ethers.utils.parseUnits("0.0006", "ether").toString()
+        );
+
+
+        // The receipt calibrates the fallback model for two V2 swaps
+        expect(gasEstimator.getCalibratedGas("UNISWAP_V2>UNISWAP_V2")).to.equal(400000);
+      });
+
+      it("should pay the costed builder bid from the contract or as a tip transaction", async function () {
+        const calls = [];
+        const sends = [];
+        const contract = {
+          ...buildContract(() => Promise.resolve(ethers.BigNumber.from(500000))),
+          estimateGas: {
+            requestFlashLoanWithTip: (asset, amount, params, overrides) => {
+              calls.push(["estimateGas", overrides]);
+              return Promise.resolve(ethers.BigNumber.from(500000));
+            },
+            requestFlashLoan: () => Promise.resolve(ethers.BigNumber.from(500000)),
+          },
+        };
+        contract.populateTransaction.requestFlashLoanWithTip = (asset, amount, params, overrides) =>
+          Promise.resolve({ to: contract.address, data: "0x5678", gasLimit: overrides.gasLimit, value: overrides.value });
+        contract.populateTransaction.payCoinbase = (overrides) =>
+          Promise.resolve({ to: contract.address, data: "0x9abc", value: overrides.value });
+
+        const bidder = new BundleBidder(console, {}, { config: { enabled: true, initialShare: 0.5 } });
+        const pipelineExecutor = new ArbitrageExecutor(contract, owner, provider, console, {
+          bidder,
+          gasOptimizer: buildGasOptimizer({
+            type: 0,
+            gasPrice: ethers.utils.parseUnits("1", "gwei"),
+            urgency: "fast",
+            estimatedCostETH: 0.0005,
+          }),
+          mevProtection: {
+            protectedTransactionSend: (transaction, options) => {
+              sends.push({ transaction, options });
+              return Promise.resolve({ success: true, method: "flashbots", txHash: "0xabc", receipt: null });
+            },
+          },
+        });
+        const bidProfitability = {
+          ...profitability,
+          costs: { gasCostETH: 0.002, builderBidETH: 0.005, builderBidUSD: 10 },
+        };
+        const bidWei = ethers.utils.parseEther("0.005");
+
+        await pipelineExecutor.executeFlashloan({}, arbParams, bidProfitability);
+        expect(calls[0][1].value.eq(bidWei)).to.be.true;
+        expect(sends[0].transaction.data).to.equal("0x5678");
+        expect(sends[0].transaction.value.eq(bidWei)).to.be.true;
+        expect(sends[0].options.tipTransaction).to.be.null;
+
+        bidder.config.mode = "transaction";
+        await pipelineExecutor.executeFlashloan({}, arbParams, bidProfitability);
+        expect(sends[1].transaction.data).to.equal("0x1234");
+        expect(sends[1].transaction).to.not.have.property("value");
+        expect(sends[1].options.tipTransaction.data).to.equal("0x9abc");
+        expect(sends[1].options.tipTransaction.value.eq(bidWei)).to.be.true;
+
+        // Nothing costed, nothing paid
+        await pipelineExecutor.executeFlashloan({}, arbParams, profitability);
+        expect(sends[2].options.tipTransaction).to.be.null;
+        expect(sends[2].transaction).to.not.have.property("value");
+      });
+
+      it("should send a backrun behind its victim without simulating it alone", async function () {
+        const sends = [];
+        // Before the victim the trade has no profit, so both would revert
+        const contract = buildContract(
+          () => Promise.reject(new Error("execution reverted")),
+          () => Promise.reject(new Error("execution reverted"))
+        );
+        const gasOptimizer = buildGasOptimizer({
+          type: 0,
+          gasPrice: ethers.utils.parseUnits("1", "gwei"),
+          urgency: "fast",
+          estimatedCostETH: 0.0005,
+        });
+        const mevProtection = {
+          canBundle: () => true,
+          protectedTransactionSend: (transaction, options) => {
+            sends.push({ transaction, options });
+            return Promise.resolve({ success: false, method: "flashbots", txHash: "0xabc", receipt: null });
+          },
+        };
+        const backrun = { txHash: "0xfeed", rawTransaction: "0x02f8" };
+
+        const pipelineExecutor = new ArbitrageExecutor(contract, owner, provider, console, {
+          gasOptimizer,
+          mevProtection,
+        });
+        await pipelineExecutor.executeFlashloan({ backrun }, arbParams, { ...profitability, gasEstimate: 400000 });
+
+        expect(sends).to.have.length(1);
+        expect(sends[0].options.backrunTransaction).to.equal("0x02f8");
+        expect(sends[0].transaction.gasLimit.toNumber()).to.equal(480000);
+
+        // Without bundles there is no way to land behind the victim
+        mevProtection.canBundle = () => false;
+        const vetoed = await pipelineExecutor.executeFlashloan({ backrun }, arbParams, profitability);
+        expect(vetoed.vetoed).to.be.true;
+        expect(vetoed.reason).to.equal("Backruns need Flashbots bundles");
+        expect(sends).to.have.length(1);
+      });
+
+      describe("Simulation", function () {
+        const revertWith = (reason) => ({
+          data: "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], [reason]).slice(2),
+        });
+
+        it("should decode revert reasons into failure categories", function () {
+          const nested = decodeRevert(revertWith("Arbitrage failed: UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT"));
+          expect(nested.category).to.equal(FAILURE_CATEGORIES.SLIPPAGE);
+          expect(nested.nested).to.be.true;
+          expect(nested.reason).to.equal("UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+
+          // Wrapped the way JSON-RPC providers nest the node's error
+          expect(decodeRevert({ error: revertWith("Arbitrage failed: Insufficient profit") }).category)
+            .to.equal(FAILURE_CATEGORIES.UNPROFITABLE);
+
+          const panic = decodeRevert({
+            data: "0x4e487b71" + ethers.utils.defaultAbiCoder.encode(["uint256"], [0x11]).slice(2),
+          });
+          expect(panic.category).to.equal(FAILURE_CATEGORIES.PANIC);
+          expect(panic.reason).to.equal("Panic(0x11)");
+
+          const errors = new ethers.utils.Interface([
+            "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+            "error Unlisted(uint256 code)",
+          ]);
+          const custom = decodeRevert({
+            data: errors.encodeErrorResult("ERC20InsufficientBalance", [owner.address, 1, 2]),
+          });
+          expect(custom.category).to.equal(FAILURE_CATEGORIES.TOKEN);
+          expect(custom.errorName).to.equal("ERC20InsufficientBalance");
+
+          const unknown = decodeRevert({ data: errors.encodeErrorResult("Unlisted", [7]) });
+          expect(unknown.category).to.equal(FAILURE_CATEGORIES.UNKNOWN);
+          expect(unknown.reason).to.equal(`Custom error ${errors.getSighash("Unlisted")}`);
+
+          // Aave V3 reverts with numeric codes, some nodes only put them in the message
+          expect(decodeRevert(new Error("execution reverted: 26")).category)
+            .to.equal(FAILURE_CATEGORIES.FLASHLOAN);
+        });
+
+        it("should simulate against the deployed contract at the pending block", async function () {
+          const [, stranger] = await ethers.getSigners();
+          const MockAddressProvider = await ethers.getContractFactory("MockAddressProvider");
+          const addressProvider = await MockAddressProvider.deploy();
+          const FlashloanArbitrage = await ethers.getContractFactory("FlashloanArbitrage");
+          const contract = await FlashloanArbitrage.deploy(addressProvider.address);
+
+          const simulationExecutor = new ArbitrageExecutor(
+            contract.connect(stranger),
+            stranger,
+            provider,
+            console
+          );
+          const simulation = await simulationExecutor.simulateFlashloan({
+            ...arbParams,
+            dexRouters: [],
+            swapData: [],
+            path: [],
+            minProfit: 0,
+          });
+
+          expect(simulation.success).to.be.false;
+          expect(simulation.category).to.equal(FAILURE_CATEGORIES.ACCESS);
+          expect(simulation.reason).to.equal("Ownable: caller is not the owner");
+        });
+
+        it("should pay block.coinbase from the contract for the owner only", async function () {
+          const [, stranger] = await ethers.getSigners();
+          const MockAddressProvider = await ethers.getContractFactory("MockAddressProvider");
+          const addressProvider = await MockAddressProvider.deploy();
+          const FlashloanArbitrage = await ethers.getContractFactory("FlashloanArbitrage");
+          const contract = await FlashloanArbitrage.deploy(addressProvider.address);
+
+          const previousCoinbase = (await provider.getBlock("latest")).miner;
+          const builder = ethers.Wallet.createRandom().address;
+          await provider.send("hardhat_setCoinbase", [builder]);
+          try {
+            await contract.payCoinbase({ value: 1000, maxPriorityFeePerGas: 0 });
+            expect((await provider.getBalance(builder)).toNumber()).to.equal(1000);
+
+            await expect(contract.connect(stranger).payCoinbase({ value: 1 }))
+              .to.be.revertedWith("Ownable: caller is not the owner");
+          } finally {
+            await provider.send("hardhat_setCoinbase", [previousCoinbase]);
+          }
+        });
+
+        it("should veto without estimating gas when the simulation reverts", async function () {
+          let estimated = false;
+          const pipelineExecutor = new ArbitrageExecutor(
+            buildContract(
+              () => {
+                estimated = true;
+                return Promise.resolve(ethers.BigNumber.from(500000));
+              },
+              () => Promise.reject(revertWith("Arbitrage failed: No profit generated"))
+            ),
+            owner,
+            provider,
+            console
+          );
+
+          const result = await pipelineExecutor.executeFlashloan({}, arbParams, profitability);
+
+          expect(result.vetoed).to.be.true;
+          expect(result.stage).to.equal("simulation");
+          expect(result.category).to.equal(FAILURE_CATEGORIES.UNPROFITABLE);
+          expect(result.reason).to.include("No profit generated");
+          expect(estimated).to.be.false;
+        });
+
+        it("should only broadcast when the traced profit clears the floor", async function () {
+          const events = new ethers.utils.Interface([
+            "event ArbitrageExecuted(address indexed tokenA, address indexed tokenB, uint256 amount, uint256 profit, address[] dexUsed)",
+          ]);
+          const traceWithProfit = (profit) => ({
+            send: async (method, params) => {
+              expect(method).to.equal("debug_traceCall");
+              expect(params[1]).to.equal("latest");
+              const log = events.encodeEventLog(events.getEvent("ArbitrageExecuted"), [
+                WETH_ADDRESS,
+                USDC_ADDRESS,
+                arbParams.amount,
+                ethers.utils.parseEther(profit),
+                [],
+              ]);
+              // Emitted inside the pool's callback, one frame down
+              return { calls: [{ calls: [{ logs: [{ address: flashloanArbitrage.address, ...log }] }] }] };
+            },
+          });
+
+          let sent = 0;
+          const pipelineExecutor = new ArbitrageExecutor(
+            buildContract(() => Promise.resolve(ethers.BigNumber.from(500000))),
+            owner,
+            provider,
+            console,
+            {
+              minProfitUSD: 5,
+              gasOptimizer: buildGasOptimizer({
+                type: 0,
+                gasPrice: ethers.utils.parseUnits("1", "gwei"),
+                urgency: "standard",
+                estimatedCostETH: 0.0006,
+              }),
+              mevProtection: {
+                protectedTransactionSend: () => {
+                  sent++;
+                  return Promise.resolve({
+                    success: true,
+                    method: "regular",
+                    txHash: "0xabc",
+                    receipt: { status: 1, blockNumber: 1, gasUsed: ethers.BigNumber.from(400000) },
+                  });
+                },
+              },
+            }
+          );
+          pipelineExecutor.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
+          const sizedProfitability = {
+            ...profitability,
+            amountInTokens: 1,
+            amountInUSD: 2000,
+            costs: { gasCostETH: 0.002, gasCostUSD: 4 },
+          };
+
+          // 0.004 WETH is $8, $4 after gas
+          pipelineExecutor.provider = traceWithProfit("0.004");
+          const vetoed = await pipelineExecutor.executeFlashloan({}, arbParams, sizedProfitability);
+          expect(vetoed.stage).to.equal("simulation");
+          expect(vetoed.category).to.equal(FAILURE_CATEGORIES.UNPROFITABLE);
+          expect(sent).to.equal(0);
+
+          pipelineExecutor.provider = traceWithProfit("0.01");
+          const result = await pipelineExecutor.executeFlashloan({}, arbParams, sizedProfitability);
+          expect(result.success).to.be.true;
+          expect(result.simulatedProfitUSD).to.be.closeTo(16, 1e-9);
+          expect(sent).to.equal(1);
+        });
+
+        it("should veto when the profit can't be traced and it is required", async function () {
+          let sent = 0;
+          const warnings = [];
+          const logger = { ...console, warn: (message, meta) => warnings.push({ message, meta }) };
+          const pipelineExecutor = new ArbitrageExecutor(
+            buildContract(() => Promise.resolve(ethers.BigNumber.from(500000))),
+            owner,
+            provider,
+            logger,
+            {
+              minProfitUSD: 5,
+              requireSimulatedProfit: true,
+              gasOptimizer: buildGasOptimizer({
+                type: 0,
+                gasPrice: ethers.utils.parseUnits("1", "gwei"),
+                urgency: "standard",
+                estimatedCostETH: 0.0006,
+              }),
+              mevProtection: {
+                protectedTransactionSend: () => {
+                  sent++;
+                  return Promise.resolve({
+                    success: true,
+                    method: "regular",
+                    txHash: "0xabc",
+                    receipt: { status: 1, blockNumber: 1, gasUsed: ethers.BigNumber.from(400000) },
+                  });
+                },
+              },
+            }
+          );
+          pipelineExecutor.provider = {
+            send: () => Promise.reject(new Error("tracing on top of pending is not supported")),
+          };
+          const sizedProfitability = {
+            ...profitability,
+            amountInTokens: 1,
+            amountInUSD: 2000,
+            costs: { gasCostETH: 0.002, gasCostUSD: 4 },
+          };
+
+          const vetoed = await pipelineExecutor.executeFlashloan({}, arbParams, sizedProfitability);
+          expect(vetoed.vetoed).to.be.true;
+          expect(vetoed.stage).to.equal("simulation");
+          expect(vetoed.reason).to.equal(
+            "Simulated profit unknown (trace failed: tracing on top of pending is not supported)"
+          );
+          expect(sent).to.equal(0);
+
+          // Not required, the trade goes out with a warning
+          pipelineExecutor.requireSimulatedProfit = false;
+          const result = await pipelineExecutor.executeFlashloan({}, arbParams, sizedProfitability);
+          expect(result.success).to.be.true;
+          expect(sent).to.equal(1);
+          const warning = warnings.find((entry) => entry.message.startsWith("Simulated profit unknown"));
+          expect(warning.meta.reason).to.include("trace failed");
+        });
+      });
+
+      describe("Realized profit", function () {
+        const e = (n) => ethers.utils.parseEther(n);
+        const LENDER = "0x00000000000000000000000000000000000A4E00";
+        const ROUTER = UNISWAP_V2_ROUTER;
+
+        const transferLog = (token, from, to, value) => ({
+          address: token,
+          ...ERC20_TRANSFER_INTERFACE.encodeEventLog(
+            ERC20_TRANSFER_INTERFACE.getEvent("Transfer"),
+            [from, to, value]
+          ),
+        });
+
+        // 10 WETH borrowed, 0.05 WETH made on the swaps, 0.009 WETH premium;
+        // the contract already held 0.5 WETH, which the event counts as profit
+        const executionLogs = (contractAddress = flashloanArbitrage.address) => [
+          transferLog(WETH_ADDRESS, LENDER, contractAddress, e("10")),
+          transferLog(WETH_ADDRESS, contractAddress, ROUTER, e("10")),
+          transferLog(USDC_ADDRESS, ROUTER, contractAddress, 20000),
+          transferLog(WETH_ADDRESS, ROUTER, contractAddress, e("10.05")),
+          {
+            address: contractAddress,
+            ...ARBITRAGE_EVENTS_INTERFACE.encodeEventLog(
+              ARBITRAGE_EVENTS_INTERFACE.getEvent("ArbitrageExecuted"),
+              [WETH_ADDRESS, USDC_ADDRESS, e("10"), e("0.541"), [ROUTER]]
+            ),
+          },
+          transferLog(WETH_ADDRESS, contractAddress, LENDER, e("10.009")),
+        ];
+
+        it("should derive realized profit and premium from the receipt's logs", function () {
+          const decoded = decodeExecutionReceipt(
+            {
+              status: 1,
+              gasUsed: ethers.BigNumber.from(400000),
+              effectiveGasPrice: ethers.utils.parseUnits("1.5", "gwei"),
+              logs: executionLogs(),
+            },
+            { contractAddress: flashloanArbitrage.address, tokenA: WETH_ADDRESS, amount: e("10") }
+          );
+
+          expect(decoded.executed).to.be.true;
+          expect(decoded.realizedProfit.eq(e("0.041"))).to.be.true;
+          expect(decoded.reportedProfit.eq(e("0.541"))).to.be.true;
+          expect(decoded.premium.eq(e("0.009"))).to.be.true;
+          expect(decoded.lender).to.equal(ethers.utils.getAddress(LENDER));
+          expect(decoded.gasCostWei.eq(ethers.utils.parseUnits("0.0006", "ether"))).to.be.true;
+        });
+
+        it("should report realized profit and its variance from the estimate", async function () {
+          const pipelineExecutor = new ArbitrageExecutor(
+            buildContract(() => Promise.resolve(ethers.BigNumber.from(500000))),
+            owner,
+            provider,
+            console,
+            {
+              gasOptimizer: buildGasOptimizer({
+                type: 0,
+                gasPrice: ethers.utils.parseUnits("2", "gwei"),
+                urgency: "standard",
+                estimatedCostETH: 0.0012,
+              }),
+              mevProtection: {
+                protectedTransactionSend: () =>
+                  Promise.resolve({
+                    success: true,
+                    method: "regular",
+                    txHash: "0xabc",
+                    receipt: {
+                      status: 1,
+                      blockNumber: 1,
+                      gasUsed: ethers.BigNumber.from(400000),
+                      effectiveGasPrice: ethers.utils.parseUnits("1.5", "gwei"),
+                      logs: executionLogs(),
+                    },
+                  }),
+              },
+            }
+          );
+          pipelineExecutor.tokenRegistry.register(WETH_ADDRESS, { symbol: "WETH", decimals: 18 });
 
-      const swapData = await executor.prepareSwapData(
-        dexConfig,
-        WETH_ADDRESS,
-        USDC_ADDRESS,
-        ethers.utils.parseEther("1")
-      );
+          const estimated = {
+            netProfitETH: 0.03,
+            netProfitUSD: 60,
+            amountInTokens: 10,
+            amountInETH: 10,
+            amountInUSD: 20000,
+            costs: { gasCostETH: 0.001, gasCostUSD: 2 },
+          };
+          const result = await pipelineExecutor.executeFlashloan(
+            {},
+            { ...arbParams, amount: e("10") },
+            estimated
+          );
 
-      expect(swapData).to.be.a("string");
-      expect(swapData.startsWith("0x")).to.be.true;
+          // 0.041 WETH is $82, less $1.20 of gas at 1.5 gwei
+          expect(result.success).to.be.true;
+          expect(result.realized.premiumTokens).to.be.closeTo(0.009, 1e-12);
+          expect(result.realized.effectiveGasPrice).to.equal(
+            ethers.utils.parseUnits("1.5", "gwei").toString()
+          );
+          expect(result.realizedProfitUSD).to.be.closeTo(80.8, 1e-9);
+          expect(result.variance.varianceUSD).to.be.closeTo(20.8, 1e-9);
+          expect(result.variance.variancePercent).to.be.closeTo(34.6667, 1e-3);
+
+          pipelineExecutor.recordExecution({}, estimated, result);
+          expect(pipelineExecutor.getExecutionStats().totalProfitUSD).to.equal("80.80");
+        });
+      });
     });
   });
 
@@ -436,6 +3179,588 @@ describe("Real Arbitrage System", function () {
       });
     });
 
+    describe("MEVProtection", function () {
+      let relay;
+      let relayUrl;
+      let requests;
+      let handlers;
+      let trader;
+      let authSigner;
+
+      // Local stand-in for the Flashbots relay at "/" and builders at their
+      // own paths, recovering the signer of every signed request
+      beforeEach(async function () {
+        requests = [];
+        handlers = {};
+        relay = http.createServer((req, res) => {
+          let body = "";
+          req.on("data", (chunk) => (body += chunk));
+          req.on("end", async () => {
+            const { id, method, params } = JSON.parse(body);
+            const [address, signature] = (req.headers["x-flashbots-signature"] || "").split(":");
+            requests.push({
+              url: req.url,
+              method,
+              params,
+              address,
+              apiKey: req.headers["x-api-key"],
+              signer: signature ? ethers.utils.verifyMessage(ethers.utils.id(body), signature) : null,
+            });
+
+            const handler = handlers[req.url === "/" ? method : `${req.url} ${method}`];
+            const reply = handler
+              ? { result: await handler(params[0]) }
+              : { error: { code: -32601, message: `${method} not supported` } };
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ jsonrpc: "2.0", id, ...reply }));
+          });
+        });
+        await new Promise((resolve) => relay.listen(0, "127.0.0.1", resolve));
+        relayUrl = `http://127.0.0.1:${relay.address().port}`;
+
+        authSigner = ethers.Wallet.createRandom();
+        trader = ethers.Wallet.createRandom().connect(provider);
+        await owner.sendTransaction({ to: trader.address, value: ethers.utils.parseEther("1") });
+
+        mevProtection = new MEVProtection(provider, trader, console, mockNetworkConfig);
+        mevProtection.config.flashbotsRelay = relayUrl;
+        mevProtection.config.flashbotsAuthKey = authSigner.privateKey;
+        mevProtection.config.blockPollInterval = 10;
+        await mevProtection.initializeFlashbots();
+      });
+
+      afterEach(async function () {
+        await new Promise((resolve) => relay.close(resolve));
+      });
+
+      it("should sign relay requests with the reputation key", async function () {
+        const flashbots = new FlashbotsRelay(authSigner, console, { url: relayUrl });
+        handlers.eth_sendBundle = () => ({ bundleHash: "0x1234" });
+        handlers.flashbots_getBundleStatsV2 = () => ({ isSimulated: true, consideredByBuildersAt: [] });
+
+        expect(await flashbots.sendBundle(["0xdead"], 100)).to.deep.equal({ bundleHash: "0x1234" });
+        expect(requests[0].params[0]).to.deep.equal({ txs: ["0xdead"], blockNumber: "0x64" });
+        expect(requests[0].address).to.equal(authSigner.address);
+        expect(requests[0].signer).to.equal(authSigner.address);
+
+        const stats = await flashbots.getBundleStats("0x1234", 100);
+        expect(stats.isSimulated).to.be.true;
+        expect(requests[1].params[0]).to.deep.equal({ bundleHash: "0x1234", blockNumber: "0x64" });
+
+        await expect(flashbots.simulate(["0xdead"], 100)).to.be.rejectedWith(
+          "Relay eth_callBundle failed: eth_callBundle not supported"
+        );
+        expect(flashbots.getStats()).to.include({ requests: 3, errors: 1 });
+      });
+
+      it("should land a bundle and return the receipt from its target block", async function () {
+        const startBlock = await provider.getBlockNumber();
+        handlers.eth_callBundle = (params) => ({
+          results: params.txs.map((tx) => ({ txHash: ethers.utils.keccak256(tx), gasUsed: 21000 })),
+          totalGasUsed: 21000,
+        });
+        // The "builder" mines the bundle in the first block it is sent for
+        handlers.eth_sendBundle = async (params) => {
+          if (parseInt(params.blockNumber, 16) === startBlock + 1) {
+            await provider.send("eth_sendRawTransaction", [params.txs[0]]);
+          }
+          return { bundleHash: `0x${params.blockNumber.slice(2).padStart(64, "0")}` };
+        };
+
+        const result = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+
+        expect(result.method).to.equal("flashbots");
+        expect(result.success).to.be.true;
+        expect(result.receipt.transactionHash).to.equal(result.txHash);
+        expect(result.receipt.blockNumber).to.equal(startBlock + 1);
+        expect(result.bundleHash).to.equal(`0x${(startBlock + 1).toString(16).padStart(64, "0")}`);
+
+        const sent = requests.filter((request) => request.method === "eth_sendBundle");
+        expect(sent.map((request) => request.params[0].blockNumber)).to.deep.equal(
+          [1, 2, 3].map((offset) => ethers.utils.hexValue(startBlock + offset))
+        );
+        expect(requests.every((request) => request.signer === authSigner.address)).to.be.true;
+      });
+
+      it("should wait for the receipt of an included bundle and never send it again", async function () {
+        handlers.eth_callBundle = (params) => ({ results: params.txs.map(() => ({})) });
+        // The builder mines the bundle the first time it is sent
+        const landed = new Set();
+        handlers.eth_sendBundle = async (params) => {
+          if (!landed.has(params.txs[0])) {
+            landed.add(params.txs[0]);
+            await provider.send("eth_sendRawTransaction", [params.txs[0]]);
+          }
+          return { bundleHash: ethers.utils.keccak256(params.txs[0]) };
+        };
+        // A node that serves the block before it has indexed the receipt
+        let receiptsHeldBack = 2;
+        const receiptLookups = [];
+        mevProtection.provider = {
+          getBlockNumber: () => provider.getBlockNumber(),
+          getBlock: (blockTag) => provider.getBlock(blockTag),
+          getTransactionReceipt: (hash) => {
+            receiptLookups.push(hash);
+            return receiptsHeldBack-- > 0 ? null : provider.getTransactionReceipt(hash);
+          },
+        };
+        const nonce = await trader.getTransactionCount();
+
+        const result = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+        expect(result.method).to.equal("flashbots");
+        expect(result.success).to.be.true;
+        expect(result.receipt.transactionHash).to.equal(result.txHash);
+        expect(receiptLookups).to.have.length(3);
+
+        // Still unindexed a slot later: reported as landed, without a receipt
+        mevProtection.config.blockTime = 50;
+        receiptsHeldBack = Infinity;
+        const unindexed = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+        expect(unindexed.method).to.equal("flashbots");
+        expect(unindexed.success).to.be.false;
+        expect(unindexed.receipt).to.be.null;
+        expect(unindexed.reason).to.equal("Bundle included, receipt not available yet");
+        expect(unindexed.blockNumber).to.equal((await provider.getTransaction(unindexed.txHash)).blockNumber);
+
+        expect(await trader.getTransactionCount()).to.equal(nonce + 2);
+      });
+
+      it("should stop waiting for a target block the chain doesn't reach", async function () {
+        mevProtection.config.blockTime = 50;
+        const startBlock = await provider.getBlockNumber();
+
+        // Nothing is sent, so no block is mined
+        const startedAt = Date.now();
+        await expect(mevProtection.waitForBlock(startBlock + 2)).to.be.rejectedWith(
+          `Block ${startBlock + 2} not reached, still at ${startBlock}`
+        );
+        expect(Date.now() - startedAt).to.be.below(1000);
+
+        await provider.send("evm_mine", []);
+        await mevProtection.waitForBlock(startBlock + 1);
+      });
+
+      it("should append the builder tip and feed every target block to the bidder", async function () {
+        const startBlock = await provider.getBlockNumber();
+        const bidder = new BundleBidder(console, {}, { config: { enabled: true, initialShare: 0.5, minSamples: 1 } });
+        mevProtection.bidder = bidder;
+        mevProtection.config.maxBlocksAhead = 2;
+
+        handlers.eth_callBundle = () => ({ results: [{}, {}] });
+        // Miss the first target block, then mine the whole bundle in the second
+        handlers.eth_sendBundle = async (params) => {
+          if (parseInt(params.blockNumber, 16) === startBlock + 2) {
+            await provider.send("evm_mine", []);
+            await provider.send("evm_setAutomine", [false]);
+            try {
+              for (const tx of params.txs) {
+                await provider.send("eth_sendRawTransaction", [tx]);
+              }
+              await provider.send("evm_mine", []);
+            } finally {
+              await provider.send("evm_setAutomine", [true]);
+            }
+          }
+          return { bundleHash: "0xb1d" };
+        };
+
+        const result = await mevProtection.sendFlashbotsBundle(
+          { to: owner.address, value: 1, gasLimit: 21000 },
+          { tipTransaction: { to: owner.address, value: 5, gasLimit: 21000 } }
+        );
+
+        expect(result.success).to.be.true;
+        expect(result.receipt.blockNumber).to.equal(startBlock + 2);
+        const [trade, tip] = requests.find((request) => request.method === "eth_sendBundle").params[0].txs
+          .map((tx) => ethers.utils.parseTransaction(tx));
+        expect(tip.nonce).to.equal(trade.nonce + 1);
+        expect(tip.value.toNumber()).to.equal(5);
+
+        expect(bidder.blocks).to.deep.equal([
+          { blockNumber: startBlock + 1, included: false },
+          { blockNumber: startBlock + 2, included: true },
+        ]);
+        // Up a step for the miss, back down once inclusion is on target
+        expect(bidder.getStats()).to.include({ adjustments: 2, inclusionRate: "50.00%" });
+        expect(bidder.share).to.be.closeTo(0.5, 1e-9);
+      });
+
+      it("should not broadcast a bundle whose simulation reverts", async function () {
+        handlers.eth_callBundle = () => ({
+          results: [{ txHash: "0x01", error: "execution reverted", revert: "No profit" }],
+        });
+        const nonce = await trader.getTransactionCount();
+
+        const result = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+
+        expect(result.success).to.be.false;
+        expect(result.reason).to.equal("Bundle simulation failed: No profit");
+        expect(requests.map((request) => request.method)).to.deep.equal(["eth_callBundle"]);
+        expect(await trader.getTransactionCount()).to.equal(nonce);
+      });
+
+      it("should send through the private or public mempool when bundling is off", async function () {
+        const nonce = await trader.getTransactionCount();
+
+        const regular = await mevProtection.protectedTransactionSend(
+          { to: owner.address, value: 1, gasLimit: 21000 },
+          { useBundle: false }
+        );
+        expect(regular.success).to.be.true;
+        expect(regular.method).to.equal("regular");
+        expect(regular.receipt.status).to.equal(1);
+
+        mevProtection.privateProvider = provider;
+        const privateSend = await mevProtection.protectedTransactionSend(
+          { to: owner.address, value: 1, gasLimit: 21000 },
+          { useBundle: false }
+        );
+        expect(privateSend.success).to.be.true;
+        expect(privateSend.method).to.equal("private_mempool");
+        expect(privateSend.receipt.status).to.equal(1);
+
+        expect(requests).to.have.length(0);
+        expect(await trader.getTransactionCount()).to.equal(nonce + 2);
+      });
+
+      it("should fall back to the mempool when no builder takes the bundle", async function () {
+        handlers.eth_callBundle = (params) => ({ results: params.txs.map(() => ({})) });
+        mevProtection.config.bundleRetries = 1;
+        const nonce = await trader.getTransactionCount();
+
+        const regular = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+        expect(regular.success).to.be.true;
+        expect(regular.method).to.equal("regular");
+        expect(regular.receipt.status).to.equal(1);
+
+        mevProtection.privateProvider = provider;
+        const privateSend = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+        expect(privateSend.success).to.be.true;
+        expect(privateSend.method).to.equal("private_mempool");
+
+        expect(requests.filter((request) => request.method === "eth_sendBundle")).to.have.length(2 * mevProtection.config.maxBlocksAhead);
+        expect(await trader.getTransactionCount()).to.equal(nonce + 2);
+      });
+
+      it("should keep the nonces of a bundle a builder took until the chain says otherwise", async function () {
+        handlers.eth_callBundle = (params) => ({ results: params.txs.map(() => ({})) });
+        let builderMines = true;
+        handlers.eth_sendBundle = async (params) => {
+          if (builderMines) {
+            builderMines = false;
+            await provider.send("eth_sendRawTransaction", [params.txs[0]]);
+          }
+          return { bundleHash: ethers.utils.keccak256(params.txs[0]) };
+        };
+        // A lagging node never shows the target blocks, so inclusion is never seen
+        const startBlock = await provider.getBlockNumber();
+        mevProtection.provider = {
+          getBlockNumber: async () => startBlock,
+          getBlock: (blockTag) => provider.getBlock(blockTag),
+          getTransactionReceipt: (hash) => provider.getTransactionReceipt(hash),
+        };
+        mevProtection.config.blockTime = 20;
+        mevProtection.nonceManager = new NonceManager(provider, trader, console, mockNetworkConfig, {
+          config: { pollInterval: 10 },
+        });
+        const nonce = await trader.getTransactionCount();
+
+        // The bundle landed anyway: its nonce stays spent and nothing is resent
+        const landed = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+        expect(landed.method).to.equal("flashbots");
+        expect(landed.success).to.be.true;
+        expect(landed.receipt.transactionHash).to.equal(landed.txHash);
+        expect(await trader.getTransactionCount()).to.equal(nonce + 1);
+        expect(mevProtection.nonceManager.nextNonce).to.equal(nonce + 1);
+
+        // It didn't: the fallback takes over the nonce the bundle held
+        const fallback = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+        expect(fallback.method).to.equal("regular");
+        expect(fallback.success).to.be.true;
+        expect((await provider.getTransaction(fallback.txHash)).nonce).to.equal(nonce + 1);
+        expect(mevProtection.nonceManager.stats.resyncs).to.equal(2);
+        expect(await trader.getTransactionCount()).to.equal(nonce + 2);
+      });
+
+      it("should bundle a backrun behind its victim and never send it alone", async function () {
+        const victim = ethers.Wallet.createRandom().connect(provider);
+        await owner.sendTransaction({ to: victim.address, value: ethers.utils.parseEther("1") });
+        const victimTransaction = await victim.signTransaction(
+          await victim.populateTransaction({ to: owner.address, value: 1, gasLimit: 21000 })
+        );
+        const startBlock = await provider.getBlockNumber();
+        handlers.eth_callBundle = (params) => ({ results: params.txs.map(() => ({})) });
+        handlers.eth_sendBundle = async (params) => {
+          if (parseInt(params.blockNumber, 16) === startBlock + 1) {
+            await provider.send("evm_setAutomine", [false]);
+            try {
+              for (const tx of params.txs) {
+                await provider.send("eth_sendRawTransaction", [tx]);
+              }
+              await provider.send("evm_mine", []);
+            } finally {
+              await provider.send("evm_setAutomine", [true]);
+            }
+          }
+          return { bundleHash: "0xbac" };
+        };
+
+        const result = await mevProtection.sendFlashbotsBundle(
+          { to: owner.address, value: 1, gasLimit: 21000 },
+          { backrunTransaction: victimTransaction }
+        );
+
+        expect(result.success).to.be.true;
+        for (const method of ["eth_callBundle", "eth_sendBundle"]) {
+          const { txs } = requests.find((request) => request.method === method).params[0];
+          expect(txs).to.have.length(2);
+          expect(txs[0]).to.equal(victimTransaction);
+          expect(ethers.utils.keccak256(txs[1])).to.equal(result.txHash);
+        }
+
+        // A rejected backrun is not retried outside the bundle
+        delete handlers.eth_sendBundle;
+        mevProtection.config.bundleRetries = 1;
+        const nonce = await trader.getTransactionCount();
+        const rejected = await mevProtection.sendFlashbotsBundle(
+          { to: owner.address, value: 1, gasLimit: 21000 },
+          { backrunTransaction: victimTransaction }
+        );
+        expect(rejected.success).to.be.false;
+        expect(rejected.reason).to.equal("Backrun bundle failed: All bundle attempts failed");
+        expect(await trader.getTransactionCount()).to.equal(nonce);
+
+        // Off mainnet nothing is bundled, so a backrun has no way out
+        await expect(
+          mevProtection.protectedTransactionSend(
+            { to: owner.address, value: 1, gasLimit: 21000 },
+            { backrunTransaction: victimTransaction }
+          )
+        ).to.be.rejectedWith("Backruns can only be sent in a bundle");
+      });
+
+      it("should fan bundles out to every builder and track which one included it", async function () {
+        const startBlock = await provider.getBlock("latest");
+        mevProtection.config.maxBlocksAhead = 2;
+        mevProtection.config.bundleRetries = 1;
+        mevProtection.config.builders = [
+          {
+            name: "titan",
+            url: `${relayUrl}/titan`,
+            auth: "api-key",
+            apiKey: "titan-key",
+            apiKeyHeader: "X-Api-Key",
+            refundPercent: 90,
+            refundRecipient: trader.address,
+            coinbase: startBlock.miner,
+          },
+          { name: "beaver", url: `${relayUrl}/beaver`, auth: "none" },
+        ];
+        await mevProtection.initializeFlashbots();
+
+        handlers.eth_callBundle = () => ({ results: [{ gasUsed: 21000 }] });
+        handlers.eth_sendBundle = () => ({ bundleHash: "0xf1a5" });
+        handlers["/titan eth_sendBundle"] = async (params) => {
+          if (parseInt(params.blockNumber, 16) === startBlock.number + 1) {
+            await provider.send("eth_sendRawTransaction", [params.txs[0]]);
+          }
+          return { bundleHash: "0x717a" };
+        };
+
+        const result = await mevProtection.sendFlashbotsBundle({ to: owner.address, value: 1, gasLimit: 21000 });
+
+        expect(result.success).to.be.true;
+        expect(result.includedBy).to.equal("titan");
+        expect(result.bundleHash).to.equal("0xf1a5");
+        expect(result.builders).to.have.length(6);
+        expect(result.builders.filter((response) => !response.accepted).map((response) => response.builder))
+          .to.deep.equal(["beaver", "beaver"]);
+
+        const titan = requests.find((request) => request.url === "/titan");
+        expect(titan.apiKey).to.equal("titan-key");
+        expect(titan.signer).to.be.null;
+        expect(titan.params[0]).to.include({ refundPercent: 90, refundRecipient: trader.address });
+        const relayed = requests.find((request) => request.url === "/" && request.method === "eth_sendBundle");
+        expect(relayed.signer).to.equal(authSigner.address);
+        expect(relayed.params[0]).to.not.have.property("refundPercent");
+
+        const builders = Object.fromEntries(
+          mevProtection.getProtectionStats().builders.map((builder) => [builder.name, builder])
+        );
+        expect(builders.titan).to.include({ submitted: 2, accepted: 2, bundles: 1, included: 1, inclusionRate: "100.00%" });
+        expect(builders.flashbots).to.include({ accepted: 2, bundles: 1, included: 0, inclusionRate: "0.00%" });
+        expect(builders.beaver).to.include({ failed: 2, bundles: 0, inclusionRate: "0%" });
+        expect(builders.beaver.lastError).to.include("eth_sendBundle not supported");
+        expect(mevProtection.parseBuilders("not json")).to.deep.equal([]);
+      });
+
+      it("should poll bundle stats for blocks the bundle missed", async function () {
+        handlers.flashbots_getBundleStatsV2 = () => ({
+          isSimulated: true,
+          consideredByBuildersAt: [{ pubkey: "0x01", timestamp: "2024-01-01T00:00:00Z" }],
+          sealedByBuildersAt: [],
+        });
+        const blockNumber = await provider.getBlockNumber();
+
+        await expect(
+          mevProtection.waitForBundleInclusion(ethers.constants.HashZero, [{ blockNumber, bundleHash: "0xabc" }])
+        ).to.be.rejectedWith("Bundle not included within 1 blocks");
+        expect(requests[0].method).to.equal("flashbots_getBundleStatsV2");
+        expect(requests[0].params[0]).to.deep.equal({
+          bundleHash: "0xabc",
+          blockNumber: ethers.utils.hexValue(blockNumber),
+        });
+      });
+    });
+
+    describe("NonceManager", function () {
+      let trader;
+      let nonceManager;
+      let sent;
+
+      const waitForVersions = async (count) => {
+        while (sent.length < count) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+      };
+
+      beforeEach(async function () {
+        trader = ethers.Wallet.createRandom().connect(provider);
+        await owner.sendTransaction({ to: trader.address, value: ethers.utils.parseEther("1") });
+
+        nonceManager = new NonceManager(provider, trader, console, mockNetworkConfig, {
+          config: { stuckTimeoutMs: 200, pollInterval: 10 },
+        });
+        sent = [];
+        const broadcast = nonceManager.broadcast.bind(nonceManager);
+        nonceManager.broadcast = async (transaction, to) => {
+          const hash = await broadcast(transaction, to);
+          sent.push(transaction);
+          return hash;
+        };
+
+        // Nothing is mined until the test says so, like a stalled mempool
+        await provider.send("evm_setAutomine", [false]);
+      });
+
+      afterEach(async function () {
+        await provider.send("evm_mine", []);
+        await provider.send("evm_setAutomine", [true]);
+      });
+
+      it("should reconcile with the mempool and replace a stuck transaction at its nonce", async function () {
+        // Left pending by an earlier run
+        await trader.sendTransaction({ to: owner.address, value: 1, gasLimit: 21000 });
+        expect(await nonceManager.sync()).to.equal(1);
+        expect(nonceManager.stats.pendingAtStartup).to.equal(1);
+
+        const sending = nonceManager.sendTransaction({ to: owner.address, value: 1, gasLimit: 21000 });
+        await waitForVersions(2);
+        await provider.send("evm_mine", []);
+        const result = await sending;
+
+        const [original, replacement] = sent;
+        expect(replacement.nonce).to.equal(1);
+        expect(replacement.to).to.equal(original.to);
+        expect(replacement.maxFeePerGas.gte(original.maxFeePerGas.mul(110).div(100))).to.be.true;
+        expect(replacement.maxPriorityFeePerGas.gte(original.maxPriorityFeePerGas.mul(110).div(100))).to.be.true;
+
+        expect(result.success).to.be.true;
+        expect(result.cancelled).to.be.false;
+        expect(result.nonce).to.equal(1);
+        expect(result.replacements).to.equal(1);
+        expect((await provider.getTransaction(result.txHash)).maxFeePerGas.eq(replacement.maxFeePerGas)).to.be.true;
+        expect(await trader.getTransactionCount()).to.equal(2);
+        expect(nonceManager.getStats().pending).to.deep.equal([]);
+      });
+
+      it("should cancel a transaction whose opportunity expired and hand back unused nonces", async function () {
+        const sending = nonceManager.sendTransaction(
+          { to: owner.address, value: 1, gasLimit: 21000 },
+          { opportunityTimestamp: Date.now() - nonceManager.config.opportunityTtlMs }
+        );
+        await waitForVersions(2);
+        await provider.send("evm_mine", []);
+        const result = await sending;
+
+        const cancellation = sent[1];
+        expect(cancellation.nonce).to.equal(0);
+        expect(cancellation.to).to.equal(trader.address);
+        expect(ethers.BigNumber.from(cancellation.value).isZero()).to.be.true;
+        expect(cancellation.maxFeePerGas.gte(sent[0].maxFeePerGas.mul(110).div(100))).to.be.true;
+
+        expect(result.success).to.be.false;
+        expect(result.cancelled).to.be.true;
+        expect(result.receipt).to.be.null;
+        expect(result.cancellationReceipt.to).to.equal(trader.address);
+        expect(nonceManager.stats.cancelled).to.equal(1);
+
+        // A bundle that missed gives its nonces back, latest first
+        const tradeNonce = await nonceManager.reserve();
+        const tipNonce = await nonceManager.reserve();
+        nonceManager.release(tradeNonce);
+        expect(nonceManager.nextNonce).to.equal(tipNonce + 1);
+        nonceManager.release(tipNonce);
+        nonceManager.release(tradeNonce);
+        expect(await nonceManager.reserve()).to.equal(1);
+      });
+
+      it("should resync when another sender takes the nonce", async function () {
+        const sending = nonceManager.sendTransaction({ to: owner.address, value: 1, gasLimit: 21000 });
+        await waitForVersions(1);
+
+        // The same key used elsewhere outbids ours and sends one more after it
+        const outbid = {
+          maxFeePerGas: sent[0].maxFeePerGas.mul(3),
+          maxPriorityFeePerGas: sent[0].maxPriorityFeePerGas.mul(3),
+        };
+        await trader.sendTransaction({ to: owner.address, value: 2, gasLimit: 21000, nonce: 0, ...outbid });
+        await trader.sendTransaction({ to: owner.address, value: 2, gasLimit: 21000, nonce: 1, ...outbid });
+        await provider.send("evm_mine", []);
+
+        const error = await sending.then(() => null, (e) => e);
+        expect(error.message).to.equal("Nonce 0 was used by another transaction");
+        expect(error.sent).to.be.true;
+        expect(nonceManager.getStats().pending).to.deep.equal([]);
+        expect(await nonceManager.reserve()).to.equal(2);
+      });
+    });
+
+    describe("BundleBidder", function () {
+      it("should only bid when enabled and profitable", function () {
+        expect(new BundleBidder(console, mockNetworkConfig).calculateBid(1).bidETH).to.equal(0);
+
+        const bidder = new BundleBidder(console, mockNetworkConfig, {
+          config: { enabled: true, initialShare: 0.3, mode: "coinbase" },
+        });
+        expect(bidder.config.mode).to.equal("contract");
+        expect(bidder.calculateBid(0.1)).to.deep.equal({ mode: "contract", share: 0.3, bidETH: 0.1 * 0.3 });
+        expect(bidder.calculateBid(-0.1).bidETH).to.equal(0);
+      });
+
+      it("should raise the share while bundles miss blocks and lower it after losses", function () {
+        const bidder = new BundleBidder(console, mockNetworkConfig, {
+          config: { enabled: true, initialShare: 0.3, maxShare: 0.4 },
+        });
+
+        bidder.recordBlock(1, false);
+        bidder.recordBlock(2, false);
+        expect(bidder.share).to.equal(0.3); // Too few blocks to judge
+
+        bidder.recordBlock(3, false);
+        expect(bidder.share).to.be.closeTo(0.35, 1e-9);
+        bidder.recordBlock(4, false);
+        bidder.recordBlock(5, false);
+        expect(bidder.share).to.equal(0.4); // Capped
+
+        bidder.recordTrade(0.02);
+        expect(bidder.share).to.equal(0.4);
+        bidder.recordTrade(-0.01);
+        expect(bidder.share).to.be.closeTo(0.35, 1e-9);
+        expect(bidder.getStats()).to.include({ losingTrades: 1, inclusionRate: "0.00%", blocks: 5 });
+      });
+    });
+
     describe("RiskManager", function () {
       it("should initialize correctly", function () {
         expect(riskManager).to.not.be.undefined;
@@ -447,6 +3772,37 @@ describe("Real Arbitrage System", function () {
         const healthy = riskManager.isHealthy();
         expect(healthy).to.be.a("boolean");
       });
+
+      it("should book realized profit and the gas of mined reverts", function () {
+        const estimated = { netProfitETH: 0.03 };
+
+        riskManager.recordTradeResult({}, estimated, {
+          success: true,
+          realized: { netProfitETH: 0.0404 },
+        });
+        riskManager.recordTradeResult({}, estimated, {
+          success: false,
+          realized: { netProfitETH: -0.0006 },
+        });
+
+        expect(riskManager.dailyStats.totalProfitETH).to.be.closeTo(0.0404, 1e-12);
+        expect(riskManager.dailyStats.totalLossETH).to.be.closeTo(0.0006, 1e-12);
+        expect(riskManager.dailyStats.netProfitETH).to.be.closeTo(0.0398, 1e-12);
+      });
+
+      it("should hold a manually tripped circuit breaker until reset", async function () {
+        riskManager.config.cooldownPeriod = 0;
+        riskManager.tripCircuitBreaker("Operator stop");
+
+        const held = await riskManager.assessOpportunityRisk({}, {});
+        expect(held.approved).to.be.false;
+        expect(held.riskFactors[0].factor).to.equal("circuit_breaker");
+        expect(riskManager.getRiskStats().circuitBreaker.manual).to.be.true;
+
+        riskManager.deactivateCircuitBreaker();
+        expect(riskManager.getRiskStats().circuitBreaker.active).to.be.false;
+        expect(riskManager.isHealthy()).to.be.true;
+      });
     });
 
     describe("PerformanceMonitor", function () {
@@ -462,6 +3818,597 @@ describe("Real Arbitrage System", function () {
         expect(health).to.have.property("uptime");
         expect(health).to.have.property("successRate");
       });
+
+      it("should track realized profit and the estimate's variance", function () {
+        performanceMonitor.recordTradeExecution(
+          {
+            success: true,
+            realized: { profitETH: 0.041, netProfitETH: 0.0404 },
+            variance: { estimatedProfitUSD: 60, realizedProfitUSD: 80.8, varianceUSD: 20.8, variancePercent: 34.67 },
+          },
+          { netProfitETH: 0.03 },
+          ethers.utils.parseUnits("0.0006", "ether")
+        );
+        performanceMonitor.recordTradeExecution(
+          {
+            success: true,
+            realized: { profitETH: 0.01, netProfitETH: 0.0094 },
+            variance: { estimatedProfitUSD: 30, realizedProfitUSD: 18.8, varianceUSD: -11.2, variancePercent: -37.33 },
+          },
+          { netProfitETH: 0.015 },
+          ethers.utils.parseUnits("0.0006", "ether")
+        );
+
+        const metrics = performanceMonitor.collectPerformanceMetrics();
+        expect(metrics.totalProfitETH).to.be.closeTo(0.051, 1e-12);
+        expect(metrics.netProfitETH).to.be.closeTo(0.0498, 1e-12);
+        expect(metrics.profitVariance.count).to.equal(2);
+        expect(metrics.profitVariance.averageVarianceUSD).to.be.closeTo(4.8, 1e-9);
+        expect(metrics.profitVariance.averageAbsVarianceUSD).to.be.closeTo(16, 1e-9);
+      });
+
+      it("should export Prometheus metrics by network, DEX pair and failure reason", async function () {
+        const pair = { buyDex: "sushiswap", sellDex: "uniswap" };
+        performanceMonitor.recordDetection(pair);
+        performanceMonitor.recordDetection({ dexes: ["uniswap", "curve", "balancer"] });
+        performanceMonitor.recordTradeExecution(
+          { success: false, stage: "submission", category: FAILURE_CATEGORIES.SLIPPAGE, reason: "Too little received" },
+          { netProfitETH: 0.01 },
+          ethers.utils.parseUnits("0.0006", "ether"),
+          pair
+        );
+        performanceMonitor.recordVeto(pair, "simulation", FAILURE_CATEGORIES.UNPROFITABLE);
+        performanceMonitor.recordScan({ durationMs: 1200, cancelled: true });
+
+        const rpc = new EventEmitter();
+        performanceMonitor.instrumentProvider(rpc, "rpc.example");
+        rpc.emit("debug", { action: "request", request: { id: 7, method: "eth_call" } });
+        rpc.emit("debug", { action: "response", request: { id: 7, method: "eth_call" }, response: "0x" });
+
+        const { contentType, body } = await performanceMonitor.getMetrics();
+        expect(contentType).to.include("text/plain");
+        expect(body).to.include('arbitrage_opportunities_detected_total{dex_pair="uniswap>sushiswap",network="Test Network"} 1');
+        expect(body).to.include('arbitrage_opportunities_detected_total{dex_pair="uniswap>curve>balancer",network="Test Network"} 1');
+        expect(body).to.include('arbitrage_trade_failures_total{dex_pair="uniswap>sushiswap",reason="SLIPPAGE",network="Test Network"} 1');
+        expect(body).to.include('arbitrage_trade_vetoes_total{dex_pair="uniswap>sushiswap",stage="simulation",reason="UNPROFITABLE",network="Test Network"} 1');
+        expect(body).to.include('arbitrage_scan_duration_seconds_count{network="Test Network",outcome="cancelled"} 1');
+        expect(body).to.include('arbitrage_rpc_request_duration_seconds_count{network="Test Network",provider="rpc.example",method="eth_call",status="ok"} 1');
+        expect(body).to.include('arbitrage_success_ratio{network="Test Network"} 0');
+      });
+    });
+
+    describe("TradeJournal", function () {
+      let journalPath;
+      let journal;
+
+      const openJournal = () => {
+        const opened = new TradeJournal(console, mockNetworkConfig);
+        opened.config.path = journalPath;
+        return opened.open();
+      };
+
+      const pairOpportunity = {
+        tokenA: WETH_ADDRESS,
+        tokenB: USDC_ADDRESS,
+        buyDex: "sushiswap",
+        sellDex: "uniswap",
+        profitPercentage: "0.8",
+        blockNumber: 100,
+      };
+
+      beforeEach(function () {
+        journalPath = path.join(os.tmpdir(), `trade-journal-${process.pid}-${Date.now()}.db`);
+        journal = openJournal();
+      });
+
+      afterEach(function () {
+        journal.close();
+        for (const suffix of ["", "-wal", "-shm"]) {
+          fs.rmSync(journalPath + suffix, { force: true });
+        }
+      });
+
+      it("should migrate once and keep the journal across reopening", function () {
+        expect(journal.getSchemaVersion()).to.equal(1);
+        const opportunityId = journal.recordOpportunity(pairOpportunity);
+        journal.close();
+
+        journal = openJournal();
+        expect(journal.getSchemaVersion()).to.equal(1);
+        expect(journal.recordOpportunity(pairOpportunity)).to.equal(opportunityId + 1);
+      });
+
+      it("should journal every stage and answer P&L, failure and DEX queries", function () {
+        const executed = journal.recordOpportunity(pairOpportunity);
+        journal.recordViability(executed, { netProfitUSD: 60, costs: { gasCostUSD: 2 } }, true);
+        journal.recordRiskAssessment(executed, { approved: true, riskScore: 10, riskFactors: [] });
+        journal.recordExecution(
+          executed,
+          {
+            success: true,
+            txHash: "0xabc",
+            method: "flashbots",
+            simulatedProfitUSD: 62,
+            realizedProfitUSD: 80.8,
+            realized: { netProfitUSD: 80.8 },
+            gasCostWei: "600000000000000",
+            receipt: { status: 1, blockNumber: 101, gasUsed: ethers.BigNumber.from(300000) },
+          },
+          { netProfitUSD: 60 },
+          0.0404
+        );
+
+        const vetoed = journal.recordOpportunity({ ...pairOpportunity, buyDex: "curve" });
+        journal.recordViability(vetoed, { netProfitUSD: 12 }, true);
+        journal.recordRiskAssessment(vetoed, { approved: true, riskScore: 20, riskFactors: [] });
+        journal.recordExecution(vetoed, {
+          success: false,
+          vetoed: true,
+          stage: "simulation",
+          reason: "Simulation reverted (SLIPPAGE): Too little received",
+          category: FAILURE_CATEGORIES.SLIPPAGE,
+        });
+
+        const stages = journal.db
+          .prepare("SELECT stage FROM events WHERE opportunity_id = ? ORDER BY id")
+          .all(executed)
+          .map((event) => event.stage);
+        expect(stages).to.deep.equal(["viability", "risk", "simulation", "submission", "receipt"]);
+
+        const [today] = journal.getDailyPnL(7);
+        expect(today.trades).to.equal(1);
+        expect(today.netProfitETH).to.be.closeTo(0.0404, 1e-12);
+        expect(today.realizedProfitUSD).to.be.closeTo(80.8, 1e-9);
+
+        const [failure] = journal.getFailureReasons();
+        expect(failure.stage).to.equal("simulation");
+        expect(failure.category).to.equal(FAILURE_CATEGORIES.SLIPPAGE);
+        expect(failure.count).to.equal(1);
+
+        const dexStats = Object.fromEntries(journal.getDexStats().map((row) => [row.dex, row]));
+        expect(dexStats.uniswap.opportunities).to.equal(2);
+        expect(dexStats.uniswap.successful).to.equal(1);
+        expect(dexStats.curve.trades).to.equal(0);
+        expect(dexStats.sushiswap.netProfitETH).to.be.closeTo(0.0404, 1e-12);
+      });
+
+      it("should restore the daily loss limit after a restart", function () {
+        riskManager = new RiskManager(provider, console, mockNetworkConfig, { journal });
+        const estimated = { netProfitETH: 0.03, netProfitUSD: 60 };
+        const trades = [
+          { success: true, realized: { netProfitETH: 0.0404, netProfitUSD: 80.8 } },
+          { success: false, stage: "submission", reason: "Transaction failed", realized: { netProfitETH: -0.0006 } },
+          { success: false, stage: "submission", reason: "Transaction failed", realized: { netProfitETH: -0.0008 } },
+        ];
+        for (const result of trades) {
+          riskManager.recordTradeResult({}, estimated, result);
+          journal.recordExecution(
+            journal.recordOpportunity(pairOpportunity),
+            result,
+            estimated,
+            riskManager.getBookedProfitETH(estimated, result)
+          );
+        }
+        journal.close();
+
+        journal = openJournal();
+        const restarted = new RiskManager(provider, console, mockNetworkConfig, { journal });
+        expect(restarted.dailyStats.totalProfitETH).to.be.closeTo(0.0404, 1e-12);
+        expect(restarted.dailyStats.totalLossETH).to.be.closeTo(0.0014, 1e-12);
+        expect(restarted.dailyStats.netProfitETH).to.be.closeTo(0.039, 1e-12);
+        expect(restarted.dailyStats.executedTrades).to.equal(1);
+        expect(restarted.dailyStats.failedTrades).to.equal(2);
+        expect(restarted.dailyStats.consecutiveFailures).to.equal(2);
+      });
+    });
+
+    describe("ControlServer", function () {
+      let bot;
+      let server;
+      let baseUrl;
+
+      const request = async (method, pathname, { token, body } = {}) => {
+        const response = await fetch(baseUrl + pathname, {
+          method,
+          headers: {
+            ...(token && { Authorization: `Bearer ${token}` }),
+            "Content-Type": "application/json",
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+      };
+
+      beforeEach(async function () {
+        bot = {
+          isRunning: true,
+          paused: false,
+          thresholds: { MIN_PROFIT_USD: 2 },
+          getHealth() {
+            return { healthy: this.isRunning, paused: this.paused };
+          },
+          getStats: () => ({ opportunitiesFound: 3 }),
+          getMetrics: () => performanceMonitor.getMetrics(),
+          getRiskState: () => riskManager.getRiskStats(),
+          pause() {
+            this.paused = true;
+            return { paused: true };
+          },
+          tripCircuitBreaker(reason) {
+            riskManager.tripCircuitBreaker(reason);
+            return riskManager.getRiskStats().circuitBreaker;
+          },
+          reloadThresholds(values) {
+            if (values && !("MIN_PROFIT_USD" in values)) throw new Error("Unknown threshold");
+            Object.assign(this.thresholds, values);
+            return { thresholds: this.thresholds };
+          },
+        };
+
+        server = new ControlServer(bot, console, { port: 0, token: "secret-token" });
+        baseUrl = `http://127.0.0.1:${await server.start()}`;
+      });
+
+      afterEach(async function () {
+        await server.stop();
+      });
+
+      it("should serve health for orchestration checks and status endpoints", async function () {
+        expect((await request("GET", "/health")).status).to.equal(200);
+        expect((await request("GET", "/stats")).body.opportunitiesFound).to.equal(3);
+        expect((await request("GET", "/risk")).body.circuitBreaker.active).to.be.false;
+        expect((await request("GET", "/chains")).status).to.equal(501);
+
+        const metrics = await fetch(`${baseUrl}/metrics`);
+        expect(metrics.status).to.equal(200);
+        expect(await metrics.text()).to.include("# TYPE arbitrage_trades_total counter");
+        expect((await request("GET", "/nope")).status).to.equal(404);
+
+        bot.isRunning = false;
+        const down = await request("GET", "/health");
+        expect(down.status).to.equal(503);
+        expect(down.body.healthy).to.be.false;
+      });
+
+      it("should only run control actions with the bearer token", async function () {
+        expect((await request("POST", "/pause")).status).to.equal(401);
+        expect((await request("POST", "/pause", { token: "wrong-token!" })).status).to.equal(401);
+        expect(bot.paused).to.be.false;
+
+        const paused = await request("POST", "/pause", { token: "secret-token" });
+        expect(paused.status).to.equal(200);
+        expect(bot.paused).to.be.true;
+
+        await request("POST", "/circuit-breaker/trip", { token: "secret-token", body: {} });
+        expect(riskManager.circuitBreakerManual).to.be.true;
+
+        const rejected = await request("POST", "/thresholds", {
+          token: "secret-token",
+          body: { MIN_PROFIT_USD: "ten" },
+        });
+        expect(rejected.status).to.equal(400);
+        expect((await request("POST", "/thresholds", {
+          token: "secret-token",
+          body: { MAX_LEVERAGE: 3 },
+        })).status).to.equal(400);
+
+        const reloaded = await request("POST", "/thresholds", {
+          token: "secret-token",
+          body: { MIN_PROFIT_USD: 10 },
+        });
+        expect(reloaded.body.thresholds.MIN_PROFIT_USD).to.equal(10);
+      });
+
+      it("should refuse control actions without a configured token", async function () {
+        await server.stop();
+        server = new ControlServer(bot, console, { port: 0, token: null });
+        baseUrl = `http://127.0.0.1:${await server.start()}`;
+
+        expect((await request("POST", "/pause")).status).to.equal(403);
+        expect((await request("GET", "/health")).status).to.equal(200);
+      });
+    });
+
+    describe("AlertManager", function () {
+      let standIn;
+      let received;
+      let baseUrl;
+
+      // Local stand-in for webhook and Telegram endpoints
+      beforeEach(async function () {
+        received = [];
+        standIn = http.createServer((req, res) => {
+          let body = "";
+          req.on("data", (chunk) => (body += chunk));
+          req.on("end", () => {
+            received.push({ url: req.url, body: JSON.parse(body) });
+            const refused = req.url.includes("/botrefused/");
+            res.writeHead(req.url === "/fail" ? 500 : 200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(refused ? { ok: false, description: "chat not found" } : { ok: true }));
+          });
+        });
+        await new Promise((resolve) => standIn.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${standIn.address().port}`;
+      });
+
+      afterEach(async function () {
+        await new Promise((resolve) => standIn.close(resolve));
+      });
+
+      it("should post Slack, Discord and Telegram payloads", async function () {
+        const sinks = [
+          createSink("webhook", console, { url: `${baseUrl}/slack`, format: "slack" }),
+          createSink("webhook", console, { url: `${baseUrl}/discord`, format: "discord" }),
+          createSink("telegram", console, { botToken: "123:abc", chatId: "42", apiUrl: baseUrl }),
+        ];
+        const alertManager = new AlertManager(console, mockNetworkConfig, { sinks });
+
+        const results = await alertManager.raise({
+          type: "circuit_breaker",
+          severity: "critical",
+          message: "5 consecutive failed trades",
+          data: { consecutiveFailures: 5 },
+        });
+        expect(results.every((result) => result.delivered)).to.be.true;
+
+        const byUrl = Object.fromEntries(received.map((request) => [request.url, request.body]));
+        expect(byUrl["/slack"].text).to.equal("🚨 [CRITICAL] Circuit breaker (Test Network)");
+        expect(byUrl["/slack"].attachments[0].text).to.include("consecutiveFailures: 5");
+        expect(byUrl["/discord"].embeds[0].color).to.equal(0xb00020);
+        expect(byUrl["/discord"].embeds[0].fields[0]).to.deep.include({ name: "consecutiveFailures", value: "5" });
+        expect(byUrl["/bot123:abc/sendMessage"].chat_id).to.equal("42");
+        expect(byUrl["/bot123:abc/sendMessage"].text).to.include("5 consecutive failed trades");
+      });
+
+      it("should throttle repeats and send a resolution when the condition clears", async function () {
+        const sinks = [createSink("webhook", console, { url: `${baseUrl}/hook` })];
+        const alertManager = new AlertManager(console, mockNetworkConfig, {
+          sinks,
+          config: { throttleMs: 60000 },
+        });
+        const alert = { type: "high_error_rate", severity: "high", data: { current: "20%" } };
+
+        await alertManager.raise(alert);
+        expect(await alertManager.raise(alert)).to.be.null;
+        expect(await alertManager.raise(alert)).to.be.null;
+        expect(received).to.have.length(1);
+        expect(alertManager.getActiveAlerts()[0].repeats).to.equal(2);
+
+        // Once the window has passed the reminder carries the repeat count
+        alertManager.active.get("high_error_rate").lastSentAt -= 60000;
+        await alertManager.raise(alert);
+        expect(received[1].body.repeats).to.equal(2);
+
+        await alertManager.resolve("high_error_rate", { current: "2%" });
+        expect(received[2].body.status).to.equal("resolved");
+        expect(received[2].body.data.current).to.equal("2%");
+        expect(await alertManager.resolve("high_error_rate")).to.be.null;
+        expect(alertManager.getStats()).to.include({ sent: 3, throttled: 2, resolved: 1, active: 0 });
+      });
+
+      it("should route alert types to sinks and survive failing sinks", async function () {
+        const sinks = [
+          createSink("webhook", console, { url: `${baseUrl}/fail` }),
+          createSink("telegram", console, { botToken: "refused", chatId: "42", apiUrl: baseUrl }),
+        ];
+        const alertManager = new AlertManager(console, mockNetworkConfig, {
+          sinks,
+          config: { routes: { low_balance: ["telegram"], default: ["webhook"] } },
+        });
+
+        const lowBalance = await alertManager.raise({ type: "low_balance", severity: "high" });
+        expect(lowBalance).to.deep.equal([
+          { sink: "telegram", delivered: false, error: "Telegram refused message: chat not found" },
+        ]);
+
+        const other = await alertManager.raise({ type: "low_success_rate", severity: "high" });
+        expect(other).to.have.length(1);
+        expect(other[0].sink).to.equal("webhook");
+        expect(other[0].delivered).to.be.false;
+        expect(received.map((request) => request.url)).to.deep.equal(["/botrefused/sendMessage", "/fail"]);
+      });
+
+      it("should send email through the configured transport", async function () {
+        const email = createSink("email", console, {
+          from: "bot@example.com",
+          to: "ops@example.com",
+          transport: { jsonTransport: true },
+        });
+        let sent;
+        const sendMail = email.transporter.sendMail.bind(email.transporter);
+        email.transporter.sendMail = async (message) => (sent = JSON.parse((await sendMail(message)).message));
+
+        const alertManager = new AlertManager(console, mockNetworkConfig, { sinks: [email] });
+        await alertManager.raise({ type: "low_balance", severity: "high", data: { balanceETH: "0.01" } });
+
+        expect(sent.to[0].address).to.equal("ops@example.com");
+        expect(sent.subject).to.equal("🚨 [HIGH] Low balance (Test Network)");
+        expect(sent.text).to.include("balanceETH: 0.01");
+      });
+
+      it("should only configure sinks the environment sets up", function () {
+        expect(getSinkTypes()).to.include.members(["email", "telegram", "webhook"]);
+        expect(createSinksFromEnv(console, {})).to.be.empty;
+
+        const sinks = createSinksFromEnv(console, {
+          ALERT_WEBHOOK_URL: `${baseUrl}/hook`,
+          ALERT_WEBHOOK_FORMAT: "discord",
+        });
+        expect(sinks).to.have.length(1);
+        expect(sinks[0].format).to.equal("discord");
+      });
+
+      it("should raise and resolve alerts from performance and risk checks", async function () {
+        const alertManager = new AlertManager(console, mockNetworkConfig, {
+          sinks: [createSink("webhook", console, { url: `${baseUrl}/hook` })],
+        });
+        const monitor = new PerformanceMonitor(console, mockNetworkConfig, { alertManager });
+        const risk = new RiskManager(provider, console, mockNetworkConfig, { alertManager });
+
+        monitor.metrics.totalOpportunities = 20;
+        monitor.metrics.errorCount = 10;
+        await monitor.setAlertCondition("high_error_rate", true, { current: "50%" });
+        monitor.metrics.errorCount = 0;
+        monitor.checkErrorRate();
+
+        risk.tripCircuitBreaker("maintenance");
+        risk.deactivateCircuitBreaker();
+        expect(risk.checkWalletBalance(0.01)).to.be.false;
+        expect(risk.checkWalletBalance(1)).to.be.true;
+
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        const sent = received.map(({ body }) => `${body.type}:${body.status}`);
+        expect(sent).to.have.members([
+          "high_error_rate:firing",
+          "high_error_rate:resolved",
+          "circuit_breaker:firing",
+          "circuit_breaker:resolved",
+          "low_balance:firing",
+          "low_balance:resolved",
+        ]);
+        const trip = received.find(({ body }) => body.type === "circuit_breaker").body;
+        expect(trip.severity).to.equal("critical");
+        expect(trip.data.manual).to.be.true;
+      });
+    });
+
+    describe("BlockScanScheduler", function () {
+      let blockEmitter;
+      let scheduler;
+
+      beforeEach(function () {
+        blockEmitter = new EventEmitter();
+        scheduler = new BlockScanScheduler(blockEmitter, console);
+      });
+
+      afterEach(function () {
+        scheduler.stop();
+      });
+
+      it("should never run two scans at once and skip intermediate blocks", async function () {
+        const scannedBlocks = [];
+        let concurrentScans = 0;
+        let maxConcurrentScans = 0;
+        let releaseFirstScan;
+        const firstScanGate = new Promise((resolve) => {
+          releaseFirstScan = resolve;
+        });
+
+        scheduler.start(async (scan) => {
+          concurrentScans++;
+          maxConcurrentScans = Math.max(maxConcurrentScans, concurrentScans);
+          scannedBlocks.push(scan.blockNumber);
+          if (scan.blockNumber === 100) await firstScanGate;
+          concurrentScans--;
+        });
+
+        const firstRun = scheduler.onBlock(100);
+        scheduler.onBlock(101);
+        scheduler.onBlock(102);
+        scheduler.onBlock(103);
+        releaseFirstScan();
+        await firstRun;
+
+        expect(maxConcurrentScans).to.equal(1);
+        expect(scannedBlocks).to.deep.equal([100, 103]);
+        expect(scheduler.getStats().blocksSkipped).to.equal(2);
+      });
+
+      it("should cancel a running scan when a newer block arrives", async function () {
+        let firstScan;
+        let releaseFirstScan;
+        const firstScanGate = new Promise((resolve) => {
+          releaseFirstScan = resolve;
+        });
+
+        scheduler.start(async (scan) => {
+          if (scan.blockNumber === 200) {
+            firstScan = scan;
+            await firstScanGate;
+          }
+        });
+
+        const firstRun = scheduler.onBlock(200);
+        expect(firstScan.isCancelled()).to.be.false;
+
+        scheduler.onBlock(201);
+        expect(firstScan.isCancelled()).to.be.true;
+
+        releaseFirstScan();
+        await firstRun;
+
+        const stats = scheduler.getStats();
+        expect(stats.scansCancelled).to.equal(1);
+        expect(stats.scansCompleted).to.equal(1);
+        expect(stats.lastScanBlock).to.equal(201);
+      });
+
+      it("should report lag behind the head block", async function () {
+        let releaseScan;
+        const scanGate = new Promise((resolve) => {
+          releaseScan = resolve;
+        });
+        scheduler = new BlockScanScheduler(blockEmitter, console, {
+          cancelOnNewBlock: false,
+        });
+
+        scheduler.start(async (scan) => {
+          if (scan.blockNumber === 300) await scanGate;
+        });
+
+        const run = scheduler.onBlock(300);
+        scheduler.onBlock(301);
+        scheduler.onBlock(302);
+        releaseScan();
+        await run;
+
+        const stats = scheduler.getStats();
+        expect(stats.maxLagBlocks).to.equal(2);
+        expect(stats.lastScanBlock).to.equal(302);
+        expect(stats.lastScanLagBlocks).to.equal(0);
+      });
+
+      it("should report each finished scan to onScanComplete", async function () {
+        const finished = [];
+        scheduler = new BlockScanScheduler(blockEmitter, console, {
+          onScanComplete: (scan) => finished.push(scan),
+        });
+        scheduler.start(async () => {});
+
+        await scheduler.onBlock(400);
+        expect(finished).to.have.length(1);
+        expect(finished[0].blockNumber).to.equal(400);
+        expect(finished[0].cancelled).to.be.false;
+        expect(finished[0].durationMs).to.be.a("number");
+      });
+
+      it("should count the bot's failed scans instead of reporting them as finished", async function () {
+        const bot = new RealArbitrageBot(mockNetworkConfig);
+        const finished = [];
+        bot.blockProvider = blockEmitter;
+        bot.performanceMonitor = { recordScan: (scan) => finished.push(scan) };
+        bot.isRunning = true;
+        bot.scanForRealArbitrageOpportunities = async () => {
+          throw new Error("RPC unavailable");
+        };
+
+        bot.startRealArbitrageScanning();
+        try {
+          await bot.scanScheduler.onBlock(500);
+          expect(bot.scanScheduler.getStats()).to.include({ scansFailed: 1, scansCompleted: 0 });
+          expect(finished).to.be.empty;
+        } finally {
+          bot.scanScheduler.stop();
+        }
+      });
+
+      it("should subscribe to provider block events", function () {
+        scheduler.start(async () => {});
+        expect(blockEmitter.listenerCount("block")).to.equal(1);
+
+        scheduler.stop();
+        expect(blockEmitter.listenerCount("block")).to.equal(0);
+      });
     });
   });
 });